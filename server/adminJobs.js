@@ -0,0 +1,78 @@
+import { Router } from "express";
+import { listJobs, runJobNow } from "./jobs/jobRunner.js";
+import { getQueueStats } from "./jobs/queue.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Фоновые задачи (cron): состояние и ручной запуск; очередь jobs/queue.js.
+// Задачи общие для всех компаний, поэтому доступ — не по роли (admin — это
+// сотрудник/точка одной компании), а только у операторов сервиса:
+// OPS_USER_IDS — список user_id через запятую. Не задан — доступа нет ни у кого.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const OPS_USER_IDS = new Set(
+    String(process.env.OPS_USER_IDS || "")
+        .split(",")
+        .map((s) => Number(s.trim()))
+        .filter((n) => Number.isInteger(n) && n > 0)
+);
+
+function requireOperator(req, res) {
+    if (!OPS_USER_IDS.has(Number(req.user?.userId))) {
+        res.status(403).json({ ok: false, error: "Недостаточно прав" });
+        return false;
+    }
+    return true;
+}
+
+export default function createAdminJobsRouter() {
+    const router = Router();
+
+    // ── GET /api/admin/jobs ──────────────────────────────────────────────────
+    // последний запуск, длительность, статус/ошибка, счётчики, кто держит аренду
+    router.get("/", async (req, res) => {
+        try {
+            if (!requireOperator(req, res)) return;
+            res.json({ ok: true, items: await listJobs() });
+        } catch (e) {
+            console.error("admin jobs list error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── GET /api/admin/jobs/queue ────────────────────────────────────────────
+    // очередь побочных эффектов (jobs/queue.js): ожидают / выполняются / dead letters
+    router.get("/queue", async (req, res) => {
+        try {
+            if (!requireOperator(req, res)) return;
+            res.json({ ok: true, items: await getQueueStats() });
+        } catch (e) {
+            console.error("admin queue stats error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── POST /api/admin/jobs/:name/run ───────────────────────────────────────
+    // Выполняется в этом процессе под той же арендой, что и cron;
+    // если задача сейчас выполняется (здесь или в другом контейнере) — 409
+    router.post("/:name/run", async (req, res) => {
+        try {
+            if (!requireOperator(req, res)) return;
+            const run = await runJobNow(String(req.params.name));
+            if (!run) return res.status(404).json({ ok: false, error: "Задача не найдена" });
+            if (!run.ran) {
+                return res.status(409).json({
+                    ok: false,
+                    error: "Задача уже выполняется",
+                    lockedBy: run.lockedBy,
+                    lockedUntil: run.lockedUntil,
+                });
+            }
+            res.json({ ok: true, run, items: await listJobs() });
+        } catch (e) {
+            console.error("admin jobs run error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    return router;
+}
@@ -1,15 +1,72 @@
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import pool from "./db.js";
+import { validatePassword } from "./passwordPolicy.js";
 import {
     generateSecret,
     generateOTPAuthURI,
-    verifyTOTP,
 } from "./totp.js";
+import {
+    acceptTOTP,
+    verifySecondFactor,
+    generateRecoveryCodes,
+    countRecoveryCodes,
+    resetSecondFactor,
+} from "./twoFactor.js";
+import {
+    ACCESS_TOKEN_TTL,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeByRefreshToken,
+    isSessionActive,
+    sessionMetaFromRequest,
+    listActiveSessions,
+    findActiveSession,
+    sessionToDto,
+} from "./sessions.js";
+import {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    sendThrottled,
+} from "./loginThrottle.js";
 
 const JWT_SECRET = process.env.JWT_SECRET || "super_secret_key";
 const TEMP_TOKEN_SECRET = process.env.TEMP_TOKEN_SECRET || "temp_2fa_secret_key";
 
+// Claims access-токена. Claim userId = user_id — мобильное приложение
+// читает id из userId; курьеру ещё unitNickname.
+function accessClaims(user, sessionId) {
+    const claims = { userId: user.user_id, role: user.role, companyId: user.company_id, sid: sessionId };
+    if (user.role === "courier") {
+        claims.unitNickname = typeof user.nickname === "string" ? user.nickname : null;
+    }
+    return claims;
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(accessClaims(user, sessionId), JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Успешный вход: новая сессия устройства + пара токенов.
+// token — короткий access-токен (как и раньше, в Authorization: Bearer),
+// refreshToken — для POST /api/auth/refresh
+async function issueSessionTokens(user, req, client) {
+    const { sessionId, refreshToken } = await createSession(user, sessionMetaFromRequest(req, client));
+    return { ok: true, token: signAccessToken(user, sessionId), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+async function loadTokenUser(userId) {
+    const [rows] = await pool.query(
+        "SELECT user_id, nickname, role, company_id, is_active FROM users WHERE user_id = ? LIMIT 1",
+        [userId]
+    );
+    return rows[0] || null;
+}
+
+const isDeactivated = (user) => user.is_active != null && !user.is_active;
+
 // --- Регистрация ---
 export async function register(req, res) {
     try {
@@ -19,6 +76,11 @@ export async function register(req, res) {
             return res.status(400).json({ error: "Все поля обязательны" });
         }
 
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
         // Проверка на уникальность email и телефона
         const [rows] = await pool.query(
             "SELECT user_id FROM users WHERE email = ? OR phone = ? LIMIT 1",
@@ -55,8 +117,11 @@ export async function login(req, res) {
 
         const identifier = String(email).trim();
 
+        const allowed = await checkLoginAllowed("login", identifier, req);
+        if (!allowed.ok) return sendThrottled(res, allowed.retryAfterSec);
+
         const [rows] = await pool.query(
-            `SELECT user_id, password, role, company_id, totp_enabled
+            `SELECT user_id, nickname, password, role, company_id, is_active, totp_enabled
          FROM users
         WHERE email = ? OR phone = ?
         LIMIT 1`,
@@ -64,12 +129,14 @@ export async function login(req, res) {
         );
 
         if (rows.length === 0) {
+            await recordLoginFailure("login", identifier, req, { reason: "unknown_user" });
             return res.status(401).json({ error: "Неверный email или пароль" });
         }
 
         const user = rows[0];
         const valid = await bcrypt.compare(password, user.password);
         if (!valid) {
+            await recordLoginFailure("login", identifier, req, { userId: user.user_id, reason: "bad_password" });
             return res.status(401).json({ error: "Неверный email или пароль" });
         }
 
@@ -78,6 +145,13 @@ export async function login(req, res) {
             return res.status(403).json({ error: "Курьеры входят через мобильное приложение" });
         }
 
+        if (isDeactivated(user)) {
+            return res.status(403).json({ error: "Учётная запись деактивирована" });
+        }
+
+        // счётчик неудач сбрасывается, только когда вход действительно разрешён
+        await recordLoginSuccess("login", identifier);
+
         // Check if 2FA is enabled for this user
         if (user.totp_enabled) {
             // Generate a temporary token for 2FA verification
@@ -99,14 +173,8 @@ export async function login(req, res) {
             });
         }
 
-        // No 2FA enabled, issue the full JWT token
-        const token = jwt.sign(
-            { userId: user.user_id, role: user.role, companyId: user.company_id },
-            JWT_SECRET,
-            { expiresIn: "14h" }
-        );
-
-        return res.json({ ok: true, token });
+        // No 2FA enabled, open a session and issue the tokens
+        return res.json(await issueSessionTokens(user, req, "web"));
     } catch (err) {
         console.error("Ошибка логина:", err);
         res.status(500).json({ error: "Ошибка сервера" });
@@ -122,6 +190,9 @@ export async function courierlogin(req, res) {
 
         const identifier = String(unit_email).trim();
 
+        const allowed = await checkLoginAllowed("courier", identifier, req);
+        if (!allowed.ok) return sendThrottled(res, allowed.retryAfterSec);
+
         // Курьеры теперь живут в users (role='courier'). Логин по email ИЛИ телефону.
         const [rows] = await pool.query(
             `SELECT user_id, nickname, role, company_id, password, is_active
@@ -132,6 +203,7 @@ export async function courierlogin(req, res) {
         );
 
         if (rows.length === 0) {
+            await recordLoginFailure("courier", identifier, req, { reason: "unknown_user" });
             return res.status(401).json({ error: "Неверный email или пароль" });
         }
 
@@ -143,25 +215,16 @@ export async function courierlogin(req, res) {
 
         const valid = await bcrypt.compare(unit_password, user.password);
         if (!valid) {
+            await recordLoginFailure("courier", identifier, req, { userId: user.user_id, reason: "bad_password" });
             return res.status(401).json({ error: "Неверный email или пароль" });
         }
+        await recordLoginSuccess("courier", identifier);
 
-        // Claim остаётся прежним (userId = user_id) — мобильное приложение
-        // читает id из userId, семантика не меняется.
-        const token = jwt.sign(
-            {
-                userId: user.user_id,
-                role: user.role,
-                companyId: user.company_id,
-                unitNickname: typeof user.nickname === 'string' ? user.nickname : null
-            },
-            JWT_SECRET,
-            { expiresIn: "14h" }
-        );
+        const tokens = await issueSessionTokens(user, req, "mobile");
 
-        console.log(`[courierlogin] Created token for user_id=${user.user_id}, nickname=${user.nickname}`);
+        console.log(`[courierlogin] Created session for user_id=${user.user_id}, nickname=${user.nickname}`);
 
-        return res.json({ ok: true, token });
+        return res.json(tokens);
     } catch (err) {
         console.error("Ошибка логина:", err);
         res.status(500).json({ error: "Ошибка сервера" });
@@ -169,20 +232,143 @@ export async function courierlogin(req, res) {
 }
 
 
+// --- Обновление токенов ---
+// body: { refreshToken } → новая пара; старый refresh-токен больше не действует
+export async function refreshTokens(req, res) {
+    try {
+        const { refreshToken } = req.body || {};
+        if (!refreshToken) {
+            return res.status(400).json({ error: "refreshToken обязателен" });
+        }
+
+        const meta = sessionMetaFromRequest(req);
+        const rotated = await rotateRefreshToken(refreshToken, meta);
+        if (!rotated.ok) {
+            return res.status(401).json({ error: rotated.error });
+        }
+
+        // роль/компания/активность — по текущему состоянию пользователя
+        const user = await loadTokenUser(rotated.userId);
+        if (!user || isDeactivated(user)) {
+            await revokeSession(rotated.sessionId, user ? "deactivated" : "deleted");
+            return res.status(401).json({ error: "Сессия завершена" });
+        }
+
+        return res.json({
+            ok: true,
+            token: signAccessToken(user, rotated.sessionId),
+            refreshToken: rotated.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+        });
+    } catch (err) {
+        console.error("Ошибка обновления токена:", err);
+        res.status(500).json({ error: "Ошибка сервера" });
+    }
+}
+
+// --- Выход ---
+// Завершает сессию по refreshToken из body или по sid access-токена
+export async function logout(req, res) {
+    try {
+        const { refreshToken } = req.body || {};
+        if (refreshToken) {
+            await revokeByRefreshToken(refreshToken, "logout");
+        } else {
+            const token = (req.headers.authorization || "").split(" ")[1];
+            let decoded = null;
+            try {
+                decoded = token ? jwt.verify(token, JWT_SECRET) : null;
+            } catch {
+                decoded = null;
+            }
+            if (!decoded) {
+                return res.status(400).json({ error: "Нужен refreshToken или действующий токен" });
+            }
+            if (decoded.sid) await revokeSession(decoded.sid, "logout");
+        }
+        return res.json({ ok: true });
+    } catch (err) {
+        console.error("Ошибка выхода:", err);
+        res.status(500).json({ error: "Ошибка сервера" });
+    }
+}
+
+// --- Свои сессии (устройства, где выполнен вход) ---
+export async function listMySessions(req, res) {
+    try {
+        const userId = req.user?.userId;
+        if (!userId) {
+            return res.status(401).json({ error: "Не авторизован" });
+        }
+        const rows = await listActiveSessions(userId);
+        return res.json({ ok: true, items: rows.map((r) => sessionToDto(r, req.user.sid)) });
+    } catch (err) {
+        console.error("Ошибка получения сессий:", err);
+        res.status(500).json({ error: "Ошибка сервера" });
+    }
+}
+
+// --- Завершить свою сессию на другом (или этом) устройстве ---
+export async function revokeMySession(req, res) {
+    try {
+        const userId = req.user?.userId;
+        if (!userId) {
+            return res.status(401).json({ error: "Не авторизован" });
+        }
+        const session = await findActiveSession(userId, String(req.params.sessionId));
+        if (!session) {
+            return res.status(404).json({ error: "Сессия не найдена" });
+        }
+        await revokeSession(session.session_id, "signed_out_remotely");
+        return res.json({ ok: true });
+    } catch (err) {
+        console.error("Ошибка завершения сессии:", err);
+        res.status(500).json({ error: "Ошибка сервера" });
+    }
+}
+
+// WS hello: claims access-токена, если он действителен и его сессия не
+// отозвана (те же правила, что у authMiddleware), иначе null
+export async function authenticateSocketToken(token) {
+    if (!token) return null;
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token), JWT_SECRET);
+    } catch {
+        return null;
+    }
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) return null;
+    return decoded;
+}
+
 // --- Middleware для проверки токена ---
-export function authMiddleware(req, res, next) {
+// Токен с sid действителен, пока жива его сессия (logout, деактивация,
+// удаление, смена пароля отзывают её). Токены без sid — выданные до
+// появления сессий — доживают свой срок.
+export async function authMiddleware(req, res, next) {
     const authHeader = req.headers.authorization;
     if (!authHeader) return res.status(401).json({ error: "Нет токена" });
 
     const token = authHeader.split(" ")[1];
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded; // { userId, role, companyId, ... }
-        console.log(`[authMiddleware] Decoded token:`, decoded);
-        next();
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (err) {
         return res.status(401).json({ error: "Невалидный или просроченный токен" });
     }
+
+    try {
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+            return res.status(401).json({ error: "Сессия завершена" });
+        }
+    } catch (err) {
+        console.error("Ошибка проверки сессии:", err);
+        return res.status(500).json({ error: "Ошибка сервера" });
+    }
+
+    req.user = decoded; // { userId, role, companyId, sid, ... }
+    console.log(`[authMiddleware] Decoded token:`, decoded);
+    next();
 }
 
 export function roleMiddleware(roles = []) {
@@ -231,6 +417,8 @@ export async function setup2FA(req, res) {
             "UPDATE users SET totp_secret = ? WHERE user_id = ?",
             [secret, userId]
         );
+        // новый секрет — старый счётчик TOTP и коды восстановления не действуют
+        await resetSecondFactor(userId);
 
         // Generate the otpauth URI for QR code
         const otpauthUri = generateOTPAuthURI(user.email, secret);
@@ -281,7 +469,7 @@ export async function verifySetup2FA(req, res) {
         }
 
         // Verify the code
-        const isValid = verifyTOTP(user.totp_secret, code);
+        const isValid = await acceptTOTP(userId, user.totp_secret, code);
         if (!isValid) {
             return res.status(400).json({ error: "Неверный код" });
         }
@@ -292,7 +480,10 @@ export async function verifySetup2FA(req, res) {
             [userId]
         );
 
-        return res.json({ ok: true, message: "2FA успешно включена" });
+        // Коды восстановления показываются один раз — клиент должен их сохранить
+        const recoveryCodes = await generateRecoveryCodes(userId);
+
+        return res.json({ ok: true, message: "2FA успешно включена", recoveryCodes });
     } catch (err) {
         console.error("Ошибка верификации 2FA:", err);
         res.status(500).json({ error: "Ошибка сервера" });
@@ -313,9 +504,14 @@ export async function disable2FA(req, res) {
             return res.status(400).json({ error: "Код обязателен" });
         }
 
+        // тот же лимит, что и на шаге 2FA при входе: с украденным access-токеном
+        // код иначе можно перебирать без ограничений
+        const allowed = await checkLoginAllowed("2fa", userId, req);
+        if (!allowed.ok) return sendThrottled(res, allowed.retryAfterSec);
+
         // Get the stored secret
         const [rows] = await pool.query(
-            "SELECT totp_secret, totp_enabled FROM users WHERE user_id = ? LIMIT 1",
+            "SELECT user_id, totp_secret, totp_enabled FROM users WHERE user_id = ? LIMIT 1",
             [userId]
         );
 
@@ -329,17 +525,20 @@ export async function disable2FA(req, res) {
             return res.status(400).json({ error: "2FA не включена" });
         }
 
-        // Verify the code before disabling
-        const isValid = verifyTOTP(user.totp_secret, code);
-        if (!isValid) {
+        // Verify the code before disabling (TOTP or a recovery code — телефон мог потеряться)
+        const check = await verifySecondFactor(user, code);
+        if (!check.ok) {
+            await recordLoginFailure("2fa", userId, req, { userId, reason: "bad_code_disable" });
             return res.status(400).json({ error: "Неверный код" });
         }
+        await recordLoginSuccess("2fa", userId);
 
         // Disable 2FA and clear the secret
         await pool.query(
             "UPDATE users SET totp_enabled = FALSE, totp_secret = NULL WHERE user_id = ?",
             [userId]
         );
+        await resetSecondFactor(userId);
 
         return res.json({ ok: true, message: "2FA успешно отключена" });
     } catch (err) {
@@ -348,6 +547,54 @@ export async function disable2FA(req, res) {
     }
 }
 
+// --- 2FA: Regenerate recovery codes ---
+// Requires a current TOTP code; the previous codes stop working
+export async function regenerateRecoveryCodes(req, res) {
+    try {
+        const userId = req.user?.userId;
+        if (!userId) {
+            return res.status(401).json({ error: "Не авторизован" });
+        }
+
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ error: "Код обязателен" });
+        }
+
+        const allowed = await checkLoginAllowed("2fa", userId, req);
+        if (!allowed.ok) return sendThrottled(res, allowed.retryAfterSec);
+
+        const [rows] = await pool.query(
+            "SELECT totp_secret, totp_enabled FROM users WHERE user_id = ? LIMIT 1",
+            [userId]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).json({ error: "Пользователь не найден" });
+        }
+
+        const user = rows[0];
+
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: "2FA не включена" });
+        }
+
+        const isValid = await acceptTOTP(userId, user.totp_secret, code);
+        if (!isValid) {
+            await recordLoginFailure("2fa", userId, req, { userId, reason: "bad_code_regenerate" });
+            return res.status(400).json({ error: "Неверный код" });
+        }
+        await recordLoginSuccess("2fa", userId);
+
+        const recoveryCodes = await generateRecoveryCodes(userId);
+
+        return res.json({ ok: true, recoveryCodes });
+    } catch (err) {
+        console.error("Ошибка генерации кодов восстановления 2FA:", err);
+        res.status(500).json({ error: "Ошибка сервера" });
+    }
+}
+
 // --- 2FA: Status ---
 // Get the current 2FA status for the user
 export async function get2FAStatus(req, res) {
@@ -366,9 +613,11 @@ export async function get2FAStatus(req, res) {
             return res.status(404).json({ error: "Пользователь не найден" });
         }
 
+        const enabled = Boolean(rows[0].totp_enabled);
         return res.json({
             ok: true,
-            enabled: Boolean(rows[0].totp_enabled)
+            enabled,
+            recoveryCodesLeft: enabled ? await countRecoveryCodes(userId) : 0
         });
     } catch (err) {
         console.error("Ошибка получения статуса 2FA:", err);
@@ -401,9 +650,14 @@ export async function verifyLogin2FA(req, res) {
 
         const userId = decoded.userId;
 
+        // временный токен живёт 5 минут — без лимита за это время можно перебрать коды
+        const allowed = await checkLoginAllowed("2fa", userId, req);
+        if (!allowed.ok) return sendThrottled(res, allowed.retryAfterSec);
+
         // Get the stored secret
         const [rows] = await pool.query(
-            "SELECT totp_secret, totp_enabled FROM users WHERE user_id = ? LIMIT 1",
+            `SELECT user_id, nickname, role, company_id, is_active, totp_secret, totp_enabled
+               FROM users WHERE user_id = ? LIMIT 1`,
             [userId]
         );
 
@@ -417,20 +671,25 @@ export async function verifyLogin2FA(req, res) {
             return res.status(400).json({ error: "2FA не настроена для этого пользователя" });
         }
 
-        // Verify the code
-        const isValid = verifyTOTP(user.totp_secret, code);
-        if (!isValid) {
+        // Verify the code: TOTP or a one-time recovery code
+        const check = await verifySecondFactor(user, code);
+        if (!check.ok) {
+            await recordLoginFailure("2fa", userId, req, { userId, reason: "bad_code" });
             return res.status(401).json({ error: "Неверный код" });
         }
 
-        // Issue the real JWT token
-        const token = jwt.sign(
-            { userId: decoded.userId, role: decoded.role, companyId: decoded.companyId },
-            JWT_SECRET,
-            { expiresIn: "14h" }
-        );
+        if (isDeactivated(user)) {
+            return res.status(403).json({ error: "Учётная запись деактивирована" });
+        }
+        await recordLoginSuccess("2fa", userId);
 
-        return res.json({ ok: true, token });
+        // Open a session and issue the tokens
+        const tokens = await issueSessionTokens(user, req, "web");
+        if (check.method === "recovery") {
+            console.warn(`[2fa] user_id=${userId} вошёл по коду восстановления`);
+            tokens.recoveryCodesLeft = await countRecoveryCodes(userId);
+        }
+        return res.json(tokens);
     } catch (err) {
         console.error("Ошибка верификации 2FA при логине:", err);
         res.status(500).json({ error: "Ошибка сервера" });
@@ -0,0 +1,198 @@
+import { Router } from "express";
+import pool from "./db.js";
+import { resolveCompanyContext } from "./currentOrder.js";
+import { ensureColumns } from "./schema.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Настройки компании (одна строка на компанию).
+//
+// deliveryPromiseMinutes — обещанное время доставки активного заказа от момента
+//   создания, если у зоны доставки нет своего (delivery_zones.promise_minutes).
+// slaAtRiskMinutes — за сколько минут до обещанного времени открытый заказ
+//   помечается «под угрозой» (WS order_at_risk, см. jobs/checkOrderSla.js).
+// preorderLeadMinutes — за сколько минут до scheduled_at предзаказ становится
+//   активным (jobs/activatePreorders.js). Можно переопределить для точки выдачи
+//   (pickup_point_settings) и зоны доставки (delivery_zones.preorder_lead_minutes);
+//   приоритет: точка → зона → компания.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const DEFAULT_COMPANY_SETTINGS = {
+    deliveryPromiseMinutes: 60,
+    slaAtRiskMinutes: 10,
+    preorderLeadMinutes: 120,
+};
+
+// поле настроек → колонка и допустимый диапазон
+const SETTINGS_FIELDS = {
+    deliveryPromiseMinutes: { column: "delivery_promise_minutes", min: 5, max: 24 * 60 },
+    slaAtRiskMinutes: { column: "sla_at_risk_minutes", min: 0, max: 240 },
+    preorderLeadMinutes: { column: "preorder_lead_minutes", min: 0, max: 24 * 60 },
+};
+
+// ── Ленивая миграция таблицы ─────────────────────────────────────────────────
+let _tableReady = false;
+export async function ensureCompanySettingsTable() {
+    if (_tableReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS company_settings (
+            company_id                INT      NOT NULL PRIMARY KEY,
+            delivery_promise_minutes  INT      NOT NULL DEFAULT 60,
+            sla_at_risk_minutes       INT      NOT NULL DEFAULT 10,
+            updated_at                DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await ensureColumns("company_settings", [
+        ["preorder_lead_minutes", "INT NOT NULL DEFAULT 120"],
+    ]);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS pickup_point_settings (
+            company_id             INT      NOT NULL,
+            pickup_unit_id         INT      NOT NULL,
+            preorder_lead_minutes  INT      NULL,
+            updated_at             DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (company_id, pickup_unit_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tableReady = true;
+}
+
+function rowToSettings(r) {
+    const settings = { ...DEFAULT_COMPANY_SETTINGS };
+    if (!r) return settings;
+    for (const [field, { column }] of Object.entries(SETTINGS_FIELDS)) {
+        if (r[column] != null) settings[field] = Number(r[column]);
+    }
+    return settings;
+}
+
+/** Настройки компании (нет строки — значения по умолчанию) */
+export async function getCompanySettings(companyId) {
+    await ensureCompanySettingsTable();
+    const [rows] = await pool.query(
+        "SELECT * FROM company_settings WHERE company_id=? LIMIT 1",
+        [companyId]
+    );
+    return rowToSettings(rows[0]);
+}
+
+// Переопределения точек выдачи: [{ pickupId, preorderLeadMinutes }]
+async function getPickupOverrides(companyId) {
+    const [rows] = await pool.query(
+        `SELECT pickup_unit_id, preorder_lead_minutes
+           FROM pickup_point_settings
+          WHERE company_id=? AND preorder_lead_minutes IS NOT NULL
+          ORDER BY pickup_unit_id ASC`,
+        [companyId]
+    );
+    return rows.map((r) => ({
+        pickupId: r.pickup_unit_id,
+        preorderLeadMinutes: Number(r.preorder_lead_minutes),
+    }));
+}
+
+export default function createCompanySettingsRouter() {
+    const router = Router();
+
+    // ── GET /api/company/settings ────────────────────────────────────────────
+    router.get("/", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            res.json({
+                ok: true,
+                settings: await getCompanySettings(ctx.companyId),
+                pickupOverrides: await getPickupOverrides(ctx.companyId),
+            });
+        } catch (e) {
+            console.error("company settings get error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── PUT /api/company/settings ────────────────────────────────────────────
+    // body: { deliveryPromiseMinutes?, slaAtRiskMinutes?, preorderLeadMinutes? } — только переданные поля
+    router.put("/", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            if (user?.role === "courier")
+                return res.status(403).json({ ok: false, error: "Недостаточно прав" });
+            await ensureCompanySettingsTable();
+
+            const b = req.body || {};
+            const columns = [];
+            const values = [];
+            for (const [field, { column, min, max }] of Object.entries(SETTINGS_FIELDS)) {
+                if (b[field] === undefined) continue;
+                const v = Number(b[field]);
+                if (!Number.isInteger(v) || v < min || v > max)
+                    return res.status(400).json({ ok: false, error: `${field}: целое число ${min}..${max}` });
+                columns.push(column);
+                values.push(v);
+            }
+
+            if (columns.length) {
+                await pool.query(
+                    `INSERT INTO company_settings (company_id, ${columns.join(", ")})
+                     VALUES (?, ${columns.map(() => "?").join(", ")})
+                     ON DUPLICATE KEY UPDATE ${columns.map((c) => `${c}=VALUES(${c})`).join(", ")}`,
+                    [companyId, ...values]
+                );
+            }
+
+            res.json({ ok: true, settings: await getCompanySettings(companyId) });
+        } catch (e) {
+            console.error("company settings update error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── PUT /api/company/settings/pickup/:pickupId ───────────────────────────
+    // body: { preorderLeadMinutes: number | null } — null убирает переопределение
+    router.put("/pickup/:pickupId", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            if (user?.role === "courier")
+                return res.status(403).json({ ok: false, error: "Недостаточно прав" });
+            await ensureCompanySettingsTable();
+
+            const pickupId = Number(req.params.pickupId);
+            if (!Number.isInteger(pickupId) || pickupId <= 0)
+                return res.status(400).json({ ok: false, error: "Некорректный pickupId" });
+            const [points] = await pool.query(
+                "SELECT user_id FROM users WHERE user_id=? AND company_id=? AND role='admin' LIMIT 1",
+                [pickupId, companyId]
+            );
+            if (!points.length) return res.status(404).json({ ok: false, error: "Точка выдачи не найдена" });
+
+            const raw = req.body?.preorderLeadMinutes;
+            const { min, max } = SETTINGS_FIELDS.preorderLeadMinutes;
+            if (raw == null || raw === "") {
+                await pool.query(
+                    "DELETE FROM pickup_point_settings WHERE company_id=? AND pickup_unit_id=?",
+                    [companyId, pickupId]
+                );
+            } else {
+                const v = Number(raw);
+                if (!Number.isInteger(v) || v < min || v > max)
+                    return res.status(400).json({ ok: false, error: `preorderLeadMinutes: целое число ${min}..${max}` });
+                await pool.query(
+                    `INSERT INTO pickup_point_settings (company_id, pickup_unit_id, preorder_lead_minutes)
+                     VALUES (?, ?, ?)
+                     ON DUPLICATE KEY UPDATE preorder_lead_minutes=VALUES(preorder_lead_minutes)`,
+                    [companyId, pickupId, v]
+                );
+            }
+
+            res.json({ ok: true, pickupOverrides: await getPickupOverrides(companyId) });
+        } catch (e) {
+            console.error("pickup settings update error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    return router;
+}
@@ -1,5 +1,13 @@
 import pool from "./db.js";
 import bcrypt from "bcrypt";
+import { validatePassword } from "./passwordPolicy.js";
+import {
+    revokeUserSessions,
+    revokeSession,
+    listActiveSessions,
+    findActiveSession,
+    sessionToDto,
+} from "./sessions.js";
 
 const SALT_ROUNDS = 10;
 
@@ -148,6 +156,9 @@ export async function createUnit(req, res) {
         if (!STAFF_ROLES.includes(String(role)))
             return res.status(400).json({ ok: false, error: "Некорректная роль" });
 
+        const passwordError = validatePassword(String(password));
+        if (passwordError) return res.status(400).json({ ok: false, error: passwordError });
+
         const emailVal = email || null;
         const conflict = await findConflict(companyId, { nickname, phone, email: emailVal });
         if (conflict) {
@@ -191,6 +202,10 @@ export async function updateUnit(req, res) {
         if (role !== undefined && !STAFF_ROLES.includes(String(role))) {
             return res.status(400).json({ ok: false, error: "Некорректная роль" });
         }
+        if (password) {
+            const passwordError = validatePassword(String(password));
+            if (passwordError) return res.status(400).json({ ok: false, error: passwordError });
+        }
 
         // проверка уникальности при смене ника/телефона/email
         if (nickname !== undefined || phone !== undefined || email !== undefined) {
@@ -240,6 +255,12 @@ export async function updateUnit(req, res) {
         if (result.affectedRows === 0)
             return res.status(404).json({ ok: false, error: "Не найдено" });
 
+        // выданные токены больше не должны действовать
+        const revokeReason =
+            active !== undefined && !active ? "deactivated" :
+            password ? "password_changed" : null;
+        if (revokeReason) await revokeUserSessions(id, revokeReason);
+
         const [rows] = await pool.query(
             "SELECT * FROM users WHERE user_id=? AND company_id=?",
             [id, companyId]
@@ -267,9 +288,82 @@ export async function deleteUnit(req, res) {
         if (result.affectedRows === 0)
             return res.status(404).json({ ok: false, error: "Не найдено" });
 
+        await revokeUserSessions(id, "deleted");
+
         res.json({ ok: true });
     } catch (e) {
         console.error("deleteUnit error:", e);
         res.status(500).json({ ok: false, error: "Ошибка сервера" });
     }
 }
+
+// ------- Сессии сотрудника (устройства, где выполнен вход) --------
+
+// Сотрудник этой компании (admin/courier) или null
+async function findStaffUser(companyId, id) {
+    const [rows] = await pool.query(
+        "SELECT user_id FROM users WHERE user_id=? AND company_id=? AND role IN ('admin','courier') LIMIT 1",
+        [id, companyId]
+    );
+    return rows[0] || null;
+}
+
+export async function listUnitSessions(req, res) {
+    try {
+        const ctx = await requireCompanyContext(req, res);
+        if (!ctx) return;
+        const { companyId } = ctx;
+
+        const id = Number(req.params.id);
+        if (!(await findStaffUser(companyId, id)))
+            return res.status(404).json({ ok: false, error: "Не найдено" });
+
+        const rows = await listActiveSessions(id);
+        res.json({ ok: true, items: rows.map((r) => sessionToDto(r, req.user?.sid)) });
+    } catch (e) {
+        console.error("listUnitSessions error:", e);
+        res.status(500).json({ ok: false, error: "Ошибка сервера" });
+    }
+}
+
+// DELETE /api/staff/:id/sessions/:sessionId — например, курьер потерял телефон
+export async function revokeUnitSession(req, res) {
+    try {
+        const ctx = await requireCompanyContext(req, res);
+        if (!ctx) return;
+        const { companyId } = ctx;
+
+        const id = Number(req.params.id);
+        if (!(await findStaffUser(companyId, id)))
+            return res.status(404).json({ ok: false, error: "Не найдено" });
+
+        const session = await findActiveSession(id, String(req.params.sessionId));
+        if (!session)
+            return res.status(404).json({ ok: false, error: "Сессия не найдена" });
+
+        await revokeSession(session.session_id, "revoked_by_admin");
+        res.json({ ok: true });
+    } catch (e) {
+        console.error("revokeUnitSession error:", e);
+        res.status(500).json({ ok: false, error: "Ошибка сервера" });
+    }
+}
+
+// DELETE /api/staff/:id/sessions — выйти на всех устройствах сотрудника
+export async function revokeUnitSessions(req, res) {
+    try {
+        const ctx = await requireCompanyContext(req, res);
+        if (!ctx) return;
+        const { companyId } = ctx;
+
+        const id = Number(req.params.id);
+        if (!(await findStaffUser(companyId, id)))
+            return res.status(404).json({ ok: false, error: "Не найдено" });
+
+        const revoked = await revokeUserSessions(id, "revoked_by_admin");
+        res.json({ ok: true, revoked });
+    } catch (e) {
+        console.error("revokeUnitSessions error:", e);
+        res.status(500).json({ ok: false, error: "Ошибка сервера" });
+    }
+}
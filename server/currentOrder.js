@@ -2,6 +2,30 @@ import express from "express";
 import pool from "./db.js";
 import crypto from "crypto";
 import { getCustomerDiscount } from "./customers.js";
+import { isKnownStatus, canTransition, illegalTransitionBody } from "./orderStatus.js";
+import { ensureColumns } from "./schema.js";
+import { idempotency } from "./idempotency.js";
+import { diffOrderRows, actorFromUser, recordOrderEvent, listOrderEvents } from "./orderEvents.js";
+import { normalizePromoCode, preparePromo, redeemPromo, releasePromo } from "./promoCodes.js";
+import { loadTaxContext } from "./taxRates.js";
+import { repriceItemsFromMenu } from "./menuApi.js";
+import { estimatePrepSeconds } from "./kitchen.js";
+import { PROMISE_BODY_KEYS, refreshOrderPromise } from "./orderSla.js";
+import { reserveSlotCapacity, toUtcDate } from "./preorderSlots.js";
+import { enqueueJob } from "./jobs/queue.js";
+import {
+    RECEIPT_FORMATS,
+    RECEIPT_VARIANTS,
+    buildReceiptModel,
+    renderReceiptHtml,
+    renderReceiptPdf,
+    renderReceiptEscPos,
+} from "./services/receipts/receiptService.js";
+import {
+    ensureCancellationSchema,
+    getCancelReasons,
+    replaceCancelReasons,
+} from "./orderCancellation.js";
 
 /** --- helpers --- */
 export async function resolveCompanyContext(req, res) {
@@ -39,7 +63,10 @@ function toMySQLDatetime(isoString) {
 
 // orderDiscount (необяз.): { type: 'percent'|'fixed', value } — персональная
 // скидка клиента, применяется к сумме позиций ПОСЛЕ поштучных скидок.
-function normalizeItemsAndAmounts(items, deliveryFee, orderDiscount = null) {
+// promo (необяз.): правило промокода из promoCodes.preparePromo.
+// tax (необяз.): { rates, itemCategories } из taxRates.loadTaxContext — тогда
+// считаются net/НДС по строкам и по заказу (цены в меню — с НДС).
+export function normalizeItemsAndAmounts(items, deliveryFee, orderDiscount = null, { promo = null, tax = null } = {}) {
     const toCents = (amount) => {
         const s = typeof amount === "string" ? amount.trim().replace(",", ".") : amount;
         const n = Number(s);
@@ -57,6 +84,21 @@ function normalizeItemsAndAmounts(items, deliveryFee, orderDiscount = null) {
         return Math.round((priceCents * (100 - d)) / 100);
     };
 
+    // Раскидать amount центов пропорционально весам (метод наибольших остатков).
+    // Доля строки не больше её веса, если amount <= суммы весов.
+    const allocate = (amount, weights) => {
+        const total = weights.reduce((s, w) => s + w, 0);
+        if (amount <= 0 || total <= 0) return weights.map(() => 0);
+        const exact = weights.map((w) => (amount * w) / total);
+        const shares = exact.map(Math.floor);
+        let rest = amount - shares.reduce((s, v) => s + v, 0);
+        const order = exact
+            .map((v, i) => [v - Math.floor(v), i])
+            .sort((a, b) => b[0] - a[0]);
+        for (let k = 0; rest > 0 && k < order.length; k++, rest--) shares[order[k][1]] += 1;
+        return shares;
+    };
+
     const norm = (Array.isArray(items) ? items : []).map((it) => {
         const price = Number(it.price || 0);
         const discount = Number(it.discount || 0);
@@ -93,15 +135,99 @@ function normalizeItemsAndAmounts(items, deliveryFee, orderDiscount = null) {
             orderDiscountCents = Math.round((itemsTotalCents * pct) / 100);
         }
     }
-    const itemsAfterOrderDiscCents = Math.max(0, itemsTotalCents - orderDiscountCents);
+    const customerShares = allocate(orderDiscountCents, norm.map((r) => r._line_cents));
+
+    // Промокод (см. promoCodes.js): от подходящих позиций после поштучных скидок,
+    // минимальная корзина — по всем позициям. Вместе с персональной скидкой
+    // не больше того, что осталось от подходящих позиций.
+    let promoDiscountCents = 0;
+    let promoError = null;
+    let promoWeights = norm.map(() => 0);
+    if (promo) {
+        const eligible = norm.map(
+            (r) => !promo.eligibleItemIds || promo.eligibleItemIds.has(String(r.id))
+        );
+        const eligibleCents = norm.reduce((s, r, i) => s + (eligible[i] ? r._line_cents : 0), 0);
+        promoWeights = norm.map((r, i) => (eligible[i] ? r._line_cents - customerShares[i] : 0));
+        if (promo.minBasket != null && itemsTotalCents < toCents(promo.minBasket)) {
+            promoError = `Минимальная сумма заказа для промокода — ${formatCents(toCents(promo.minBasket))}`;
+        } else if (eligibleCents <= 0) {
+            promoError = "Промокод не применим к позициям заказа";
+        } else if (promo.type === "fixed") {
+            promoDiscountCents = Math.min(toCents(promo.value), eligibleCents);
+        } else {
+            const pct = Math.min(Number(promo.value) || 0, 100);
+            promoDiscountCents = Math.round((eligibleCents * pct) / 100);
+        }
+        promoDiscountCents = Math.min(promoDiscountCents, promoWeights.reduce((s, w) => s + w, 0));
+    }
+    const promoShares = allocate(promoDiscountCents, promoWeights);
+
+    const itemsAfterOrderDiscCents = Math.max(0, itemsTotalCents - orderDiscountCents - promoDiscountCents);
 
-    // amount_discount = поштучные скидки + персональная скидка клиента
+    // amount_discount = поштучные скидки + персональная скидка клиента + промокод
     const discountCents = subtotalCents - itemsAfterOrderDiscCents;
     const deliveryFeeCents = toCents(deliveryFee);
     const totalCents = itemsAfterOrderDiscCents + deliveryFeeCents;
 
+    // НДС: скидки заказа уже разнесены по строкам, из итога строки выделяем НДС
+    let taxLines = null;
+    let vatBreakdown = null;
+    let netCents = null;
+    let vatCents = null;
+    if (tax) {
+        const rateOf = (category) => Number(tax.rates?.[category] ?? 0);
+        const split = (grossCents, rate) => {
+            const net = Math.round((grossCents * 100) / (100 + rate));
+            return { net, vat: grossCents - net };
+        };
+
+        taxLines = norm.map((r, i) => {
+            const category = tax.itemCategories?.get(String(r.id)) || "food";
+            const rate = rateOf(category);
+            const gross = r._line_cents - customerShares[i] - promoShares[i];
+            return { category, rate, gross, ...split(gross, rate) };
+        });
+
+        const groups = new Map();
+        const addToGroup = (l) => {
+            const key = `${l.category}:${l.rate}`;
+            const g = groups.get(key) || { category: l.category, rate: l.rate, net: 0, vat: 0, gross: 0 };
+            g.net += l.net;
+            g.vat += l.vat;
+            g.gross += l.gross;
+            groups.set(key, g);
+        };
+        taxLines.forEach(addToGroup);
+        if (deliveryFeeCents > 0) {
+            const rate = rateOf("delivery");
+            addToGroup({ category: "delivery", rate, gross: deliveryFeeCents, ...split(deliveryFeeCents, rate) });
+        }
+
+        vatBreakdown = [...groups.values()].map((g) => ({
+            category: g.category,
+            rate: g.rate,
+            net: Number(formatCents(g.net)),
+            vat: Number(formatCents(g.vat)),
+            gross: Number(formatCents(g.gross)),
+        }));
+        netCents = [...groups.values()].reduce((s, g) => s + g.net, 0);
+        vatCents = [...groups.values()].reduce((s, g) => s + g.vat, 0);
+    }
+
     // не сохраняем служебные поля в items_json
-    const itemsClean = norm.map(({ _price_cents, _line_cents, ...rest }) => rest);
+    const itemsClean = norm.map(({ _price_cents, _line_cents, ...rest }, i) => {
+        if (!taxLines) return rest;
+        const l = taxLines[i];
+        return {
+            ...rest,
+            tax_category: l.category,
+            vat_rate: l.rate,
+            line_gross: Number(formatCents(l.gross)),
+            line_net: Number(formatCents(l.net)),
+            line_vat: Number(formatCents(l.vat)),
+        };
+    });
 
     return {
         items: itemsClean,
@@ -110,6 +236,11 @@ function normalizeItemsAndAmounts(items, deliveryFee, orderDiscount = null) {
         amount_total: formatCents(totalCents),
         delivery_fee: formatCents(deliveryFeeCents),
         order_discount_cents: orderDiscountCents,
+        promo_discount: formatCents(promoDiscountCents),
+        promo_error: promoError,
+        amount_net: netCents != null ? formatCents(netCents) : null,
+        amount_vat: vatCents != null ? formatCents(vatCents) : null,
+        vat_breakdown: vatBreakdown,
     };
 }
 
@@ -138,6 +269,22 @@ export function rowToPanelDto(r) {
         deliveryFee: Number(r.delivery_fee || 0),
         numOfPeople: Number(r.people_amount || 0),
         paymentMethod: r.payment_method,
+        paymentParts: parsePaymentParts(r),
+        cashGiven: r.cash_given != null ? Number(r.cash_given) : null,
+        changeDue: computeChangeDue(r),
+        tip: Number(r.tip_amount || 0),
+        promoCode: r.promo_code ?? null,
+        promoDiscount: Number(r.promo_discount || 0),
+        // НДС (null — заказ создан до учёта НДС)
+        amountNet: r.amount_net != null ? Number(r.amount_net) : null,
+        amountVat: r.amount_vat != null ? Number(r.amount_vat) : null,
+        // кухня (kitchen.js): начало/окончание готовки и прогноз готовности
+        prepStartedAt: r.prep_started_at ?? null,
+        prepReadyAt: r.prep_ready_at ?? null,
+        predictedReadyAt: r.predicted_ready_at ?? null,
+        // обещанное время доставки (orderSla.js) и зона, по которой оно посчитано
+        promisedAt: r.promised_at ?? null,
+        deliveryZoneId: r.delivery_zone_id ?? null,
         customer: r.customer_name,
         phone: r.customer_phone,
         address: addr,
@@ -152,10 +299,37 @@ export function rowToPanelDto(r) {
         addressLng: r.address_lng != null ? Number(r.address_lng) : null,
         geocodedAt: r.geocoded_at ?? null,
         geocodeProvider: r.geocode_provider ?? null,
+
+        // отмена (POST /:id/cancel)
+        cancelReason: r.cancel_reason ?? null,
+        cancelComment: r.cancel_comment ?? null,
+        cancelRefund: !!r.cancel_refund,
+        cancelledAt: r.cancelled_at ?? null,
+        cancelledBy: r.cancelled_by ?? null,
+
+        // для оптимистичной блокировки (PUT/PATCH присылают обратно)
+        version: Number(r.version || 0),
     };
 }
 
-function safeParseItemsJSON(v) {
+/** Полная карточка заказа (GET /:id): + позиции, заметки, раздельный адрес */
+export function rowToPanelDetailDto(r) {
+    const dto = rowToPanelDto(r);
+    dto.items = safeParseItemsJSON(r.items_json);
+    dto.vatBreakdown = r.vat_breakdown != null ? safeParseItemsJSON(r.vat_breakdown) : null;
+    dto.notes = r.notes;
+
+    // раздельные поля адреса (для формы)
+    dto.addressStreet = r.address_street;
+    dto.addressHouse = r.address_house;
+    dto.addressBuilding = r.address_building;
+    dto.addressApartment = r.address_apartment;
+    dto.addressFloor = r.address_floor;
+    dto.addressCode = r.address_code;
+    return dto;
+}
+
+export function safeParseItemsJSON(v) {
     try {
         if (v == null) return [];
         if (typeof v === "string") return JSON.parse(v);
@@ -167,12 +341,119 @@ function safeParseItemsJSON(v) {
     }
 }
 
-function coercePaymentMethod(val) {
+// Неизвестный способ оплаты → null (раньше молча превращался в cash)
+export function coercePaymentMethod(val) {
     const s = String(val || "").trim().toLowerCase();
     if (["cash", "наличные", "нал"].includes(s)) return "cash";
     if (["card", "карта", "банковская карта"].includes(s)) return "card";
     if (["wire", "перечислением", "безнал", "безналичный"].includes(s)) return "wire";
-    return "cash";
+    return null;
+}
+
+/**
+ * Смешанная оплата: [{ method, amount }] → части в центах, сумма = amount_total.
+ * Одинаковые способы складываются. payment_method заказа — способ с наибольшей
+ * частью (для старых клиентов). Одна часть → payment_parts не храним (null).
+ * Возвращает { ok, parts, paymentMethod } либо { ok: false, error }.
+ */
+export function normalizePaymentParts(rawParts, amountTotal) {
+    const toCents = (v) => {
+        const n = Number(typeof v === "string" ? v.trim().replace(",", ".") : v);
+        return Number.isFinite(n) ? Math.round((n + Number.EPSILON) * 100) : NaN;
+    };
+
+    const byMethod = new Map();
+    for (const part of Array.isArray(rawParts) ? rawParts : []) {
+        const method = coercePaymentMethod(part?.method);
+        if (!method) return { ok: false, error: `Некорректный способ оплаты: ${part?.method ?? ""}` };
+        const cents = toCents(part?.amount);
+        if (!Number.isFinite(cents) || cents <= 0)
+            return { ok: false, error: "Сумма части оплаты должна быть больше 0" };
+        byMethod.set(method, (byMethod.get(method) || 0) + cents);
+    }
+    if (!byMethod.size) return { ok: false, error: "Не указаны части оплаты" };
+
+    const sumCents = [...byMethod.values()].reduce((a, c) => a + c, 0);
+    if (sumCents !== toCents(amountTotal)) {
+        return {
+            ok: false,
+            error: `Сумма оплат (${(sumCents / 100).toFixed(2)}) не совпадает с суммой заказа (${Number(amountTotal).toFixed(2)})`,
+        };
+    }
+
+    const sorted = [...byMethod.entries()].sort((a, b) => b[1] - a[1]);
+    const parts = sorted.map(([method, cents]) => ({ method, amount: Number((cents / 100).toFixed(2)) }));
+    return {
+        ok: true,
+        parts: parts.length > 1 ? parts : null,
+        paymentMethod: sorted[0][0],
+    };
+}
+
+// Наличная часть заказа (с учётом смешанной оплаты)
+function cashDueOf(r) {
+    return parsePaymentParts(r)
+        .filter((p) => p.method === "cash")
+        .reduce((acc, p) => acc + p.amount, 0);
+}
+
+// Сдача курьеру: «с какой купюры» − наличная часть.
+// null — купюра не указана или наличными не платят.
+export function computeChangeDue(r) {
+    if (r.cash_given == null) return null;
+    const due = cashDueOf(r);
+    if (!(due > 0)) return null;
+    return Number((Number(r.cash_given) - due).toFixed(2));
+}
+
+/**
+ * cashGiven («с какой купюры») и tip (чаевые) из body.
+ * order — { payment_method, payment_parts, amount_total } с учётом правок запроса:
+ * купюра сверяется с наличной частью.
+ * Возвращает { ok, cashGiven, tip } (undefined — поле не передано) либо { ok: false, error }.
+ */
+export function readCashAndTip(b, order) {
+    const money = (v) => {
+        if (v == null || v === "") return null;
+        const n = Number(typeof v === "string" ? v.trim().replace(",", ".") : v);
+        return Number.isFinite(n) && n >= 0 ? Number(n.toFixed(2)) : NaN;
+    };
+    const out = { ok: true, cashGiven: undefined, tip: undefined };
+
+    if (has(b, "cashGiven")) {
+        const cashGiven = money(b.cashGiven);
+        if (Number.isNaN(cashGiven)) return { ok: false, error: "Некорректная сумма cashGiven" };
+        if (cashGiven != null) {
+            const due = cashDueOf(order);
+            if (!(due > 0))
+                return { ok: false, error: "Заказ оплачивается без наличных — cashGiven не нужен" };
+            if (cashGiven < due)
+                return { ok: false, error: `Купюра меньше суммы наличными (${due.toFixed(2)})` };
+        }
+        out.cashGiven = cashGiven;
+    }
+
+    if (has(b, "tip")) {
+        const tip = money(b.tip);
+        if (Number.isNaN(tip)) return { ok: false, error: "Некорректная сумма чаевых" };
+        out.tip = tip ?? 0;
+    }
+    return out;
+}
+
+// payment_parts из БД (или одна часть из payment_method/amount_total)
+export function parsePaymentParts(r) {
+    let parts = r.payment_parts;
+    if (Buffer.isBuffer(parts)) parts = parts.toString("utf8");
+    if (typeof parts === "string") {
+        try { parts = JSON.parse(parts); } catch { parts = null; }
+    }
+    if (Array.isArray(parts) && parts.length) {
+        return parts.map((p) => ({ method: p.method, amount: Number(p.amount) || 0 }));
+    }
+    return r.payment_method
+        ? [{ method: r.payment_method, amount: Number(r.amount_total) || 0 }]
+        : [];
 }
 
 /** Определяем «операционный день» для нумерации */
@@ -206,6 +487,36 @@ export async function ensureCompletedAtColumn() {
     }
 }
 
+/**
+ * Ленивая авто-миграция дополнительных колонок current_orders.
+ * version — счётчик изменений для оптимистичной блокировки: любой UPDATE
+ * заказа делает version = version + 1.
+ */
+let _orderColumnsReady = false;
+export async function ensureOrderColumns() {
+    if (_orderColumnsReady) return;
+    await ensureColumns("current_orders", [
+        ["version", "INT NOT NULL DEFAULT 0"],
+        ["payment_parts", "JSON NULL"],
+        ["cash_given", "DECIMAL(10,2) NULL"],
+        ["tip_amount", "DECIMAL(10,2) NOT NULL DEFAULT 0"],
+        ["promo_id", "INT NULL"],
+        ["promo_code", "VARCHAR(32) NULL"],
+        ["promo_discount", "DECIMAL(10,2) NOT NULL DEFAULT 0"],
+        ["amount_net", "DECIMAL(10,2) NULL"],
+        ["amount_vat", "DECIMAL(10,2) NULL"],
+        ["vat_breakdown", "JSON NULL"],
+        ["prep_started_at", "DATETIME NULL"],
+        ["prep_ready_at", "DATETIME NULL"],
+        ["predicted_ready_at", "DATETIME NULL"],
+        ["delivery_zone_id", "BIGINT NULL"],
+        ["promised_at", "DATETIME NULL"],
+        ["sla_at_risk_at", "DATETIME NULL"],
+        ["sla_late_at", "DATETIME NULL"],
+    ]);
+    _orderColumnsReady = true;
+}
+
 /** Границы текущего операционного дня в UTC (та же конвенция, что у order_seq_date) */
 export function todayUtcRange() {
     const now = new Date();
@@ -229,6 +540,21 @@ export async function allocateDailySeq(conn, companyId, orderSeqDate) {
     return next;
 }
 
+/** Заказ с именами курьера и точки выдачи (формат для rowToPanelDto) */
+export async function fetchPanelRow(companyId, orderId) {
+    const [rows] = await pool.query(
+        `SELECT co.*,
+                cu1.nickname AS courier_nickname,
+                cu2.nickname AS pickup_nickname
+         FROM current_orders co
+                  LEFT JOIN users cu1 ON cu1.user_id = co.courier_unit_id
+                  LEFT JOIN users cu2 ON cu2.user_id = co.pickup_unit_id
+         WHERE co.company_id=? AND co.order_id=? LIMIT 1`,
+        [companyId, orderId]
+    );
+    return rows[0] ?? null;
+}
+
 /** -------------------- GEOAPIFY -------------------- */
 function buildGeoTextFromBody(b) {
     const street = String(b.street || "").trim();
@@ -251,6 +577,7 @@ function buildGeoTextFromBody(b) {
     return text.length > 5 ? text : null;
 }
 
+// retryable: true — временный сбой (сеть, 429, 5xx), имеет смысл повторить
 async function geoapifyGeocodeText(text) {
     const apiKey = process.env.GEOAPIFY_KEY;
     if (!apiKey) return { ok: false, error: "GEOAPIFY_KEY missing" };
@@ -267,7 +594,11 @@ async function geoapifyGeocodeText(text) {
 
     if (!res.ok) {
         const body = await res.text().catch(() => "");
-        return { ok: false, error: `Geoapify ${res.status}: ${body.slice(0, 200)}` };
+        return {
+            ok: false,
+            retryable: res.status === 429 || res.status >= 500,
+            error: `Geoapify ${res.status}: ${body.slice(0, 200)}`,
+        };
     }
 
     const data = await res.json();
@@ -281,6 +612,68 @@ async function geoapifyGeocodeText(text) {
     return { ok: true, lat, lng, raw: item };
 }
 
+async function enqueueGeocode(companyId, orderId, text) {
+    try {
+        await enqueueJob("geocode.order", { companyId, orderId, text });
+    } catch (e) {
+        console.warn("geocode enqueue failed:", e?.message ?? e);
+    }
+}
+
+/**
+ * Обработчик очереди geocode.order: повторный геокодинг заказа, который не
+ * удалось геокодировать при создании/правке. Бросает ошибку при временном
+ * сбое (очередь повторит); адрес успели поменять или координаты уже есть —
+ * задача больше не нужна. После успеха — зона/обещанное время и order_updated.
+ */
+export async function geocodeOrderJob({ companyId, orderId, text }, broadcast) {
+    const before = await fetchPanelRow(companyId, orderId);
+    if (!before || ["completed", "cancelled"].includes(before.status)) return;
+    if (before.address_lat != null && before.address_lng != null) return;
+    const currentText = buildGeoTextFromBody({
+        street: before.address_street,
+        house: before.address_house,
+        building: before.address_building,
+        apart: before.address_apartment,
+    });
+    if (currentText !== text) return;
+
+    const geo = await geoapifyGeocodeText(text);
+    if (!geo.ok) {
+        if (geo.retryable) throw new Error(geo.error);
+        console.warn(`geocode.order ${orderId}: ${geo.error}`);
+        return;
+    }
+
+    const [upd] = await pool.query(
+        `UPDATE current_orders
+            SET address_lat=?, address_lng=?, geocoded_at=NOW(),
+                geocode_provider='geoapify', geocode_raw=?, version=version+1, updated_at=NOW()
+          WHERE company_id=? AND order_id=? AND address_lat IS NULL`,
+        [geo.lat, geo.lng, JSON.stringify(geo.raw), companyId, orderId]
+    );
+    if (!upd.affectedRows) return;
+    await syncOrderPromise(companyId, orderId);
+
+    const after = await fetchPanelRow(companyId, orderId);
+    const changes = diffOrderRows(before, after);
+    await recordOrderEvent({
+        companyId,
+        orderId,
+        action: "geocoded",
+        actor: actorFromUser(null),
+        changes,
+    });
+    if (typeof broadcast === "function") {
+        broadcast({
+            type: "order_updated",
+            companyId,
+            order: rowToPanelDto(after),
+            changedFields: changedDtoFields(changes),
+        });
+    }
+}
+
 /** map dto */
 function rowToMapDto(r) {
     const addr = [
@@ -316,10 +709,573 @@ function rowToMapDto(r) {
     };
 }
 
+// Версия заказа, которую видел клиент: body.version или заголовок If-Match.
+// null — клиент версию не прислал (старый UI), проверку пропускаем.
+export function readExpectedVersion(req) {
+    const raw = req.body?.version ?? req.get("If-Match");
+    if (raw == null || raw === "") return null;
+    const n = Number(String(raw).replace(/^W\//, "").replace(/"/g, ""));
+    return Number.isInteger(n) ? n : null;
+}
+
+// 409 на устаревшую запись: отдаём актуальную серверную копию для merge-диалога
+function staleWriteBody(row) {
+    return {
+        ok: false,
+        error: "Заказ уже изменён другим пользователем",
+        conflict: "version",
+        item: rowToPanelDetailDto(row),
+    };
+}
+
+// PATCH /:id — ключ body → колонка. Пересчёт цен и геокодинг — отдельно.
+const PATCHABLE_FIELDS = {
+    orderType: "order_type",
+    status: "status",
+    scheduledAt: "scheduled_at",
+    courierId: "courier_unit_id",
+    pickupId: "pickup_unit_id",
+    payment: "payment_method",
+    customer: "customer_name",
+    phone: "customer_phone",
+    street: "address_street",
+    house: "address_house",
+    building: "address_building",
+    apart: "address_apartment",
+    floor: "address_floor",
+    code: "address_code",
+    numOfPeople: "people_amount",
+    notes: "notes",
+};
+
+// Поля адреса, смена которых требует повторного геокодинга
+const GEO_ADDRESS_KEYS = ["street", "house", "building", "apart"];
+
+// Колонка → имя поля в DTO (для changedFields в order_updated)
+const COLUMN_TO_DTO_FIELD = {
+    status: "status",
+    order_type: "orderType",
+    scheduled_at: "scheduledAt",
+    completed_at: "completedAt",
+    courier_unit_id: "courierId",
+    pickup_unit_id: "pickupId",
+    dispatcher_unit_id: "dispatcherUnitId",
+    payment_method: "paymentMethod",
+    payment_parts: "paymentParts",
+    cash_given: "cashGiven",
+    tip_amount: "tip",
+    delivery_fee: "deliveryFee",
+    customer_name: "customer",
+    customer_phone: "phone",
+    address_street: "addressStreet",
+    address_house: "addressHouse",
+    address_building: "addressBuilding",
+    address_apartment: "addressApartment",
+    address_floor: "addressFloor",
+    address_code: "addressCode",
+    address_lat: "addressLat",
+    address_lng: "addressLng",
+    people_amount: "numOfPeople",
+    notes: "notes",
+    items_json: "items",
+    amount_subtotal: "amountSubtotal",
+    amount_discount: "amountDiscount",
+    amount_total: "amountTotal",
+    promo_code: "promoCode",
+    promo_discount: "promoDiscount",
+    amount_net: "amountNet",
+    amount_vat: "amountVat",
+    prep_started_at: "prepStartedAt",
+    prep_ready_at: "prepReadyAt",
+    predicted_ready_at: "predictedReadyAt",
+    delivery_zone_id: "deliveryZoneId",
+    promised_at: "promisedAt",
+};
+
+// changes из diffOrderRows → список изменившихся полей DTO
+export function changedDtoFields(changes) {
+    return Object.keys(changes || {})
+        .map((col) => COLUMN_TO_DTO_FIELD[col])
+        .filter(Boolean);
+}
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Обещанное время — best-effort: ошибка расчёта не должна ронять сохранение заказа
+async function syncOrderPromise(companyId, orderId) {
+    try {
+        await refreshOrderPromise(companyId, orderId);
+    } catch (e) {
+        console.warn("refreshOrderPromise failed:", e?.message ?? e);
+    }
+}
+
+/** -------------------- список заказов: фильтры и курсор -------------------- */
+const MAX_LIST_LIMIT = 500;
+
+// "2026-04-28" → "2026-04-28 00:00:00"; endOfDay — начало следующего дня
+// (граница «до» исключающая, чтобы to=2026-04-28 включал весь день)
+function parseDateParam(v, endOfDay = false) {
+    if (v == null || v === "") return null;
+    const str = String(v).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) return null;
+    const d = new Date(`${str}T00:00:00.000Z`);
+    if (isNaN(d.getTime())) return null;
+    if (endOfDay) d.setUTCDate(d.getUTCDate() + 1);
+    return toMySQLDatetime(d.toISOString());
+}
+
+const splitList = (v) =>
+    String(v ?? "")
+        .split(",")
+        .map((x) => x.trim())
+        .filter(Boolean);
+
+const escapeLike = (v) => String(v).replace(/[\\%_]/g, "\\$&");
+
+// Дописывает в where/params фильтры из query. Возвращает текст ошибки или null.
+function applyOrderListFilters(query, where, params) {
+    if (query.status) {
+        const statuses = splitList(query.status);
+        if (!statuses.every(isKnownStatus)) return "Некорректный статус";
+        where.push(`co.status IN (${statuses.map(() => "?").join(",")})`);
+        params.push(...statuses);
+    }
+
+    if (query.orderType) {
+        where.push("co.order_type=?");
+        params.push(String(query.orderType));
+    }
+
+    if (query.courierId) {
+        if (String(query.courierId) === "none") {
+            where.push("co.courier_unit_id IS NULL");
+        } else {
+            const courierId = Number(query.courierId);
+            if (!Number.isInteger(courierId)) return "Некорректный courierId";
+            where.push("co.courier_unit_id=?");
+            params.push(courierId);
+        }
+    }
+
+    if (query.pickupId) {
+        const pickupId = Number(query.pickupId);
+        if (!Number.isInteger(pickupId)) return "Некорректный pickupId";
+        where.push("co.pickup_unit_id=?");
+        params.push(pickupId);
+    }
+
+    if (query.payment) {
+        const methods = splitList(query.payment).map(coercePaymentMethod);
+        if (!methods.length || methods.includes(null)) return "Некорректный способ оплаты";
+        // смешанная оплата попадает в выборку по любому из своих способов
+        const clauses = methods.map(
+            () => "co.payment_method = ? OR JSON_CONTAINS(co.payment_parts, JSON_OBJECT('method', ?))"
+        );
+        where.push(`(${clauses.join(" OR ")})`);
+        methods.forEach((m) => params.push(m, m));
+    }
+
+    for (const [key, op] of [["minAmount", ">="], ["maxAmount", "<="]]) {
+        if (query[key] == null || query[key] === "") continue;
+        const n = Number(String(query[key]).replace(",", "."));
+        if (!Number.isFinite(n)) return `Некорректный ${key}`;
+        where.push(`co.amount_total ${op} ?`);
+        params.push(n);
+    }
+
+    const q = String(query.q ?? "").trim();
+    if (q) {
+        const like = `%${escapeLike(q)}%`;
+        const clauses = [
+            "co.order_no LIKE ?",
+            "co.customer_name LIKE ?",
+            "co.customer_phone LIKE ?",
+            "co.address_street LIKE ?",
+        ];
+        const qParams = [like, like, like, like];
+
+        // телефон ищем и по одним цифрам: "2612 3456" найдёт "+37126123456"
+        const digits = q.replace(/\D/g, "");
+        if (digits.length >= 3) {
+            clauses.push("REPLACE(REPLACE(co.customer_phone, ' ', ''), '-', '') LIKE ?");
+            qParams.push(`%${digits}%`);
+        }
+        // номер заказа за день (#12)
+        if (/^#?\d+$/.test(q)) {
+            clauses.push("co.order_seq = ?");
+            qParams.push(Number(q.replace("#", "")));
+        }
+
+        where.push(`(${clauses.join(" OR ")})`);
+        params.push(...qParams);
+    }
+
+    return null;
+}
+
+// Курсор = created_at (мс) + order_id последней строки страницы, base64url
+function encodeListCursor(row) {
+    const created = new Date(row.created_at).getTime();
+    return Buffer.from(`${created}:${row.order_id}`, "utf8").toString("base64url");
+}
+
+function decodeListCursor(v) {
+    if (!v) return null;
+    try {
+        const [ms, id] = Buffer.from(String(v), "base64url").toString("utf8").split(":");
+        const createdAt = new Date(Number(ms));
+        const orderId = Number(id);
+        if (isNaN(createdAt.getTime()) || !Number.isInteger(orderId)) return null;
+        return { createdAt, orderId };
+    } catch {
+        return null;
+    }
+}
+
+const CANCEL_VIA_ENDPOINT = "Для отмены используйте POST /api/current-orders/:id/cancel с причиной";
+
+// promoCode при редактировании: ключ не передан — остаётся код заказа (срок и
+// активность не перепроверяем, он уже применён); null/"" — код снимается;
+// другой код — проверяется как новый. Возвращает { ok, promo } либо { ok: false, error }.
+async function resolveEditPromo(companyId, current, b, { phone, items }) {
+    const currentCode = current.promo_code || null;
+    const code = has(b, "promoCode") ? normalizePromoCode(b.promoCode) : currentCode;
+    if (!code) return { ok: true, promo: null };
+    return preparePromo(companyId, code, {
+        phone,
+        items,
+        orderId: current.order_id,
+        skipChecks: code === currentCode,
+    });
+}
+
+// UPDATE заказа и использование промокода — в одной транзакции, чтобы лимиты
+// промокода и суммы заказа не разошлись. promoSync: { promo, phone, discount }
+// (promo=null — снять код) или null, если промокод не затронут.
+// slotRequest (editSlotRequest) — ёмкость слота проверяется в той же транзакции;
+// слот заполнен → ошибка с code='SLOT_FULL'.
+async function updateOrderWithPromo(companyId, orderId, sql, params, promoSync, slotRequest = null) {
+    if (!promoSync && !slotRequest) {
+        const [upd] = await pool.query(sql, params);
+        return upd;
+    }
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        if (slotRequest) await reserveSlotCapacity(conn, companyId, slotRequest);
+        const [upd] = await conn.query(sql, params);
+        if (upd.affectedRows > 0 && promoSync) {
+            if (promoSync.promo) {
+                await redeemPromo(conn, {
+                    companyId,
+                    orderId,
+                    promoId: promoSync.promo.id,
+                    phone: promoSync.phone,
+                    discount: promoSync.discount,
+                });
+            } else {
+                await releasePromo(conn, companyId, orderId);
+            }
+        }
+        await conn.commit();
+        return upd;
+    } catch (e) {
+        try { await conn.rollback(); } catch {}
+        throw e;
+    } finally {
+        conn.release();
+    }
+}
+
+// Поставить предзаказ в заполненный слот может сотрудник компании (не курьер), явно
+const canOverrideSlot = (user, b) =>
+    b.overrideSlotCapacity === true && !!user && user.role !== "courier";
+
+const itemsQuantity = (items) =>
+    (Array.isArray(items) ? items : []).reduce((s, it) => s + (Number(it?.quantity) || 0), 0);
+
+// Правка предзаказа: слот проверяем, только если заказ переезжает (тип, время,
+// точка) или позиций стало больше — уже стоящий в слоте заказ не блокируем.
+// next: { orderType, scheduledAt, pickupId, items (null — не менялись) }
+// Возвращает параметры для reserveSlotCapacity или null — проверка не нужна.
+function editSlotRequest(user, b, current, next) {
+    if (next.orderType !== "preorder" || !next.scheduledAt || canOverrideSlot(user, b)) return null;
+    const currentItems = safeParseItemsJSON(current.items_json);
+    const moved =
+        current.order_type !== "preorder" ||
+        String(next.pickupId ?? "") !== String(current.pickup_unit_id ?? "") ||
+        toUtcDate(next.scheduledAt)?.getTime() !== toUtcDate(current.scheduled_at)?.getTime();
+    const grew = next.items != null && itemsQuantity(next.items) > itemsQuantity(currentItems);
+    if (!moved && !grew) return null;
+    return {
+        pickupId: next.pickupId || null,
+        scheduledAt: next.scheduledAt,
+        items: next.items ?? currentItems,
+        excludeOrderId: current.order_id,
+    };
+}
+
+/**
+ * Создание заказа из тела POST /api/current-orders (повтор заказа, регулярные
+ * заказы — recurringOrders.js; там user=null).
+ * Возвращает { ok: true, row } — строку заказа с никнеймами, как fetchPanelRow,
+ * либо { ok: false, status, error, slot? }. Исчерпанный лимит промокода — исключение
+ * с code='PROMO_LIMIT' (маршрут отвечает 409).
+ * onInsert(conn, orderId) — дописать связанные строки в транзакции создания
+ * заказа (ошибка откатывает заказ и пробрасывается).
+ */
+export async function createOrder(companyId, user, b, { onInsert = null } = {}) {
+    let conn;
+    try {
+        if (!b.customer || !b.phone)
+            return { ok: false, status: 400, error: "Имя и телефон обязательны" };
+
+        // Персональная скидка клиента (по телефону, в рамках компании).
+        // Всегда применяется автоматически при создании заказа.
+        // Клиент может отключить её для конкретного заказа (applyCustomerDiscount=false).
+        let orderDiscount = null;
+        if (b.applyCustomerDiscount !== false) {
+            try {
+                orderDiscount = await getCustomerDiscount(companyId, b.phone);
+            } catch (e) {
+                console.warn("getCustomerDiscount failed:", e?.message ?? e);
+            }
+        }
+
+        // Промокод: проверяем до расчёта, использование фиксируем в транзакции создания
+        let promo = null;
+        if (b.promoCode) {
+            const pr = await preparePromo(companyId, b.promoCode, {
+                phone: b.phone,
+                items: b.selectedItems || [],
+            });
+            if (!pr.ok) return { ok: false, status: 400, error: pr.error };
+            promo = pr.promo;
+        }
+
+        const tax = await loadTaxContext(companyId, b.selectedItems || []);
+        const {
+            items, amount_subtotal, amount_discount, amount_total, delivery_fee,
+            promo_discount, promo_error, amount_net, amount_vat, vat_breakdown,
+        } = normalizeItemsAndAmounts(b.selectedItems || [], b.deliveryFee, orderDiscount, { promo, tax });
+        if (promo_error) return { ok: false, status: 400, error: promo_error };
+        if (!b.payment && !(Array.isArray(b.payments) && b.payments.length))
+            return { ok: false, status: 400, error: "Способ оплаты обязателен" };
+
+        // payments: [{ method, amount }] — смешанная оплата; иначе один способ
+        let payment_method;
+        let payment_parts = null;
+        if (Array.isArray(b.payments) && b.payments.length) {
+            const pp = normalizePaymentParts(b.payments, amount_total);
+            if (!pp.ok) return { ok: false, status: 400, error: pp.error };
+            payment_method = pp.paymentMethod;
+            payment_parts = pp.parts;
+        } else {
+            payment_method = coercePaymentMethod(b.payment);
+            if (!payment_method)
+                return { ok: false, status: 400, error: "Некорректный способ оплаты" };
+        }
+
+        const money = readCashAndTip(b, { payment_method, payment_parts, amount_total });
+        if (!money.ok) return { ok: false, status: 400, error: money.error };
+
+        const initialStatus = b.status || "new";
+        if (!isKnownStatus(initialStatus) || initialStatus === "cancelled")
+            return { ok: false, status: 400, error: "Некорректный статус" };
+
+        const orderNo = b.orderNo || `CO-${Date.now().toString().slice(-8)}`;
+        const order_type = b.orderType || "active";
+        const scheduled_at = toMySQLDatetime(b.scheduledAt);
+
+        // определяем «операционный день»
+        const order_seq_date = deriveOrderSeqDate(order_type, scheduled_at);
+
+        // ёмкость слота предзаказа (preorderSlots.js) — проверяется в транзакции вставки
+        const slotRequest =
+            order_type === "preorder" && scheduled_at && !canOverrideSlot(user, b)
+                ? { pickupId: b.pickupId || null, scheduledAt: scheduled_at, items }
+                : null;
+
+        // прогноз готовности — только для активных (предзаказ получит его на кухне)
+        const prepSeconds =
+            order_type === "active" && initialStatus === "new"
+                ? await estimatePrepSeconds(companyId, items)
+                : null;
+
+        await ensureOrderColumns();
+        conn = await pool.getConnection();
+        let attempts = 0;
+        let result;
+
+        while (true) {
+            attempts++;
+            try {
+                await conn.beginTransaction();
+
+                if (slotRequest) await reserveSlotCapacity(conn, companyId, slotRequest);
+
+                // берём следующий порядковый номер за день под блокировкой
+                const nextSeq = await allocateDailySeq(conn, companyId, order_seq_date);
+
+                const [ins] = await conn.query(
+                    `INSERT INTO current_orders
+         (company_id, order_no, order_seq, order_seq_date,
+          order_type, status, scheduled_at,
+          courier_unit_id, pickup_unit_id, dispatcher_unit_id,
+          payment_method, payment_parts, cash_given, tip_amount,
+          delivery_fee,
+          customer_name, customer_phone,
+          address_street, address_house, address_building, address_apartment, address_floor, address_code,
+          people_amount, notes,
+          items_json, amount_subtotal, amount_discount, amount_total,
+          promo_id, promo_code, promo_discount,
+          amount_net, amount_vat, vat_breakdown,
+          predicted_ready_at)
+         VALUES
+         (?, ?, ?, ?,
+          ?, ?, ?,
+          ?, ?, ?,
+          ?, ?, ?, ?,
+          ?,
+          ?, ?,
+          ?, ?, ?, ?, ?, ?,
+          ?,?,
+          ?, ?, ?, ?,
+          ?, ?, ?,
+          ?, ?, ?,
+          IF(? IS NULL, NULL, DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? SECOND)))`,
+                    [
+                        companyId, orderNo, nextSeq, order_seq_date,
+                        order_type, initialStatus, scheduled_at,
+                        b.courierId || null, b.pickupId || null, (user && user.unitId) || null,
+                        payment_method, payment_parts ? JSON.stringify(payment_parts) : null,
+                        money.cashGiven ?? null, money.tip ?? 0,
+                        delivery_fee,
+                        b.customer, b.phone,
+                        b.street || null, b.house || null, b.building || null, b.apart || null, b.floor || null, b.code || null,
+                        b.numOfPeople || null, b.notes || null,
+                        JSON.stringify(items), amount_subtotal, amount_discount, amount_total,
+                        promo ? promo.id : null, promo ? promo.code : null, promo_discount,
+                        amount_net, amount_vat, JSON.stringify(vat_breakdown),
+                        prepSeconds, prepSeconds,
+                    ]
+                );
+
+                // лимиты промокода перепроверяются под блокировкой строки промокода
+                if (promo) {
+                    await redeemPromo(conn, {
+                        companyId,
+                        orderId: ins.insertId,
+                        promoId: promo.id,
+                        phone: b.phone,
+                        discount: promo_discount,
+                    });
+                }
+
+                if (onInsert) await onInsert(conn, ins.insertId);
+
+                await conn.commit();
+                result = ins;
+                break; // успех
+            } catch (e) {
+                await conn.rollback();
+                if (e?.code === "SLOT_FULL")
+                    return { ok: false, status: 409, error: e.message, slot: e.slot };
+                if (e && e.code === "ER_DUP_ENTRY" && attempts < 5) {
+                    await new Promise((r) => setTimeout(r, 10 + Math.random() * 40));
+                    continue;
+                }
+                throw e;
+            }
+        }
+
+        const order_id = result.insertId;
+
+        // Координаты доставки.
+        // Если админ проверил и подтвердил адрес на карте при создании —
+        // используем переданные координаты (точнее, проверено человеком).
+        // Иначе — fallback на серверный геокодинг (как раньше).
+        const manualLat = Number(b.addressLat);
+        const manualLng = Number(b.addressLng);
+        const hasManualCoords =
+            Number.isFinite(manualLat) && Number.isFinite(manualLng);
+
+        if (hasManualCoords) {
+            try {
+                await pool.query(
+                    `UPDATE current_orders
+                       SET address_lat=?, address_lng=?, geocoded_at=NOW(),
+                           geocode_provider='manual', updated_at=NOW()
+                     WHERE company_id=? AND order_id=?`,
+                    [manualLat, manualLng, companyId, order_id]
+                );
+            } catch (ge) {
+                console.warn("manual coords save failed:", ge?.message || ge);
+            }
+        } else {
+            // Геокодинг сразу после создания (best-effort).
+            // Временный сбой Geoapify — повтор через очередь (geocode.order)
+            const geoText = buildGeoTextFromBody(b);
+            if (geoText) {
+                let retry = false;
+                try {
+                    const geo = await geoapifyGeocodeText(geoText);
+                    if (geo.ok) {
+                        await pool.query(
+                            `UPDATE current_orders
+               SET address_lat=?, address_lng=?, geocoded_at=NOW(),
+                   geocode_provider='geoapify', geocode_raw=?, updated_at=NOW()
+               WHERE company_id=? AND order_id=?`,
+                            [geo.lat, geo.lng, JSON.stringify(geo.raw), companyId, order_id]
+                        );
+                    } else {
+                        retry = !!geo.retryable;
+                    }
+                } catch (ge) {
+                    // Не валим создание заказа, просто логируем
+                    console.warn("geoapify geocode failed:", ge?.message || ge);
+                    retry = true;
+                }
+                if (retry) await enqueueGeocode(companyId, order_id, geoText);
+            }
+        }
+
+        // координаты известны — считаем зону и обещанное время
+        await syncOrderPromise(companyId, order_id);
+
+        // читаем уже обновлённый заказ (с координатами)
+        return { ok: true, row: await fetchPanelRow(companyId, order_id) };
+    } finally {
+        if (conn) conn.release();
+    }
+}
+
 /** --- router factory (инжектим broadcastToAdmins из index.js) --- */
 export function currentOrdersRouter({ broadcastToAdmins }) {
     const router = express.Router();
 
+    // После создания заказа (ответ уже отправлен): история + WS order_created
+    const announceCreatedOrder = async (companyId, user, row, item) => {
+        await recordOrderEvent({
+            companyId,
+            orderId: row.order_id,
+            action: "created",
+            actor: actorFromUser(user),
+            changes: diffOrderRows(null, row),
+        });
+
+        if (typeof broadcastToAdmins === "function") {
+            broadcastToAdmins({
+                type: "order_created",
+                eventId: crypto.randomUUID(),
+                ts: Date.now(),
+                companyId,
+                order: item, // ✅ уже с addressLat/addressLng
+            });
+        }
+    };
+
     // GET /api/current-orders/map  (для карты: только активные + с координатами)
     router.get("/map", async (req, res) => {
         try {
@@ -352,19 +1308,30 @@ export function currentOrdersRouter({ broadcastToAdmins }) {
         }
     });
 
-    // GET /api/current-orders?tab=active|preorders|all
+    // GET /api/current-orders?tab=active|preorders|completed|all
+    //   фильтры: from, to (YYYY-MM-DD, включительно), status, orderType,
+    //   courierId ('none' — без курьера), pickupId, payment, minAmount, maxAmount,
+    //   q — поиск по номеру, имени, телефону и улице.
+    //   status/payment — через запятую. Пагинация: limit + cursor (nextCursor).
     router.get("/", async (req, res) => {
         try {
             const ctx = await resolveCompanyContext(req, res);
             if (!ctx) return;
             const { companyId } = ctx;
-            const tab = (req.query.tab || "active").toLowerCase();
+            const query = req.query || {};
+            const tab = (query.tab || "active").toLowerCase();
 
             await ensureCompletedAtColumn();
+            await ensureOrderColumns();
 
             const where = ["co.company_id=?"];
             const params = [companyId];
 
+            const from = parseDateParam(query.from);
+            const to = parseDateParam(query.to, true);
+            if ((query.from && !from) || (query.to && !to))
+                return res.status(400).json({ ok: false, error: "Некорректная дата (ожидается YYYY-MM-DD)" });
+
             if (tab === "active") {
                 where.push("co.order_type='active'");
                 where.push("co.status IN ('new','ready','enroute')");
@@ -372,13 +1339,40 @@ export function currentOrdersRouter({ broadcastToAdmins }) {
                 where.push("co.order_type='preorder'");
                 where.push("co.status NOT IN ('completed','cancelled')");
             } else if (tab === "completed") {
-                // только заказы, завершённые СЕГОДНЯ (UTC-день, как order_seq_date)
-                const { start, end } = todayUtcRange();
                 where.push("co.status='completed'");
-                where.push("co.completed_at >= ? AND co.completed_at < ?");
-                params.push(start, end);
+                if (from || to) {
+                    // период задан явно — ищем по дате завершения
+                    if (from) { where.push("co.completed_at >= ?"); params.push(from); }
+                    if (to) { where.push("co.completed_at < ?"); params.push(to); }
+                } else {
+                    // по умолчанию — только заказы, завершённые СЕГОДНЯ (UTC-день, как order_seq_date)
+                    const { start, end } = todayUtcRange();
+                    where.push("co.completed_at >= ? AND co.completed_at < ?");
+                    params.push(start, end);
+                }
+            }
+
+            if (tab !== "completed") {
+                if (from) { where.push("co.created_at >= ?"); params.push(from); }
+                if (to) { where.push("co.created_at < ?"); params.push(to); }
             }
 
+            const filterError = applyOrderListFilters(query, where, params);
+            if (filterError) return res.status(400).json({ ok: false, error: filterError });
+
+            const cursor = decodeListCursor(query.cursor);
+            if (query.cursor && !cursor)
+                return res.status(400).json({ ok: false, error: "Некорректный cursor" });
+            if (cursor) {
+                where.push("(co.created_at < ? OR (co.created_at = ? AND co.order_id < ?))");
+                params.push(cursor.createdAt, cursor.createdAt, cursor.orderId);
+            }
+
+            const limitRaw = Number(query.limit);
+            const limit = Number.isInteger(limitRaw) && limitRaw > 0
+                ? Math.min(limitRaw, MAX_LIST_LIMIT)
+                : MAX_LIST_LIMIT;
+
             const sql = `
         SELECT co.*,
                cu1.nickname AS courier_nickname,
@@ -388,16 +1382,52 @@ export function currentOrdersRouter({ broadcastToAdmins }) {
                  LEFT JOIN users cu2 ON cu2.user_id = co.pickup_unit_id
         WHERE ${where.join(" AND ")}
         ORDER BY co.created_at DESC, co.order_id DESC
-        LIMIT 500`;
-            const [rows] = await pool.query(sql, params);
+        LIMIT ?`;
+            // +1 строка — узнать, есть ли следующая страница
+            const [rows] = await pool.query(sql, [...params, limit + 1]);
+
+            const page = rows.slice(0, limit);
+            const nextCursor =
+                rows.length > limit ? encodeListCursor(page[page.length - 1]) : null;
 
-            res.json({ ok: true, items: rows.map(rowToPanelDto) });
+            res.json({ ok: true, items: page.map(rowToPanelDto), nextCursor });
         } catch (e) {
             console.error("list current orders", e);
             res.status(500).json({ ok: false, error: "Ошибка сервера" });
         }
     });
 
+    // GET /api/current-orders/cancel-reasons — причины отмены компании
+    router.get("/cancel-reasons", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const items = await getCancelReasons(ctx.companyId);
+            res.json({ ok: true, items });
+        } catch (e) {
+            console.error("get cancel reasons", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // PUT /api/current-orders/cancel-reasons  body: { items: [{ code, label }] }
+    // Заменяет список целиком; пустой список — вернуться к набору по умолчанию.
+    router.put("/cancel-reasons", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            if (ctx.user?.role === "courier")
+                return res.status(403).json({ ok: false, error: "Недостаточно прав" });
+
+            const result = await replaceCancelReasons(ctx.companyId, req.body?.items);
+            if (!result.ok) return res.status(400).json(result);
+            res.json({ ok: true, items: result.reasons });
+        } catch (e) {
+            console.error("put cancel reasons", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
     // GET /api/current-orders/:id
     router.get("/:id", async (req, res) => {
         try {
@@ -417,196 +1447,188 @@ export function currentOrdersRouter({ broadcastToAdmins }) {
             const [rows] = await pool.query(sql, [companyId, id]);
             if (!rows.length) return res.status(404).json({ ok: false, error: "Заказ не найден" });
 
-            const r = rows[0];
-            const dto = rowToPanelDto(r);
-            dto.items = safeParseItemsJSON(r.items_json);
-            dto.notes = r.notes;
-
-            // раздельные поля адреса (для формы)
-            dto.addressStreet = r.address_street;
-            dto.addressHouse = r.address_house;
-            dto.addressBuilding = r.address_building;
-            dto.addressApartment = r.address_apartment;
-            dto.addressFloor = r.address_floor;
-            dto.addressCode = r.address_code;
-
-            res.json({ ok: true, item: dto });
+            res.json({ ok: true, item: rowToPanelDetailDto(rows[0]) });
         } catch (e) {
             console.error("get current order", e);
             res.status(500).json({ ok: false, error: "Ошибка сервера" });
         }
     });
 
-    // POST /api/current-orders
-    router.post("/", async (req, res) => {
-        let conn;
+    // GET /api/current-orders/:id/history — журнал изменений заказа
+    router.get("/:id/history", async (req, res) => {
         try {
             const ctx = await resolveCompanyContext(req, res);
             if (!ctx) return;
-            const { companyId, user } = ctx;
-            const b = req.body || {};
+            const { companyId } = ctx;
+            const id = Number(req.params.id);
 
-            if (!b.customer || !b.phone)
-                return res.status(400).json({ ok: false, error: "Имя и телефон обязательны" });
+            const [[exists]] = await pool.query(
+                "SELECT order_id FROM current_orders WHERE company_id=? AND order_id=? LIMIT 1",
+                [companyId, id]
+            );
+            if (!exists) return res.status(404).json({ ok: false, error: "Заказ не найден" });
 
-            // Персональная скидка клиента (по телефону, в рамках компании).
-            // Всегда применяется автоматически при создании заказа.
-            // Клиент может отключить её для конкретного заказа (applyCustomerDiscount=false).
-            let orderDiscount = null;
-            if (b.applyCustomerDiscount !== false) {
-                try {
-                    orderDiscount = await getCustomerDiscount(companyId, b.phone);
-                } catch (e) {
-                    console.warn("getCustomerDiscount failed:", e?.message ?? e);
-                }
-            }
+            const items = await listOrderEvents(companyId, id);
+            res.json({ ok: true, items });
+        } catch (e) {
+            console.error("order history", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // GET /api/current-orders/:id/receipt?format=pdf|escpos|html&variant=customer|kitchen
+    // Чек для клиента/курьерской сумки или кухонный тикет (без цен).
+    // escpos — сырые байты, их можно отправить на термопринтер как есть.
+    router.get("/:id/receipt", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId } = ctx;
+            const id = Number(req.params.id);
 
-            const { items, amount_subtotal, amount_discount, amount_total, delivery_fee } =
-                normalizeItemsAndAmounts(b.selectedItems || [], b.deliveryFee, orderDiscount);
-            if (!b.payment)
-                return res.status(400).json({ ok: false, error: "Способ оплаты обязателен" });
+            const format = String(req.query.format || "pdf").toLowerCase();
+            const variant = String(req.query.variant || "customer").toLowerCase();
+            if (!RECEIPT_FORMATS.includes(format))
+                return res.status(400).json({ ok: false, error: `format: ${RECEIPT_FORMATS.join(", ")}` });
+            if (!RECEIPT_VARIANTS.includes(variant))
+                return res.status(400).json({ ok: false, error: `variant: ${RECEIPT_VARIANTS.join(", ")}` });
 
-            const orderNo = b.orderNo || `CO-${Date.now().toString().slice(-8)}`;
-            const payment_method = coercePaymentMethod(b.payment);
-            const order_type = b.orderType || "active";
-            const scheduled_at = toMySQLDatetime(b.scheduledAt);
+            await ensureOrderColumns();
+            const row = await fetchPanelRow(companyId, id);
+            if (!row) return res.status(404).json({ ok: false, error: "Заказ не найден" });
 
-            // определяем «операционный день»
-            const order_seq_date = deriveOrderSeqDate(order_type, scheduled_at);
+            const [[company]] = await pool.query(
+                "SELECT company_name, company_logo FROM companies WHERE company_id=? LIMIT 1",
+                [companyId]
+            );
 
-            conn = await pool.getConnection();
-            let attempts = 0;
-            let result;
+            const model = buildReceiptModel({
+                order: rowToPanelDetailDto(row),
+                company,
+                variant,
+                logoBaseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`,
+            });
+            const fileName = `order-${row.order_seq ?? row.order_id}-${variant}`;
 
-            while (true) {
-                attempts++;
-                try {
-                    await conn.beginTransaction();
-
-                    // берём следующий порядковый номер за день под блокировкой
-                    const nextSeq = await allocateDailySeq(conn, companyId, order_seq_date);
-
-                    const [ins] = await conn.query(
-                        `INSERT INTO current_orders
-             (company_id, order_no, order_seq, order_seq_date,
-              order_type, status, scheduled_at,
-              courier_unit_id, pickup_unit_id, dispatcher_unit_id,
-              payment_method,
-              delivery_fee,
-              customer_name, customer_phone,
-              address_street, address_house, address_building, address_apartment, address_floor, address_code,
-              people_amount, notes,
-              items_json, amount_subtotal, amount_discount, amount_total)
-             VALUES
-             (?, ?, ?, ?,
-              ?, ?, ?,
-              ?, ?, ?,
-              ?,
-              ?,
-              ?, ?,
-              ?, ?, ?, ?, ?, ?,
-              ?,?,
-              ?, ?, ?, ?)`,
-                        [
-                            companyId, orderNo, nextSeq, order_seq_date,
-                            order_type, b.status || "new", scheduled_at,
-                            b.courierId || null, b.pickupId || null, (user && user.unitId) || null,
-                            payment_method,
-                            delivery_fee,
-                            b.customer, b.phone,
-                            b.street || null, b.house || null, b.building || null, b.apart || null, b.floor || null, b.code || null,
-                            b.numOfPeople || null, b.notes || null,
-                            JSON.stringify(items), amount_subtotal, amount_discount, amount_total
-                        ]
-                    );
-
-                    await conn.commit();
-                    result = ins;
-                    break; // успех
-                } catch (e) {
-                    await conn.rollback();
-                    if (e && e.code === "ER_DUP_ENTRY" && attempts < 5) {
-                        await new Promise((r) => setTimeout(r, 10 + Math.random() * 40));
-                        continue;
-                    }
-                    throw e;
-                }
+            if (format === "html") {
+                return res.type("html").send(renderReceiptHtml(model));
+            }
+            if (format === "escpos") {
+                res.set("Content-Disposition", `attachment; filename="${fileName}.bin"`);
+                return res.type("application/octet-stream").send(renderReceiptEscPos(model));
             }
+            const pdf = await renderReceiptPdf(model);
+            res.set("Content-Disposition", `inline; filename="${fileName}.pdf"`);
+            res.type("application/pdf").send(pdf);
+        } catch (e) {
+            console.error("order receipt", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
 
-            const order_id = result.insertId;
+    // POST /api/current-orders
+    // Idempotency-Key: повтор запроса (ретрай CreateOrder) вернёт тот же заказ
+    router.post("/", idempotency("orders.create"), async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            const b = req.body || {};
 
-            // Координаты доставки.
-            // Если админ проверил и подтвердил адрес на карте при создании —
-            // используем переданные координаты (точнее, проверено человеком).
-            // Иначе — fallback на серверный геокодинг (как раньше).
-            const manualLat = Number(b.addressLat);
-            const manualLng = Number(b.addressLng);
-            const hasManualCoords =
-                Number.isFinite(manualLat) && Number.isFinite(manualLng);
+            const created = await createOrder(companyId, user, b);
+            if (!created.ok)
+                return res
+                    .status(created.status)
+                    .json({ ok: false, error: created.error, slot: created.slot });
 
-            if (hasManualCoords) {
-                try {
-                    await pool.query(
-                        `UPDATE current_orders
-                           SET address_lat=?, address_lng=?, geocoded_at=NOW(),
-                               geocode_provider='manual', updated_at=NOW()
-                         WHERE company_id=? AND order_id=?`,
-                        [manualLat, manualLng, companyId, order_id]
-                    );
-                } catch (ge) {
-                    console.warn("manual coords save failed:", ge?.message || ge);
-                }
-            } else {
-                // Геокодинг сразу после создания (best-effort)
-                const geoText = buildGeoTextFromBody(b);
-                if (geoText) {
-                    try {
-                        const geo = await geoapifyGeocodeText(geoText);
-                        if (geo.ok) {
-                            await pool.query(
-                                `UPDATE current_orders
-                   SET address_lat=?, address_lng=?, geocoded_at=NOW(),
-                       geocode_provider='geoapify', geocode_raw=?, updated_at=NOW()
-                   WHERE company_id=? AND order_id=?`,
-                                [geo.lat, geo.lng, JSON.stringify(geo.raw), companyId, order_id]
-                            );
-                        }
-                    } catch (ge) {
-                        // Не валим создание заказа, просто логируем
-                        console.warn("geoapify geocode failed:", ge?.message || ge);
-                    }
-                }
-            }
+            const item = rowToPanelDto(created.row);
+            res.json({ ok: true, item });
+            await announceCreatedOrder(companyId, user, created.row, item);
+        } catch (e) {
+            if (e?.code === "PROMO_LIMIT")
+                return res.status(409).json({ ok: false, error: e.message });
+            console.error("create current order", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
 
-            // читаем уже обновлённый заказ (с координатами)
-            const [rows] = await pool.query(
-                `SELECT co.*,
-                cu1.nickname AS courier_nickname,
-                cu2.nickname AS pickup_nickname
-         FROM current_orders co
-                  LEFT JOIN users cu1 ON cu1.user_id = co.courier_unit_id
-                  LEFT JOIN users cu2 ON cu2.user_id = co.pickup_unit_id
-         WHERE co.company_id=? AND co.order_id=? LIMIT 1`,
-                [companyId, order_id]
-            );
+    // POST /api/current-orders/:id/repeat
+    // Новый заказ из старого: позиции (по ценам текущего меню), адрес, заметки.
+    // body (всё необязательно): payment | payments, cashGiven, tip, orderType,
+    // scheduledAt, deliveryFee, promoCode, applyCustomerDiscount, courierId, pickupId.
+    // Позиции, которых больше нет в меню или которые выключены, в заказ не
+    // попадают и возвращаются в unavailable — диспетчер предупредит клиента.
+    router.post("/:id/repeat", idempotency("orders.repeat"), async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            const id = Number(req.params.id);
+            const b = req.body || {};
 
-            const item = rowToPanelDto(rows[0]);
-            res.json({ ok: true, item });
+            await ensureOrderColumns();
+            const source = await fetchPanelRow(companyId, id);
+            if (!source) return res.status(404).json({ ok: false, error: "Заказ не найден" });
 
-            if (typeof broadcastToAdmins === "function") {
-                broadcastToAdmins({
-                    type: "order_created",
-                    eventId: crypto.randomUUID(),
-                    ts: Date.now(),
-                    companyId,
-                    order: item, // ✅ уже с addressLat/addressLng
+            const { items, unavailable } = await repriceItemsFromMenu(
+                companyId,
+                safeParseItemsJSON(source.items_json)
+            );
+            if (!items.length)
+                return res.status(409).json({
+                    ok: false,
+                    error: "Ни одной позиции заказа больше нет в меню",
+                    unavailable,
                 });
-            }
+
+            const pick = (key, fallback) => (has(b, key) ? b[key] : fallback);
+            const hasCoords = source.address_lat != null && source.address_lng != null;
+            const body = {
+                customer: source.customer_name,
+                phone: source.customer_phone,
+                street: source.address_street,
+                house: source.address_house,
+                building: source.address_building,
+                apart: source.address_apartment,
+                floor: source.address_floor,
+                code: source.address_code,
+                // адрес тот же — координаты старого заказа, без повторного геокодинга
+                addressLat: hasCoords ? Number(source.address_lat) : undefined,
+                addressLng: hasCoords ? Number(source.address_lng) : undefined,
+                numOfPeople: source.people_amount,
+                notes: source.notes,
+                selectedItems: items,
+                deliveryFee: pick("deliveryFee", source.delivery_fee),
+                payment: has(b, "payments") ? b.payment : pick("payment", source.payment_method),
+                payments: b.payments,
+                cashGiven: b.cashGiven,
+                tip: b.tip,
+                orderType: b.orderType,
+                scheduledAt: b.scheduledAt,
+                promoCode: b.promoCode,
+                applyCustomerDiscount: b.applyCustomerDiscount,
+                courierId: b.courierId,
+                pickupId: pick("pickupId", source.pickup_unit_id),
+            };
+            // непереданные поля убираем: readCashAndTip смотрит на наличие ключа
+            const created = await createOrder(
+                companyId,
+                user,
+                Object.fromEntries(Object.entries(body).filter(([, v]) => v !== undefined))
+            );
+            if (!created.ok)
+                return res
+                    .status(created.status)
+                    .json({ ok: false, error: created.error, slot: created.slot, unavailable });
+
+            const item = rowToPanelDto(created.row);
+            res.json({ ok: true, item, sourceOrderId: id, unavailable });
+            await announceCreatedOrder(companyId, user, created.row, item);
         } catch (e) {
-            console.error("create current order", e);
+            if (e?.code === "PROMO_LIMIT")
+                return res.status(409).json({ ok: false, error: e.message });
+            console.error("repeat current order", e);
             res.status(500).json({ ok: false, error: "Ошибка сервера" });
-        } finally {
-            if (conn) conn.release();
         }
     });
 
@@ -615,10 +1637,28 @@ export function currentOrdersRouter({ broadcastToAdmins }) {
         try {
             const ctx = await resolveCompanyContext(req, res);
             if (!ctx) return;
-            const { companyId } = ctx;
+            const { companyId, user } = ctx;
             const id = Number(req.params.id);
             const b = req.body || {};
 
+            await ensureOrderColumns();
+            const current = await fetchPanelRow(companyId, id);
+            if (!current)
+                return res.status(404).json({ ok: false, error: "Заказ не найден" });
+
+            const expectedVersion = readExpectedVersion(req);
+            if (expectedVersion != null && expectedVersion !== Number(current.version))
+                return res.status(409).json(staleWriteBody(current));
+
+            // статус не передан — оставляем текущий (раньше молча сбрасывался в 'new')
+            const nextStatus = b.status || current.status;
+            if (!isKnownStatus(nextStatus))
+                return res.status(400).json({ ok: false, error: "Некорректный статус" });
+            if (nextStatus === "cancelled" && current.status !== "cancelled")
+                return res.status(400).json({ ok: false, error: CANCEL_VIA_ENDPOINT });
+            if (!canTransition(current.status, nextStatus))
+                return res.status(409).json(illegalTransitionBody(current.status, nextStatus));
+
             // Сохраняем персональную скидку клиента и при редактировании заказа
             let orderDiscount = null;
             if (b.applyCustomerDiscount !== false && b.phone) {
@@ -629,31 +1669,84 @@ export function currentOrdersRouter({ broadcastToAdmins }) {
                 }
             }
 
-            const { items, amount_subtotal, amount_discount, amount_total, delivery_fee } =
-                normalizeItemsAndAmounts(b.selectedItems || [], b.deliveryFee, orderDiscount);
+            const promoRes = await resolveEditPromo(companyId, current, b, {
+                phone: b.phone,
+                items: b.selectedItems || [],
+            });
+            if (!promoRes.ok) return res.status(400).json({ ok: false, error: promoRes.error });
+            const promo = promoRes.promo;
+
+            const tax = await loadTaxContext(companyId, b.selectedItems || []);
+            const {
+                items, amount_subtotal, amount_discount, amount_total, delivery_fee,
+                promo_discount, promo_error, amount_net, amount_vat, vat_breakdown,
+            } = normalizeItemsAndAmounts(b.selectedItems || [], b.deliveryFee, orderDiscount, { promo, tax });
+            if (promo_error) return res.status(400).json({ ok: false, error: promo_error });
+
+            // PUT переписывает строку целиком: без payments — оплата одним способом
+            let payment_method = current.payment_method;
+            let payment_parts = null;
+            if (Array.isArray(b.payments) && b.payments.length) {
+                const pp = normalizePaymentParts(b.payments, amount_total);
+                if (!pp.ok) return res.status(400).json({ ok: false, error: pp.error });
+                payment_method = pp.paymentMethod;
+                payment_parts = pp.parts;
+            } else if (b.payment) {
+                payment_method = coercePaymentMethod(b.payment);
+                if (!payment_method)
+                    return res.status(400).json({ ok: false, error: "Некорректный способ оплаты" });
+            }
 
-            const payment_method = coercePaymentMethod(b.payment);
+            // cashGiven/tip не переданы — оставляем сохранённые
+            const money = readCashAndTip(b, { payment_method, payment_parts, amount_total });
+            if (!money.ok) return res.status(400).json({ ok: false, error: money.error });
+            const cash_given = money.cashGiven !== undefined ? money.cashGiven : current.cash_given;
+            const tip_amount = money.tip !== undefined ? money.tip : current.tip_amount;
+
+            const slotRequest = editSlotRequest(user, b, current, {
+                orderType: b.orderType || "active",
+                scheduledAt: b.scheduledAt || null,
+                pickupId: b.pickupId || null,
+                items,
+            });
+
+            // состав мог поменяться — пересчитываем прогноз, пока заказ на кухне
+            const prepSeconds =
+                (b.orderType || "active") === "active" && nextStatus === "new"
+                    ? await estimatePrepSeconds(companyId, items)
+                    : null;
 
             await ensureCompletedAtColumn();
-            await pool.query(
+            // AND version=? — заказ мог измениться между чтением и записью
+            const upd = await updateOrderWithPromo(
+                companyId,
+                id,
                 `UPDATE current_orders
          SET order_type=?, status=?, scheduled_at=?,
              courier_unit_id=?, pickup_unit_id=?,
-             payment_method=?,
+             payment_method=?, payment_parts=?, cash_given=?, tip_amount=?,
              delivery_fee=?,
              customer_name=?, customer_phone=?,
              address_street=?, address_house=?, address_building=?, address_apartment=?, address_floor=?, address_code=?, people_amount=?,
              address_lat=?, address_lng=?,
-             notes=?, items_json=?, amount_subtotal=?, amount_discount=?, amount_total=?, updated_at=NOW(),
-             completed_at = CASE WHEN ? = 'completed' THEN UTC_TIMESTAMP() ELSE completed_at END
-         WHERE company_id=? AND order_id=?`,
+             notes=?, items_json=?, amount_subtotal=?, amount_discount=?, amount_total=?,
+             promo_id=?, promo_code=?, promo_discount=?,
+             amount_net=?, amount_vat=?, vat_breakdown=?, updated_at=NOW(),
+             completed_at = CASE WHEN ? = 'completed' THEN UTC_TIMESTAMP() ELSE completed_at END,
+             predicted_ready_at = CASE WHEN ? IS NULL THEN predicted_ready_at
+                 ELSE DATE_ADD(COALESCE(prep_started_at, UTC_TIMESTAMP()), INTERVAL ? SECOND) END,
+             version = version + 1
+         WHERE company_id=? AND order_id=? AND version=?`,
                 [
                     b.orderType || "active",
-                    b.status || "new",
+                    nextStatus,
                     b.scheduledAt || null,
                     b.courierId || null,
                     b.pickupId || null,
                     payment_method,
+                    payment_parts ? JSON.stringify(payment_parts) : null,
+                    cash_given ?? null,
+                    tip_amount ?? 0,
                     delivery_fee,
                     b.customer,
                     b.phone,
@@ -671,72 +1764,370 @@ export function currentOrdersRouter({ broadcastToAdmins }) {
                     amount_subtotal,
                     amount_discount,
                     amount_total,
-                    b.status || "new",
+                    promo ? promo.id : null,
+                    promo ? promo.code : null,
+                    promo_discount,
+                    amount_net,
+                    amount_vat,
+                    JSON.stringify(vat_breakdown),
+                    nextStatus,
+                    prepSeconds,
+                    prepSeconds,
                     companyId,
                     id,
-                ]
+                    current.version,
+                ],
+                promo || current.promo_id ? { promo, phone: b.phone, discount: promo_discount } : null,
+                slotRequest
             );
+            if (upd.affectedRows > 0) await syncOrderPromise(companyId, id);
 
-            const [rows] = await pool.query(
-                `SELECT co.*,
-                cu1.nickname AS courier_nickname,
-                cu2.nickname AS pickup_nickname
-         FROM current_orders co
-                  LEFT JOIN users cu1 ON cu1.user_id = co.courier_unit_id
-                  LEFT JOIN users cu2 ON cu2.user_id = co.pickup_unit_id
-         WHERE co.company_id=? AND co.order_id=? LIMIT 1`,
-                [companyId, id]
-            );
-            if (!rows.length)
+            const row = await fetchPanelRow(companyId, id);
+            if (!row)
                 return res.status(404).json({ ok: false, error: "Заказ не найден" });
+            if (upd.affectedRows === 0)
+                return res.status(409).json(staleWriteBody(row));
 
-            const item = rowToPanelDto(rows[0]);
+            const item = rowToPanelDto(row);
             res.json({ ok: true, item });
 
+            const changes = diffOrderRows(current, row);
+            await recordOrderEvent({
+                companyId,
+                orderId: id,
+                action: "updated",
+                actor: actorFromUser(user),
+                changes,
+            });
+
             if (typeof broadcastToAdmins === "function") {
-                broadcastToAdmins({ type: "order_updated", companyId, order: item });
+                broadcastToAdmins({
+                    type: "order_updated",
+                    companyId,
+                    order: item,
+                    changedFields: changedDtoFields(changes),
+                });
             }
         } catch (e) {
+            if (e?.code === "PROMO_LIMIT")
+                return res.status(409).json({ ok: false, error: e.message });
+            if (e?.code === "SLOT_FULL")
+                return res.status(409).json({ ok: false, error: e.message, slot: e.slot });
             console.error("update current order", e);
             res.status(500).json({ ok: false, error: "Ошибка сервера" });
         }
     });
 
+    // PATCH /api/current-orders/:id — частичное обновление.
+    // Трогаем только переданные ключи (null в ключе — явная очистка поля).
+    // Цены пересчитываются только при смене позиций/доставки/скидки,
+    // геокодинг — только при смене адреса.
+    router.patch("/:id", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            const id = Number(req.params.id);
+            const b = req.body || {};
+
+            await ensureOrderColumns();
+            const current = await fetchPanelRow(companyId, id);
+            if (!current)
+                return res.status(404).json({ ok: false, error: "Заказ не найден" });
+
+            const expectedVersion = readExpectedVersion(req);
+            if (expectedVersion != null && expectedVersion !== Number(current.version))
+                return res.status(409).json(staleWriteBody(current));
+
+            const sets = [];
+            const params = [];
+            const setColumn = (column, value) => {
+                sets.push(`${column}=?`);
+                params.push(value);
+            };
+
+            // итоговая оплата заказа после правок (для проверки cashGiven)
+            let nextPayment = {
+                payment_method: current.payment_method,
+                payment_parts: current.payment_parts,
+            };
+
+            for (const [key, column] of Object.entries(PATCHABLE_FIELDS)) {
+                if (!has(b, key)) continue;
+                let value = b[key];
+
+                if (key === "customer" || key === "phone") {
+                    if (!value)
+                        return res.status(400).json({ ok: false, error: "Имя и телефон обязательны" });
+                } else if (key === "status") {
+                    if (!isKnownStatus(value))
+                        return res.status(400).json({ ok: false, error: "Некорректный статус" });
+                    if (value === "cancelled" && current.status !== "cancelled")
+                        return res.status(400).json({ ok: false, error: CANCEL_VIA_ENDPOINT });
+                    if (!canTransition(current.status, value))
+                        return res.status(409).json(illegalTransitionBody(current.status, value));
+                    if (value === "completed" && current.status !== "completed") {
+                        await ensureCompletedAtColumn();
+                        sets.push("completed_at=UTC_TIMESTAMP()");
+                    }
+                } else if (key === "scheduledAt") {
+                    value = toMySQLDatetime(value);
+                } else if (key === "payment") {
+                    // payments (смешанная оплата) важнее — обрабатывается ниже
+                    if (Array.isArray(b.payments) && b.payments.length) continue;
+                    value = coercePaymentMethod(value);
+                    if (!value)
+                        return res.status(400).json({ ok: false, error: "Некорректный способ оплаты" });
+                    sets.push("payment_parts=NULL");
+                    nextPayment = { payment_method: value, payment_parts: null };
+                } else if (key === "orderType") {
+                    value = value || "active";
+                } else {
+                    value = value === "" ? null : value ?? null;
+                }
+                setColumn(column, value);
+            }
+
+            // ── Пересчёт сумм: только если менялись позиции, доставка, скидка или промокод
+            let newTotal = current.amount_total;
+            let nextItems = null;
+            let promoSync = null;
+            const repricing =
+                has(b, "selectedItems") || has(b, "deliveryFee") ||
+                has(b, "applyCustomerDiscount") || has(b, "promoCode");
+            if (repricing) {
+                const oldItems = safeParseItemsJSON(current.items_json);
+                const items = has(b, "selectedItems") ? b.selectedItems || [] : oldItems;
+                const fee = has(b, "deliveryFee") ? b.deliveryFee : current.delivery_fee;
+
+                // applyCustomerDiscount не передан — сохраняем прежнее поведение заказа:
+                // была ли применена персональная скидка, видно по сохранённым суммам.
+                let applyDiscount = b.applyCustomerDiscount;
+                // (скидку промокода из сравнения исключаем)
+                if (!has(b, "applyCustomerDiscount")) {
+                    const withoutCustomer = normalizeItemsAndAmounts(oldItems, current.delivery_fee, null);
+                    applyDiscount =
+                        Number(current.amount_discount) - Number(current.promo_discount || 0) >
+                        Number(withoutCustomer.amount_discount);
+                }
+
+                let orderDiscount = null;
+                const phone = has(b, "phone") ? b.phone : current.customer_phone;
+                if (applyDiscount !== false && phone) {
+                    try {
+                        orderDiscount = await getCustomerDiscount(companyId, phone);
+                    } catch (e) {
+                        console.warn("getCustomerDiscount (patch) failed:", e?.message ?? e);
+                    }
+                }
+
+                const promoRes = await resolveEditPromo(companyId, current, b, { phone, items });
+                if (!promoRes.ok) return res.status(400).json({ ok: false, error: promoRes.error });
+                const promo = promoRes.promo;
+
+                const tax = await loadTaxContext(companyId, items);
+                const priced = normalizeItemsAndAmounts(items, fee, orderDiscount, { promo, tax });
+                if (priced.promo_error)
+                    return res.status(400).json({ ok: false, error: priced.promo_error });
+                setColumn("items_json", JSON.stringify(priced.items));
+                setColumn("delivery_fee", priced.delivery_fee);
+                setColumn("amount_subtotal", priced.amount_subtotal);
+                setColumn("amount_discount", priced.amount_discount);
+                setColumn("amount_total", priced.amount_total);
+                setColumn("promo_id", promo ? promo.id : null);
+                setColumn("promo_code", promo ? promo.code : null);
+                setColumn("promo_discount", priced.promo_discount);
+                setColumn("amount_net", priced.amount_net);
+                setColumn("amount_vat", priced.amount_vat);
+                setColumn("vat_breakdown", JSON.stringify(priced.vat_breakdown));
+                newTotal = priced.amount_total;
+                nextItems = priced.items;
+                if (has(b, "selectedItems") && current.status === "new" && current.order_type === "active") {
+                    const prepSeconds = await estimatePrepSeconds(companyId, priced.items);
+                    sets.push("predicted_ready_at = DATE_ADD(COALESCE(prep_started_at, UTC_TIMESTAMP()), INTERVAL ? SECOND)");
+                    params.push(prepSeconds);
+                }
+                if (promo || current.promo_id)
+                    promoSync = { promo, phone, discount: priced.promo_discount };
+            }
+
+            const slotRequest = editSlotRequest(user, b, current, {
+                orderType: has(b, "orderType") ? b.orderType : current.order_type,
+                scheduledAt: has(b, "scheduledAt") ? b.scheduledAt : current.scheduled_at,
+                pickupId: has(b, "pickupId") ? b.pickupId : current.pickup_unit_id,
+                items: nextItems,
+            });
+
+            // ── Смешанная оплата: части сверяем с итоговой суммой (новой или текущей).
+            // Сумма изменилась, а части не пришли — старая разбивка больше не сходится.
+            const storedParts = parsePaymentParts(current);
+            if (Array.isArray(b.payments) && b.payments.length) {
+                const pp = normalizePaymentParts(b.payments, newTotal);
+                if (!pp.ok) return res.status(400).json({ ok: false, error: pp.error });
+                setColumn("payment_method", pp.paymentMethod);
+                setColumn("payment_parts", pp.parts ? JSON.stringify(pp.parts) : null);
+                nextPayment = { payment_method: pp.paymentMethod, payment_parts: pp.parts };
+            } else if (repricing && storedParts.length > 1 && !has(b, "payment")) {
+                const pp = normalizePaymentParts(storedParts, newTotal);
+                if (!pp.ok)
+                    return res.status(400).json({
+                        ok: false,
+                        error: `${pp.error}. Передайте payments заново`,
+                    });
+            }
+
+            // ── «С какой купюры» и чаевые
+            const money = readCashAndTip(b, { ...nextPayment, amount_total: newTotal });
+            if (!money.ok) return res.status(400).json({ ok: false, error: money.error });
+            if (money.cashGiven !== undefined) setColumn("cash_given", money.cashGiven);
+            if (money.tip !== undefined) setColumn("tip_amount", money.tip);
+
+            // ── Координаты: ручные из body, иначе геокодинг при смене адреса
+            const manualLat = Number(b.addressLat);
+            const manualLng = Number(b.addressLng);
+            const hasManualCoords =
+                has(b, "addressLat") && has(b, "addressLng") &&
+                Number.isFinite(manualLat) && Number.isFinite(manualLng);
+
+            const addressChanged = GEO_ADDRESS_KEYS.some(
+                (k) => has(b, k) && String(b[k] ?? "") !== String(current[PATCHABLE_FIELDS[k]] ?? "")
+            );
+
+            let geocodeLater = null; // временный сбой — геокодируем через очередь
+            if (hasManualCoords) {
+                setColumn("address_lat", manualLat);
+                setColumn("address_lng", manualLng);
+                sets.push("geocoded_at=NOW()", "geocode_provider='manual'");
+            } else if (addressChanged) {
+                const geoText = buildGeoTextFromBody({
+                    street: has(b, "street") ? b.street : current.address_street,
+                    house: has(b, "house") ? b.house : current.address_house,
+                    building: has(b, "building") ? b.building : current.address_building,
+                    apart: has(b, "apart") ? b.apart : current.address_apartment,
+                });
+                let geo = null;
+                if (geoText) {
+                    try {
+                        geo = await geoapifyGeocodeText(geoText);
+                    } catch (ge) {
+                        console.warn("geoapify geocode (patch) failed:", ge?.message || ge);
+                        geo = { ok: false, retryable: true };
+                    }
+                    if (geo.retryable) geocodeLater = geoText;
+                }
+                if (geo?.ok) {
+                    setColumn("address_lat", geo.lat);
+                    setColumn("address_lng", geo.lng);
+                    setColumn("geocode_raw", JSON.stringify(geo.raw));
+                    sets.push("geocoded_at=NOW()", "geocode_provider='geoapify'");
+                } else {
+                    // старые координаты относятся к старому адресу — сбрасываем
+                    sets.push("address_lat=NULL", "address_lng=NULL", "geocoded_at=NULL", "geocode_provider=NULL");
+                }
+            }
+
+            if (!sets.length)
+                return res.json({ ok: true, item: rowToPanelDto(current), changedFields: [] });
+
+            const upd = await updateOrderWithPromo(
+                companyId,
+                id,
+                `UPDATE current_orders
+                    SET ${sets.join(", ")}, updated_at=NOW(), version = version + 1
+                  WHERE company_id=? AND order_id=? AND version=?`,
+                [...params, companyId, id, current.version],
+                promoSync,
+                slotRequest
+            );
+            if (upd.affectedRows > 0 && PROMISE_BODY_KEYS.some((k) => has(b, k)))
+                await syncOrderPromise(companyId, id);
+            // после UPDATE: задача сверяет адрес в строке заказа с geocodeLater
+            if (upd.affectedRows > 0 && geocodeLater) await enqueueGeocode(companyId, id, geocodeLater);
+
+            const row = await fetchPanelRow(companyId, id);
+            if (!row)
+                return res.status(404).json({ ok: false, error: "Заказ не найден" });
+            if (upd.affectedRows === 0)
+                return res.status(409).json(staleWriteBody(row));
+
+            const changes = diffOrderRows(current, row);
+            const changedFields = changedDtoFields(changes);
+            const item = rowToPanelDto(row);
+            res.json({ ok: true, item, changedFields });
+
+            await recordOrderEvent({
+                companyId,
+                orderId: id,
+                action: "updated",
+                actor: actorFromUser(user),
+                changes,
+            });
+
+            if (typeof broadcastToAdmins === "function") {
+                broadcastToAdmins({ type: "order_updated", companyId, order: item, changedFields });
+            }
+        } catch (e) {
+            if (e?.code === "PROMO_LIMIT")
+                return res.status(409).json({ ok: false, error: e.message });
+            if (e?.code === "SLOT_FULL")
+                return res.status(409).json({ ok: false, error: e.message, slot: e.slot });
+            console.error("patch current order", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
     // PATCH /api/current-orders/:id/status  {status:'ready'|'enroute'|...}
     router.patch("/:id/status", async (req, res) => {
         try {
             const ctx = await resolveCompanyContext(req, res);
             if (!ctx) return;
-            const { companyId } = ctx;
+            const { companyId, user } = ctx;
             const id = Number(req.params.id);
             const { status } = req.body || {};
             if (!status)
                 return res.status(400).json({ ok: false, error: "Не указан статус" });
+            if (!isKnownStatus(status))
+                return res.status(400).json({ ok: false, error: "Некорректный статус" });
+            if (status === "cancelled")
+                return res.status(400).json({ ok: false, error: CANCEL_VIA_ENDPOINT });
+
+            await ensureOrderColumns();
+            const current = await fetchPanelRow(companyId, id);
+            if (!current)
+                return res.status(404).json({ ok: false, error: "Заказ не найден" });
+
+            const expectedVersion = readExpectedVersion(req);
+            if (expectedVersion != null && expectedVersion !== Number(current.version))
+                return res.status(409).json(staleWriteBody(current));
+            if (!canTransition(current.status, status))
+                return res.status(409).json(illegalTransitionBody(current.status, status));
 
             await ensureCompletedAtColumn();
-            await pool.query(
+            const [upd] = await pool.query(
                 `UPDATE current_orders
                     SET status=?, updated_at=NOW(),
-                        completed_at = CASE WHEN ? = 'completed' THEN UTC_TIMESTAMP() ELSE completed_at END
-                  WHERE company_id=? AND order_id=?`,
-                [status, status, companyId, id]
+                        completed_at = CASE WHEN ? = 'completed' THEN UTC_TIMESTAMP() ELSE completed_at END,
+                        version = version + 1
+                  WHERE company_id=? AND order_id=? AND version=?`,
+                [status, status, companyId, id, current.version]
             );
 
-            const [rows] = await pool.query(
-                `SELECT co.*,
-                cu1.nickname AS courier_nickname,
-                cu2.nickname AS pickup_nickname
-         FROM current_orders co
-                  LEFT JOIN users cu1 ON cu1.user_id = co.courier_unit_id
-                  LEFT JOIN users cu2 ON cu2.user_id = co.pickup_unit_id
-         WHERE co.company_id=? AND co.order_id=? LIMIT 1`,
-                [companyId, id]
-            );
-            if (!rows.length) return res.json({ ok: true });
+            const row = await fetchPanelRow(companyId, id);
+            if (!row) return res.json({ ok: true });
+            if (upd.affectedRows === 0)
+                return res.status(409).json(staleWriteBody(row));
 
-            const item = rowToPanelDto(rows[0]);
+            const item = rowToPanelDto(row);
             res.json({ ok: true });
 
+            await recordOrderEvent({
+                companyId,
+                orderId: id,
+                action: "status_changed",
+                actor: actorFromUser(user),
+                changes: diffOrderRows(current, row),
+            });
+
             if (typeof broadcastToAdmins === "function") {
                 broadcastToAdmins({ type: "order_updated", companyId, order: item });
             }
@@ -746,6 +2137,99 @@ export function currentOrdersRouter({ broadcastToAdmins }) {
         }
     });
 
+    // POST /api/current-orders/:id/cancel  { reason, comment?, refund? }
+    // Отмена с причиной из справочника компании. Курьер снимается с заказа,
+    // всем уходит отдельное WS-событие order_cancelled (+ push курьеру в index.js).
+    router.post("/:id/cancel", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            const id = Number(req.params.id);
+            const b = req.body || {};
+
+            const reason = String(b.reason || "").trim().toLowerCase();
+            if (!reason)
+                return res.status(400).json({ ok: false, error: "Не указана причина отмены" });
+
+            const reasons = await getCancelReasons(companyId);
+            const reasonItem = reasons.find((r) => r.code === reason);
+            if (!reasonItem)
+                return res.status(400).json({
+                    ok: false,
+                    error: "Неизвестная причина отмены",
+                    allowed: reasons.map((r) => r.code),
+                });
+
+            const comment = (b.comment ?? "").toString().trim().slice(0, 500) || null;
+
+            const current = await fetchPanelRow(companyId, id);
+            if (!current)
+                return res.status(404).json({ ok: false, error: "Заказ не найден" });
+            if (!canTransition(current.status, "cancelled") || current.status === "cancelled")
+                return res.status(409).json(illegalTransitionBody(current.status, "cancelled"));
+
+            await ensureCancellationSchema();
+            await ensureOrderColumns();
+            const [upd] = await pool.query(
+                `UPDATE current_orders
+                    SET status='cancelled', courier_unit_id=NULL,
+                        cancel_reason=?, cancel_comment=?, cancel_refund=?,
+                        cancelled_at=UTC_TIMESTAMP(), cancelled_by=?, updated_at=NOW(),
+                        version = version + 1
+                  WHERE company_id=? AND order_id=? AND status=?`,
+                [
+                    reason,
+                    comment,
+                    b.refund ? 1 : 0,
+                    user?.userId ?? null,
+                    companyId,
+                    id,
+                    current.status,
+                ]
+            );
+
+            const row = await fetchPanelRow(companyId, id);
+            if (upd.affectedRows === 0)
+                return res.status(409).json(illegalTransitionBody(row?.status ?? current.status, "cancelled"));
+
+            // отменённый заказ не занимает лимит промокода (код и сумма остаются в заказе)
+            if (current.promo_id) {
+                try {
+                    await releasePromo(pool, companyId, id);
+                } catch (pe) {
+                    console.warn("release promo on cancel failed:", pe?.message ?? pe);
+                }
+            }
+
+            const item = rowToPanelDto(row);
+            res.json({ ok: true, item });
+
+            await recordOrderEvent({
+                companyId,
+                orderId: id,
+                action: "cancelled",
+                actor: actorFromUser(user),
+                changes: diffOrderRows(current, row),
+            });
+
+            if (typeof broadcastToAdmins === "function") {
+                broadcastToAdmins({
+                    type: "order_cancelled",
+                    companyId,
+                    order: item,
+                    reason: reasonItem,
+                    comment,
+                    // курьер, с которого сняли заказ (для push и мобильного UI)
+                    courierId: current.courier_unit_id ?? null,
+                });
+            }
+        } catch (e) {
+            console.error("cancel current order", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
     return router;
 }
 
@@ -1,11 +1,14 @@
 import { Router } from "express";
 import pool from "./db.js";
-import { resolveCompanyContext } from "./currentOrder.js";
+import { resolveCompanyContext, safeParseItemsJSON } from "./currentOrder.js";
+import { repriceItemsFromMenu } from "./menuApi.js";
+import { enqueueJob } from "./jobs/queue.js";
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Контроль клиентов (для руководства ресторана).
 // Клиент идентифицируется по customer_phone в рамках company_id.
-// Данные агрегируются из current_orders. Плюс персональные скидки и рассылки.
+// Данные агрегируются из current_orders. Плюс персональные скидки, рассылки
+// и сохранённые корзины клиента («Пятничный обед в офис»).
 // ─────────────────────────────────────────────────────────────────────────────
 
 // Нормализация телефона к виду +371XXXXXXXX (как в customerAddressByPhone.js)
@@ -45,6 +48,19 @@ export async function ensureCustomerTables() {
             KEY idx_company (company_id, created_at)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
     `);
+    // items_json — только [{ id, name, quantity }]: цены берутся из меню при заказе
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS customer_baskets (
+            basket_id       INT AUTO_INCREMENT PRIMARY KEY,
+            company_id      INT          NOT NULL,
+            customer_phone  VARCHAR(32)  NOT NULL,
+            name            VARCHAR(120) NOT NULL,
+            items_json      JSON         NOT NULL,
+            created_at      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_basket_name (company_id, customer_phone, name)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
     _tablesReady = true;
 }
 
@@ -66,6 +82,37 @@ export async function getCustomerDiscount(companyId, phoneRaw) {
     return { type: rows[0].discount_type, value };
 }
 
+const MAX_BASKET_ITEMS = 100;
+
+// Позиции корзины из body: [{ id, name?, quantity }] → { ok, items } | { ok: false, error }
+export function normalizeBasketItems(raw) {
+    if (!Array.isArray(raw) || !raw.length) return { ok: false, error: "Корзина пуста" };
+    if (raw.length > MAX_BASKET_ITEMS)
+        return { ok: false, error: `Не больше ${MAX_BASKET_ITEMS} позиций` };
+    const items = [];
+    for (const it of raw) {
+        const quantity = Number(it?.quantity);
+        if (it?.id == null || !Number.isInteger(quantity) || quantity <= 0)
+            return { ok: false, error: "Позиция корзины: нужны id и целое quantity > 0" };
+        items.push({ id: it.id, name: String(it.name ?? "").slice(0, 255), quantity });
+    }
+    return { ok: true, items };
+}
+
+// Корзина для фронта: позиции по текущим ценам меню + недоступные позиции
+async function basketToDto(companyId, r) {
+    const saved = safeParseItemsJSON(r.items_json);
+    const { items, unavailable } = await repriceItemsFromMenu(companyId, saved);
+    return {
+        id: r.basket_id,
+        name: r.name,
+        items,
+        unavailable,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at,
+    };
+}
+
 export default function createCustomersRouter() {
     const router = Router();
 
@@ -292,8 +339,9 @@ export default function createCustomersRouter() {
 
     // ── POST /api/customers/broadcast ────────────────────────────────────────
     // body: { message: string, phones?: string[] }
-    // Отправка рекламной рассылки. SMS-провайдер пока не подключён — заглушка:
-    // сообщение валидируется, логируется, событие пишется в customer_broadcasts.
+    // Отправка рекламной рассылки. Запись в customer_broadcasts (status 'queued')
+    // и задача очереди sms.broadcast — отправка и итоговый статус уже в ней
+    // (deliverSmsBroadcast). SMS-провайдер пока не подключён — заглушка.
     router.post("/broadcast", async (req, res) => {
         try {
             const ctx = await resolveCompanyContext(req, res);
@@ -317,23 +365,18 @@ export default function createCustomersRouter() {
             }
             phones = [...new Set(phones.map(normalizePhone).filter(Boolean))];
 
-            // ── SMS-ЗАГЛУШКА ─────────────────────────────────────────────────
-            // TODO: подключить реального провайдера (Twilio/Textmagic/…).
-            // Здесь только имитируем отправку: логируем и считаем адресатов.
-            const result = await sendSmsBroadcast({ companyId, message, phones });
-
-            await pool.query(
+            const [ins] = await pool.query(
                 `INSERT INTO customer_broadcasts (company_id, message, recipients_count, channel, status)
-                 VALUES (?, ?, ?, 'sms', ?)`,
-                [companyId, message, phones.length, result.status]
+                 VALUES (?, ?, ?, 'sms', 'queued')`,
+                [companyId, message, phones.length]
             );
+            await enqueueJob("sms.broadcast", { broadcastId: ins.insertId, companyId, message, phones });
 
             res.json({
                 ok: true,
-                sent: result.sent,
+                queued: true,
+                broadcastId: ins.insertId,
                 recipients: phones.length,
-                stub: result.stub,
-                note: result.note,
             });
         } catch (e) {
             console.error("broadcast error:", e);
@@ -341,6 +384,152 @@ export default function createCustomersRouter() {
         }
     });
 
+    // ── GET /api/customers/:phone/baskets ────────────────────────────────────
+    // Сохранённые корзины клиента, позиции — по текущему меню.
+    router.get("/:phone/baskets", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId } = ctx;
+            await ensureCustomerTables();
+            const phone = normalizePhone(req.params.phone);
+            if (!phone) return res.status(400).json({ ok: false, error: "phone required" });
+
+            const [rows] = await pool.query(
+                `SELECT basket_id, name, items_json, created_at, updated_at
+                   FROM customer_baskets
+                  WHERE company_id=? AND customer_phone=?
+                  ORDER BY name ASC`,
+                [companyId, phone]
+            );
+            const items = [];
+            for (const r of rows) items.push(await basketToDto(companyId, r));
+            res.json({ ok: true, items });
+        } catch (e) {
+            console.error("customer baskets error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── POST /api/customers/:phone/baskets ───────────────────────────────────
+    // body: { name, items: [{ id, name?, quantity }] } или { name, fromOrderId }
+    router.post("/:phone/baskets", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId } = ctx;
+            await ensureCustomerTables();
+            const phone = normalizePhone(req.params.phone);
+            if (!phone) return res.status(400).json({ ok: false, error: "phone required" });
+
+            const b = req.body || {};
+            const name = String(b.name ?? "").trim().slice(0, 120);
+            if (!name) return res.status(400).json({ ok: false, error: "Название корзины обязательно" });
+
+            let rawItems = b.items;
+            if (b.fromOrderId != null) {
+                const [orders] = await pool.query(
+                    `SELECT items_json FROM current_orders
+                      WHERE company_id=? AND order_id=? AND customer_phone=? LIMIT 1`,
+                    [companyId, Number(b.fromOrderId), phone]
+                );
+                if (!orders.length)
+                    return res.status(404).json({ ok: false, error: "Заказ клиента не найден" });
+                rawItems = safeParseItemsJSON(orders[0].items_json).filter((it) => it?.id != null);
+            }
+            const norm = normalizeBasketItems(rawItems);
+            if (!norm.ok) return res.status(400).json({ ok: false, error: norm.error });
+
+            const [ins] = await pool.query(
+                `INSERT INTO customer_baskets (company_id, customer_phone, name, items_json)
+                 VALUES (?, ?, ?, ?)`,
+                [companyId, phone, name, JSON.stringify(norm.items)]
+            );
+            const [rows] = await pool.query(
+                "SELECT basket_id, name, items_json, created_at, updated_at FROM customer_baskets WHERE basket_id=?",
+                [ins.insertId]
+            );
+            res.json({ ok: true, item: await basketToDto(companyId, rows[0]) });
+        } catch (e) {
+            if (e?.code === "ER_DUP_ENTRY")
+                return res.status(409).json({ ok: false, error: "Корзина с таким названием уже есть" });
+            console.error("create basket error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── PUT /api/customers/:phone/baskets/:basketId ──────────────────────────
+    // body: { name?, items? }
+    router.put("/:phone/baskets/:basketId", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId } = ctx;
+            await ensureCustomerTables();
+            const phone = normalizePhone(req.params.phone);
+            if (!phone) return res.status(400).json({ ok: false, error: "phone required" });
+            const basketId = Number(req.params.basketId);
+
+            const b = req.body || {};
+            const sets = [];
+            const params = [];
+            if (b.name !== undefined) {
+                const name = String(b.name ?? "").trim().slice(0, 120);
+                if (!name) return res.status(400).json({ ok: false, error: "Название корзины обязательно" });
+                sets.push("name=?");
+                params.push(name);
+            }
+            if (b.items !== undefined) {
+                const norm = normalizeBasketItems(b.items);
+                if (!norm.ok) return res.status(400).json({ ok: false, error: norm.error });
+                sets.push("items_json=?");
+                params.push(JSON.stringify(norm.items));
+            }
+
+            if (sets.length) {
+                await pool.query(
+                    `UPDATE customer_baskets SET ${sets.join(", ")}
+                      WHERE company_id=? AND customer_phone=? AND basket_id=?`,
+                    [...params, companyId, phone, basketId]
+                );
+            }
+            const [rows] = await pool.query(
+                `SELECT basket_id, name, items_json, created_at, updated_at
+                   FROM customer_baskets
+                  WHERE company_id=? AND customer_phone=? AND basket_id=?`,
+                [companyId, phone, basketId]
+            );
+            if (!rows.length) return res.status(404).json({ ok: false, error: "Корзина не найдена" });
+            res.json({ ok: true, item: await basketToDto(companyId, rows[0]) });
+        } catch (e) {
+            if (e?.code === "ER_DUP_ENTRY")
+                return res.status(409).json({ ok: false, error: "Корзина с таким названием уже есть" });
+            console.error("update basket error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── DELETE /api/customers/:phone/baskets/:basketId ───────────────────────
+    router.delete("/:phone/baskets/:basketId", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId } = ctx;
+            await ensureCustomerTables();
+            const phone = normalizePhone(req.params.phone);
+            if (!phone) return res.status(400).json({ ok: false, error: "phone required" });
+            const [del] = await pool.query(
+                "DELETE FROM customer_baskets WHERE company_id=? AND customer_phone=? AND basket_id=?",
+                [companyId, phone, Number(req.params.basketId)]
+            );
+            if (!del.affectedRows) return res.status(404).json({ ok: false, error: "Корзина не найдена" });
+            res.json({ ok: true });
+        } catch (e) {
+            console.error("delete basket error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
     // ── GET /api/customers/broadcasts ────────────────────────────────────────
     // История рассылок компании.
     router.get("/broadcasts", async (req, res) => {
@@ -377,6 +566,35 @@ export default function createCustomersRouter() {
     return router;
 }
 
+// Обработчик очереди sms.broadcast: отправить рассылку и записать её статус.
+// Ошибка провайдера пробрасывается — очередь повторит отправку.
+export async function deliverSmsBroadcast({ broadcastId, companyId, message, phones }) {
+    await ensureCustomerTables();
+    const [rows] = await pool.query(
+        "SELECT status FROM customer_broadcasts WHERE id=? AND company_id=? LIMIT 1",
+        [broadcastId, companyId]
+    );
+    if (!rows.length || rows[0].status !== "queued") return; // уже отправлена
+
+    // ── SMS-ЗАГЛУШКА ─────────────────────────────────────────────────────────
+    // TODO: подключить реального провайдера (Twilio/Textmagic/…).
+    const result = await sendSmsBroadcast({ companyId, message, phones: phones || [] });
+
+    await pool.query(
+        "UPDATE customer_broadcasts SET status=? WHERE id=? AND company_id=?",
+        [result.status, broadcastId, companyId]
+    );
+}
+
+// onDeadLetter для sms.broadcast: попытки исчерпаны — рассылка не «висит» в queued
+export async function markSmsBroadcastFailed({ broadcastId, companyId }) {
+    await ensureCustomerTables();
+    await pool.query(
+        "UPDATE customer_broadcasts SET status='failed' WHERE id=? AND company_id=? AND status='queued'",
+        [broadcastId, companyId]
+    );
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // SMS-заглушка. Когда появится номер и провайдер — заменить тело функции
 // реальным вызовом API (см. TODO). Сейчас возвращает stub-результат.
@@ -1,5 +1,6 @@
 import { Router } from "express";
 import pool from "./db.js";
+import { ensureColumns } from "./schema.js";
 
 const router = Router();
 
@@ -29,7 +30,7 @@ async function requireCompanyId(req) {
 
 // hardcode для создания таблицы 
 let tableReady = false;
-async function ensureTable() {
+export async function ensureDeliveryZonesTable() {
     if (tableReady) return;
     await pool.query(
         `CREATE TABLE IF NOT EXISTS delivery_zones (
@@ -45,6 +46,12 @@ async function ensureTable() {
             INDEX idx_company (company_id)
         )`
     );
+    // promise_minutes — обещанное время доставки в зоне, preorder_lead_minutes —
+    // за сколько до scheduled_at активировать предзаказ (NULL — из настроек компании)
+    await ensureColumns("delivery_zones", [
+        ["promise_minutes", "INT NULL"],
+        ["preorder_lead_minutes", "INT NULL"],
+    ]);
     tableReady = true;
 }
 
@@ -67,17 +74,68 @@ function rowToZone(r) {
         name: r.name,
         color: r.color,
         fee: r.fee_cents != null ? Number(r.fee_cents) / 100 : null,
+        promiseMinutes: r.promise_minutes != null ? Number(r.promise_minutes) : null,
+        preorderLeadMinutes: r.preorder_lead_minutes != null ? Number(r.preorder_lead_minutes) : null,
         geometry,
     };
 }
 
+// ─── Точка внутри зоны (GeoJSON: координаты [lng, lat]) ───────────────────────
+function pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// первое кольцо полигона — внешняя граница, остальные — дырки
+function pointInPolygon(lng, lat, rings) {
+    if (!Array.isArray(rings) || !rings.length) return false;
+    if (!pointInRing(lng, lat, rings[0])) return false;
+    return !rings.slice(1).some((hole) => pointInRing(lng, lat, hole));
+}
+
+function pointInGeometry(lng, lat, g) {
+    if (!isValidGeometry(g)) return false;
+    if (g.type === "Polygon") return pointInPolygon(lng, lat, g.coordinates);
+    return g.coordinates.some((poly) => pointInPolygon(lng, lat, poly));
+}
+
+/**
+ * Зона доставки компании, в которую попадает точка (первая по sort_order),
+ * или null. Используется для обещанного времени доставки заказа.
+ */
+export async function findZoneForPoint(companyId, lat, lng) {
+    // Number(null) === 0 — заказ без координат не должен попасть в зону у (0, 0)
+    if (lat == null || lng == null || lat === "" || lng === "") return null;
+    if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) return null;
+    await ensureDeliveryZonesTable();
+    const [rows] = await pool.query(
+        `SELECT zone_id, company_id, name, color, fee_cents, promise_minutes, preorder_lead_minutes, geojson, sort_order
+           FROM delivery_zones
+          WHERE company_id = ?
+          ORDER BY sort_order ASC, zone_id ASC`,
+        [companyId]
+    );
+    for (const r of rows) {
+        const zone = rowToZone(r);
+        if (pointInGeometry(Number(lng), Number(lat), zone.geometry)) return zone;
+    }
+    return null;
+}
+
 // ─── GET /api/delivery-zones — список зон компании ───────────────────────────
 router.get("/", async (req, res) => {
     try {
-        await ensureTable();
+        await ensureDeliveryZonesTable();
         const companyId = await requireCompanyId(req);
         const [rows] = await pool.query(
-            `SELECT zone_id, company_id, name, color, fee_cents, geojson, sort_order
+            `SELECT zone_id, company_id, name, color, fee_cents, promise_minutes, preorder_lead_minutes, geojson, sort_order
                FROM delivery_zones
               WHERE company_id = ?
               ORDER BY sort_order ASC, zone_id ASC`,
@@ -91,11 +149,11 @@ router.get("/", async (req, res) => {
 });
 
 // ─── PUT /api/delivery-zones — заменить весь набор зон компании ───────────────
-// body: { zones: [{ name, color, fee, geometry }] }
+// body: { zones: [{ name, color, fee, promiseMinutes, preorderLeadMinutes, geometry }] }
 router.put("/", async (req, res) => {
     let conn;
     try {
-        await ensureTable();
+        await ensureDeliveryZonesTable();
         const companyId = await requireCompanyId(req);
 
         const incoming = Array.isArray(req.body?.zones) ? req.body.zones : [];
@@ -109,6 +167,15 @@ router.put("/", async (req, res) => {
                     z.fee != null && Number.isFinite(Number(z.fee))
                         ? Math.round(Number(z.fee) * 100)
                         : null,
+                promise_minutes:
+                    Number.isInteger(Number(z.promiseMinutes)) && Number(z.promiseMinutes) > 0
+                        ? Number(z.promiseMinutes)
+                        : null,
+                preorder_lead_minutes:
+                    z.preorderLeadMinutes != null && z.preorderLeadMinutes !== "" &&
+                    Number.isInteger(Number(z.preorderLeadMinutes)) && Number(z.preorderLeadMinutes) >= 0
+                        ? Math.min(Number(z.preorderLeadMinutes), 24 * 60)
+                        : null,
                 geojson: JSON.stringify(z.geometry),
                 sort_order: i,
             }));
@@ -120,15 +187,15 @@ router.put("/", async (req, res) => {
         for (const z of clean) {
             await conn.query(
                 `INSERT INTO delivery_zones
-                    (company_id, name, color, fee_cents, geojson, sort_order)
-                 VALUES (?, ?, ?, ?, ?, ?)`,
-                [companyId, z.name, z.color, z.fee_cents, z.geojson, z.sort_order]
+                    (company_id, name, color, fee_cents, promise_minutes, preorder_lead_minutes, geojson, sort_order)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [companyId, z.name, z.color, z.fee_cents, z.promise_minutes, z.preorder_lead_minutes, z.geojson, z.sort_order]
             );
         }
         await conn.commit();
 
         const [rows] = await pool.query(
-            `SELECT zone_id, company_id, name, color, fee_cents, geojson, sort_order
+            `SELECT zone_id, company_id, name, color, fee_cents, promise_minutes, preorder_lead_minutes, geojson, sort_order
                FROM delivery_zones
               WHERE company_id = ?
               ORDER BY sort_order ASC, zone_id ASC`,
@@ -2,8 +2,29 @@ import pool from "./db.js";
 import {
   resolveCompanyContext,
   ensureCompletedAtColumn,
+  ensureOrderColumns,
   todayUtcRange,
 } from "./currentOrder.js";
+import { ensureCancellationSchema, getCancelReasons } from "./orderCancellation.js";
+
+// Доля заказа, оплаченная способом method. Смешанная оплата (payment_parts)
+// раскладывается по частям, иначе вся сумма идёт в payment_method.
+const paymentShareSql = (method) => `
+              CASE
+                  WHEN co.payment_parts IS NULL
+                      THEN CASE WHEN co.payment_method = '${method}' THEN co.amount_total ELSE 0 END
+                  ELSE COALESCE((
+                      SELECT SUM(pp.amount)
+                      FROM JSON_TABLE(
+                          co.payment_parts,
+                          '$[*]' COLUMNS (
+                              method VARCHAR(16)   PATH '$.method',
+                              amount DECIMAL(10,2) PATH '$.amount'
+                          )
+                      ) AS pp
+                      WHERE pp.method = '${method}'
+                  ), 0)
+              END`;
 
 export async function getReport(req, res) {
   try {
@@ -32,6 +53,8 @@ export async function getReport(req, res) {
       return res.json([]);
     }
 
+    await ensureOrderColumns();
+
     // 2) Calculate per-courier stats, plus a catch-all row for unassigned orders
     const [reportRows] = await pool.query(
       `WITH OrderStats AS (
@@ -39,7 +62,10 @@ export async function getReport(req, res) {
               co.courier_unit_id,
               co.order_id AS order_id,
               co.amount_total,
-              co.payment_method,
+              ${paymentShareSql("cash")} AS cash_amount,
+              ${paymentShareSql("card")} AS card_amount,
+              ${paymentShareSql("wire")} AS wire_amount,
+              co.tip_amount,
               COALESCE(SUM(jt.quantity), 0) AS items_count
           FROM current_orders co
           LEFT JOIN JSON_TABLE(
@@ -57,9 +83,10 @@ export async function getReport(req, res) {
           cu.company_id,
           COUNT(os.order_id) AS total_orders,
           COALESCE(SUM(os.amount_total), 0) AS total_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'cash' THEN os.amount_total ELSE 0 END), 0) AS total_cash_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'card' THEN os.amount_total ELSE 0 END), 0) AS total_card_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'wire' THEN os.amount_total ELSE 0 END), 0) AS total_wire_sum,
+          COALESCE(SUM(os.cash_amount), 0) AS total_cash_sum,
+          COALESCE(SUM(os.card_amount), 0) AS total_card_sum,
+          COALESCE(SUM(os.wire_amount), 0) AS total_wire_sum,
+          COALESCE(SUM(os.tip_amount), 0) AS total_tips,
           COALESCE(SUM(os.items_count), 0) AS total_items
       FROM
           users cu
@@ -79,9 +106,10 @@ export async function getReport(req, res) {
           ? AS company_id,
           COUNT(os.order_id) AS total_orders,
           COALESCE(SUM(os.amount_total), 0) AS total_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'cash' THEN os.amount_total ELSE 0 END), 0) AS total_cash_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'card' THEN os.amount_total ELSE 0 END), 0) AS total_card_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'wire' THEN os.amount_total ELSE 0 END), 0) AS total_wire_sum,
+          COALESCE(SUM(os.cash_amount), 0) AS total_cash_sum,
+          COALESCE(SUM(os.card_amount), 0) AS total_card_sum,
+          COALESCE(SUM(os.wire_amount), 0) AS total_wire_sum,
+          COALESCE(SUM(os.tip_amount), 0) AS total_tips,
           COALESCE(SUM(os.items_count), 0) AS total_items
       FROM OrderStats os
       WHERE os.courier_unit_id IS NULL
@@ -112,6 +140,7 @@ export async function getMobileTodayReport(req, res) {
     const { companyId, user } = ctx;
 
     await ensureCompletedAtColumn();
+    await ensureOrderColumns();
     const { start, end } = todayUtcRange();
 
     const [rows] = await pool.query(
@@ -120,7 +149,10 @@ export async function getMobileTodayReport(req, res) {
               co.courier_unit_id,
               co.order_id AS order_id,
               co.amount_total,
-              co.payment_method,
+              ${paymentShareSql("cash")} AS cash_amount,
+              ${paymentShareSql("card")} AS card_amount,
+              ${paymentShareSql("wire")} AS wire_amount,
+              co.tip_amount,
               COALESCE(SUM(jt.quantity), 0) AS items_count
           FROM current_orders co
           LEFT JOIN JSON_TABLE(
@@ -137,9 +169,10 @@ export async function getMobileTodayReport(req, res) {
           cu.nickname AS unit_nickname,
           COUNT(os.order_id) AS total_orders,
           COALESCE(SUM(os.amount_total), 0) AS total_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'cash' THEN os.amount_total ELSE 0 END), 0) AS total_cash_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'card' THEN os.amount_total ELSE 0 END), 0) AS total_card_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'wire' THEN os.amount_total ELSE 0 END), 0) AS total_wire_sum,
+          COALESCE(SUM(os.cash_amount), 0) AS total_cash_sum,
+          COALESCE(SUM(os.card_amount), 0) AS total_card_sum,
+          COALESCE(SUM(os.wire_amount), 0) AS total_wire_sum,
+          COALESCE(SUM(os.tip_amount), 0) AS total_tips,
           COALESCE(SUM(os.items_count), 0) AS total_items
       FROM users cu
       LEFT JOIN OrderStats os ON cu.user_id = os.courier_unit_id
@@ -153,9 +186,10 @@ export async function getMobileTodayReport(req, res) {
           'Unassigned' AS unit_nickname,
           COUNT(os.order_id) AS total_orders,
           COALESCE(SUM(os.amount_total), 0) AS total_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'cash' THEN os.amount_total ELSE 0 END), 0) AS total_cash_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'card' THEN os.amount_total ELSE 0 END), 0) AS total_card_sum,
-          COALESCE(SUM(CASE WHEN os.payment_method = 'wire' THEN os.amount_total ELSE 0 END), 0) AS total_wire_sum,
+          COALESCE(SUM(os.cash_amount), 0) AS total_cash_sum,
+          COALESCE(SUM(os.card_amount), 0) AS total_card_sum,
+          COALESCE(SUM(os.wire_amount), 0) AS total_wire_sum,
+          COALESCE(SUM(os.tip_amount), 0) AS total_tips,
           COALESCE(SUM(os.items_count), 0) AS total_items
       FROM OrderStats os
       WHERE os.courier_unit_id IS NULL
@@ -174,6 +208,7 @@ export async function getMobileTodayReport(req, res) {
       cash: Number(r.total_cash_sum) || 0,
       card: Number(r.total_card_sum) || 0,
       wire: Number(r.total_wire_sum) || 0,
+      tips: Number(r.total_tips) || 0,
       totalItems: Number(r.total_items) || 0,
     }));
 
@@ -184,9 +219,10 @@ export async function getMobileTodayReport(req, res) {
         cash: acc.cash + c.cash,
         card: acc.card + c.card,
         wire: acc.wire + c.wire,
+        tips: acc.tips + c.tips,
         totalItems: acc.totalItems + c.totalItems,
       }),
-      { totalOrders: 0, totalSum: 0, cash: 0, card: 0, wire: 0, totalItems: 0 }
+      { totalOrders: 0, totalSum: 0, cash: 0, card: 0, wire: 0, tips: 0, totalItems: 0 }
     );
 
     // Сводка по текущему (авторизованному) курьеру
@@ -204,3 +240,263 @@ export async function getMobileTodayReport(req, res) {
     res.status(500).json({ ok: false, error: "Ошибка сервера" });
   }
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Отмены за период с разбивкой по причинам (GET /api/report/cancellations).
+// Старые отмены через PATCH status (до появления причин) — в строке reason=null.
+// ─────────────────────────────────────────────────────────────────────────────
+export async function getCancellationReport(req, res) {
+  try {
+    const ctx = await resolveCompanyContext(req, res);
+    if (!ctx) return;
+    const { companyId } = ctx;
+
+    const { startDate, endDate } = req.query;
+    if (!startDate || !endDate) {
+      return res.status(400).json({ ok: false, error: "startDate and endDate are required" });
+    }
+
+    await ensureCancellationSchema();
+
+    const [rows] = await pool.query(
+      `SELECT
+          co.cancel_reason AS reason,
+          COUNT(*) AS total_orders,
+          COALESCE(SUM(co.amount_total), 0) AS total_sum,
+          COALESCE(SUM(co.cancel_refund), 0) AS refunds
+       FROM current_orders co
+       WHERE co.company_id = ?
+         AND co.status = 'cancelled'
+         AND DATE(COALESCE(co.cancelled_at, co.updated_at)) BETWEEN ? AND ?
+       GROUP BY co.cancel_reason
+       ORDER BY total_orders DESC`,
+      [companyId, startDate, endDate]
+    );
+
+    const labels = new Map(
+      (await getCancelReasons(companyId)).map((r) => [r.code, r.label])
+    );
+
+    const reasons = rows.map((r) => ({
+      reason: r.reason ?? null,
+      label: r.reason ? labels.get(r.reason) ?? r.reason : "Без причины",
+      totalOrders: Number(r.total_orders) || 0,
+      totalSum: Number(r.total_sum) || 0,
+      refunds: Number(r.refunds) || 0,
+    }));
+
+    const totals = reasons.reduce(
+      (acc, r) => ({
+        totalOrders: acc.totalOrders + r.totalOrders,
+        totalSum: acc.totalSum + r.totalSum,
+        refunds: acc.refunds + r.refunds,
+      }),
+      { totalOrders: 0, totalSum: 0, refunds: 0 }
+    );
+
+    res.json({ ok: true, reasons, totals });
+  } catch (err) {
+    console.error("getCancellationReport error:", err);
+    res.status(500).json({ ok: false, error: "Ошибка сервера" });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Сводка НДС за период: завершённые заказы, разбивка по категории и ставке
+// из current_orders.vat_breakdown. Заказы без разбивки (созданы до учёта НДС)
+// считаются отдельно в untaxed — их нужно пересчитать или учесть вручную.
+// ─────────────────────────────────────────────────────────────────────────────
+export async function getVatReport(req, res) {
+  try {
+    const ctx = await resolveCompanyContext(req, res);
+    if (!ctx) return;
+    const { companyId } = ctx;
+
+    const { startDate, endDate } = req.query;
+    if (!startDate || !endDate) {
+      return res.status(400).json({ ok: false, error: "startDate and endDate are required" });
+    }
+
+    await ensureCompletedAtColumn();
+    await ensureOrderColumns();
+
+    const [rows] = await pool.query(
+      `SELECT
+          vb.category,
+          vb.rate,
+          COUNT(DISTINCT co.order_id) AS total_orders,
+          COALESCE(SUM(vb.net), 0)   AS net,
+          COALESCE(SUM(vb.vat), 0)   AS vat,
+          COALESCE(SUM(vb.gross), 0) AS gross
+       FROM current_orders co
+       JOIN JSON_TABLE(
+           co.vat_breakdown,
+           '$[*]' COLUMNS (
+               category VARCHAR(16)   PATH '$.category',
+               rate     DECIMAL(5,2)  PATH '$.rate',
+               net      DECIMAL(10,2) PATH '$.net',
+               vat      DECIMAL(10,2) PATH '$.vat',
+               gross    DECIMAL(10,2) PATH '$.gross'
+           )
+       ) AS vb
+       WHERE co.company_id = ?
+         AND co.status = 'completed'
+         AND co.vat_breakdown IS NOT NULL
+         AND DATE(COALESCE(co.completed_at, co.updated_at)) BETWEEN ? AND ?
+       GROUP BY vb.category, vb.rate
+       ORDER BY vb.rate DESC, vb.category ASC`,
+      [companyId, startDate, endDate]
+    );
+
+    const [[untaxedRow]] = await pool.query(
+      `SELECT COUNT(*) AS total_orders, COALESCE(SUM(co.amount_total), 0) AS gross
+       FROM current_orders co
+       WHERE co.company_id = ?
+         AND co.status = 'completed'
+         AND co.vat_breakdown IS NULL
+         AND DATE(COALESCE(co.completed_at, co.updated_at)) BETWEEN ? AND ?`,
+      [companyId, startDate, endDate]
+    );
+
+    const lines = rows.map((r) => ({
+      category: r.category,
+      rate: Number(r.rate) || 0,
+      totalOrders: Number(r.total_orders) || 0,
+      net: Number(r.net) || 0,
+      vat: Number(r.vat) || 0,
+      gross: Number(r.gross) || 0,
+    }));
+
+    // Итоги по ставке — то, что идёт в декларацию PVN
+    const byRate = new Map();
+    for (const l of lines) {
+      const acc = byRate.get(l.rate) || { rate: l.rate, net: 0, vat: 0, gross: 0 };
+      acc.net += l.net;
+      acc.vat += l.vat;
+      acc.gross += l.gross;
+      byRate.set(l.rate, acc);
+    }
+    const round2 = (v) => Math.round(v * 100) / 100;
+    const rates = [...byRate.values()].map((r) => ({
+      rate: r.rate,
+      net: round2(r.net),
+      vat: round2(r.vat),
+      gross: round2(r.gross),
+    }));
+
+    const totals = rates.reduce(
+      (acc, r) => ({
+        net: round2(acc.net + r.net),
+        vat: round2(acc.vat + r.vat),
+        gross: round2(acc.gross + r.gross),
+      }),
+      { net: 0, vat: 0, gross: 0 }
+    );
+
+    res.json({
+      ok: true,
+      lines,
+      rates,
+      totals,
+      untaxed: {
+        totalOrders: Number(untaxedRow.total_orders) || 0,
+        gross: Number(untaxedRow.gross) || 0,
+      },
+    });
+  } catch (err) {
+    console.error("getVatReport error:", err);
+    res.status(500).json({ ok: false, error: "Ошибка сервера" });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Доставка вовремя за период (GET /api/report/on-time): доля завершённых
+// заказов с completed_at <= promised_at — по курьерам и по дням завершения.
+// Заказы без promised_at (созданы до учёта SLA) в проценты не входят.
+// ─────────────────────────────────────────────────────────────────────────────
+export async function getOnTimeReport(req, res) {
+  try {
+    const ctx = await resolveCompanyContext(req, res);
+    if (!ctx) return;
+    const { companyId } = ctx;
+
+    const { startDate, endDate } = req.query;
+    if (!startDate || !endDate) {
+      return res.status(400).json({ ok: false, error: "startDate and endDate are required" });
+    }
+
+    await ensureCompletedAtColumn();
+    await ensureOrderColumns();
+
+    const statsSql = `
+          COUNT(*) AS total_orders,
+          COALESCE(SUM(co.completed_at <= co.promised_at), 0) AS on_time,
+          AVG(CASE WHEN co.completed_at > co.promised_at
+                   THEN TIMESTAMPDIFF(MINUTE, co.promised_at, co.completed_at) END) AS avg_late_minutes`;
+    const whereSql = `
+       WHERE co.company_id = ?
+         AND co.status = 'completed'
+         AND co.promised_at IS NOT NULL
+         AND co.completed_at IS NOT NULL
+         AND DATE(co.completed_at) BETWEEN ? AND ?`;
+    const params = [companyId, startDate, endDate];
+
+    const [courierRows] = await pool.query(
+      `SELECT co.courier_unit_id AS courier_id, cu.nickname AS courier_name, ${statsSql}
+       FROM current_orders co
+       LEFT JOIN users cu ON cu.user_id = co.courier_unit_id
+       ${whereSql}
+       GROUP BY co.courier_unit_id, cu.nickname
+       ORDER BY total_orders DESC`,
+      params
+    );
+
+    const [dayRows] = await pool.query(
+      `SELECT DATE_FORMAT(co.completed_at, '%Y-%m-%d') AS day, ${statsSql}
+       FROM current_orders co
+       ${whereSql}
+       GROUP BY day
+       ORDER BY day ASC`,
+      params
+    );
+
+    const toStats = (r) => {
+      const totalOrders = Number(r.total_orders) || 0;
+      const onTime = Number(r.on_time) || 0;
+      return {
+        totalOrders,
+        onTime,
+        late: totalOrders - onTime,
+        onTimePercent: totalOrders ? Math.round((onTime / totalOrders) * 1000) / 10 : null,
+        avgLateMinutes: r.avg_late_minutes != null ? Math.round(Number(r.avg_late_minutes)) : null,
+      };
+    };
+
+    const couriers = courierRows.map((r) => ({
+      courierId: r.courier_id ?? null,
+      courierName: r.courier_id == null ? "Unassigned" : r.courier_name || "",
+      ...toStats(r),
+    }));
+    const days = dayRows.map((r) => ({ day: r.day, ...toStats(r) }));
+
+    // средняя задержка за период — взвешенная по числу опозданий в каждом дне
+    const sum = dayRows.reduce(
+      (acc, r, i) => ({
+        total_orders: acc.total_orders + days[i].totalOrders,
+        on_time: acc.on_time + days[i].onTime,
+        late_minutes: acc.late_minutes + Number(r.avg_late_minutes || 0) * days[i].late,
+      }),
+      { total_orders: 0, on_time: 0, late_minutes: 0 }
+    );
+    const lateTotal = sum.total_orders - sum.on_time;
+    const totals = toStats({
+      ...sum,
+      avg_late_minutes: lateTotal ? sum.late_minutes / lateTotal : null,
+    });
+
+    res.json({ ok: true, couriers, days, totals });
+  } catch (err) {
+    console.error("getOnTimeReport error:", err);
+    res.status(500).json({ ok: false, error: "Ошибка сервера" });
+  }
+}
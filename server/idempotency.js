@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import pool from "./db.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Idempotency-Key для «опасных» POST/PATCH (создание заказа, assign/complete).
+//
+// Клиент при повторе запроса (сеть моргнула) шлёт тот же заголовок
+// Idempotency-Key. Первый запрос выполняется как обычно, его ответ сохраняется;
+// повторы получают сохранённый ответ (заголовок Idempotency-Replayed: true)
+// вместо второго INSERT. Ключи живут IDEMPOTENCY_TTL_HOURS в рамках компании.
+//
+// Без заголовка middleware ничего не делает — старые клиенты работают как раньше.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+const MAX_KEY_LENGTH = 128;
+
+// ── Ленивая миграция таблицы ─────────────────────────────────────────────────
+let _tableReady = false;
+async function ensureIdempotencyTable() {
+    if (_tableReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+            company_id     INT          NOT NULL,
+            scope          VARCHAR(64)  NOT NULL,
+            idem_key       VARCHAR(128) NOT NULL,
+            request_hash   CHAR(64)     NOT NULL,
+            status_code    INT          NULL,
+            response_json  MEDIUMTEXT   NULL,
+            created_at     DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            expires_at     DATETIME     NOT NULL,
+            PRIMARY KEY (company_id, scope, idem_key),
+            KEY idx_expires (expires_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tableReady = true;
+}
+
+// Отпечаток запроса: тот же ключ с другим телом/адресом — ошибка клиента
+function requestHash(req) {
+    return crypto
+        .createHash("sha256")
+        .update(`${req.method} ${req.originalUrl}\n`)
+        .update(String(req.user?.userId ?? ""))
+        .update("\n")
+        .update(JSON.stringify(req.body ?? null))
+        .digest("hex");
+}
+
+/**
+ * idempotency(scope) — express-middleware.
+ * scope отделяет разные операции (один ключ можно использовать в разных scope).
+ * Ставится после authMiddleware: компания берётся из req.user.
+ */
+export function idempotency(scope) {
+    return async (req, res, next) => {
+        const key = req.get("Idempotency-Key");
+        if (!key) return next();
+
+        if (key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({ ok: false, error: "Слишком длинный Idempotency-Key" });
+        }
+
+        const companyId = Number(req.user?.companyId ?? req.user?.company_id);
+        if (!Number.isFinite(companyId)) return next();
+
+        try {
+            await ensureIdempotencyTable();
+            const hash = requestHash(req);
+
+            // протухшие ключи компании чистим попутно
+            await pool.query(
+                "DELETE FROM idempotency_keys WHERE company_id=? AND expires_at < NOW() LIMIT 100",
+                [companyId]
+            );
+
+            try {
+                await pool.query(
+                    `INSERT INTO idempotency_keys (company_id, scope, idem_key, request_hash, expires_at)
+                     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+                    [companyId, scope, key, hash, TTL_HOURS]
+                );
+            } catch (e) {
+                if (e?.code !== "ER_DUP_ENTRY") throw e;
+
+                const [[saved]] = await pool.query(
+                    `SELECT request_hash, status_code, response_json
+                       FROM idempotency_keys
+                      WHERE company_id=? AND scope=? AND idem_key=?`,
+                    [companyId, scope, key]
+                );
+                if (!saved) {
+                    return res.status(409).json({ ok: false, error: "Повторите запрос" });
+                }
+                if (saved.request_hash !== hash) {
+                    return res.status(422).json({
+                        ok: false,
+                        error: "Idempotency-Key уже использован для другого запроса",
+                    });
+                }
+                if (saved.status_code == null) {
+                    return res.status(409).json({
+                        ok: false,
+                        error: "Запрос с этим Idempotency-Key ещё выполняется",
+                    });
+                }
+
+                let body = null;
+                try { body = JSON.parse(saved.response_json); } catch {}
+                res.set("Idempotency-Replayed", "true");
+                return res.status(saved.status_code).json(body);
+            }
+        } catch (e) {
+            console.error(`[idempotency] ${scope} error:`, e?.message ?? e);
+            return res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+
+        // Перехватываем ответ обработчика, чтобы сохранить его для повторов
+        let captured;
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            captured = body;
+            return originalJson(body);
+        };
+
+        res.on("close", () => {
+            // 5xx или ответа нет (обрыв) — ключ освобождаем, повтор выполнится заново
+            const store = captured !== undefined && res.statusCode < 500;
+            const sql = store
+                ? `UPDATE idempotency_keys SET status_code=?, response_json=?
+                    WHERE company_id=? AND scope=? AND idem_key=?`
+                : `DELETE FROM idempotency_keys WHERE company_id=? AND scope=? AND idem_key=?`;
+            const params = store
+                ? [res.statusCode, JSON.stringify(captured), companyId, scope, key]
+                : [companyId, scope, key];
+            pool.query(sql, params).catch((e) =>
+                console.error(`[idempotency] ${scope} save failed:`, e?.message ?? e)
+            );
+        });
+
+        next();
+    };
+}
@@ -2,37 +2,72 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import http from 'http';
-import cron from 'node-cron';
 import { getUser } from "./getUser.js";
 import { getCompany } from "./getCompany.js";
 import menuApi from "./menuApi.js";
 import { getCustomerAddressByPhone } from "./customerAddressByPhone.js";
 import { WebSocketServer } from 'ws';
 import { activatePreorders } from "./jobs/activatePreorders.js";
+import { checkOrderSla } from "./jobs/checkOrderSla.js";
+import { generateRecurringOrders } from "./jobs/generateRecurringOrders.js";
+import { scheduleJob } from "./jobs/jobRunner.js";
+import { registerJobHandler, startQueueWorker } from "./jobs/queue.js";
 import {
     register,
     login,
     courierlogin,
+    refreshTokens,
+    logout,
+    listMySessions,
+    revokeMySession,
+    authenticateSocketToken,
     authMiddleware,
     setup2FA,
     verifySetup2FA,
     disable2FA,
     get2FAStatus,
-    verifyLogin2FA
+    verifyLogin2FA,
+    regenerateRecoveryCodes
 } from './auth.js';
 import mobileOrdersRouter from "./mobileOrdersRouter.js";
 import path from "path";
 import { fileURLToPath } from "url";
-import { listUnits, createUnit, updateUnit, deleteUnit } from "./companyUnits.js";
-import { getReport, getMobileTodayReport } from "./getReport.js";
+import {
+    listUnits,
+    createUnit,
+    updateUnit,
+    deleteUnit,
+    listUnitSessions,
+    revokeUnitSession,
+    revokeUnitSessions,
+} from "./companyUnits.js";
+import { onSessionsRevoked, listActiveSessions, isSessionActive } from "./sessions.js";
+import { requestPasswordReset, confirmPasswordReset } from "./passwordReset.js";
+import {
+    getReport,
+    getMobileTodayReport,
+    getCancellationReport,
+    getVatReport,
+    getOnTimeReport,
+} from "./getReport.js";
 import { getCouriers, searchMenuItems, getPickupPoints } from "./orderSupport.js";
-import currentOrdersRouter from "./currentOrder.js";
+import currentOrdersRouter, { geocodeOrderJob } from "./currentOrder.js";
+import kitchenRouter from "./kitchen.js";
 import deliveryZonesRouter from "./deliveryZones.js";
-import createCustomersRouter from "./customers.js";
+import createCustomersRouter, { deliverSmsBroadcast, markSmsBroadcastFailed } from "./customers.js";
+import createPromoCodesRouter from "./promoCodes.js";
+import createTaxRatesRouter from "./taxRates.js";
+import createCompanySettingsRouter from "./companySettings.js";
+import createRecurringOrdersRouter from "./recurringOrders.js";
+import createPreorderSlotsRouter from "./preorderSlots.js";
+import createAdminJobsRouter from "./adminJobs.js";
 import {
     savePushToken,
     deletePushTokensByUnit,
+    deletePushTokensBySessions,
     sendOrderPush,
+    sendCourierPush,
+    deliverExpoChunk,
 } from "./services/pushService.js";
 import {
     geoapifyGeocodeByText,
@@ -46,6 +81,15 @@ const __dirname  = path.dirname(__filename);
 const PORT       = process.env.PORT || 4000;
 const app        = express();
 
+// ─── Reverse proxy ───────────────────────────────────────────────────────────
+// TRUST_PROXY — число хопов или адреса/подсети своих прокси ("loopback, 10.0.0.0/8").
+// Только тогда req.ip берётся из X-Forwarded-For (правый недоверенный хоп);
+// без настройки заголовок игнорируется — его присылает сам клиент.
+if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY.trim();
+    app.set("trust proxy", /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
 // ─── CORS / static ───────────────────────────────────────────────────────────
 app.use(
     "/companyLogo",
@@ -71,6 +115,12 @@ app.get('/health', (_, res) => res.send('OK'));
 app.post("/api/auth/register",         register);
 app.post("/api/auth/login",            login);
 app.post("/api/auth/courierlogin",     courierlogin);
+app.post("/api/auth/refresh",          refreshTokens);
+app.post("/api/auth/logout",           logout);
+app.post("/api/auth/password-reset/request", requestPasswordReset);
+app.post("/api/auth/password-reset/confirm", confirmPasswordReset);
+app.get("/api/auth/sessions",              authMiddleware, listMySessions);
+app.delete("/api/auth/sessions/:sessionId", authMiddleware, revokeMySession);
 app.get("/api/profile", authMiddleware, (req, res) => res.json({ ok: true, user: req.user }));
 
 // ─── 2FA ─────────────────────────────────────────────────────────────────────
@@ -78,6 +128,7 @@ app.post("/api/auth/2fa/setup",        authMiddleware, setup2FA);
 app.post("/api/auth/2fa/verify-setup", authMiddleware, verifySetup2FA);
 app.post("/api/auth/2fa/disable",      authMiddleware, disable2FA);
 app.get("/api/auth/2fa/status",        authMiddleware, get2FAStatus);
+app.post("/api/auth/2fa/recovery-codes", authMiddleware, regenerateRecoveryCodes);
 app.post("/api/auth/2fa/verify-login", verifyLogin2FA);
 
 // WSS объявляем заранее, чтобы broadcast-функции были доступны до регистрации роутов
@@ -143,18 +194,77 @@ function broadcastToCompany(companyId, payload) {
     });
 }
 
+// ─── Отзыв сессий: закрыть WebSocket устройства и удалить его push-токены ────
+// WS знает свою сессию по token из hello. Сокеты без сессии (токен выдан до
+// появления сессий) узнаются по userId/courierId — их закрываем, когда у
+// пользователя не осталось ни одной сессии. Слушатель срабатывает только в
+// процессе, где сессию отозвали; остальные процессы закрывают сокеты при
+// периодической проверке ниже.
+onSessionsRevoked(async ({ userId, sessionIds, allSessions }) => {
+    const remaining = allSessions ? 0 : (await listActiveSessions(userId)).length;
+    const noSessionsLeft = remaining === 0;
+
+    if (wss) {
+        const sids = new Set(sessionIds);
+        wss.clients.forEach((ws) => {
+            const bySession = ws.sessionId && sids.has(ws.sessionId);
+            const byUser = !ws.sessionId && noSessionsLeft &&
+                (ws.userId === userId || ws.courierId === String(userId));
+            if (bySession || byUser) {
+                try { ws.close(4001, 'session_revoked'); } catch {}
+            }
+        });
+    }
+
+    await deletePushTokensBySessions(userId, sessionIds, { includeUnbound: noSessionsLeft });
+});
+
+// Сессии открытых сокетов: отзыв в другом процессе виден здесь не позже
+// SOCKET_SESSION_CHECK_MS (+ кеш isSessionActive)
+const SOCKET_SESSION_CHECK_MS = Number(process.env.SOCKET_SESSION_CHECK_MS || 30 * 1000);
+setInterval(() => {
+    if (!wss) return;
+    wss.clients.forEach((ws) => {
+        const sid = ws.sessionId;
+        if (!sid) return;
+        isSessionActive(sid)
+            .then((active) => {
+                if (!active && ws.sessionId === sid) ws.close(4001, 'session_revoked');
+            })
+            .catch((err) => console.warn('WS session check failed:', err?.message ?? err));
+    });
+}, SOCKET_SESSION_CHECK_MS);
+
 // ─── Current Orders (admin) ──────────────────────────────────────────────────
 // broadcastToAll — чтобы курьеры тоже получали order_created / order_updated
 // от действий администратора (CreateOrder.jsx / EditOrder.jsx)
 //
 // broadcastAndPush — аддитивная обёртка: помимо WS, при создании заказа
-// (order_created) отправляет push-уведомление курьерам компании. WS-логику
+// (order_created) и активации предзаказа (order_updated с reason
+// 'preorder_activated') отправляет push-уведомление курьерам компании, а при
+// отмене (order_cancelled) — курьеру, с которого сняли заказ. WS-логику
 // не меняем — currentOrder.js по-прежнему вызывает один аргумент.
 function broadcastAndPush(payload) {
     broadcastToAll(payload);
     if (payload?.type === "order_created" && typeof payload.companyId === "number") {
         sendOrderPush(payload.companyId, payload.order);
     }
+    if (
+        payload?.type === "order_updated" &&
+        payload.reason === "preorder_activated" &&
+        typeof payload.companyId === "number"
+    ) {
+        sendOrderPush(payload.companyId, payload.order, {
+            type: "preorder_activated",
+            title: "Предзаказ активирован",
+        });
+    }
+    if (payload?.type === "order_cancelled" && payload.courierId != null) {
+        sendCourierPush(payload.companyId, payload.courierId, payload.order, {
+            type: "order_cancelled",
+            title: "Заказ отменён",
+        });
+    }
 }
 
 app.use(
@@ -177,7 +287,7 @@ app.post("/api/push/register-token", authMiddleware, async (req, res) => {
             console.warn(`[push] register-token unauthorized: unit=${unitId} company=${companyId}`);
             return res.status(401).json({ ok: false, error: "unauthorized" });
         }
-        await savePushToken({ unitId, companyId, token, platform });
+        await savePushToken({ unitId, companyId, token, platform, sessionId: req.user?.sid ?? null });
         console.log(`[push] token saved for unit=${unitId} company=${companyId}`);
         res.json({ ok: true });
     } catch (e) {
@@ -248,6 +358,28 @@ app.use("/api/delivery-zones", authMiddleware, deliveryZonesRouter);
 // ─── Customers (контроль клиентов, admin) ────────────────────────────────────
 app.use("/api/customers", authMiddleware, createCustomersRouter());
 
+// ─── Promo codes (admin) ─────────────────────────────────────────────────────
+app.use("/api/promo-codes", authMiddleware, createPromoCodesRouter());
+
+// ─── Tax rates (НДС компании, admin) ─────────────────────────────────────────
+app.use("/api/tax-rates", authMiddleware, createTaxRatesRouter());
+
+// ─── Preorder slots (ёмкость слотов предзаказов) ─────────────────────────────
+app.use("/api/preorder-slots", authMiddleware, createPreorderSlotsRouter());
+
+// ─── Recurring orders (регулярные предзаказы, admin) ─────────────────────────
+app.use(
+    "/api/recurring-orders",
+    authMiddleware,
+    createRecurringOrdersRouter({ broadcastToAdmins: broadcastAndPush })
+);
+
+// ─── Admin: фоновые задачи (состояние cron, ручной запуск) ───────────────────
+app.use("/api/admin/jobs", authMiddleware, createAdminJobsRouter());
+
+// ─── Kitchen (очередь точки выдачи, время приготовления) ─────────────────────
+app.use("/api/kitchen", authMiddleware, kitchenRouter({ broadcastToAdmins: broadcastAndPush }));
+
 // ─── Mobile Orders (couriers) ────────────────────────────────────────────────
 // broadcastToCompany — для assign/release (два аргумента: companyId, payload)
 app.use(
@@ -268,9 +400,13 @@ app.use("/api/menu", authMiddleware, menuApi);
 // ─── User / Company ──────────────────────────────────────────────────────────
 app.get("/api/user/me",    authMiddleware, getUser);
 app.get("/api/company/me", authMiddleware, getCompany);
+app.use("/api/company/settings", authMiddleware, createCompanySettingsRouter());
 
 // ─── Report ──────────────────────────────────────────────────────────────────
 app.get("/api/report", authMiddleware, getReport);
+app.get("/api/report/cancellations", authMiddleware, getCancellationReport);
+app.get("/api/report/vat", authMiddleware, getVatReport);
+app.get("/api/report/on-time", authMiddleware, getOnTimeReport);
 app.get("/api/mobile-report", authMiddleware, getMobileTodayReport);
 
 // ─── Staff ───────────────────────────────────────────────────────────────────
@@ -278,6 +414,9 @@ app.get("/api/staff",         authMiddleware, listUnits);
 app.post("/api/staff",        authMiddleware, createUnit);
 app.put("/api/staff/:id",     authMiddleware, updateUnit);
 app.delete("/api/staff/:id",  authMiddleware, deleteUnit);
+app.get("/api/staff/:id/sessions",                authMiddleware, listUnitSessions);
+app.delete("/api/staff/:id/sessions",             authMiddleware, revokeUnitSessions);
+app.delete("/api/staff/:id/sessions/:sessionId",  authMiddleware, revokeUnitSession);
 
 // ─── Demo / Location state ───────────────────────────────────────────────────
 const state     = new Map(); // courierId → { lat,lng,speedKmh,timestamp,orderId,status,courierNickname }
@@ -383,6 +522,49 @@ app.delete('/api/orders/:id', (req, res) => {
     broadcastToAdmins({ type: 'order_deleted', orderId: id });
 });
 
+// ─── WS hello ────────────────────────────────────────────────────────────────
+// Регистрация клиента. Нужен access-токен с действующей сессией: иначе
+// удалённо завершённое устройство сразу переподключилось бы (со старым токеном
+// или вовсе без него) и продолжило получать рассылки компании.
+async function handleHello(ws, data) {
+    const claims = await authenticateSocketToken(data.token);
+    if (ws.readyState !== ws.OPEN) return;
+    if (!claims) {
+        ws.close(4001, 'session_revoked');
+        return;
+    }
+
+    ws.clientType = data.role === 'admin' && claims.role !== 'courier' ? 'admin' : 'courier';
+    ws.sessionId  = claims.sid ?? null;
+    ws.userId     = claims.userId ?? null;
+
+    const cid    = Number(claims.companyId ?? data.companyId);
+    ws.companyId = Number.isFinite(cid) ? cid : null;
+
+    if (ws.clientType === 'courier' && typeof data.courierId !== 'undefined') {
+        ws.courierId = String(data.courierId);
+        if (data.courierNickname) {
+            try { unitsMeta.set(String(data.courierId), String(data.courierNickname)); } catch {}
+        }
+    }
+
+    if (ws.clientType === 'admin') {
+        // Снапшот геолокаций курьеров — только для админов
+        const snapshot = Array.from(state.entries()).map(([courierId, v]) => ({
+            courierId,
+            lat:             v.lat,
+            lng:             v.lng,
+            speedKmh:        v.speedKmh  ?? null,
+            orderId:         v.orderId   ?? null,
+            status:          v.status    ?? 'unknown',
+            timestamp:       v.timestamp ?? new Date().toISOString(),
+            courierNickname: v.courierNickname ?? unitsMeta.get(String(courierId)) ?? null,
+        }));
+        ws.send(JSON.stringify({ type: 'snapshot', items: snapshot }));
+        ws.send(JSON.stringify({ type: 'orders_snapshot', items: Array.from(orders.values()) }));
+    }
+}
+
 // ─── WebSocket Server ────────────────────────────────────────────────────────
 const server = http.createServer(app);
 wss = new WebSocketServer({ server });
@@ -391,6 +573,8 @@ wss.on('connection', (ws) => {
     ws.clientType = 'unknown';
     ws.companyId  = null;
     ws.courierId  = null;
+    ws.sessionId  = null;
+    ws.userId     = null;
 
     ws.on('message', (raw) => {
         const data = parseJsonSafe(raw);
@@ -398,33 +582,10 @@ wss.on('connection', (ws) => {
 
         // ── Hello: регистрация клиента ──────────────────────────────────
         if (data.type === 'hello') {
-            ws.clientType = data.role === 'admin' ? 'admin' : 'courier';
-
-            const cid    = Number(data.companyId);
-            ws.companyId = Number.isFinite(cid) ? cid : null;
-
-            if (ws.clientType === 'courier' && typeof data.courierId !== 'undefined') {
-                ws.courierId = String(data.courierId);
-                if (data.courierNickname) {
-                    try { unitsMeta.set(String(data.courierId), String(data.courierNickname)); } catch {}
-                }
-            }
-
-            if (ws.clientType === 'admin') {
-                // Снапшот геолокаций курьеров — только для админов
-                const snapshot = Array.from(state.entries()).map(([courierId, v]) => ({
-                    courierId,
-                    lat:             v.lat,
-                    lng:             v.lng,
-                    speedKmh:        v.speedKmh  ?? null,
-                    orderId:         v.orderId   ?? null,
-                    status:          v.status    ?? 'unknown',
-                    timestamp:       v.timestamp ?? new Date().toISOString(),
-                    courierNickname: v.courierNickname ?? unitsMeta.get(String(courierId)) ?? null,
-                }));
-                ws.send(JSON.stringify({ type: 'snapshot', items: snapshot }));
-                ws.send(JSON.stringify({ type: 'orders_snapshot', items: Array.from(orders.values()) }));
-            }
+            handleHello(ws, data).catch((err) => {
+                console.warn('WS hello error', err?.message ?? err);
+                try { ws.close(1011, 'server_error'); } catch {}
+            });
             return;
         }
 
@@ -465,6 +626,8 @@ wss.on('connection', (ws) => {
         ws.clientType = 'unknown';
         ws.companyId  = null;
         ws.courierId  = null;
+        ws.sessionId  = null;
+        ws.userId     = null;
     });
 
     ws.on('error', (err) => {
@@ -472,18 +635,50 @@ wss.on('connection', (ws) => {
     });
 });
 
-// ─── Cron Job: Активация предзаказов каждую минуту ──────────────────────────
-// Предзаказы становятся активными за 2 часа до scheduled_at
-const cronJob = cron.schedule('* * * * *', async () => {
-    try {
-        await activatePreorders(broadcastToAll);
-    } catch (err) {
-        console.error('[Cron] activatePreorders error:', err?.message ?? err);
-    }
-});
+// ─── Cron Jobs ───────────────────────────────────────────────────────────────
+// Планируются в каждом процессе, но запуск выполняет только захвативший
+// аренду в scheduled_jobs (jobs/jobRunner.js) — при нескольких контейнерах
+// задачи не дублируются. Состояние и ручной запуск: /api/admin/jobs.
+
+// Активация предзаказов каждую минуту: за preorderLeadMinutes до scheduled_at
+// (настройки компании / зоны / точки выдачи); просроченные — сразу, с order_late
+scheduleJob('activatePreorders', '* * * * *', () =>
+    activatePreorders(broadcastAndPush, broadcastToAdmins)
+);
 
 console.log('[Cron] ✅ activatePreorders job scheduled (every minute)');
 
+// SLA — заказы под угрозой опоздания и опоздавшие.
+// order_at_risk / order_late — только админам (панель диспетчера)
+scheduleJob('checkOrderSla', '* * * * *', () => checkOrderSla(broadcastToAdmins));
+
+console.log('[Cron] ✅ checkOrderSla job scheduled (every minute)');
+
+// Предзаказы по регулярным расписаниям.
+// Каждые 15 минут — новые расписания и снятые с паузы подхватываются быстро
+scheduleJob('generateRecurringOrders', '*/15 * * * *', () =>
+    generateRecurringOrders(broadcastAndPush),
+    { minIntervalSeconds: 14 * 60 }
+);
+
+console.log('[Cron] ✅ generateRecurringOrders job scheduled (every 15 minutes)');
+
+// ─── Job queue: побочные эффекты с повторами (jobs/queue.js) ─────────────────
+// concurrency — на процесс; задачи из job_queue разбирают все контейнеры
+registerJobHandler("geocode.order", (p) => geocodeOrderJob(p, broadcastAndPush), {
+    concurrency: 2,
+    maxAttempts: 6,
+    backoffMs: 10 * 1000,
+});
+registerJobHandler("push.expo", deliverExpoChunk, { concurrency: 4, maxAttempts: 5, backoffMs: 5 * 1000 });
+registerJobHandler("sms.broadcast", deliverSmsBroadcast, {
+    concurrency: 1,
+    maxAttempts: 5,
+    backoffMs: 60 * 1000,
+    onDeadLetter: markSmsBroadcastFailed,
+});
+startQueueWorker();
+
 server.listen(PORT, () => {
     console.log(`HTTP + WS server running on port ${PORT}`);
 });
@@ -1,60 +1,77 @@
 import pool from "../db.js";
-import { rowToPanelDto } from "../currentOrder.js";
+import { rowToPanelDto, ensureOrderColumns } from "../currentOrder.js";
+import { diffOrderRows, actorFromUser, recordOrderEvent } from "../orderEvents.js";
+import { ensureCompanySettingsTable, DEFAULT_COMPANY_SETTINGS } from "../companySettings.js";
+import { ensureDeliveryZonesTable } from "../deliveryZones.js";
 
 /**
- * activatePreorders(broadcastToAdmins)
+ * activatePreorders(broadcast, broadcastToAdmins = broadcast)
  * 
- * Автоматически переводит предзаказы в активные заказы за 2 часа до их scheduled_at
+ * Автоматически переводит предзаказы в активные заказы за preorderLeadMinutes
+ * до их scheduled_at. Время берётся по приоритету: точка выдачи
+ * (pickup_point_settings) → зона доставки (delivery_zones.preorder_lead_minutes)
+ * → настройки компании (по умолчанию 120 минут).
  * 
  * Логика:
- * 1. SELECT предзаказы: scheduled_at > NOW() (ещё не наступили) И 
- *    scheduled_at <= NOW() + 2 HOUR (до них осталось ≤ 2 часа),
- *    order_type='preorder', status NOT IN ('completed','cancelled')
- * 2. UPDATE каждого: order_type='active', в защищённой транзакции
- * 3. broadcastToAdmins для каждого переведённого заказа
- * 4. Логирование результатов
+ * 1. SELECT предзаказы: scheduled_at <= UTC_TIMESTAMP() + lead MINUTE,
+ *    order_type='preorder', status NOT IN ('completed','cancelled').
+ *    Нижней границы нет: просроченные предзаказы (например, сервер лежал)
+ *    тоже активируются — это «догоняющая» активация
+ * 2. UPDATE каждого: order_type='active' с условием order_type='preorder' —
+ *    повторный или параллельный запуск не активирует заказ дважды.
+ *    Просроченный сразу помечается опоздавшим (sla_late_at), чтобы
+ *    jobs/checkOrderSla.js не считал его «под угрозой»
+ * 3. Событие 'preorder_activated' в историю заказа (order_events)
+ * 4. broadcast: order_updated с reason 'preorder_activated' (index.js по нему
+ *    шлёт push курьерам); для просроченных — ещё order_late админам
+ * 5. Логирование результатов
  * 
+ * Возвращает { activated, overdue, errors }; критическая ошибка пробрасывается
+ * (её учитывает jobs/jobRunner.js).
  */
-export async function activatePreorders(broadcastToAdmins) {
+export async function activatePreorders(broadcast, broadcastToAdmins = broadcast) {
     const startTime = new Date();
     console.log(`[activatePreorders] ⏱️ Запуск в ${startTime.toISOString()}`);
     
     let conn;
     try {
         conn = await pool.getConnection();
-        
-        // DEBUG: Проверим текущее время БД
-        const [[{ db_now }]] = await conn.query(`SELECT NOW() as db_now`);
-        console.log(`[activatePreorders] 🕐 Время БД: ${db_now}`);
+        await ensureOrderColumns();
+        await ensureCompanySettingsTable();
+        await ensureDeliveryZonesTable();
         
         // ✅ ПОЛНОСТЬЮ НА SQL: SELECT только те заказы, которые нужно активировать СЕЙЧАС
-        // Условие: scheduled_at > NOW() (ещё не наступили) И 
-        //          scheduled_at <= NOW() + 2 HOUR (до них осталось ≤ 2 часа)
+        // Условие: scheduled_at <= UTC_TIMESTAMP() + lead MINUTE (scheduled_at хранится в UTC);
+        //          is_overdue — время предзаказа уже прошло
+        const lead = `COALESCE(pps.preorder_lead_minutes, dz.preorder_lead_minutes,
+                               cs.preorder_lead_minutes, ?)`;
         const [toActivate] = await conn.query(
             `SELECT 
-                order_id, company_id, customer_name, customer_phone, order_no,
-                order_seq, order_seq_date, address_street, address_house,
-                address_building, address_apartment, address_floor, address_code,
-                address_lat, address_lng, geocoded_at, geocode_provider,
-                status, order_type, payment_method, people_amount, delivery_fee,
-                amount_total, amount_subtotal, amount_discount, items_json,
-                created_at, updated_at, scheduled_at,
-                courier_unit_id, dispatcher_unit_id, pickup_unit_id,
-                NULL AS courier_nickname, NULL AS pickup_nickname
-             FROM current_orders
-             WHERE order_type = 'preorder'
-               AND scheduled_at IS NOT NULL
-               AND status NOT IN ('completed', 'cancelled')
-               AND scheduled_at > NOW()
-               AND scheduled_at <= DATE_ADD(NOW(), INTERVAL 2 HOUR)
-             ORDER BY scheduled_at ASC
+                co.*,
+                cu1.nickname AS courier_nickname, cu2.nickname AS pickup_nickname,
+                ${lead} AS lead_minutes,
+                co.scheduled_at <= UTC_TIMESTAMP() AS is_overdue,
+                TIMESTAMPDIFF(MINUTE, co.scheduled_at, UTC_TIMESTAMP()) AS minutes_overdue
+             FROM current_orders co
+             LEFT JOIN pickup_point_settings pps
+                    ON pps.company_id = co.company_id AND pps.pickup_unit_id = co.pickup_unit_id
+             LEFT JOIN delivery_zones dz
+                    ON dz.zone_id = co.delivery_zone_id AND dz.company_id = co.company_id
+             LEFT JOIN company_settings cs ON cs.company_id = co.company_id
+             LEFT JOIN users cu1 ON cu1.user_id = co.courier_unit_id
+             LEFT JOIN users cu2 ON cu2.user_id = co.pickup_unit_id
+             WHERE co.order_type = 'preorder'
+               AND co.scheduled_at IS NOT NULL
+               AND co.status NOT IN ('completed', 'cancelled')
+               AND co.scheduled_at <= DATE_ADD(UTC_TIMESTAMP(), INTERVAL ${lead} MINUTE)
+             ORDER BY co.scheduled_at ASC
              LIMIT 100`,
-            []
+            [DEFAULT_COMPANY_SETTINGS.preorderLeadMinutes, DEFAULT_COMPANY_SETTINGS.preorderLeadMinutes]
         );
 
         if (!toActivate || toActivate.length === 0) {
             console.log(`[activatePreorders] ✅ Нет предзаказов к активации в этот момент`);
-            return;
+            return { activated: 0, overdue: 0, errors: 0 };
         }
 
         console.log(`[activatePreorders] 🔄 К активации: ${toActivate.length}`);
@@ -62,6 +79,7 @@ export async function activatePreorders(broadcastToAdmins) {
         // Обработка каждого заказа
         const results = {
             success: 0,
+            overdue: 0,
             errors: [],
         };
 
@@ -86,26 +104,67 @@ export async function activatePreorders(broadcastToAdmins) {
                     continue;
                 }
 
-                // UPDATE: переводим в активные
+                const isOverdue = Number(row.is_overdue) === 1;
+
+                // UPDATE: переводим в активные; просроченный — сразу опоздавший
+                // (promised_at у предзаказа = scheduled_at, старым заказам проставляем)
                 const [updateResult] = await conn.query(
-                    `UPDATE current_orders 
-                     SET order_type = 'active', updated_at = NOW()
-                     WHERE order_id = ? AND order_type = 'preorder'`,
+                    isOverdue
+                        ? `UPDATE current_orders 
+                           SET order_type = 'active', updated_at = NOW(), version = version + 1,
+                               promised_at = COALESCE(promised_at, scheduled_at),
+                               sla_at_risk_at = COALESCE(sla_at_risk_at, UTC_TIMESTAMP()),
+                               sla_late_at = COALESCE(sla_late_at, UTC_TIMESTAMP())
+                           WHERE order_id = ? AND order_type = 'preorder'`
+                        : `UPDATE current_orders 
+                           SET order_type = 'active', updated_at = NOW(), version = version + 1
+                           WHERE order_id = ? AND order_type = 'preorder'`,
                     [row.order_id]
                 );
 
                 if (updateResult.affectedRows > 0) {
-                    console.log(`[activatePreorders] ✅ Заказ ${row.order_id} (${row.order_no}) активирован`);
+                    const minutesLate = isOverdue ? Math.max(0, Number(row.minutes_overdue) || 0) : 0;
+                    console.log(
+                        `[activatePreorders] ✅ Заказ ${row.order_id} (${row.order_no}) активирован` +
+                        (isOverdue ? ` с опозданием на ${minutesLate} мин` : ` (за ${row.lead_minutes} мин)`)
+                    );
                     results.success++;
+                    if (isOverdue) results.overdue++;
+
+                    const after = {
+                        ...row,
+                        order_type: 'active',
+                        version: row.version + 1,
+                        promised_at: isOverdue ? (row.promised_at ?? row.scheduled_at) : row.promised_at,
+                    };
+                    await recordOrderEvent({
+                        companyId: row.company_id,
+                        orderId: row.order_id,
+                        action: 'preorder_activated',
+                        actor: actorFromUser(null),
+                        changes: diffOrderRows(row, after),
+                    });
 
-                    // Отправляем broadcastToAdmins с обновлённым заказом
-                    const dto = rowToPanelDto(row);
+                    // Отправляем broadcast с обновлённым заказом
+                    const dto = rowToPanelDto(after);
                     try {
-                        broadcastToAdmins({
+                        broadcast({
                             type: 'order_updated',
+                            reason: 'preorder_activated',
                             companyId: row.company_id,
-                            order: { ...dto, orderType: 'active' },
+                            order: dto,
+                            ...(isOverdue ? { late: true, minutesLate } : {}),
                         });
+                        if (isOverdue) {
+                            broadcastToAdmins({
+                                type: 'order_late',
+                                companyId: row.company_id,
+                                orderId: row.order_id,
+                                promisedAt: after.promised_at,
+                                minutesLate,
+                                order: dto,
+                            });
+                        }
                     } catch (wsErr) {
                         console.error(
                             `[activatePreorders] ⚠️ Ошибка при отправке WS для заказа ${row.order_id}:`,
@@ -126,7 +185,7 @@ export async function activatePreorders(broadcastToAdmins) {
         }
 
         console.log(
-            `[activatePreorders] ✨ Завершено. Успешно: ${results.success}, Ошибок: ${results.errors.length}`
+            `[activatePreorders] ✨ Завершено. Успешно: ${results.success} (просроченных: ${results.overdue}), Ошибок: ${results.errors.length}`
         );
         if (results.errors.length > 0) {
             console.log(`[activatePreorders] ❌ Ошибки:`, results.errors);
@@ -134,11 +193,13 @@ export async function activatePreorders(broadcastToAdmins) {
         
         const duration = (new Date() - startTime);
         console.log(`[activatePreorders] ⏱️ Время выполнения: ${duration}ms`);
+        return { activated: results.success, overdue: results.overdue, errors: results.errors.length };
     } catch (err) {
         console.error(
             `[activatePreorders] 💥 Критическая ошибка:`,
             err?.message ?? err
         );
+        throw err; // jobRunner засчитает ошибку запуска
     } finally {
         if (conn) {
             try {
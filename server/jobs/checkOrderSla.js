@@ -0,0 +1,94 @@
+import pool from "../db.js";
+import { rowToPanelDto, ensureOrderColumns } from "../currentOrder.js";
+import { ensureCompanySettingsTable, DEFAULT_COMPANY_SETTINGS } from "../companySettings.js";
+
+/**
+ * checkOrderSla(broadcastToAdmins)
+ *
+ * Следит за обещанным временем доставки (promised_at) открытых активных заказов
+ * и предупреждает админов по WS:
+ *
+ * - order_at_risk — до promised_at осталось ≤ slaAtRiskMinutes (настройки компании)
+ * - order_late    — promised_at прошло, а заказ ещё не доставлен
+ *
+ * Каждое событие отправляется один раз: отметка sla_at_risk_at / sla_late_at
+ * ставится условным UPDATE (... IS NULL), поэтому параллельный запуск не
+ * продублирует уведомление. Отметки сбрасываются, если обещанное время
+ * пересчитали (orderSla.refreshOrderPromise).
+ *
+ * Возвращает { atRisk, late }; ошибка пробрасывается в jobs/jobRunner.js.
+ */
+export async function checkOrderSla(broadcastToAdmins) {
+    try {
+        await ensureOrderColumns();
+        await ensureCompanySettingsTable();
+
+        const [rows] = await pool.query(
+            `SELECT co.*,
+                    cu1.nickname AS courier_nickname,
+                    cu2.nickname AS pickup_nickname,
+                    co.promised_at <= UTC_TIMESTAMP() AS is_late,
+                    TIMESTAMPDIFF(MINUTE, UTC_TIMESTAMP(), co.promised_at) AS minutes_left
+               FROM current_orders co
+               LEFT JOIN company_settings cs ON cs.company_id = co.company_id
+               LEFT JOIN users cu1 ON cu1.user_id = co.courier_unit_id
+               LEFT JOIN users cu2 ON cu2.user_id = co.pickup_unit_id
+              WHERE co.order_type = 'active'
+                AND co.status IN ('new', 'ready', 'enroute')
+                AND co.promised_at IS NOT NULL
+                AND (
+                    (co.sla_late_at IS NULL AND co.promised_at <= UTC_TIMESTAMP())
+                    OR (co.sla_at_risk_at IS NULL
+                        AND co.promised_at <= DATE_ADD(UTC_TIMESTAMP(),
+                            INTERVAL COALESCE(cs.sla_at_risk_minutes, ?) MINUTE))
+                )
+              ORDER BY co.promised_at ASC
+              LIMIT 500`,
+            [DEFAULT_COMPANY_SETTINGS.slaAtRiskMinutes]
+        );
+        if (!rows.length) return { atRisk: 0, late: 0 };
+
+        let atRisk = 0;
+        let late = 0;
+        for (const row of rows) {
+            try {
+                const isLate = Number(row.is_late) === 1;
+                // опоздавший заказ «под угрозой» уже не объявляем — сразу order_late
+                const [upd] = await pool.query(
+                    isLate
+                        ? `UPDATE current_orders
+                              SET sla_late_at = UTC_TIMESTAMP(),
+                                  sla_at_risk_at = COALESCE(sla_at_risk_at, UTC_TIMESTAMP())
+                            WHERE order_id = ? AND sla_late_at IS NULL`
+                        : `UPDATE current_orders
+                              SET sla_at_risk_at = UTC_TIMESTAMP()
+                            WHERE order_id = ? AND sla_at_risk_at IS NULL`,
+                    [row.order_id]
+                );
+                if (upd.affectedRows === 0) continue; // уже отправлено другим запуском
+
+                const minutesLeft = Number(row.minutes_left) || 0;
+                broadcastToAdmins({
+                    type: isLate ? "order_late" : "order_at_risk",
+                    companyId: row.company_id,
+                    orderId: row.order_id,
+                    promisedAt: row.promised_at,
+                    ...(isLate ? { minutesLate: Math.max(0, -minutesLeft) } : { minutesLeft }),
+                    order: rowToPanelDto(row),
+                });
+                if (isLate) late++;
+                else atRisk++;
+            } catch (err) {
+                console.error(`[checkOrderSla] Заказ ${row.order_id}:`, err?.message ?? err);
+            }
+        }
+
+        if (atRisk || late) {
+            console.log(`[checkOrderSla] Под угрозой: ${atRisk}, опаздывают: ${late}`);
+        }
+        return { atRisk, late };
+    } catch (err) {
+        console.error(`[checkOrderSla] 💥 Ошибка:`, err?.message ?? err);
+        throw err;
+    }
+}
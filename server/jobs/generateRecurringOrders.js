@@ -0,0 +1,28 @@
+import { generateRecurringOrders as generate } from "../recurringOrders.js";
+
+/**
+ * generateRecurringOrders(broadcastToAdmins)
+ *
+ * Создаёт предзаказы по регулярным расписаниям (recurringOrders.js) на
+ * RECURRING_HORIZON_DAYS дней вперёд. Уже обработанные даты пропускаются
+ * (recurring_occurrences), поэтому запуск можно повторять сколько угодно.
+ * Созданные предзаказы дальше активирует activatePreorders.
+ *
+ * Возвращает { created, failed }; ошибка пробрасывается в jobs/jobRunner.js.
+ */
+export async function generateRecurringOrders(broadcastToAdmins) {
+    try {
+        const results = await generate(broadcastToAdmins);
+        if (!results.length) return { created: 0, failed: 0 };
+
+        const failed = results.filter((r) => !r.ok);
+        console.log(
+            `[generateRecurringOrders] Создано: ${results.length - failed.length}, ошибок: ${failed.length}`
+        );
+        if (failed.length) console.log(`[generateRecurringOrders] ❌ Ошибки:`, failed);
+        return { created: results.length - failed.length, failed: failed.length };
+    } catch (err) {
+        console.error(`[generateRecurringOrders] 💥 Ошибка:`, err?.message ?? err);
+        throw err;
+    }
+}
@@ -0,0 +1,197 @@
+import os from "os";
+import cron from "node-cron";
+import pool from "../db.js";
+
+/**
+ * Запуск фоновых задач с арендой (lease) в БД.
+ *
+ * Каждый процесс (контейнер) планирует одни и те же cron-задачи, но выполнить
+ * очередной запуск может только тот, кто атомарно захватил строку задачи в
+ * scheduled_jobs: условный UPDATE ... WHERE locked_until <= UTC_TIMESTAMP().
+ *
+ * - Пока задача выполняется, locked_until = старт + leaseSeconds. Если процесс
+ *   упал посреди работы, аренда просто истечёт и задачу подхватит другой.
+ * - После завершения locked_until = старт + minIntervalSeconds: второй процесс,
+ *   у которого тот же тик cron сработал чуть позже, не повторит запуск.
+ * - Ручной запуск (POST /api/admin/jobs/:name/run) minIntervalSeconds
+ *   игнорирует, но выполняющуюся задачу не перебивает.
+ *
+ * По каждой задаче храним время и длительность последнего запуска, статус,
+ * текст последней ошибки и счётчики запусков/ошибок (GET /api/admin/jobs).
+ */
+
+// идентификатор процесса в locked_by — видно, кто держит аренду
+export const INSTANCE_ID =
+    process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+
+const DEFAULT_LEASE_SECONDS = 5 * 60;
+
+// name → { name, schedule, leaseSeconds, minIntervalSeconds, run }
+const registry = new Map();
+
+// ── Ленивая миграция таблицы ─────────────────────────────────────────────────
+let _tableReady = false;
+export async function ensureScheduledJobsTable() {
+    if (_tableReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS scheduled_jobs (
+            job_name            VARCHAR(64)  NOT NULL PRIMARY KEY,
+            running             TINYINT(1)   NOT NULL DEFAULT 0,
+            locked_by           VARCHAR(128) NULL,
+            locked_until        DATETIME(3)  NULL,
+            last_started_at     DATETIME(3)  NULL,
+            last_finished_at    DATETIME(3)  NULL,
+            last_duration_ms    INT          NULL,
+            last_status         ENUM('ok','error') NULL,
+            last_error          TEXT         NULL,
+            last_error_at       DATETIME(3)  NULL,
+            run_count           INT          NOT NULL DEFAULT 0,
+            error_count         INT          NOT NULL DEFAULT 0,
+            consecutive_errors  INT          NOT NULL DEFAULT 0,
+            updated_at          DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tableReady = true;
+}
+
+/**
+ * Выполнить fn, если удалось захватить аренду задачи name.
+ * Ошибка fn не пробрасывается — она записывается в scheduled_jobs.
+ *
+ * @returns {{ ran: false, reason: 'locked', lockedBy, lockedUntil }
+ *         | { ran: true, ok: boolean, durationMs, result?, error? }}
+ */
+export async function runWithLease(name, fn, {
+    leaseSeconds = DEFAULT_LEASE_SECONDS,
+    minIntervalSeconds = 0,
+    manual = false,
+} = {}) {
+    await ensureScheduledJobsTable();
+    await pool.query("INSERT IGNORE INTO scheduled_jobs (job_name) VALUES (?)", [name]);
+
+    // ручной запуск ждёт только окончания текущего выполнения (или истёкшей аренды)
+    const free = manual
+        ? "(running = 0 OR locked_until IS NULL OR locked_until <= UTC_TIMESTAMP(3))"
+        : "(locked_until IS NULL OR locked_until <= UTC_TIMESTAMP(3))";
+    const [claim] = await pool.query(
+        `UPDATE scheduled_jobs
+            SET running = 1,
+                locked_by = ?,
+                locked_until = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? SECOND),
+                last_started_at = UTC_TIMESTAMP(3)
+          WHERE job_name = ? AND ${free}`,
+        [INSTANCE_ID, leaseSeconds, name]
+    );
+    if (claim.affectedRows === 0) {
+        const [[row]] = await pool.query(
+            "SELECT locked_by, locked_until FROM scheduled_jobs WHERE job_name = ?",
+            [name]
+        );
+        return { ran: false, reason: "locked", lockedBy: row?.locked_by ?? null, lockedUntil: row?.locked_until ?? null };
+    }
+
+    const startedAt = Date.now();
+    let result;
+    let error = null;
+    try {
+        result = await fn();
+    } catch (err) {
+        error = err;
+    }
+    const durationMs = Date.now() - startedAt;
+    const failed = error ? 1 : 0;
+
+    // отпускаем аренду, только если её не перехватили после истечения lease
+    try {
+        await pool.query(
+            `UPDATE scheduled_jobs
+                SET running = 0,
+                    locked_until = DATE_ADD(last_started_at, INTERVAL ? SECOND),
+                    last_finished_at = UTC_TIMESTAMP(3),
+                    last_duration_ms = ?,
+                    last_status = ?,
+                    last_error = COALESCE(?, last_error),
+                    last_error_at = IF(? = 1, UTC_TIMESTAMP(3), last_error_at),
+                    run_count = run_count + 1,
+                    error_count = error_count + ?,
+                    consecutive_errors = IF(? = 1, consecutive_errors + 1, 0)
+              WHERE job_name = ? AND locked_by = ?`,
+            [
+                minIntervalSeconds,
+                durationMs,
+                failed ? "error" : "ok",
+                failed ? String(error?.message ?? error).slice(0, 2000) : null,
+                failed, failed, failed,
+                name,
+                INSTANCE_ID,
+            ]
+        );
+    } catch (e) {
+        console.error(`[jobRunner] ${name}: не удалось записать результат:`, e?.message ?? e);
+    }
+
+    if (error) return { ran: true, ok: false, durationMs, error: String(error?.message ?? error) };
+    return { ran: true, ok: true, durationMs, ...(result !== undefined ? { result } : {}) };
+}
+
+/**
+ * Зарегистрировать задачу и поставить её в cron.
+ * minIntervalSeconds по умолчанию чуть меньше минуты — для задач '* * * * *'.
+ */
+export function scheduleJob(name, schedule, run, {
+    leaseSeconds = DEFAULT_LEASE_SECONDS,
+    minIntervalSeconds = 50,
+} = {}) {
+    const job = { name, schedule, leaseSeconds, minIntervalSeconds, run };
+    registry.set(name, job);
+
+    return cron.schedule(schedule, async () => {
+        try {
+            const res = await runWithLease(name, run, { leaseSeconds, minIntervalSeconds });
+            if (res.ran && !res.ok) console.error(`[Cron] ${name} error:`, res.error);
+        } catch (err) {
+            // сюда попадаем, только если недоступна сама БД
+            console.error(`[Cron] ${name} lease error:`, err?.message ?? err);
+        }
+    });
+}
+
+/** Ручной запуск зарегистрированной задачи; null — такой задачи нет */
+export async function runJobNow(name) {
+    const job = registry.get(name);
+    if (!job) return null;
+    return runWithLease(name, job.run, {
+        leaseSeconds: job.leaseSeconds,
+        minIntervalSeconds: job.minIntervalSeconds,
+        manual: true,
+    });
+}
+
+/** Зарегистрированные задачи вместе с состоянием из scheduled_jobs */
+export async function listJobs() {
+    await ensureScheduledJobsTable();
+    const [rows] = await pool.query(
+        "SELECT *, locked_until > UTC_TIMESTAMP(3) AS lease_active FROM scheduled_jobs"
+    );
+    const byName = new Map(rows.map((r) => [r.job_name, r]));
+
+    return [...registry.values()].map((job) => {
+        const r = byName.get(job.name);
+        return {
+            name: job.name,
+            schedule: job.schedule,
+            running: r ? Number(r.running) === 1 && Number(r.lease_active) === 1 : false,
+            lockedBy: r?.locked_by ?? null,
+            lockedUntil: r?.locked_until ?? null,
+            lastStartedAt: r?.last_started_at ?? null,
+            lastFinishedAt: r?.last_finished_at ?? null,
+            lastDurationMs: r?.last_duration_ms ?? null,
+            lastStatus: r?.last_status ?? null,
+            lastError: r?.last_error ?? null,
+            lastErrorAt: r?.last_error_at ?? null,
+            runCount: r ? Number(r.run_count) : 0,
+            errorCount: r ? Number(r.error_count) : 0,
+            consecutiveErrors: r ? Number(r.consecutive_errors) : 0,
+        };
+    });
+}
@@ -0,0 +1,279 @@
+import pool from "../db.js";
+import { INSTANCE_ID } from "./jobRunner.js";
+
+/**
+ * Персистентная очередь фоновых задач в MySQL (job_queue).
+ *
+ * Для медленных побочных эффектов, которые нельзя терять при рестарте или
+ * сбое внешнего API: геокодинг, push через Expo, SMS-рассылки.
+ *
+ * - enqueueJob(type, payload) — задача попадает в job_queue (status 'pending').
+ * - Обработчик типа регистрируется через registerJobHandler(type, fn, opts);
+ *   воркер (startQueueWorker) забирает готовые задачи через
+ *   SELECT ... FOR UPDATE SKIP LOCKED, поэтому несколько процессов не возьмут
+ *   одну и ту же задачу.
+ * - concurrency — сколько задач типа одновременно выполняет один процесс.
+ * - Обработчик бросил ошибку → повтор с экспоненциальной задержкой
+ *   (backoffMs · 2^(попытка-1), не больше часа); после
+ *   maxAttempts попыток задача переносится в job_dead_letters и вызывается
+ *   onDeadLetter обработчика (отметить исходную запись как failed и т.п.).
+ * - Задачи, зависшие в 'running' дольше QUEUE_STALE_SECONDS (процесс упал),
+ *   возвращаются в очередь.
+ *
+ * Успешно выполненные задачи удаляются.
+ */
+
+const POLL_MS = Number(process.env.QUEUE_POLL_MS) || 1000;
+const STALE_SECONDS = Number(process.env.QUEUE_STALE_SECONDS) || 10 * 60;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const DEFAULT_HANDLER_OPTS = {
+    concurrency: 1,
+    maxAttempts: 5,
+    backoffMs: 5000,
+    onDeadLetter: null,
+};
+
+// type → { handler, concurrency, maxAttempts, backoffMs, onDeadLetter, active }
+const handlers = new Map();
+
+// ── Ленивая миграция таблиц ──────────────────────────────────────────────────
+let _tablesReady = false;
+export async function ensureQueueTables() {
+    if (_tablesReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS job_queue (
+            job_id        BIGINT AUTO_INCREMENT PRIMARY KEY,
+            job_type      VARCHAR(64)  NOT NULL,
+            payload       JSON         NOT NULL,
+            status        ENUM('pending','running') NOT NULL DEFAULT 'pending',
+            attempts      INT          NOT NULL DEFAULT 0,
+            max_attempts  INT          NOT NULL DEFAULT 5,
+            run_at        DATETIME(3)  NOT NULL,
+            locked_by     VARCHAR(128) NULL,
+            locked_at     DATETIME(3)  NULL,
+            last_error    TEXT         NULL,
+            created_at    DATETIME(3)  NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+            KEY idx_ready (status, job_type, run_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS job_dead_letters (
+            id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+            job_id      BIGINT       NOT NULL,
+            job_type    VARCHAR(64)  NOT NULL,
+            payload     JSON         NOT NULL,
+            attempts    INT          NOT NULL,
+            last_error  TEXT         NULL,
+            created_at  DATETIME(3)  NOT NULL,
+            failed_at   DATETIME(3)  NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+            KEY idx_type (job_type, failed_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tablesReady = true;
+}
+
+/**
+ * Поставить задачу в очередь.
+ * opts: { delayMs, maxAttempts } — maxAttempts по умолчанию из обработчика типа
+ * @returns {Promise<number>} job_id
+ */
+export async function enqueueJob(type, payload, { delayMs = 0, maxAttempts } = {}) {
+    await ensureQueueTables();
+    const attempts =
+        maxAttempts ?? handlers.get(type)?.maxAttempts ?? DEFAULT_HANDLER_OPTS.maxAttempts;
+    const [ins] = await pool.query(
+        `INSERT INTO job_queue (job_type, payload, max_attempts, run_at)
+         VALUES (?, ?, ?, DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? MICROSECOND))`,
+        [type, JSON.stringify(payload ?? {}), attempts, Math.max(0, Math.round(delayMs)) * 1000]
+    );
+    return ins.insertId;
+}
+
+/**
+ * Обработчик типа задач: fn(payload, { jobId, attempt }).
+ * opts.onDeadLetter(payload, { jobId, attempts, error }) — попытки исчерпаны
+ */
+export function registerJobHandler(type, handler, opts = {}) {
+    handlers.set(type, { ...DEFAULT_HANDLER_OPTS, ...opts, handler, active: 0 });
+}
+
+function backoffDelayMs(h, attempt) {
+    const base = h.backoffMs * 2 ** Math.max(0, attempt - 1);
+    // ±20%, чтобы повторы разных задач не шли пачкой
+    const jitter = base * 0.2 * (Math.random() * 2 - 1);
+    return Math.min(MAX_BACKOFF_MS, Math.round(base + jitter));
+}
+
+// Захватить до limit готовых задач типа (другие процессы пропускают их строки)
+async function claimJobs(type, limit) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const [rows] = await conn.query(
+            `SELECT job_id, payload, attempts, max_attempts
+               FROM job_queue
+              WHERE status = 'pending' AND job_type = ? AND run_at <= UTC_TIMESTAMP(3)
+              ORDER BY run_at ASC, job_id ASC
+              LIMIT ?
+              FOR UPDATE SKIP LOCKED`,
+            [type, limit]
+        );
+        if (rows.length) {
+            await conn.query(
+                `UPDATE job_queue
+                    SET status = 'running', attempts = attempts + 1,
+                        locked_by = ?, locked_at = UTC_TIMESTAMP(3)
+                  WHERE job_id IN (?)`,
+                [INSTANCE_ID, rows.map((r) => r.job_id)]
+            );
+        }
+        await conn.commit();
+        return rows.map((r) => ({
+            jobId: r.job_id,
+            payload: typeof r.payload === "string" ? JSON.parse(r.payload) : r.payload,
+            attempt: Number(r.attempts) + 1,
+            maxAttempts: Number(r.max_attempts),
+        }));
+    } catch (e) {
+        await conn.rollback().catch(() => {});
+        throw e;
+    } finally {
+        conn.release();
+    }
+}
+
+async function runJob(type, h, job) {
+    try {
+        await h.handler(job.payload, { jobId: job.jobId, attempt: job.attempt });
+        await pool.query("DELETE FROM job_queue WHERE job_id = ?", [job.jobId]);
+    } catch (err) {
+        const message = String(err?.message ?? err).slice(0, 2000);
+        if (job.attempt >= job.maxAttempts) {
+            console.error(`[queue] ${type}#${job.jobId}: попытки исчерпаны (${job.attempt}), в dead letters:`, message);
+            await moveToDeadLetters(job.jobId, message);
+            if (typeof h.onDeadLetter === "function") {
+                try {
+                    await h.onDeadLetter(job.payload, { jobId: job.jobId, attempts: job.attempt, error: message });
+                } catch (e) {
+                    console.error(`[queue] ${type}#${job.jobId}: ошибка onDeadLetter:`, e?.message ?? e);
+                }
+            }
+        } else {
+            const delayMs = backoffDelayMs(h, job.attempt);
+            console.warn(`[queue] ${type}#${job.jobId}: попытка ${job.attempt} не удалась, повтор через ${delayMs}ms:`, message);
+            await pool.query(
+                `UPDATE job_queue
+                    SET status = 'pending', locked_by = NULL, locked_at = NULL, last_error = ?,
+                        run_at = DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? MICROSECOND)
+                  WHERE job_id = ?`,
+                [message, delayMs * 1000, job.jobId]
+            );
+        }
+    }
+}
+
+async function moveToDeadLetters(jobId, lastError) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        await conn.query(
+            `INSERT INTO job_dead_letters (job_id, job_type, payload, attempts, last_error, created_at)
+             SELECT job_id, job_type, payload, attempts, ?, created_at
+               FROM job_queue WHERE job_id = ?`,
+            [lastError, jobId]
+        );
+        await conn.query("DELETE FROM job_queue WHERE job_id = ?", [jobId]);
+        await conn.commit();
+    } catch (e) {
+        await conn.rollback().catch(() => {});
+        throw e;
+    } finally {
+        conn.release();
+    }
+}
+
+// Вернуть в очередь задачи, чей воркер пропал посреди выполнения
+async function releaseStaleJobs() {
+    const [upd] = await pool.query(
+        `UPDATE job_queue
+            SET status = 'pending', locked_by = NULL, locked_at = NULL,
+                last_error = COALESCE(last_error, 'stale: воркер не завершил задачу')
+          WHERE status = 'running'
+            AND locked_at < DATE_SUB(UTC_TIMESTAMP(3), INTERVAL ? SECOND)`,
+        [STALE_SECONDS]
+    );
+    if (upd.affectedRows) console.warn(`[queue] Возвращено зависших задач: ${upd.affectedRows}`);
+}
+
+// ── Цикл воркера ─────────────────────────────────────────────────────────────
+let _timer = null;
+let _lastStaleCheck = 0;
+
+/** Один проход воркера: забрать и запустить готовые задачи (не ждёт их завершения) */
+export async function runQueueOnce() {
+    await ensureQueueTables();
+    if (Date.now() - _lastStaleCheck > 60 * 1000) {
+        _lastStaleCheck = Date.now();
+        await releaseStaleJobs();
+    }
+    for (const [type, h] of handlers) {
+        const free = h.concurrency - h.active;
+        if (free <= 0) continue;
+        const jobs = await claimJobs(type, free);
+        for (const job of jobs) {
+            h.active++;
+            runJob(type, h, job)
+                .catch((e) => console.error(`[queue] ${type}#${job.jobId}: ошибка учёта результата:`, e?.message ?? e))
+                .finally(() => { h.active--; });
+        }
+    }
+}
+
+/** Запустить опрос очереди в этом процессе (idempotent) */
+export function startQueueWorker() {
+    if (_timer) return;
+    const loop = async () => {
+        try {
+            await runQueueOnce();
+        } catch (e) {
+            console.error("[queue] 💥 Ошибка воркера:", e?.message ?? e);
+        }
+        _timer = setTimeout(loop, POLL_MS);
+    };
+    _timer = setTimeout(loop, 0);
+    console.log(`[queue] ✅ Воркер запущен (${[...handlers.keys()].join(", ") || "нет обработчиков"})`);
+}
+
+/** Счётчики очереди и dead letters по типам (для /api/admin/jobs/queue) */
+export async function getQueueStats() {
+    await ensureQueueTables();
+    const [queued] = await pool.query(
+        `SELECT job_type, status, COUNT(*) AS cnt, MIN(run_at) AS next_run_at
+           FROM job_queue GROUP BY job_type, status`
+    );
+    const [dead] = await pool.query(
+        `SELECT job_type, COUNT(*) AS cnt, MAX(failed_at) AS last_failed_at
+           FROM job_dead_letters GROUP BY job_type`
+    );
+
+    const byType = new Map();
+    const entry = (type) => {
+        if (!byType.has(type)) {
+            byType.set(type, { type, pending: 0, running: 0, nextRunAt: null, deadLetters: 0, lastFailedAt: null });
+        }
+        return byType.get(type);
+    };
+    for (const type of handlers.keys()) entry(type);
+    for (const r of queued) {
+        const e = entry(r.job_type);
+        e[r.status] = Number(r.cnt);
+        if (r.status === "pending") e.nextRunAt = r.next_run_at;
+    }
+    for (const r of dead) {
+        const e = entry(r.job_type);
+        e.deadLetters = Number(r.cnt);
+        e.lastFailedAt = r.last_failed_at;
+    }
+    return [...byType.values()];
+}
@@ -0,0 +1,330 @@
+import express from "express";
+import pool from "./db.js";
+import {
+    resolveCompanyContext,
+    ensureOrderColumns,
+    fetchPanelRow,
+    rowToPanelDto,
+    rowToPanelDetailDto,
+    safeParseItemsJSON,
+    changedDtoFields,
+} from "./currentOrder.js";
+import { canTransition, illegalTransitionBody } from "./orderStatus.js";
+import { diffOrderRows, actorFromUser, recordOrderEvent } from "./orderEvents.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Кухня: очередь заказов точки выдачи, отметки «начали готовить» / «готово»
+// и оценка времени приготовления.
+//
+// Время приготовления заказа (prep_ready_at − prep_started_at) обучает
+// скользящее среднее (EMA) по каждой позиции и категории заказа в
+// prep_time_stats. Оценка заказа — максимум по его позициям (блюда готовятся
+// параллельно): среднее позиции, если набралось KITCHEN_MIN_SAMPLES замеров,
+// иначе среднее категории, иначе KITCHEN_DEFAULT_PREP_MIN.
+// predicted_ready_at = (prep_started_at или сейчас) + оценка.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_PREP_SECONDS = Number(process.env.KITCHEN_DEFAULT_PREP_MIN || 15) * 60;
+const MIN_SAMPLES = Number(process.env.KITCHEN_MIN_SAMPLES || 3);
+const EMA_ALPHA = Number(process.env.KITCHEN_PREP_EMA_ALPHA || 0.2);
+
+// Замеры вне диапазона (забыли нажать «готово», нажали два раза подряд) не учим
+const MIN_LEARN_SECONDS = 60;
+const MAX_LEARN_SECONDS = 3 * 60 * 60;
+
+// ── Ленивая миграция таблицы ─────────────────────────────────────────────────
+let _tableReady = false;
+export async function ensurePrepStatsTable() {
+    if (_tableReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS prep_time_stats (
+            company_id   INT          NOT NULL,
+            scope        ENUM('item','category') NOT NULL,
+            scope_key    VARCHAR(120) NOT NULL,
+            avg_seconds  DOUBLE       NOT NULL,
+            samples      INT          NOT NULL DEFAULT 0,
+            updated_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (company_id, scope, scope_key)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tableReady = true;
+}
+
+// id позиций заказа и их категории из меню
+async function itemKeys(companyId, items) {
+    const ids = [
+        ...new Set((Array.isArray(items) ? items : []).map((it) => it?.id).filter((id) => id != null).map(String)),
+    ];
+    const categoryById = new Map();
+    if (ids.length) {
+        const [rows] = await pool.query(
+            "SELECT item_id, item_category FROM menu WHERE company_id=? AND item_id IN (?)",
+            [companyId, ids]
+        );
+        for (const r of rows) {
+            if (r.item_category) categoryById.set(String(r.item_id), String(r.item_category));
+        }
+    }
+    return { ids, categoryById };
+}
+
+/** Оценка времени приготовления заказа в секундах */
+export async function estimatePrepSeconds(companyId, items) {
+    await ensurePrepStatsTable();
+    const { ids, categoryById } = await itemKeys(companyId, items);
+    if (!ids.length) return DEFAULT_PREP_SECONDS;
+
+    const categories = [...new Set(categoryById.values())];
+    const [rows] = await pool.query(
+        `SELECT scope, scope_key, avg_seconds, samples
+           FROM prep_time_stats
+          WHERE company_id=?
+            AND ((scope='item' AND scope_key IN (?))
+              OR (scope='category' AND scope_key IN (?)))`,
+        [companyId, ids, categories.length ? categories : [""]]
+    );
+    const stat = new Map(rows.map((r) => [`${r.scope}:${r.scope_key}`, r]));
+    const usable = (s) => (s && Number(s.samples) >= MIN_SAMPLES ? Number(s.avg_seconds) : null);
+
+    let max = 0;
+    for (const id of ids) {
+        const seconds =
+            usable(stat.get(`item:${id}`)) ??
+            usable(stat.get(`category:${categoryById.get(id)}`)) ??
+            DEFAULT_PREP_SECONDS;
+        max = Math.max(max, seconds);
+    }
+    return Math.round(max);
+}
+
+// Учесть фактическое время приготовления заказа
+async function learnPrepTime(companyId, items, seconds) {
+    if (!(seconds >= MIN_LEARN_SECONDS && seconds <= MAX_LEARN_SECONDS)) return;
+    await ensurePrepStatsTable();
+    const { ids, categoryById } = await itemKeys(companyId, items);
+    const keys = [
+        ...ids.map((id) => ["item", id]),
+        ...[...new Set(categoryById.values())].map((c) => ["category", c.slice(0, 120)]),
+    ];
+    for (const [scope, key] of keys) {
+        await pool.query(
+            `INSERT INTO prep_time_stats (company_id, scope, scope_key, avg_seconds, samples)
+             VALUES (?, ?, ?, ?, 1)
+             ON DUPLICATE KEY UPDATE
+                avg_seconds = avg_seconds + ? * (? - avg_seconds),
+                samples = samples + 1`,
+            [companyId, scope, key, seconds, EMA_ALPHA, seconds]
+        );
+    }
+}
+
+/** --- router factory (broadcastToAdmins из index.js, как у currentOrdersRouter) --- */
+export default function kitchenRouter({ broadcastToAdmins }) {
+    const router = express.Router();
+
+    // Кухня — точки выдачи/админы, не курьеры
+    const kitchenContext = async (req, res) => {
+        const ctx = await resolveCompanyContext(req, res);
+        if (!ctx) return null;
+        if (ctx.user?.role === "courier") {
+            res.status(403).json({ ok: false, error: "Недостаточно прав" });
+            return null;
+        }
+        return ctx;
+    };
+
+    const broadcastUpdated = (companyId, row, changes) => {
+        if (typeof broadcastToAdmins !== "function") return;
+        broadcastToAdmins({
+            type: "order_updated",
+            companyId,
+            order: rowToPanelDto(row),
+            changedFields: changedDtoFields(changes),
+        });
+    };
+
+    // GET /api/kitchen/queue?pickupId=
+    // Новые (ещё не готовые) активные заказы по сроку: время предзаказа или создания.
+    router.get("/queue", async (req, res) => {
+        try {
+            const ctx = await kitchenContext(req, res);
+            if (!ctx) return;
+            const { companyId } = ctx;
+            await ensureOrderColumns();
+
+            const where = ["co.company_id=?", "co.status='new'", "co.order_type='active'"];
+            const params = [companyId];
+            if (req.query.pickupId) {
+                const pickupId = Number(req.query.pickupId);
+                if (!Number.isInteger(pickupId))
+                    return res.status(400).json({ ok: false, error: "Некорректный pickupId" });
+                where.push("co.pickup_unit_id=?");
+                params.push(pickupId);
+            }
+
+            const [rows] = await pool.query(
+                `SELECT co.*,
+                        cu1.nickname AS courier_nickname,
+                        cu2.nickname AS pickup_nickname,
+                        COALESCE(co.scheduled_at, co.created_at) AS due_at
+                   FROM current_orders co
+                   LEFT JOIN users cu1 ON cu1.user_id = co.courier_unit_id
+                   LEFT JOIN users cu2 ON cu2.user_id = co.pickup_unit_id
+                  WHERE ${where.join(" AND ")}
+                  ORDER BY due_at ASC, co.order_id ASC`,
+                params
+            );
+
+            // заказ ещё не начат и оценки нет (старый/активированный предзаказ) — считаем на лету
+            const items = [];
+            for (const r of rows) {
+                const dto = rowToPanelDetailDto(r);
+                dto.dueAt = r.due_at;
+                if (!dto.predictedReadyAt && !r.prep_started_at) {
+                    const seconds = await estimatePrepSeconds(companyId, dto.items);
+                    dto.predictedReadyAt = new Date(Date.now() + seconds * 1000);
+                }
+                items.push(dto);
+            }
+
+            res.json({ ok: true, items });
+        } catch (e) {
+            console.error("kitchen queue", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // GET /api/kitchen/prep-stats — чему научилась оценка (для настройки/отладки)
+    router.get("/prep-stats", async (req, res) => {
+        try {
+            const ctx = await kitchenContext(req, res);
+            if (!ctx) return;
+            await ensurePrepStatsTable();
+            const [rows] = await pool.query(
+                `SELECT scope, scope_key, avg_seconds, samples, updated_at
+                   FROM prep_time_stats
+                  WHERE company_id=?
+                  ORDER BY scope ASC, scope_key ASC`,
+                [ctx.companyId]
+            );
+            res.json({
+                ok: true,
+                defaultSeconds: DEFAULT_PREP_SECONDS,
+                minSamples: MIN_SAMPLES,
+                items: rows.map((r) => ({
+                    scope: r.scope,
+                    key: r.scope_key,
+                    avgSeconds: Math.round(Number(r.avg_seconds)),
+                    samples: Number(r.samples),
+                    updatedAt: r.updated_at,
+                })),
+            });
+        } catch (e) {
+            console.error("kitchen prep stats", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // POST /api/kitchen/orders/:id/start — кухня начала готовить
+    router.post("/orders/:id/start", async (req, res) => {
+        try {
+            const ctx = await kitchenContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            const id = Number(req.params.id);
+
+            await ensureOrderColumns();
+            const current = await fetchPanelRow(companyId, id);
+            if (!current) return res.status(404).json({ ok: false, error: "Заказ не найден" });
+            if (current.status !== "new")
+                return res.status(409).json({ ok: false, error: "Готовить можно только новый заказ" });
+            // повторное нажатие — не сбрасываем время начала
+            if (current.prep_started_at)
+                return res.json({ ok: true, item: rowToPanelDto(current) });
+
+            const seconds = await estimatePrepSeconds(companyId, safeParseItemsJSON(current.items_json));
+            const [upd] = await pool.query(
+                `UPDATE current_orders
+                    SET prep_started_at = UTC_TIMESTAMP(),
+                        predicted_ready_at = DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? SECOND),
+                        updated_at = NOW(), version = version + 1
+                  WHERE company_id=? AND order_id=? AND status='new' AND prep_started_at IS NULL`,
+                [seconds, companyId, id]
+            );
+            const row = await fetchPanelRow(companyId, id);
+            if (upd.affectedRows === 0)
+                return res.status(409).json({ ok: false, error: "Заказ изменился, обновите список", item: rowToPanelDto(row) });
+
+            const changes = diffOrderRows(current, row);
+            res.json({ ok: true, item: rowToPanelDto(row) });
+
+            await recordOrderEvent({
+                companyId,
+                orderId: id,
+                action: "prep_started",
+                actor: actorFromUser(user),
+                changes,
+            });
+            broadcastUpdated(companyId, row, changes);
+        } catch (e) {
+            console.error("kitchen start", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // POST /api/kitchen/orders/:id/ready — готово: статус 'ready' + обучение оценки
+    router.post("/orders/:id/ready", async (req, res) => {
+        try {
+            const ctx = await kitchenContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            const id = Number(req.params.id);
+
+            await ensureOrderColumns();
+            const current = await fetchPanelRow(companyId, id);
+            if (!current) return res.status(404).json({ ok: false, error: "Заказ не найден" });
+            if (current.status === "ready")
+                return res.json({ ok: true, item: rowToPanelDto(current) });
+            if (!canTransition(current.status, "ready"))
+                return res.status(409).json(illegalTransitionBody(current.status, "ready"));
+
+            const [upd] = await pool.query(
+                `UPDATE current_orders
+                    SET status='ready', prep_ready_at = UTC_TIMESTAMP(),
+                        updated_at = NOW(), version = version + 1
+                  WHERE company_id=? AND order_id=? AND status=?`,
+                [companyId, id, current.status]
+            );
+            const row = await fetchPanelRow(companyId, id);
+            if (upd.affectedRows === 0)
+                return res.status(409).json(illegalTransitionBody(row?.status ?? current.status, "ready"));
+
+            const changes = diffOrderRows(current, row);
+            res.json({ ok: true, item: rowToPanelDto(row) });
+
+            if (row.prep_started_at && row.prep_ready_at) {
+                const seconds =
+                    (new Date(row.prep_ready_at).getTime() - new Date(row.prep_started_at).getTime()) / 1000;
+                try {
+                    await learnPrepTime(companyId, safeParseItemsJSON(row.items_json), seconds);
+                } catch (le) {
+                    console.warn("learn prep time failed:", le?.message ?? le);
+                }
+            }
+
+            await recordOrderEvent({
+                companyId,
+                orderId: id,
+                action: "prep_ready",
+                actor: actorFromUser(user),
+                changes,
+            });
+            broadcastUpdated(companyId, row, changes);
+        } catch (e) {
+            console.error("kitchen ready", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    return router;
+}
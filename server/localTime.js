@@ -0,0 +1,82 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Местное время компании. В БД время хранится в UTC, а расписания и слоты
+// предзаказов задаются по местному времени LOCAL_TZ (по умолчанию Europe/Riga,
+// с переходом на летнее время). Даты — строки "YYYY-MM-DD".
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const LOCAL_TZ = process.env.LOCAL_TZ || "Europe/Riga";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isValidDate(str) {
+    if (!DATE_RE.test(String(str))) return false;
+    const d = new Date(`${str}T00:00:00.000Z`);
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === str;
+}
+
+export function addDays(dateStr, days) {
+    const d = new Date(`${dateStr}T00:00:00.000Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+// ISO-день недели даты "YYYY-MM-DD": 1=пн … 7=вс
+export function isoWeekday(dateStr) {
+    return new Date(`${dateStr}T00:00:00.000Z`).getUTCDay() || 7;
+}
+
+// сегодняшняя дата "YYYY-MM-DD" в часовом поясе tz
+export function localToday(now = new Date(), tz = LOCAL_TZ) {
+    return new Intl.DateTimeFormat("en-CA", { timeZone: tz }).format(now);
+}
+
+// смещение пояса (мс) в момент ts: местное время − UTC
+export function tzOffsetMs(ts, tz = LOCAL_TZ) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-US", {
+            timeZone: tz,
+            hourCycle: "h23",
+            year: "numeric", month: "2-digit", day: "2-digit",
+            hour: "2-digit", minute: "2-digit", second: "2-digit",
+        })
+            .formatToParts(new Date(ts))
+            .map((p) => [p.type, p.value])
+    );
+    const asUtc = Date.UTC(
+        Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+        Number(parts.hour), Number(parts.minute), Number(parts.second)
+    );
+    return asUtc - ts;
+}
+
+// "2026-03-02" + "12:30" по местному времени → Date (UTC)
+export function localDateTimeToUtc(dateStr, timeStr, tz = LOCAL_TZ) {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    const [hh, mm] = timeStr.split(":").map(Number);
+    const guess = Date.UTC(y, m - 1, d, hh, mm);
+    // второй проход — на случай перехода на летнее/зимнее время между guess и ответом
+    const first = guess - tzOffsetMs(guess, tz);
+    return new Date(guess - tzOffsetMs(first, tz));
+}
+
+// DATE из MySQL (Date или строка) → "YYYY-MM-DD"
+export function dateOnly(v) {
+    if (v == null) return null;
+    if (v instanceof Date) {
+        const y = v.getFullYear();
+        const m = String(v.getMonth() + 1).padStart(2, "0");
+        const d = String(v.getDate()).padStart(2, "0");
+        return `${y}-${m}-${d}`;
+    }
+    return String(v).slice(0, 10);
+}
+
+// Date (UTC) → местные { date: "YYYY-MM-DD", minutes: минуты от полуночи }
+export function utcToLocal(date, tz = LOCAL_TZ) {
+    const ts = new Date(date).getTime();
+    const local = new Date(ts + tzOffsetMs(ts, tz));
+    return {
+        date: local.toISOString().slice(0, 10),
+        minutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+    };
+}
@@ -0,0 +1,260 @@
+import pool from "./db.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Защита входа от перебора: /api/auth/login, /courierlogin, /2fa/verify-login;
+// тем же счётчиком ограничен /password-reset/request (kind 'reset').
+//
+// Неудачные попытки считаются в окне LOGIN_WINDOW_MINUTES отдельно:
+//   - по идентификатору (email/телефон; для 2FA — пользователь),
+//   - по IP (перебор разных аккаунтов с одного адреса). Запросы сброса пароля
+//     считаются по IP отдельно от входа: иначе ими можно заблокировать вход
+//     всем пользователям за тем же адресом.
+// Начиная с *_DELAY_AFTER-й неудачи каждая следующая попытка разрешена только
+// через задержку, удваивающуюся с каждой ошибкой (LOGIN_DELAY_BASE_MS · 2^n);
+// после *_MAX_FAILURES — блокировка на LOGIN_LOCKOUT_MINUTES. Пока ключ
+// заблокирован, запрос отклоняется 429 с Retry-After, пароль не проверяется.
+// Успешный вход сбрасывает счётчик идентификатора (IP — нет).
+//
+// Хранилище счётчиков: LOGIN_THROTTLE_STORE=memory (по умолчанию, один
+// процесс) или db (таблица login_throttle, общая для всех инстансов).
+// Свой вариант — setLoginThrottleStore(store) с тем же интерфейсом.
+//
+// Каждая неудачная попытка пишется в login_audit (всегда в БД).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const num = (v, def) => (Number.isFinite(Number(v)) && v !== "" && v != null ? Number(v) : def);
+
+export const LOGIN_THROTTLE = {
+    windowMs: num(process.env.LOGIN_WINDOW_MINUTES, 15) * 60 * 1000,
+    lockoutMs: num(process.env.LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000,
+    delayBaseMs: num(process.env.LOGIN_DELAY_BASE_MS, 1000),
+    identifier: {
+        delayAfter: num(process.env.LOGIN_DELAY_AFTER, 3),
+        maxFailures: num(process.env.LOGIN_MAX_FAILURES, 5),
+    },
+    ip: {
+        delayAfter: num(process.env.LOGIN_IP_DELAY_AFTER, 10),
+        maxFailures: num(process.env.LOGIN_IP_MAX_FAILURES, 30),
+    },
+};
+
+// ── Хранилища ────────────────────────────────────────────────────────────────
+// interface: hit(key, windowMs) → число неудач в окне после этой;
+//            blockedUntil(key) → ms | 0; block(key, untilMs); reset(key)
+
+export function createMemoryStore() {
+    const entries = new Map(); // key → { failures, windowStart, blockedUntil }
+
+    const sweep = (now) => {
+        if (entries.size < 10000) return;
+        for (const [k, e] of entries) {
+            if (e.blockedUntil <= now && now - e.windowStart > LOGIN_THROTTLE.windowMs) entries.delete(k);
+        }
+    };
+
+    return {
+        async hit(key, windowMs) {
+            const now = Date.now();
+            sweep(now);
+            const e = entries.get(key);
+            if (!e || now - e.windowStart > windowMs) {
+                entries.set(key, { failures: 1, windowStart: now, blockedUntil: e?.blockedUntil ?? 0 });
+                return 1;
+            }
+            e.failures += 1;
+            return e.failures;
+        },
+        async blockedUntil(key) {
+            return entries.get(key)?.blockedUntil ?? 0;
+        },
+        async block(key, untilMs) {
+            const e = entries.get(key) ?? { failures: 0, windowStart: Date.now(), blockedUntil: 0 };
+            e.blockedUntil = Math.max(e.blockedUntil, untilMs);
+            entries.set(key, e);
+        },
+        async reset(key) {
+            entries.delete(key);
+        },
+    };
+}
+
+export function createDbStore() {
+    let ready = false;
+    const ensure = async () => {
+        if (ready) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS login_throttle (
+                throttle_key   VARCHAR(191) NOT NULL PRIMARY KEY,
+                failures       INT          NOT NULL DEFAULT 0,
+                window_start   DATETIME(3)  NOT NULL,
+                blocked_until  DATETIME(3)  NULL,
+                updated_at     DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                KEY idx_updated (updated_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        ready = true;
+    };
+
+    return {
+        async hit(key, windowMs) {
+            await ensure();
+            // окно истекло — счёт начинается заново (SET слева направо: сначала failures)
+            await pool.query(
+                `INSERT INTO login_throttle (throttle_key, failures, window_start)
+                 VALUES (?, 1, UTC_TIMESTAMP(3))
+                 ON DUPLICATE KEY UPDATE
+                    failures = IF(window_start < DATE_SUB(UTC_TIMESTAMP(3), INTERVAL ? MICROSECOND), 1, failures + 1),
+                    window_start = IF(failures = 1, UTC_TIMESTAMP(3), window_start)`,
+                [key, windowMs * 1000]
+            );
+            const [[row]] = await pool.query(
+                "SELECT failures FROM login_throttle WHERE throttle_key = ?",
+                [key]
+            );
+            return Number(row?.failures) || 1;
+        },
+        // время считаем в БД (UTC) и переводим в часы процесса через «сколько осталось»
+        async blockedUntil(key) {
+            await ensure();
+            const [[row]] = await pool.query(
+                `SELECT TIMESTAMPDIFF(MICROSECOND, UTC_TIMESTAMP(3), blocked_until) AS left_us
+                   FROM login_throttle WHERE throttle_key = ?`,
+                [key]
+            );
+            const leftMs = Number(row?.left_us) / 1000;
+            return leftMs > 0 ? Date.now() + leftMs : 0;
+        },
+        async block(key, untilMs) {
+            await ensure();
+            const us = Math.max(0, Math.round(untilMs - Date.now())) * 1000;
+            await pool.query(
+                `INSERT INTO login_throttle (throttle_key, failures, window_start, blocked_until)
+                 VALUES (?, 0, UTC_TIMESTAMP(3), DATE_ADD(UTC_TIMESTAMP(3), INTERVAL ? MICROSECOND))
+                 ON DUPLICATE KEY UPDATE
+                    blocked_until = GREATEST(COALESCE(blocked_until, VALUES(blocked_until)), VALUES(blocked_until))`,
+                [key, us]
+            );
+        },
+        async reset(key) {
+            await ensure();
+            await pool.query("DELETE FROM login_throttle WHERE throttle_key = ?", [key]);
+        },
+    };
+}
+
+let store = process.env.LOGIN_THROTTLE_STORE === "db" ? createDbStore() : createMemoryStore();
+
+export function setLoginThrottleStore(s) {
+    store = s;
+}
+
+// ── Аудит неудачных попыток ──────────────────────────────────────────────────
+let _auditReady = false;
+async function ensureAuditTable() {
+    if (_auditReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS login_audit (
+            id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+            kind        VARCHAR(16)  NOT NULL,
+            identifier  VARCHAR(191) NULL,
+            user_id     INT          NULL,
+            ip          VARCHAR(64)  NULL,
+            user_agent  VARCHAR(255) NULL,
+            reason      VARCHAR(32)  NOT NULL,
+            created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_identifier (identifier, created_at),
+            KEY idx_ip (ip, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _auditReady = true;
+}
+
+async function audit({ kind, identifier, userId, req, reason }) {
+    try {
+        await ensureAuditTable();
+        await pool.query(
+            `INSERT INTO login_audit (kind, identifier, user_id, ip, user_agent, reason)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                kind,
+                identifier ? String(identifier).slice(0, 191) : null,
+                userId ?? null,
+                requestIp(req),
+                req.headers?.["user-agent"] ? String(req.headers["user-agent"]).slice(0, 255) : null,
+                reason,
+            ]
+        );
+    } catch (e) {
+        console.error("[loginThrottle] audit error:", e?.message ?? e);
+    }
+}
+
+// ── API для обработчиков входа ───────────────────────────────────────────────
+
+// Адрес клиента. X-Forwarded-For клиент может подставить любой, поэтому он
+// учитывается только через req.ip, т.е. при настроенном TRUST_PROXY (index.js)
+export function requestIp(req) {
+    const ip = typeof req.ip === "string" && req.ip ? req.ip : req.socket?.remoteAddress;
+    return ip ? String(ip).slice(0, 64) : null;
+}
+
+// kind: 'login' | 'courier' | '2fa' | 'reset'; subject — email/телефон или user_id для 2FA
+function keysFor(kind, subject, req) {
+    const keys = [];
+    if (subject != null && subject !== "") {
+        keys.push({ key: `id:${kind}:${String(subject).trim().toLowerCase()}`, limits: LOGIN_THROTTLE.identifier });
+    }
+    const ip = requestIp(req);
+    if (ip) keys.push({ key: kind === "reset" ? `ip:reset:${ip}` : `ip:${ip}`, limits: LOGIN_THROTTLE.ip });
+    return keys;
+}
+
+/**
+ * Можно ли сейчас проверять пароль/код.
+ * @returns {{ ok: true } | { ok: false, retryAfterSec }}
+ */
+export async function checkLoginAllowed(kind, subject, req) {
+    const now = Date.now();
+    let until = 0;
+    for (const { key } of keysFor(kind, subject, req)) {
+        until = Math.max(until, await store.blockedUntil(key));
+    }
+    if (until > now) {
+        await audit({ kind, identifier: subject, req, reason: "throttled" });
+        return { ok: false, retryAfterSec: Math.ceil((until - now) / 1000) };
+    }
+    return { ok: true };
+}
+
+/** Неудачная попытка: счётчики, задержка/блокировка, запись в аудит */
+export async function recordLoginFailure(kind, subject, req, { userId = null, reason }) {
+    await audit({ kind, identifier: subject, userId, req, reason });
+    const now = Date.now();
+    for (const { key, limits } of keysFor(kind, subject, req)) {
+        const failures = await store.hit(key, LOGIN_THROTTLE.windowMs);
+        if (failures >= limits.maxFailures) {
+            await store.block(key, now + LOGIN_THROTTLE.lockoutMs);
+            if (failures === limits.maxFailures) {
+                console.warn(`[loginThrottle] ${key}: блокировка на ${LOGIN_THROTTLE.lockoutMs / 60000} мин`);
+            }
+        } else if (failures >= limits.delayAfter) {
+            const delay = LOGIN_THROTTLE.delayBaseMs * 2 ** (failures - limits.delayAfter);
+            await store.block(key, now + Math.min(delay, LOGIN_THROTTLE.lockoutMs));
+        }
+    }
+}
+
+/** Успешный вход — сбрасываем счётчик идентификатора */
+export async function recordLoginSuccess(kind, subject) {
+    if (subject == null || subject === "") return;
+    await store.reset(`id:${kind}:${String(subject).trim().toLowerCase()}`);
+}
+
+// Ответ 429 на заблокированную попытку
+export function sendThrottled(res, retryAfterSec) {
+    res.set("Retry-After", String(retryAfterSec));
+    return res.status(429).json({
+        error: "Слишком много попыток входа. Попробуйте позже",
+        retryAfter: retryAfterSec,
+    });
+}
@@ -1,5 +1,6 @@
 import { Router } from "express";
 import pool from "./db.js";
+import { ensureTaxSchema, isTaxCategory, TAX_CATEGORIES } from "./taxRates.js";
 
 const router = Router();
 
@@ -47,11 +48,60 @@ function rowToItem(r) {
         price: Number(r.item_price),
         discount: Number(r.item_discount_percent),
         available: !!r.is_active,
+        taxCategory: r.tax_category || "food",
         createdAt: r.created_at,
         updatedAt: r.updated_at,
     };
 }
 
+/**
+ * Позиции старого заказа (или сохранённой корзины) → позиции по текущему меню:
+ * цена и скидка берутся из menu, количество — из исходной позиции.
+ * Позиции без id, удалённые из меню или выключенные (is_active=0) в items
+ * не попадают, а возвращаются в unavailable с reason 'not_found' | 'inactive'.
+ */
+export async function repriceItemsFromMenu(companyId, sourceItems) {
+    const list = (Array.isArray(sourceItems) ? sourceItems : []).filter(
+        (it) => Number(it?.quantity) > 0
+    );
+    const ids = [...new Set(list.map((it) => it.id).filter((id) => id != null))];
+
+    const byId = new Map();
+    if (ids.length) {
+        const [rows] = await pool.query(
+            `SELECT item_id, item_name, item_price, item_discount_percent, is_active
+               FROM menu
+              WHERE company_id = ? AND item_id IN (?)`,
+            [companyId, ids]
+        );
+        for (const r of rows) byId.set(String(r.item_id), r);
+    }
+
+    const items = [];
+    const unavailable = [];
+    for (const it of list) {
+        const quantity = Number(it.quantity);
+        const row = it.id != null ? byId.get(String(it.id)) : null;
+        if (!row || !row.is_active) {
+            unavailable.push({
+                id: it.id ?? null,
+                name: row?.item_name ?? it.name ?? "",
+                quantity,
+                reason: row ? "inactive" : "not_found",
+            });
+            continue;
+        }
+        items.push({
+            id: row.item_id,
+            name: row.item_name,
+            price: Number(row.item_price),
+            discount: Number(row.item_discount_percent) || 0,
+            quantity,
+        });
+    }
+    return { items, unavailable };
+}
+
 /**
  * GET /api/menu
  * Параметры (опционально):
@@ -64,6 +114,7 @@ router.get("/", async (req, res) => {
         if (!userId) return res.status(401).json({ error: "Нет токена" });
 
         const companyId = await requireCompanyId(userId);
+        await ensureTaxSchema();
 
         const { q, active } = req.query;
         const where = ["company_id = ?"];
@@ -85,7 +136,7 @@ router.get("/", async (req, res) => {
 
         const sql = `
       SELECT item_id, item_name, item_category, item_price,
-             item_discount_percent, is_active, created_at, updated_at
+             item_discount_percent, is_active, tax_category, created_at, updated_at
       FROM menu
       WHERE ${where.join(" AND ")}
       ORDER BY item_name ASC
@@ -107,9 +158,12 @@ router.post("/", async (req, res) => {
         if (!userId) return res.status(401).json({ error: "Нет токена" });
         const companyId = await requireCompanyId(userId);
 
-        const { name, category, price, discount = 0, available = true } = req.body || {};
+        const { name, category, price, discount = 0, available = true, taxCategory = "food" } = req.body || {};
         if (!name || typeof price === "undefined" || price === "")
             return res.status(400).json({ error: "name и price обязательны" });
+        if (!isTaxCategory(taxCategory))
+            return res.status(400).json({ error: `taxCategory: ${TAX_CATEGORIES.join(", ")}` });
+        await ensureTaxSchema();
 
         const pm = parseMoneyToCents(price);
         if (!pm.ok) return res.status(400).json({ error: pm.error });
@@ -121,13 +175,13 @@ router.post("/", async (req, res) => {
 
         const [result] = await pool.query(
             `INSERT INTO menu
-       (company_id, item_name, item_category, item_price, item_discount_percent, is_active, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-            [companyId, name, category || null, p, d, available ? 1 : 0]
+       (company_id, item_name, item_category, item_price, item_discount_percent, is_active, tax_category, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+            [companyId, name, category || null, p, d, available ? 1 : 0, taxCategory]
         );
 
         const [rows] = await pool.query(
-            `SELECT item_id, item_name, item_category, item_price, item_discount_percent, is_active, created_at, updated_at
+            `SELECT item_id, item_name, item_category, item_price, item_discount_percent, is_active, tax_category, created_at, updated_at
          FROM menu WHERE item_id = ? AND company_id = ? LIMIT 1`,
             [result.insertId, companyId]
         );
@@ -151,7 +205,8 @@ router.put("/:id", async (req, res) => {
         const itemId = Number(req.params.id);
         if (!itemId) return res.status(400).json({ error: "Некорректный id" });
 
-        const { name, category, price, discount, available } = req.body || {};
+        const { name, category, price, discount, available, taxCategory } = req.body || {};
+        await ensureTaxSchema();
 
         const sets = [];
         const params = [];
@@ -169,6 +224,11 @@ router.put("/:id", async (req, res) => {
             sets.push("item_discount_percent = ?"); params.push(pd.value);
         }
         if (typeof available !== "undefined") { sets.push("is_active = ?"); params.push(available ? 1 : 0); }
+        if (typeof taxCategory !== "undefined") {
+            if (!isTaxCategory(taxCategory))
+                return res.status(400).json({ error: `taxCategory: ${TAX_CATEGORIES.join(", ")}` });
+            sets.push("tax_category = ?"); params.push(taxCategory);
+        }
 
         if (sets.length === 0) return res.status(400).json({ error: "Нечего обновлять" });
 
@@ -183,7 +243,7 @@ router.put("/:id", async (req, res) => {
         if (upd.affectedRows === 0) return res.status(404).json({ error: "Не найдено" });
 
         const [rows] = await pool.query(
-            `SELECT item_id, item_name, item_category, item_price, item_discount_percent, is_active, created_at, updated_at
+            `SELECT item_id, item_name, item_category, item_price, item_discount_percent, is_active, tax_category, created_at, updated_at
          FROM menu WHERE item_id = ? AND company_id = ? LIMIT 1`,
             [itemId, companyId]
         );
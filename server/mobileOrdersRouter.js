@@ -1,6 +1,17 @@
 import express from "express";
 import pool from "./db.js";
-import { resolveCompanyContext, ensureCompletedAtColumn, todayUtcRange } from "./currentOrder.js";
+import {
+  resolveCompanyContext,
+  ensureCompletedAtColumn,
+  ensureOrderColumns,
+  parsePaymentParts,
+  computeChangeDue,
+  readCashAndTip,
+  todayUtcRange,
+} from "./currentOrder.js";
+import { isOpenStatus, canTransition, illegalTransitionBody } from "./orderStatus.js";
+import { diffOrderRows, actorFromUser, recordOrderEvent } from "./orderEvents.js";
+import { idempotency } from "./idempotency.js";
 
 function rowToMobileOrderDto(r) {
   const addr = [
@@ -27,6 +38,12 @@ function rowToMobileOrderDto(r) {
     amountTotal:   Number(r.amount_total),
     deliveryFee:   Number(r.delivery_fee || 0),
     paymentMethod: r.payment_method,
+    paymentParts:  parsePaymentParts(r),
+    cashGiven:     r.cash_given != null ? Number(r.cash_given) : null,
+    changeDue:     computeChangeDue(r),   // сколько сдачи везти курьеру
+    tip:           Number(r.tip_amount || 0),
+    predictedReadyAt: r.predicted_ready_at ?? null,   // когда забирать с кухни
+    promisedAt:    r.promised_at ?? null,   // обещанное клиенту время доставки
     customer:      r.customer_name,
     phone:         r.customer_phone,
     address:       addr,
@@ -37,6 +54,7 @@ function rowToMobileOrderDto(r) {
     courierId:     r.courier_unit_id ?? null,
     courierName:   r.courier_name ?? null,
     companyId:     r.company_id,
+    version:       Number(r.version || 0),
   };
 }
 
@@ -174,7 +192,8 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
   });
 
   // ── PATCH /api/mobile-orders/:id/assign ─────────────────────────────────
-  router.patch("/:id/assign", async (req, res) => {
+  // Idempotency-Key защищает от двойного нажатия/ретрая при плохой сети
+  router.patch("/:id/assign", idempotency("mobile.assign"), async (req, res) => {
     try {
       const ctx = await resolveCompanyContext(req, res);
       if (!ctx) return;
@@ -187,12 +206,13 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
         return res.status(400).json({ ok: false, error: "Не удалось определить ID курьера" });
       }
 
-      const [[existing]] = await pool.query(
-        "SELECT order_id, courier_unit_id FROM current_orders WHERE company_id=? AND order_id=?",
-        [companyId, orderId]
-      );
+      const existing = await fetchOrderById(companyId, orderId);
       if (!existing) return res.status(404).json({ ok: false, error: "Заказ не найден" });
 
+      if (!isOpenStatus(existing.status)) {
+        return res.status(409).json({ ok: false, error: "Заказ уже закрыт" });
+      }
+
       if (
         existing.courier_unit_id &&
         String(existing.courier_unit_id) !== String(courierId)
@@ -200,13 +220,27 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
         return res.status(409).json({ ok: false, error: "Заказ уже назначен другому курьеру" });
       }
 
-      await pool.query(
-        "UPDATE current_orders SET courier_unit_id=? WHERE company_id=? AND order_id=?",
-        [courierId, companyId, orderId]
+      // другой курьер мог принять заказ (или статус смениться) между чтением и записью
+      await ensureOrderColumns();
+      const [upd] = await pool.query(
+        `UPDATE current_orders SET courier_unit_id=?, version=version+1
+          WHERE company_id=? AND order_id=? AND status=?
+            AND (courier_unit_id IS NULL OR courier_unit_id=?)`,
+        [courierId, companyId, orderId, existing.status, courierId]
       );
+      if (upd.affectedRows === 0) {
+        return res.status(409).json({ ok: false, error: "Заказ уже принят другим курьером или изменён, обновите список" });
+      }
 
       // Broadcast обновлённого заказа — всем клиентам компании (admin + courier)
       const updatedRow = await fetchOrderById(companyId, orderId);
+      await recordOrderEvent({
+        companyId,
+        orderId,
+        action:  "assigned",
+        actor:   actorFromUser(user),
+        changes: diffOrderRows(existing, updatedRow),
+      });
       if (updatedRow) {
         broadcastToCompany(companyId, {
           type:      "order_updated",
@@ -232,10 +266,7 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
       const orderId   = Number(req.params.id);
       const courierId = user.unitId || user.unit_id || user.userId || null;
 
-      const [[existing]] = await pool.query(
-        "SELECT order_id, courier_unit_id FROM current_orders WHERE company_id=? AND order_id=?",
-        [companyId, orderId]
-      );
+      const existing = await fetchOrderById(companyId, orderId);
       if (!existing) return res.status(404).json({ ok: false, error: "Заказ не найден" });
 
       if (
@@ -245,14 +276,31 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
         return res.status(403).json({ ok: false, error: "Вы не можете отказаться от этого заказа" });
       }
 
+      // Отказ — не переход по машине состояний, а откат открытого заказа в пул.
+      // Закрытый заказ вернуть в работу нельзя.
+      if (!isOpenStatus(existing.status)) {
+        return res.status(409).json({ ok: false, error: "Заказ уже закрыт" });
+      }
+
       // Снимаем курьера и возвращаем заказ в статус «новый»
-      await pool.query(
-        "UPDATE current_orders SET courier_unit_id=NULL, status='new', updated_at=NOW() WHERE company_id=? AND order_id=?",
-        [companyId, orderId]
+      await ensureOrderColumns();
+      const [upd] = await pool.query(
+        "UPDATE current_orders SET courier_unit_id=NULL, status='new', updated_at=NOW(), version=version+1 WHERE company_id=? AND order_id=? AND status=?",
+        [companyId, orderId, existing.status]
       );
+      if (upd.affectedRows === 0) {
+        return res.status(409).json({ ok: false, error: "Статус заказа изменился, обновите список" });
+      }
 
       // Broadcast — заказ снова свободен
       const updatedRow = await fetchOrderById(companyId, orderId);
+      await recordOrderEvent({
+        companyId,
+        orderId,
+        action:  "released",
+        actor:   actorFromUser(user),
+        changes: diffOrderRows(existing, updatedRow),
+      });
       if (updatedRow) {
         broadcastToCompany(companyId, {
           type:      "order_updated",
@@ -270,7 +318,8 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
 
   // ── PATCH /api/mobile-orders/:id/complete ───────────────────────────────
   // Курьер закрывает заказ после доставки → статус 'completed' + WS-оповещение.
-  router.patch("/:id/complete", async (req, res) => {
+  // Body (необязательно): { tip, cashGiven } — полученные чаевые и фактическая купюра.
+  router.patch("/:id/complete", idempotency("mobile.complete"), async (req, res) => {
     try {
       const ctx = await resolveCompanyContext(req, res);
       if (!ctx) return;
@@ -279,10 +328,7 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
       const orderId   = Number(req.params.id);
       const courierId = user.unitId || user.unit_id || user.userId || null;
 
-      const [[existing]] = await pool.query(
-        "SELECT order_id, courier_unit_id, status FROM current_orders WHERE company_id=? AND order_id=?",
-        [companyId, orderId]
-      );
+      const existing = await fetchOrderById(companyId, orderId);
       if (!existing) return res.status(404).json({ ok: false, error: "Заказ не найден" });
 
       // завершить может только назначенный курьер
@@ -293,14 +339,36 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
         return res.status(403).json({ ok: false, error: "Вы не можете завершить этот заказ" });
       }
 
+      if (!canTransition(existing.status, "completed")) {
+        return res.status(409).json(illegalTransitionBody(existing.status, "completed"));
+      }
+
+      const money = readCashAndTip(req.body || {}, existing);
+      if (!money.ok) return res.status(400).json({ ok: false, error: money.error });
+
       await ensureCompletedAtColumn();
-      await pool.query(
-        "UPDATE current_orders SET status='completed', completed_at=UTC_TIMESTAMP(), updated_at=NOW() WHERE company_id=? AND order_id=?",
-        [companyId, orderId]
+      await ensureOrderColumns();
+      const [upd] = await pool.query(
+        `UPDATE current_orders
+            SET status='completed', completed_at=UTC_TIMESTAMP(), updated_at=NOW(), version=version+1,
+                cash_given = COALESCE(?, cash_given),
+                tip_amount = COALESCE(?, tip_amount)
+          WHERE company_id=? AND order_id=? AND status=?`,
+        [money.cashGiven ?? null, money.tip ?? null, companyId, orderId, existing.status]
       );
+      if (upd.affectedRows === 0) {
+        return res.status(409).json({ ok: false, error: "Статус заказа изменился, обновите список" });
+      }
 
       // Broadcast — всем клиентам компании (admin + courier)
       const updatedRow = await fetchOrderById(companyId, orderId);
+      await recordOrderEvent({
+        companyId,
+        orderId,
+        action:  "completed",
+        actor:   actorFromUser(user),
+        changes: diffOrderRows(existing, updatedRow),
+      });
       if (updatedRow) {
         broadcastToCompany(companyId, {
           type:      "order_updated",
@@ -327,10 +395,7 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
       const orderId   = Number(req.params.id);
       const courierId = user.unitId || user.unit_id || user.userId || null;
 
-      const [[existing]] = await pool.query(
-        "SELECT order_id, courier_unit_id, status FROM current_orders WHERE company_id=? AND order_id=?",
-        [companyId, orderId]
-      );
+      const existing = await fetchOrderById(companyId, orderId);
       if (!existing) return res.status(404).json({ ok: false, error: "Заказ не найден" });
 
       // в путь может отправить только назначенный курьер
@@ -341,16 +406,27 @@ export default function mobileOrdersRouter({ broadcastToCompany }) {
         return res.status(403).json({ ok: false, error: "Вы не можете изменить этот заказ" });
       }
 
-      if (["completed", "cancelled"].includes(String(existing.status))) {
-        return res.status(409).json({ ok: false, error: "Заказ уже закрыт" });
+      if (!canTransition(existing.status, "enroute")) {
+        return res.status(409).json(illegalTransitionBody(existing.status, "enroute"));
       }
 
-      await pool.query(
-        "UPDATE current_orders SET status='enroute', updated_at=NOW() WHERE company_id=? AND order_id=?",
-        [companyId, orderId]
+      await ensureOrderColumns();
+      const [upd] = await pool.query(
+        "UPDATE current_orders SET status='enroute', updated_at=NOW(), version=version+1 WHERE company_id=? AND order_id=? AND status=?",
+        [companyId, orderId, existing.status]
       );
+      if (upd.affectedRows === 0) {
+        return res.status(409).json({ ok: false, error: "Статус заказа изменился, обновите список" });
+      }
 
       const updatedRow = await fetchOrderById(companyId, orderId);
+      await recordOrderEvent({
+        companyId,
+        orderId,
+        action:  "enroute",
+        actor:   actorFromUser(user),
+        changes: diffOrderRows(existing, updatedRow),
+      });
       if (updatedRow) {
         broadcastToCompany(companyId, {
           type:      "order_updated",
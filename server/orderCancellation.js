@@ -0,0 +1,97 @@
+import pool from "./db.js";
+import { ensureColumns } from "./schema.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Отмена заказа: справочник причин (свой у каждой компании) и поля отмены
+// в current_orders. Сам эндпоинт — POST /api/current-orders/:id/cancel.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Набор по умолчанию — пока компания не настроила свой список
+export const DEFAULT_CANCEL_REASONS = [
+    { code: "customer_no_show", label: "Клиент не вышел на связь" },
+    { code: "customer_request", label: "Клиент отказался" },
+    { code: "wrong_address",    label: "Неверный адрес" },
+    { code: "out_of_stock",     label: "Кухня: нет в наличии" },
+    { code: "duplicate",        label: "Дубликат заказа" },
+    { code: "other",            label: "Другое" },
+];
+
+const CODE_RE = /^[a-z0-9_]{1,32}$/;
+
+// ── Ленивая миграция ─────────────────────────────────────────────────────────
+let _ready = false;
+export async function ensureCancellationSchema() {
+    if (_ready) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS order_cancel_reasons (
+            company_id  INT          NOT NULL,
+            code        VARCHAR(32)  NOT NULL,
+            label       VARCHAR(120) NOT NULL,
+            sort_order  INT          NOT NULL DEFAULT 0,
+            PRIMARY KEY (company_id, code)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await ensureColumns("current_orders", [
+        ["cancel_reason",  "VARCHAR(32) NULL"],
+        ["cancel_comment", "VARCHAR(500) NULL"],
+        ["cancel_refund",  "TINYINT(1) NOT NULL DEFAULT 0"],
+        ["cancelled_at",   "DATETIME NULL"],
+        ["cancelled_by",   "INT NULL"],
+    ]);
+    _ready = true;
+}
+
+// Список причин компании (или набор по умолчанию)
+export async function getCancelReasons(companyId) {
+    await ensureCancellationSchema();
+    const [rows] = await pool.query(
+        `SELECT code, label
+           FROM order_cancel_reasons
+          WHERE company_id=?
+          ORDER BY sort_order ASC, code ASC`,
+        [companyId]
+    );
+    if (!rows.length) return DEFAULT_CANCEL_REASONS.map((r) => ({ ...r }));
+    return rows.map((r) => ({ code: r.code, label: r.label }));
+}
+
+// Заменить весь список причин компании. Пустой список → снова набор по умолчанию.
+// Возвращает { ok, reasons } либо { ok: false, error }.
+export async function replaceCancelReasons(companyId, incoming) {
+    await ensureCancellationSchema();
+
+    const list = Array.isArray(incoming) ? incoming : [];
+    const clean = [];
+    const seen = new Set();
+    for (const r of list) {
+        const code = String(r?.code ?? "").trim().toLowerCase();
+        const label = String(r?.label ?? "").trim().slice(0, 120);
+        if (!CODE_RE.test(code) || !label) {
+            return { ok: false, error: `Некорректная причина: ${code || "(пусто)"}` };
+        }
+        if (seen.has(code)) continue;
+        seen.add(code);
+        clean.push({ code, label });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        await conn.query("DELETE FROM order_cancel_reasons WHERE company_id=?", [companyId]);
+        for (let i = 0; i < clean.length; i++) {
+            await conn.query(
+                `INSERT INTO order_cancel_reasons (company_id, code, label, sort_order)
+                 VALUES (?, ?, ?, ?)`,
+                [companyId, clean[i].code, clean[i].label, i]
+            );
+        }
+        await conn.commit();
+    } catch (e) {
+        try { await conn.rollback(); } catch {}
+        throw e;
+    } finally {
+        conn.release();
+    }
+
+    return { ok: true, reasons: await getCancelReasons(companyId) };
+}
@@ -0,0 +1,146 @@
+import pool from "./db.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// История заказа (аудит): кто, когда и что поменял.
+// Строки только добавляются — ни UPDATE, ни DELETE по order_events нет.
+// changes: { <колонка>: { from, to } } — только реально изменившиеся поля.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Колонки current_orders, изменения которых попадают в историю.
+// updated_at не отслеживаем — он меняется при любой записи.
+const TRACKED_FIELDS = [
+    "status", "order_type", "scheduled_at", "completed_at",
+    "courier_unit_id", "pickup_unit_id", "dispatcher_unit_id",
+    "payment_method", "payment_parts", "cash_given", "tip_amount", "delivery_fee",
+    "customer_name", "customer_phone",
+    "address_street", "address_house", "address_building",
+    "address_apartment", "address_floor", "address_code",
+    "address_lat", "address_lng",
+    "people_amount", "notes",
+    "items_json", "amount_subtotal", "amount_discount", "amount_total",
+    "promo_code", "promo_discount", "amount_net", "amount_vat",
+    "prep_started_at", "prep_ready_at", "predicted_ready_at",
+    "delivery_zone_id", "promised_at",
+    "cancel_reason", "cancel_comment", "cancel_refund", "cancelled_by",
+];
+
+// ── Ленивая миграция таблицы ─────────────────────────────────────────────────
+let _tableReady = false;
+export async function ensureOrderEventsTable() {
+    if (_tableReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS order_events (
+            event_id       BIGINT AUTO_INCREMENT PRIMARY KEY,
+            company_id     INT          NOT NULL,
+            order_id       BIGINT       NOT NULL,
+            action         VARCHAR(32)  NOT NULL,
+            actor_user_id  INT          NULL,
+            actor_role     VARCHAR(16)  NULL,
+            changes        JSON         NULL,
+            created_at     DATETIME(3)  NOT NULL,
+            KEY idx_order (company_id, order_id, event_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tableReady = true;
+}
+
+// Приводим значение колонки к сравнимому/сериализуемому виду
+function normalizeValue(field, v) {
+    if (v == null) return null;
+    if (v instanceof Date) return isNaN(v.getTime()) ? null : v.toISOString();
+    if (Buffer.isBuffer(v)) v = v.toString("utf8");
+    if (field === "items_json" || field === "payment_parts") {
+        try {
+            return typeof v === "string" ? JSON.parse(v) : v;
+        } catch {
+            return v;
+        }
+    }
+    return v;
+}
+
+function sameValue(a, b) {
+    if (a == null || b == null) return a == null && b == null;
+    if (typeof a === "object" || typeof b === "object") {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    // DECIMAL приходит строкой ("12.50"), число из body — числом
+    const na = Number(a);
+    const nb = Number(b);
+    if (a !== "" && b !== "" && Number.isFinite(na) && Number.isFinite(nb)) return na === nb;
+    return String(a) === String(b);
+}
+
+// Разница между двумя строками current_orders. before=null — заказ создан.
+export function diffOrderRows(before, after) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        const from = normalizeValue(field, before ? before[field] : null);
+        const to = normalizeValue(field, after ? after[field] : null);
+        if (!sameValue(from, to)) changes[field] = { from, to };
+    }
+    return changes;
+}
+
+// Автор изменения из req.user; для фоновых задач — role 'system'
+export function actorFromUser(user) {
+    if (!user) return { userId: null, role: "system" };
+    return {
+        userId: user.userId ?? user.id ?? null,
+        role: user.role ?? null,
+    };
+}
+
+// Записать событие. Best-effort: сама мутация уже прошла, поэтому ошибку
+// записи истории только логируем, а не роняем запрос.
+export async function recordOrderEvent({ companyId, orderId, action, actor, changes }) {
+    try {
+        await ensureOrderEventsTable();
+        await pool.query(
+            `INSERT INTO order_events
+                (company_id, order_id, action, actor_user_id, actor_role, changes, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(3))`,
+            [
+                companyId,
+                orderId,
+                action,
+                actor?.userId ?? null,
+                actor?.role ?? null,
+                JSON.stringify(changes || {}),
+            ]
+        );
+    } catch (e) {
+        console.error(`[orderEvents] record ${action} for order ${orderId} failed:`, e?.message ?? e);
+    }
+}
+
+// История заказа в хронологическом порядке (для GET /:id/history)
+export async function listOrderEvents(companyId, orderId) {
+    await ensureOrderEventsTable();
+    const [rows] = await pool.query(
+        `SELECT e.event_id, e.action, e.actor_user_id, e.actor_role, e.changes, e.created_at,
+                u.nickname AS actor_nickname, u.first_name AS actor_first_name
+           FROM order_events e
+           LEFT JOIN users u ON u.user_id = e.actor_user_id
+          WHERE e.company_id=? AND e.order_id=?
+          ORDER BY e.event_id ASC`,
+        [companyId, orderId]
+    );
+    return rows.map((r) => {
+        let changes = r.changes;
+        if (typeof changes === "string") {
+            try { changes = JSON.parse(changes); } catch { changes = {}; }
+        }
+        return {
+            id: r.event_id,
+            action: r.action,
+            actor: {
+                userId: r.actor_user_id ?? null,
+                role: r.actor_role ?? null,
+                name: r.actor_nickname || r.actor_first_name || null,
+            },
+            changes: changes || {},
+            createdAt: r.created_at,
+        };
+    });
+}
@@ -0,0 +1,53 @@
+import pool from "./db.js";
+import { getCompanySettings } from "./companySettings.js";
+import { findZoneForPoint } from "./deliveryZones.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Обещанное время доставки заказа (current_orders.promised_at, UTC).
+//
+//   предзаказ (есть scheduled_at) → scheduled_at, и после активации тоже;
+//   активный заказ                → created_at + минуты зоны доставки
+//                                   (delivery_zones.promise_minutes) или
+//                                   настройки компании deliveryPromiseMinutes.
+//
+// Зона ищется по координатам, поэтому пересчёт — после геокодинга и после
+// правок адреса/времени. Если обещанное время сдвинулось, флаги уведомлений
+// SLA сбрасываются, и jobs/checkOrderSla.js предупредит заново.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// правки этих полей body (POST/PUT/PATCH) меняют обещанное время
+export const PROMISE_BODY_KEYS = [
+    "orderType", "scheduledAt",
+    "street", "house", "building", "apart",
+    "addressLat", "addressLng",
+];
+
+/** Пересчитать delivery_zone_id и promised_at открытого заказа */
+export async function refreshOrderPromise(companyId, orderId) {
+    const [rows] = await pool.query(
+        `SELECT address_lat, address_lng
+           FROM current_orders
+          WHERE company_id=? AND order_id=? AND status NOT IN ('completed','cancelled')
+          LIMIT 1`,
+        [companyId, orderId]
+    );
+    if (!rows.length) return;
+
+    const [settings, zone] = await Promise.all([
+        getCompanySettings(companyId),
+        findZoneForPoint(companyId, rows[0].address_lat, rows[0].address_lng),
+    ]);
+    const minutes = zone?.promiseMinutes ?? settings.deliveryPromiseMinutes;
+
+    // SET выполняется слева направо: флаги сравниваем со старым promised_at
+    const promised = "COALESCE(scheduled_at, DATE_ADD(created_at, INTERVAL ? MINUTE))";
+    await pool.query(
+        `UPDATE current_orders
+            SET sla_at_risk_at = IF(promised_at <=> ${promised}, sla_at_risk_at, NULL),
+                sla_late_at    = IF(promised_at <=> ${promised}, sla_late_at, NULL),
+                delivery_zone_id = ?,
+                promised_at    = ${promised}
+          WHERE company_id=? AND order_id=?`,
+        [minutes, minutes, zone ? zone.id : null, minutes, companyId, orderId]
+    );
+}
@@ -0,0 +1,51 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Машина состояний заказа (current_orders.status).
+//
+//   new → ready → enroute → completed
+//   + cancelled из любого открытого статуса
+//
+// Курьер может забрать заказ сразу из 'new' (кухня не всегда отмечает ready),
+// поэтому new → enroute тоже разрешён. Из completed/cancelled выхода нет —
+// устаревшая вкладка админки не должна «переоткрыть» закрытый заказ.
+// Таблица общая для админского (currentOrder.js) и мобильного роутеров.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const ORDER_STATUSES = ["new", "ready", "enroute", "completed", "cancelled"];
+
+const TRANSITIONS = {
+    new:       ["ready", "enroute", "cancelled"],
+    ready:     ["enroute", "cancelled"],
+    enroute:   ["completed", "cancelled"],
+    completed: [],
+    cancelled: [],
+};
+
+export function isKnownStatus(status) {
+    return ORDER_STATUSES.includes(String(status));
+}
+
+// Открытый заказ — ещё не завершён и не отменён
+export function isOpenStatus(status) {
+    return (TRANSITIONS[String(status)] || []).length > 0;
+}
+
+export function allowedNextStatuses(from) {
+    return [...(TRANSITIONS[String(from)] || [])];
+}
+
+// Тот же статус — не переход, разрешаем (PUT присылает статус целиком)
+export function canTransition(from, to) {
+    if (String(from) === String(to)) return true;
+    return allowedNextStatuses(from).includes(String(to));
+}
+
+// Тело ответа 409 для недопустимого перехода
+export function illegalTransitionBody(from, to) {
+    return {
+        ok: false,
+        error: `Недопустимая смена статуса: ${from} → ${to}`,
+        from,
+        to,
+        allowed: allowedNextStatuses(from),
+    };
+}
@@ -0,0 +1,19 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Минимальные требования к паролю — общие для регистрации, персонала
+// (createUnit / updateUnit) и сброса пароля.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+const PASSWORD_MAX_LENGTH = 72; // bcrypt учитывает только первые 72 байта
+
+/** Текст ошибки или null, если пароль подходит */
+export function validatePassword(password) {
+    const p = typeof password === "string" ? password : String(password ?? "");
+    if (p.length < PASSWORD_MIN_LENGTH)
+        return `Пароль должен быть не короче ${PASSWORD_MIN_LENGTH} символов`;
+    if (Buffer.byteLength(p, "utf8") > PASSWORD_MAX_LENGTH)
+        return `Пароль должен быть не длиннее ${PASSWORD_MAX_LENGTH} байт`;
+    if (!/\p{L}/u.test(p) || !/\p{N}/u.test(p))
+        return "Пароль должен содержать буквы и цифры";
+    return null;
+}
@@ -0,0 +1,189 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import pool from "./db.js";
+import { validatePassword } from "./passwordPolicy.js";
+import { revokeUserSessions } from "./sessions.js";
+import {
+    requestIp,
+    checkLoginAllowed,
+    recordLoginFailure,
+    sendThrottled,
+} from "./loginThrottle.js";
+import { sendNotification } from "./services/notify/notifyService.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Сброс пароля (владельцы, админы, курьеры).
+//
+// POST /api/auth/password-reset/request { identifier } — email или телефон.
+//   Ответ всегда { ok: true }: по нему нельзя узнать, есть ли такой пользователь.
+//   Поиск пользователя и отправка идут уже после ответа, чтобы и время ответа
+//   ничего не выдавало. Ссылка/код уходит на email (если identifier — email)
+//   или SMS на телефон. Частота запросов ограничена по identifier и по IP
+//   (loginThrottle.js, kind 'reset') — иначе эндпоинтом можно рассылать SMS.
+// POST /api/auth/password-reset/confirm { token, password } — новый пароль,
+//   все сессии пользователя отзываются.
+//
+// Токен одноразовый, живёт PASSWORD_RESET_TTL_MINUTES, в БД — только sha256.
+// Поэтому отправка идёт напрямую, а не через jobs/queue.js: в очереди токен
+// лежал бы открытым текстом.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const RESEND_INTERVAL_SECONDS = 60;
+const SALT_ROUNDS = 10;
+
+let _tableReady = false;
+async function ensureResetTable() {
+    if (_tableReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS password_reset_tokens (
+            id          INT AUTO_INCREMENT PRIMARY KEY,
+            user_id     INT          NOT NULL,
+            token_hash  CHAR(64)     NOT NULL,
+            channel     VARCHAR(8)   NOT NULL,
+            ip          VARCHAR(64)  NULL,
+            created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            expires_at  DATETIME     NOT NULL,
+            used_at     DATETIME     NULL,
+            UNIQUE KEY uq_token (token_hash),
+            KEY idx_user (user_id, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tableReady = true;
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+function resetMessage(token) {
+    const base = process.env.PASSWORD_RESET_URL;
+    const link = base ? `${base}${base.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}` : null;
+    return link
+        ? `Для сброса пароля перейдите по ссылке (действует ${RESET_TTL_MINUTES} мин): ${link}`
+        : `Код для сброса пароля (действует ${RESET_TTL_MINUTES} мин): ${token}`;
+}
+
+// --- Запрос сброса ---
+export async function requestPasswordReset(req, res) {
+    let identifier;
+    try {
+        identifier = String(req.body?.identifier ?? "").trim();
+        if (!identifier) {
+            return res.status(400).json({ error: "Email или телефон обязателен" });
+        }
+
+        const allowed = await checkLoginAllowed("reset", identifier, req);
+        if (!allowed.ok) return sendThrottled(res, allowed.retryAfterSec);
+        // каждый запрос расходует лимит, независимо от того, есть ли пользователь
+        await recordLoginFailure("reset", identifier, req, { reason: "reset_request" });
+
+        res.json({ ok: true });
+    } catch (err) {
+        console.error("Ошибка запроса сброса пароля:", err);
+        return res.status(500).json({ error: "Ошибка сервера" });
+    }
+
+    issueResetToken(identifier, requestIp(req)).catch((err) => {
+        console.error("Ошибка выдачи токена сброса пароля:", err);
+    });
+}
+
+// Выполняется после ответа клиенту
+async function issueResetToken(identifier, ip) {
+    await ensureResetTable();
+
+    const [rows] = await pool.query(
+        `SELECT user_id, email, phone, is_active
+           FROM users
+          WHERE email = ? OR phone = ?
+          LIMIT 1`,
+        [identifier, identifier]
+    );
+    const user = rows[0];
+    const byEmail = identifier.includes("@");
+    const to = user ? (byEmail ? user.email : user.phone) : null;
+
+    // нет пользователя / адреса / учётка отключена — ничего не отправляем
+    if (!user || !to || (user.is_active != null && !user.is_active)) return;
+
+    // не чаще раза в минуту: защищает почту/SMS-баланс от спама
+    const [recent] = await pool.query(
+        `SELECT id FROM password_reset_tokens
+          WHERE user_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+          LIMIT 1`,
+        [user.user_id, RESEND_INTERVAL_SECONDS]
+    );
+    if (recent.length) return;
+
+    // действует только последний выданный токен
+    await pool.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+        [user.user_id]
+    );
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const channel = byEmail ? "email" : "sms";
+    await pool.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, channel, ip, expires_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [user.user_id, sha256(token), channel, ip, RESET_TTL_MINUTES]
+    );
+
+    try {
+        await sendNotification({
+            channel,
+            to,
+            subject: "Сброс пароля",
+            text: resetMessage(token),
+        });
+    } catch (e) {
+        console.error(`[passwordReset] доставка для user_id=${user.user_id} не удалась:`, e?.message ?? e);
+    }
+}
+
+// --- Подтверждение сброса ---
+export async function confirmPasswordReset(req, res) {
+    try {
+        const { token, password } = req.body || {};
+        if (!token || !password) {
+            return res.status(400).json({ error: "Токен и пароль обязательны" });
+        }
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        await ensureResetTable();
+
+        const hash = sha256(String(token));
+        const [rows] = await pool.query(
+            `SELECT id, user_id FROM password_reset_tokens
+              WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+              LIMIT 1`,
+            [hash]
+        );
+        if (!rows.length) {
+            return res.status(400).json({ error: "Ссылка для сброса недействительна или устарела" });
+        }
+
+        // одноразовость: токен «гасит» только один из параллельных запросов
+        const [claim] = await pool.query(
+            "UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+            [rows[0].id]
+        );
+        if (!claim.affectedRows) {
+            return res.status(400).json({ error: "Ссылка для сброса недействительна или устарела" });
+        }
+
+        const userId = rows[0].user_id;
+        const passwordHash = await bcrypt.hash(String(password), SALT_ROUNDS);
+        await pool.query(
+            "UPDATE users SET password = ?, updated_at = NOW() WHERE user_id = ?",
+            [passwordHash, userId]
+        );
+        await revokeUserSessions(userId, "password_reset");
+
+        return res.json({ ok: true, message: "Пароль изменён" });
+    } catch (err) {
+        console.error("Ошибка сброса пароля:", err);
+        res.status(500).json({ error: "Ошибка сервера" });
+    }
+}
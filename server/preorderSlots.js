@@ -0,0 +1,342 @@
+import { Router } from "express";
+import pool from "./db.js";
+import { resolveCompanyContext } from "./currentOrder.js";
+import { isValidDate, addDays, localDateTimeToUtc, utcToLocal } from "./localTime.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Ёмкость слотов предзаказов.
+//
+// День точки выдачи делится на слоты по slot_minutes от местной полуночи
+// (localTime.js). В слот помещается не больше max_orders заказов и/или
+// max_items позиций (NULL — без ограничения). Настройка с pickup_unit_id=0 —
+// общая для компании, её используют точки без своей строки. Заказы считаются
+// по точке выдачи заказа: всё, что с scheduled_at в слоте и не отменено
+// (активированные предзаказы тоже занимают место).
+//
+// currentOrder.js при создании/правке предзаказа вызывает reserveSlotCapacity
+// в транзакции записи заказа: строка настройки блокируется FOR UPDATE, так что
+// параллельные заказы в слот проверяются по очереди и не переполняют его.
+// В заполненный слот заказ ставит только сотрудник (не курьер) с overrideSlotCapacity=true.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const COMPANY_DEFAULT = 0;
+
+// ── Ленивая миграция таблицы ─────────────────────────────────────────────────
+let _tableReady = false;
+export async function ensureSlotTable() {
+    if (_tableReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS preorder_slot_settings (
+            company_id      INT       NOT NULL,
+            pickup_unit_id  INT       NOT NULL DEFAULT 0,
+            slot_minutes    INT       NOT NULL DEFAULT 30,
+            max_orders      INT       NULL,
+            max_items       INT       NULL,
+            updated_at      DATETIME  NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (company_id, pickup_unit_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tableReady = true;
+}
+
+function rowToConfig(r) {
+    return {
+        pickupId: Number(r.pickup_unit_id) || null,
+        slotMinutes: Number(r.slot_minutes),
+        maxOrders: r.max_orders != null ? Number(r.max_orders) : null,
+        maxItems: r.max_items != null ? Number(r.max_items) : null,
+    };
+}
+
+/**
+ * Настройка слотов точки (своя или общая компании) или null — без ограничений.
+ * С conn (открытая транзакция) строки настройки блокируются до её конца.
+ */
+export async function getSlotConfig(companyId, pickupId, conn = null) {
+    await ensureSlotTable();
+    const [rows] = await (conn || pool).query(
+        `SELECT * FROM preorder_slot_settings
+          WHERE company_id=? AND pickup_unit_id IN (?, ?)
+          ORDER BY pickup_unit_id DESC${conn ? " FOR UPDATE" : ""}`,
+        [companyId, Number(pickupId) || COMPANY_DEFAULT, COMPANY_DEFAULT]
+    );
+    const own = rows.find((r) => Number(r.pickup_unit_id) === Number(pickupId));
+    const row = own || rows.find((r) => Number(r.pickup_unit_id) === COMPANY_DEFAULT);
+    if (!row || (row.max_orders == null && row.max_items == null)) return null;
+    return rowToConfig(row);
+}
+
+// scheduled_at из body (ISO) или из БД ("YYYY-MM-DD HH:MM:SS" в UTC, Date) → Date
+export function toUtcDate(v) {
+    if (v == null || v === "") return null;
+    if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
+    const str = String(v).trim();
+    const d = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(str) ? `${str.replace(" ", "T")}Z` : str);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+// UTC → "YYYY-MM-DD HH:MM:SS" для сравнения с DATETIME
+const toSql = (d) => d.toISOString().slice(0, 19).replace("T", " ");
+
+const hhmm = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+// Слот, в который попадает момент at (UTC): { start, end } (Date, UTC)
+export function slotOf(at, slotMinutes) {
+    const { date, minutes } = utcToLocal(at);
+    const startMin = Math.floor(minutes / slotMinutes) * slotMinutes;
+    const start = localDateTimeToUtc(date, hhmm(startMin));
+    return { start, end: new Date(start.getTime() + slotMinutes * 60 * 1000) };
+}
+
+// Слоты местного дня date по порядку: [{ start, end }] (UTC)
+export function daySlots(date, slotMinutes) {
+    const dayStart = localDateTimeToUtc(date, "00:00");
+    const dayEnd = localDateTimeToUtc(addDays(date, 1), "00:00");
+    const slots = [];
+    for (let t = dayStart; t < dayEnd; ) {
+        const slot = slotOf(t, slotMinutes);
+        slots.push(slot);
+        // при переводе часов назад местное время повторяется — не топчемся на месте
+        t = slot.end > t ? slot.end : new Date(t.getTime() + slotMinutes * 60 * 1000);
+    }
+    return slots;
+}
+
+// Занятость слотов точки в [from, to): Map(slotStartMs → { orders, items })
+async function loadUsage(companyId, pickupId, from, to, slotMinutes, excludeOrderId = null, db = pool) {
+    const [rows] = await db.query(
+        `SELECT co.order_id, co.scheduled_at,
+                COALESCE(SUM(jt.quantity), 0) AS items_count
+           FROM current_orders co
+           LEFT JOIN JSON_TABLE(
+               co.items_json,
+               '$[*]' COLUMNS (quantity INT PATH '$.quantity')
+           ) AS jt ON TRUE
+          WHERE co.company_id = ?
+            AND co.pickup_unit_id <=> ?
+            AND co.status <> 'cancelled'
+            AND co.scheduled_at >= ? AND co.scheduled_at < ?
+            AND co.order_id <> ?
+          GROUP BY co.order_id`,
+        [companyId, pickupId ?? null, toSql(from), toSql(to), excludeOrderId ?? 0]
+    );
+    const usage = new Map();
+    for (const r of rows) {
+        const key = slotOf(r.scheduled_at, slotMinutes).start.getTime();
+        const u = usage.get(key) || { orders: 0, items: 0 };
+        u.orders += 1;
+        u.items += Number(r.items_count) || 0;
+        usage.set(key, u);
+    }
+    return usage;
+}
+
+function slotDto(slot, used, config) {
+    const remainingOrders = config.maxOrders != null ? Math.max(0, config.maxOrders - used.orders) : null;
+    const remainingItems = config.maxItems != null ? Math.max(0, config.maxItems - used.items) : null;
+    return {
+        start: slot.start,
+        end: slot.end,
+        orders: used.orders,
+        items: used.items,
+        remainingOrders,
+        remainingItems,
+        full: remainingOrders === 0 || remainingItems === 0,
+    };
+}
+
+const itemsCount = (items) =>
+    (Array.isArray(items) ? items : []).reduce((s, it) => s + (Number(it?.quantity) || 0), 0);
+
+/**
+ * Поместится ли предзаказ в свой слот.
+ * scheduledAt — момент доставки (Date или строка UTC), items — позиции заказа,
+ * excludeOrderId — редактируемый заказ (сам себя не занимает).
+ * conn — транзакция записи заказа (см. reserveSlotCapacity).
+ * Возвращает { ok: true, slot } либо { ok: false, error, slot }.
+ */
+export async function checkSlotCapacity(companyId, { pickupId, scheduledAt, items, excludeOrderId = null }, conn = null) {
+    const at = toUtcDate(scheduledAt);
+    if (!at) return { ok: true, slot: null };
+    const config = await getSlotConfig(companyId, pickupId, conn);
+    if (!config) return { ok: true, slot: null };
+
+    const slot = slotOf(at, config.slotMinutes);
+    const usage = await loadUsage(
+        companyId, pickupId, slot.start, slot.end, config.slotMinutes, excludeOrderId, conn || pool
+    );
+    const used = usage.get(slot.start.getTime()) || { orders: 0, items: 0 };
+    const dto = slotDto(slot, used, config);
+
+    const addItems = itemsCount(items);
+    if (config.maxOrders != null && used.orders + 1 > config.maxOrders)
+        return { ok: false, error: `Слот заполнен: ${used.orders} из ${config.maxOrders} заказов`, slot: dto };
+    if (config.maxItems != null && used.items + addItems > config.maxItems)
+        return {
+            ok: false,
+            error: `Слот заполнен: ${used.items} из ${config.maxItems} позиций, в заказе ${addItems}`,
+            slot: dto,
+        };
+    return { ok: true, slot: dto };
+}
+
+/**
+ * checkSlotCapacity в транзакции заказа (conn): вызывать первым запросом после
+ * beginTransaction — тогда снимок для подсчёта заказов берётся уже после
+ * блокировки и видит заказы, закоммиченные конкурентом.
+ * Слот заполнен → ошибка с code='SLOT_FULL' и полем slot (маршрут отвечает 409).
+ */
+export async function reserveSlotCapacity(conn, companyId, opts) {
+    const cap = await checkSlotCapacity(companyId, opts, conn);
+    if (!cap.ok) {
+        const err = new Error(cap.error);
+        err.code = "SLOT_FULL";
+        err.slot = cap.slot;
+        throw err;
+    }
+    return cap;
+}
+
+export default function createPreorderSlotsRouter() {
+    const router = Router();
+
+    // ── GET /api/preorder-slots?date=YYYY-MM-DD&pickupId= ────────────────────
+    // Слоты местного дня с оставшейся ёмкостью. Нет настройки — unlimited.
+    router.get("/", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId } = ctx;
+
+            const date = String(req.query.date || "");
+            if (!isValidDate(date))
+                return res.status(400).json({ ok: false, error: "date: формат YYYY-MM-DD" });
+            const pickupId = req.query.pickupId ? Number(req.query.pickupId) : null;
+            if (req.query.pickupId && !Number.isInteger(pickupId))
+                return res.status(400).json({ ok: false, error: "Некорректный pickupId" });
+
+            const config = await getSlotConfig(companyId, pickupId);
+            if (!config) return res.json({ ok: true, date, pickupId, unlimited: true, slots: [] });
+
+            const dayStart = localDateTimeToUtc(date, "00:00");
+            const dayEnd = localDateTimeToUtc(addDays(date, 1), "00:00");
+            const usage = await loadUsage(companyId, pickupId, dayStart, dayEnd, config.slotMinutes);
+
+            const slots = daySlots(date, config.slotMinutes).map((slot) =>
+                slotDto(slot, usage.get(slot.start.getTime()) || { orders: 0, items: 0 }, config)
+            );
+
+            res.json({
+                ok: true,
+                date,
+                pickupId,
+                unlimited: false,
+                slotMinutes: config.slotMinutes,
+                maxOrders: config.maxOrders,
+                maxItems: config.maxItems,
+                slots,
+            });
+        } catch (e) {
+            console.error("preorder slots error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── GET /api/preorder-slots/settings ─────────────────────────────────────
+    // Все настройки компании; pickupId=null — общая для точек без своей.
+    router.get("/settings", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            await ensureSlotTable();
+            const [rows] = await pool.query(
+                "SELECT * FROM preorder_slot_settings WHERE company_id=? ORDER BY pickup_unit_id ASC",
+                [ctx.companyId]
+            );
+            res.json({ ok: true, items: rows.map(rowToConfig) });
+        } catch (e) {
+            console.error("preorder slot settings error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── PUT /api/preorder-slots/settings ─────────────────────────────────────
+    // body: { pickupId?: number|null, slotMinutes, maxOrders?: number|null, maxItems?: number|null }
+    router.put("/settings", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            if (user?.role === "courier")
+                return res.status(403).json({ ok: false, error: "Недостаточно прав" });
+            await ensureSlotTable();
+
+            const b = req.body || {};
+            const pickupId = b.pickupId != null && b.pickupId !== "" ? Number(b.pickupId) : COMPANY_DEFAULT;
+            if (!Number.isInteger(pickupId) || pickupId < 0)
+                return res.status(400).json({ ok: false, error: "Некорректный pickupId" });
+
+            const slotMinutes = Number(b.slotMinutes ?? 30);
+            // слот делит сутки без остатка — границы слотов каждый день одинаковые
+            if (!Number.isInteger(slotMinutes) || slotMinutes < 5 || slotMinutes > 240 || 1440 % slotMinutes !== 0)
+                return res.status(400).json({ ok: false, error: "slotMinutes: 5..240, делитель 1440" });
+
+            const limit = (v, name) => {
+                if (v == null || v === "") return { ok: true, value: null };
+                const n = Number(v);
+                if (!Number.isInteger(n) || n < 0) return { ok: false, error: `${name}: целое число ≥ 0` };
+                return { ok: true, value: n };
+            };
+            const maxOrders = limit(b.maxOrders, "maxOrders");
+            if (!maxOrders.ok) return res.status(400).json({ ok: false, error: maxOrders.error });
+            const maxItems = limit(b.maxItems, "maxItems");
+            if (!maxItems.ok) return res.status(400).json({ ok: false, error: maxItems.error });
+
+            await pool.query(
+                `INSERT INTO preorder_slot_settings (company_id, pickup_unit_id, slot_minutes, max_orders, max_items)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE slot_minutes=VALUES(slot_minutes),
+                                         max_orders=VALUES(max_orders),
+                                         max_items=VALUES(max_items)`,
+                [companyId, pickupId, slotMinutes, maxOrders.value, maxItems.value]
+            );
+            res.json({
+                ok: true,
+                item: rowToConfig({
+                    pickup_unit_id: pickupId,
+                    slot_minutes: slotMinutes,
+                    max_orders: maxOrders.value,
+                    max_items: maxItems.value,
+                }),
+            });
+        } catch (e) {
+            console.error("preorder slot settings update error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── DELETE /api/preorder-slots/settings?pickupId= ────────────────────────
+    // Без pickupId — удалить общую настройку компании.
+    router.delete("/settings", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            if (user?.role === "courier")
+                return res.status(403).json({ ok: false, error: "Недостаточно прав" });
+            await ensureSlotTable();
+            const pickupId = req.query.pickupId ? Number(req.query.pickupId) : COMPANY_DEFAULT;
+            await pool.query(
+                "DELETE FROM preorder_slot_settings WHERE company_id=? AND pickup_unit_id=?",
+                [companyId, pickupId]
+            );
+            res.json({ ok: true });
+        } catch (e) {
+            console.error("preorder slot settings delete error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    return router;
+}
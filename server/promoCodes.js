@@ -0,0 +1,470 @@
+import { Router } from "express";
+import pool from "./db.js";
+import { resolveCompanyContext } from "./currentOrder.js";
+import { normalizePhone } from "./customers.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Промокоды компании (поверх персональных скидок customer_discounts).
+//
+// Промокод: percent/fixed, минимальная корзина, окно действия, лимит
+// использований всего и на один телефон, ограничение по категориям/позициям.
+// Скидка считается в normalizeItemsAndAmounts (currentOrder.js), здесь —
+// проверка кода и учёт использований (promo_redemptions).
+//
+// Лимиты держатся под конкуренцией: redeemPromo() блокирует строку промокода
+// (SELECT ... FOR UPDATE) в транзакции заказа и только потом считает
+// использования — два параллельных заказа не проскочат последний слот.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CODE_RE = /^[A-Z0-9_-]{3,32}$/;
+
+export function normalizePromoCode(code) {
+    return String(code ?? "").trim().toUpperCase();
+}
+
+// ── Ленивая миграция таблиц ──────────────────────────────────────────────────
+let _tablesReady = false;
+export async function ensurePromoTables() {
+    if (_tablesReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS promo_codes (
+            promo_id            INT AUTO_INCREMENT PRIMARY KEY,
+            company_id          INT           NOT NULL,
+            code                VARCHAR(32)   NOT NULL,
+            discount_type       ENUM('percent','fixed') NOT NULL DEFAULT 'percent',
+            discount_value      DECIMAL(10,2) NOT NULL,
+            min_basket          DECIMAL(10,2) NULL,
+            valid_from          DATETIME      NULL,
+            valid_to            DATETIME      NULL,
+            max_uses            INT           NULL,
+            max_uses_per_phone  INT           NULL,
+            categories          JSON          NULL,
+            item_ids            JSON          NULL,
+            is_active           TINYINT(1)    NOT NULL DEFAULT 1,
+            note                VARCHAR(255)  NULL,
+            created_at          DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at          DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_company_code (company_id, code)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS promo_redemptions (
+            redemption_id    BIGINT AUTO_INCREMENT PRIMARY KEY,
+            promo_id         INT           NOT NULL,
+            company_id       INT           NOT NULL,
+            order_id         BIGINT        NOT NULL,
+            customer_phone   VARCHAR(32)   NULL,
+            discount_amount  DECIMAL(10,2) NOT NULL DEFAULT 0,
+            created_at       DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_promo_order (promo_id, order_id),
+            KEY idx_order (company_id, order_id),
+            KEY idx_phone (promo_id, customer_phone)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tablesReady = true;
+}
+
+function parseJsonList(v) {
+    if (v == null) return [];
+    if (Buffer.isBuffer(v)) v = v.toString("utf8");
+    if (typeof v === "string") {
+        try { v = JSON.parse(v); } catch { return []; }
+    }
+    return Array.isArray(v) ? v : [];
+}
+
+function rowToPromo(r) {
+    return {
+        id: r.promo_id,
+        code: r.code,
+        type: r.discount_type,
+        value: Number(r.discount_value) || 0,
+        minBasket: r.min_basket != null ? Number(r.min_basket) : null,
+        validFrom: r.valid_from ?? null,
+        validTo: r.valid_to ?? null,
+        maxUses: r.max_uses ?? null,
+        maxUsesPerPhone: r.max_uses_per_phone ?? null,
+        categories: parseJsonList(r.categories).map(String),
+        itemIds: parseJsonList(r.item_ids).map(String),
+        active: !!r.is_active,
+        note: r.note ?? null,
+        usesCount: r.uses_count != null ? Number(r.uses_count) : undefined,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at,
+    };
+}
+
+// Ошибка лимита при погашении — транзакция заказа откатывается
+function promoLimitError(message) {
+    const err = new Error(message);
+    err.code = "PROMO_LIMIT";
+    return err;
+}
+
+// Валидация body для POST/PUT. Возвращает { ok, data } либо { ok: false, error }.
+function validatePromoBody(body) {
+    const b = body || {};
+    const code = normalizePromoCode(b.code);
+    if (!CODE_RE.test(code))
+        return { ok: false, error: "Код: 3–32 символа, латиница, цифры, - и _" };
+
+    const type = b.type === "fixed" ? "fixed" : "percent";
+    const value = Number(b.value);
+    if (!Number.isFinite(value) || value <= 0)
+        return { ok: false, error: "Размер скидки должен быть больше 0" };
+    if (type === "percent" && value > 100)
+        return { ok: false, error: "Скидка 0..100" };
+
+    const optMoney = (v) => {
+        if (v == null || v === "") return null;
+        const n = Number(v);
+        return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : NaN;
+    };
+    const minBasket = optMoney(b.minBasket);
+    if (Number.isNaN(minBasket)) return { ok: false, error: "Некорректная минимальная сумма" };
+
+    const optDate = (v) => {
+        if (v == null || v === "") return null;
+        const d = new Date(v);
+        return isNaN(d.getTime()) ? NaN : d.toISOString().slice(0, 19).replace("T", " ");
+    };
+    const validFrom = optDate(b.validFrom);
+    const validTo = optDate(b.validTo);
+    if (Number.isNaN(validFrom) || Number.isNaN(validTo))
+        return { ok: false, error: "Некорректный срок действия" };
+    if (validFrom && validTo && validFrom > validTo)
+        return { ok: false, error: "validFrom позже validTo" };
+
+    const optLimit = (v) => {
+        if (v == null || v === "") return null;
+        const n = Number(v);
+        return Number.isInteger(n) && n > 0 ? n : NaN;
+    };
+    const maxUses = optLimit(b.maxUses);
+    const maxUsesPerPhone = optLimit(b.maxUsesPerPhone);
+    if (Number.isNaN(maxUses) || Number.isNaN(maxUsesPerPhone))
+        return { ok: false, error: "Лимит использований — целое число больше 0" };
+
+    const list = (v) =>
+        [...new Set((Array.isArray(v) ? v : []).map((x) => String(x).trim()).filter(Boolean))];
+
+    return {
+        ok: true,
+        data: {
+            code,
+            type,
+            value,
+            minBasket,
+            validFrom,
+            validTo,
+            maxUses,
+            maxUsesPerPhone,
+            categories: list(b.categories),
+            itemIds: list(b.itemIds),
+            active: b.active !== false,
+            note: (b.note ?? "").toString().slice(0, 255) || null,
+        },
+    };
+}
+
+/**
+ * Найти и проверить промокод для заказа (активность, срок, лимиты) и собрать
+ * правило для normalizeItemsAndAmounts.
+ * orderId — при редактировании: использование этим же заказом в лимит не входит.
+ * skipChecks — код уже применён к заказу: срок/активность/лимиты не перепроверяем.
+ * Возвращает { ok, promo } либо { ok: false, error }.
+ */
+export async function preparePromo(companyId, rawCode, { phone, items, orderId = null, skipChecks = false } = {}) {
+    await ensurePromoTables();
+    const code = normalizePromoCode(rawCode);
+    const [[row]] = await pool.query(
+        "SELECT * FROM promo_codes WHERE company_id=? AND code=? LIMIT 1",
+        [companyId, code]
+    );
+    if (!row) return { ok: false, error: "Промокод не найден" };
+
+    if (!skipChecks) {
+        if (!row.is_active) return { ok: false, error: "Промокод не активен" };
+        const now = Date.now();
+        if (row.valid_from && new Date(row.valid_from).getTime() > now)
+            return { ok: false, error: "Промокод ещё не действует" };
+        if (row.valid_to && new Date(row.valid_to).getTime() < now)
+            return { ok: false, error: "Срок действия промокода истёк" };
+
+        // предварительная проверка лимитов; окончательная — в redeemPromo под блокировкой
+        const limitError = await checkPromoLimits(pool, row, phone, orderId);
+        if (limitError) return { ok: false, error: limitError };
+    }
+
+    return { ok: true, promo: await buildPromoRule(companyId, row, items) };
+}
+
+// Правило скидки: какие позиции заказа подходят под ограничения промокода
+async function buildPromoRule(companyId, row, items) {
+    const categories = parseJsonList(row.categories).map(String);
+    const itemIds = parseJsonList(row.item_ids).map(String);
+
+    let eligibleItemIds = null; // null — весь заказ
+    if (categories.length || itemIds.length) {
+        eligibleItemIds = new Set(itemIds);
+        const orderIds = [
+            ...new Set((Array.isArray(items) ? items : []).map((it) => it?.id).filter((id) => id != null)),
+        ];
+        if (categories.length && orderIds.length) {
+            const [menuRows] = await pool.query(
+                `SELECT item_id
+                   FROM menu
+                  WHERE company_id=? AND item_id IN (?) AND item_category IN (?)`,
+                [companyId, orderIds, categories]
+            );
+            for (const m of menuRows) eligibleItemIds.add(String(m.item_id));
+        }
+    }
+
+    return {
+        id: row.promo_id,
+        code: row.code,
+        type: row.discount_type,
+        value: Number(row.discount_value) || 0,
+        minBasket: row.min_basket != null ? Number(row.min_basket) : null,
+        eligibleItemIds,
+    };
+}
+
+// Текст ошибки, если лимит исчерпан, иначе null. executor — pool или conn.
+// lock — в транзакции заказа: счётчики читаются блокирующим чтением, иначе
+// InnoDB отдаёт снимок, снятый первым SELECT транзакции (например, проверкой
+// слота) ещё до блокировки промокода, и параллельные заказы превышают лимит.
+async function checkPromoLimits(executor, row, phoneRaw, orderId, { lock = false } = {}) {
+    const exclude = orderId != null ? Number(orderId) : -1;
+    const forShare = lock ? " FOR SHARE" : "";
+    if (row.max_uses != null) {
+        const [[{ cnt }]] = await executor.query(
+            `SELECT COUNT(*) AS cnt FROM promo_redemptions WHERE promo_id=? AND order_id<>?${forShare}`,
+            [row.promo_id, exclude]
+        );
+        if (Number(cnt) >= Number(row.max_uses)) return "Лимит использований промокода исчерпан";
+    }
+    const phone = normalizePhone(phoneRaw);
+    if (row.max_uses_per_phone != null && phone) {
+        const [[{ cnt }]] = await executor.query(
+            `SELECT COUNT(*) AS cnt FROM promo_redemptions
+              WHERE promo_id=? AND customer_phone=? AND order_id<>?${forShare}`,
+            [row.promo_id, phone, exclude]
+        );
+        if (Number(cnt) >= Number(row.max_uses_per_phone))
+            return "Клиент уже использовал этот промокод";
+    }
+    return null;
+}
+
+/**
+ * Снять промокод с заказа (редактирование, отмена). executor — conn или pool.
+ */
+export async function releasePromo(executor, companyId, orderId) {
+    await ensurePromoTables();
+    await executor.query(
+        "DELETE FROM promo_redemptions WHERE company_id=? AND order_id=?",
+        [companyId, orderId]
+    );
+}
+
+/**
+ * Зафиксировать использование промокода заказом. Вызывать в транзакции заказа:
+ * строка промокода блокируется, лимиты перепроверяются, прежнее использование
+ * этим заказом заменяется. Лимит исчерпан → ошибка с code='PROMO_LIMIT'.
+ */
+export async function redeemPromo(conn, { companyId, orderId, promoId, phone, discount }) {
+    await ensurePromoTables();
+    const [[row]] = await conn.query(
+        "SELECT * FROM promo_codes WHERE company_id=? AND promo_id=? FOR UPDATE",
+        [companyId, promoId]
+    );
+    if (!row) throw promoLimitError("Промокод не найден");
+
+    const limitError = await checkPromoLimits(conn, row, phone, orderId, { lock: true });
+    if (limitError) throw promoLimitError(limitError);
+
+    await releasePromo(conn, companyId, orderId);
+    await conn.query(
+        `INSERT INTO promo_redemptions (promo_id, company_id, order_id, customer_phone, discount_amount)
+         VALUES (?, ?, ?, ?, ?)`,
+        [promoId, companyId, orderId, normalizePhone(phone) || null, discount]
+    );
+}
+
+export default function createPromoCodesRouter() {
+    const router = Router();
+
+    // Промокоды настраивает руководство, не курьеры
+    const denyCourier = (user, res) => {
+        if (user?.role === "courier") {
+            res.status(403).json({ ok: false, error: "Недостаточно прав" });
+            return true;
+        }
+        return false;
+    };
+
+    // ── GET /api/promo-codes ─────────────────────────────────────────────────
+    router.get("/", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            if (denyCourier(user, res)) return;
+            await ensurePromoTables();
+
+            const [rows] = await pool.query(
+                `SELECT p.*,
+                        (SELECT COUNT(*) FROM promo_redemptions r WHERE r.promo_id = p.promo_id) AS uses_count
+                   FROM promo_codes p
+                  WHERE p.company_id=?
+                  ORDER BY p.created_at DESC, p.promo_id DESC`,
+                [companyId]
+            );
+            res.json({ ok: true, items: rows.map(rowToPromo) });
+        } catch (e) {
+            console.error("promo codes list error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── POST /api/promo-codes ────────────────────────────────────────────────
+    // body: { code, type: 'percent'|'fixed', value, minBasket?, validFrom?, validTo?,
+    //         maxUses?, maxUsesPerPhone?, categories?: string[], itemIds?: number[],
+    //         active?, note? }
+    router.post("/", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            if (denyCourier(user, res)) return;
+            await ensurePromoTables();
+
+            const v = validatePromoBody(req.body);
+            if (!v.ok) return res.status(400).json({ ok: false, error: v.error });
+            const d = v.data;
+
+            try {
+                const [ins] = await pool.query(
+                    `INSERT INTO promo_codes
+                        (company_id, code, discount_type, discount_value, min_basket,
+                         valid_from, valid_to, max_uses, max_uses_per_phone,
+                         categories, item_ids, is_active, note)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        companyId, d.code, d.type, d.value, d.minBasket,
+                        d.validFrom, d.validTo, d.maxUses, d.maxUsesPerPhone,
+                        d.categories.length ? JSON.stringify(d.categories) : null,
+                        d.itemIds.length ? JSON.stringify(d.itemIds) : null,
+                        d.active ? 1 : 0, d.note,
+                    ]
+                );
+                const [[row]] = await pool.query("SELECT * FROM promo_codes WHERE promo_id=?", [
+                    ins.insertId,
+                ]);
+                res.json({ ok: true, item: rowToPromo({ ...row, uses_count: 0 }) });
+            } catch (e) {
+                if (e?.code === "ER_DUP_ENTRY")
+                    return res.status(409).json({ ok: false, error: "Такой промокод уже есть" });
+                throw e;
+            }
+        } catch (e) {
+            console.error("promo code create error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── PUT /api/promo-codes/:id ─────────────────────────────────────────────
+    // Полная замена настроек (тело как в POST). Прошлые использования сохраняются.
+    router.put("/:id", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            if (denyCourier(user, res)) return;
+            await ensurePromoTables();
+
+            const id = Number(req.params.id);
+            const v = validatePromoBody(req.body);
+            if (!v.ok) return res.status(400).json({ ok: false, error: v.error });
+            const d = v.data;
+
+            try {
+                const [upd] = await pool.query(
+                    `UPDATE promo_codes
+                        SET code=?, discount_type=?, discount_value=?, min_basket=?,
+                            valid_from=?, valid_to=?, max_uses=?, max_uses_per_phone=?,
+                            categories=?, item_ids=?, is_active=?, note=?
+                      WHERE company_id=? AND promo_id=?`,
+                    [
+                        d.code, d.type, d.value, d.minBasket,
+                        d.validFrom, d.validTo, d.maxUses, d.maxUsesPerPhone,
+                        d.categories.length ? JSON.stringify(d.categories) : null,
+                        d.itemIds.length ? JSON.stringify(d.itemIds) : null,
+                        d.active ? 1 : 0, d.note,
+                        companyId, id,
+                    ]
+                );
+                if (upd.affectedRows === 0)
+                    return res.status(404).json({ ok: false, error: "Промокод не найден" });
+            } catch (e) {
+                if (e?.code === "ER_DUP_ENTRY")
+                    return res.status(409).json({ ok: false, error: "Такой промокод уже есть" });
+                throw e;
+            }
+
+            const [[row]] = await pool.query(
+                `SELECT p.*,
+                        (SELECT COUNT(*) FROM promo_redemptions r WHERE r.promo_id = p.promo_id) AS uses_count
+                   FROM promo_codes p
+                  WHERE p.company_id=? AND p.promo_id=?`,
+                [companyId, id]
+            );
+            res.json({ ok: true, item: rowToPromo(row) });
+        } catch (e) {
+            console.error("promo code update error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── DELETE /api/promo-codes/:id ──────────────────────────────────────────
+    // Использованный код не удаляем (на него ссылаются заказы) — только отключаем.
+    router.delete("/:id", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            if (denyCourier(user, res)) return;
+            await ensurePromoTables();
+
+            const id = Number(req.params.id);
+            const [[used]] = await pool.query(
+                "SELECT COUNT(*) AS cnt FROM promo_redemptions WHERE promo_id=? AND company_id=?",
+                [id, companyId]
+            );
+            if (Number(used.cnt) > 0) {
+                const [upd] = await pool.query(
+                    "UPDATE promo_codes SET is_active=0 WHERE company_id=? AND promo_id=?",
+                    [companyId, id]
+                );
+                if (upd.affectedRows === 0)
+                    return res.status(404).json({ ok: false, error: "Промокод не найден" });
+                return res.json({ ok: true, deactivated: true });
+            }
+
+            const [del] = await pool.query(
+                "DELETE FROM promo_codes WHERE company_id=? AND promo_id=?",
+                [companyId, id]
+            );
+            if (del.affectedRows === 0)
+                return res.status(404).json({ ok: false, error: "Промокод не найден" });
+            res.json({ ok: true, deactivated: false });
+        } catch (e) {
+            console.error("promo code delete error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,643 @@
+import { Router } from "express";
+import crypto from "crypto";
+import pool from "./db.js";
+import {
+    resolveCompanyContext,
+    coercePaymentMethod,
+    createOrder,
+    rowToPanelDto,
+    safeParseItemsJSON,
+} from "./currentOrder.js";
+import { normalizePhone, normalizeBasketItems } from "./customers.js";
+import { repriceItemsFromMenu } from "./menuApi.js";
+import { diffOrderRows, actorFromUser, recordOrderEvent } from "./orderEvents.js";
+import {
+    LOCAL_TZ,
+    isValidDate,
+    addDays,
+    isoWeekday,
+    localToday,
+    localDateTimeToUtc,
+    dateOnly,
+} from "./localTime.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Регулярные заказы (корпоративный обед каждый будний день и т.п.).
+//
+// Расписание: дни недели (ISO: 1=пн … 7=вс), время по местному времени
+// RECURRING_TZ (по умолчанию Europe/Riga), дата начала, необязательная дата
+// окончания и даты-исключения. jobs/generateRecurringOrders.js заранее (на
+// RECURRING_HORIZON_DAYS дней вперёд) создаёт из расписания обычные
+// предзаказы в current_orders — дальше их ведёт activatePreorders.
+//
+// recurring_occurrences — по строке на (расписание, дату): защищает от
+// повторной генерации и хранит ссылку на созданный заказ или ошибку. Строка,
+// зависшая в 'pending' дольше STALE_PENDING_MINUTES (процесс упал посреди
+// генерации), занимается заново.
+// Правки расписания действуют на ещё не созданные заказы.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const RECURRING_TZ = process.env.RECURRING_TZ || LOCAL_TZ;
+export const RECURRING_HORIZON_DAYS = Number(process.env.RECURRING_HORIZON_DAYS || 3);
+const MAX_PREVIEW_DAYS = 60;
+const STALE_PENDING_MINUTES = 10;
+
+// ── Ленивая миграция таблиц ──────────────────────────────────────────────────
+let _tablesReady = false;
+export async function ensureRecurringTables() {
+    if (_tablesReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS recurring_schedules (
+            schedule_id        INT AUTO_INCREMENT PRIMARY KEY,
+            company_id         INT           NOT NULL,
+            name               VARCHAR(120)  NOT NULL,
+            customer_name      VARCHAR(255)  NOT NULL,
+            customer_phone     VARCHAR(32)   NOT NULL,
+            address_street     VARCHAR(255)  NULL,
+            address_house      VARCHAR(32)   NULL,
+            address_building   VARCHAR(32)   NULL,
+            address_apartment  VARCHAR(32)   NULL,
+            address_floor      VARCHAR(32)   NULL,
+            address_code       VARCHAR(32)   NULL,
+            address_lat        DECIMAL(10,7) NULL,
+            address_lng        DECIMAL(10,7) NULL,
+            people_amount      INT           NULL,
+            notes              TEXT          NULL,
+            items_json         JSON          NOT NULL,
+            payment_method     VARCHAR(16)   NOT NULL,
+            delivery_fee       DECIMAL(10,2) NOT NULL DEFAULT 0,
+            pickup_unit_id     INT           NULL,
+            weekdays           VARCHAR(16)   NOT NULL,
+            time_of_day        CHAR(5)       NOT NULL,
+            start_date         DATE          NOT NULL,
+            end_date           DATE          NULL,
+            skip_dates         JSON          NULL,
+            is_paused          TINYINT(1)    NOT NULL DEFAULT 0,
+            created_at         DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at         DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            KEY idx_company (company_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS recurring_occurrences (
+            schedule_id      INT          NOT NULL,
+            occurrence_date  DATE         NOT NULL,
+            company_id       INT          NOT NULL,
+            order_id         BIGINT       NULL,
+            status           ENUM('pending','created','failed') NOT NULL DEFAULT 'pending',
+            error            VARCHAR(255) NULL,
+            created_at       DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (schedule_id, occurrence_date)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _tablesReady = true;
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// ── Расписание ───────────────────────────────────────────────────────────────
+function parseWeekdays(v) {
+    return String(v || "")
+        .split(",")
+        .map(Number)
+        .filter((n) => Number.isInteger(n) && n >= 1 && n <= 7);
+}
+
+function rowToSchedule(r) {
+    return {
+        id: r.schedule_id,
+        name: r.name,
+        customer: r.customer_name,
+        phone: r.customer_phone,
+        street: r.address_street,
+        house: r.address_house,
+        building: r.address_building,
+        apart: r.address_apartment,
+        floor: r.address_floor,
+        code: r.address_code,
+        addressLat: r.address_lat != null ? Number(r.address_lat) : null,
+        addressLng: r.address_lng != null ? Number(r.address_lng) : null,
+        numOfPeople: r.people_amount ?? null,
+        notes: r.notes,
+        items: safeParseItemsJSON(r.items_json),
+        payment: r.payment_method,
+        deliveryFee: Number(r.delivery_fee || 0),
+        pickupId: r.pickup_unit_id ?? null,
+        weekdays: parseWeekdays(r.weekdays),
+        time: r.time_of_day,
+        startDate: dateOnly(r.start_date),
+        endDate: dateOnly(r.end_date),
+        skipDates: parseDateList(r.skip_dates),
+        paused: !!r.is_paused,
+        timezone: RECURRING_TZ,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at,
+    };
+}
+
+const trimOrNull = (v, max) => {
+    const s = String(v ?? "").trim();
+    return s ? s.slice(0, max) : null;
+};
+
+// skip_dates (JSON-массив "YYYY-MM-DD") → отсортированные корректные даты
+function parseDateList(v) {
+    let list = v;
+    if (typeof v === "string" || Buffer.isBuffer(v)) {
+        try {
+            list = JSON.parse(v.toString("utf8"));
+        } catch {
+            return [];
+        }
+    }
+    if (!Array.isArray(list)) return [];
+    return [...new Set(list.filter((d) => typeof d === "string" && isValidDate(d)))].sort();
+}
+
+// body → колонки recurring_schedules. partial=true (PUT) — только переданные поля.
+// Возвращает { ok, columns: { колонка: значение } } либо { ok: false, error }.
+function readScheduleBody(b, { partial = false } = {}) {
+    const columns = {};
+    const given = (key) => b[key] !== undefined || !partial;
+
+    if (given("name")) {
+        const name = trimOrNull(b.name, 120);
+        if (!name) return { ok: false, error: "Название расписания обязательно" };
+        columns.name = name;
+    }
+    if (given("customer")) {
+        const customer = trimOrNull(b.customer, 255);
+        if (!customer) return { ok: false, error: "Имя и телефон обязательны" };
+        columns.customer_name = customer;
+    }
+    if (given("phone")) {
+        const phone = normalizePhone(b.phone);
+        if (!phone) return { ok: false, error: "Имя и телефон обязательны" };
+        columns.customer_phone = phone;
+    }
+
+    const ADDRESS = {
+        street: ["address_street", 255],
+        house: ["address_house", 32],
+        building: ["address_building", 32],
+        apart: ["address_apartment", 32],
+        floor: ["address_floor", 32],
+        code: ["address_code", 32],
+    };
+    for (const [key, [column, max]] of Object.entries(ADDRESS)) {
+        if (given(key)) columns[column] = trimOrNull(b[key], max);
+    }
+    if (given("addressLat") || given("addressLng")) {
+        const lat = Number(b.addressLat);
+        const lng = Number(b.addressLng);
+        const ok = b.addressLat != null && b.addressLng != null && Number.isFinite(lat) && Number.isFinite(lng);
+        columns.address_lat = ok ? lat : null;
+        columns.address_lng = ok ? lng : null;
+    }
+    if (given("numOfPeople")) columns.people_amount = Number(b.numOfPeople) > 0 ? Math.floor(Number(b.numOfPeople)) : null;
+    if (given("notes")) columns.notes = trimOrNull(b.notes, 2000);
+
+    if (given("items")) {
+        const norm = normalizeBasketItems(b.items);
+        if (!norm.ok) return { ok: false, error: norm.error };
+        columns.items_json = JSON.stringify(norm.items);
+    }
+    if (given("payment")) {
+        const method = coercePaymentMethod(b.payment);
+        if (!method) return { ok: false, error: "Некорректный способ оплаты" };
+        columns.payment_method = method;
+    }
+    if (given("deliveryFee")) {
+        const fee = Number(b.deliveryFee ?? 0);
+        if (!Number.isFinite(fee) || fee < 0) return { ok: false, error: "Некорректная стоимость доставки" };
+        columns.delivery_fee = Math.round(fee * 100) / 100;
+    }
+    if (given("pickupId")) columns.pickup_unit_id = b.pickupId != null && b.pickupId !== "" ? Number(b.pickupId) : null;
+
+    if (given("weekdays")) {
+        const days = Array.isArray(b.weekdays) ? b.weekdays.map(Number) : [];
+        if (!days.length || days.some((d) => !Number.isInteger(d) || d < 1 || d > 7))
+            return { ok: false, error: "weekdays: дни недели 1 (пн) … 7 (вс)" };
+        columns.weekdays = [...new Set(days)].sort().join(",");
+    }
+    if (given("time")) {
+        if (!TIME_RE.test(String(b.time))) return { ok: false, error: "time: формат HH:MM" };
+        columns.time_of_day = String(b.time);
+    }
+    if (given("startDate")) {
+        if (!isValidDate(b.startDate)) return { ok: false, error: "startDate: формат YYYY-MM-DD" };
+        columns.start_date = b.startDate;
+    }
+    if (given("endDate")) {
+        if (b.endDate != null && b.endDate !== "" && !isValidDate(b.endDate))
+            return { ok: false, error: "endDate: формат YYYY-MM-DD" };
+        columns.end_date = b.endDate || null;
+    }
+    if (given("skipDates")) {
+        const dates = Array.isArray(b.skipDates) ? b.skipDates : [];
+        if (dates.some((d) => !isValidDate(d)))
+            return { ok: false, error: "skipDates: даты в формате YYYY-MM-DD" };
+        columns.skip_dates = JSON.stringify([...new Set(dates)].sort());
+    }
+    return { ok: true, columns };
+}
+
+/**
+ * Даты расписания в [fromDate, toDate] (местные "YYYY-MM-DD") с моментом
+ * доставки в UTC. Пауза здесь не учитывается — её проверяет вызывающий.
+ */
+export function scheduleOccurrences(schedule, fromDate, toDate) {
+    const weekdays = new Set(schedule.weekdays);
+    const skip = new Set(schedule.skipDates || []);
+    const out = [];
+    let date = schedule.startDate > fromDate ? schedule.startDate : fromDate;
+    for (; date <= toDate; date = addDays(date, 1)) {
+        if (schedule.endDate && date > schedule.endDate) break;
+        if (!weekdays.has(isoWeekday(date)) || skip.has(date)) continue;
+        out.push({ date, scheduledAt: localDateTimeToUtc(date, schedule.time, RECURRING_TZ) });
+    }
+    return out;
+}
+
+// Уже обработанные даты расписаний: Map(scheduleId → Map(date → occurrence))
+async function loadOccurrences(scheduleIds, fromDate) {
+    const map = new Map();
+    if (!scheduleIds.length) return map;
+    const [rows] = await pool.query(
+        `SELECT schedule_id, DATE_FORMAT(occurrence_date, '%Y-%m-%d') AS occurrence_date,
+                order_id, status, error,
+                status = 'pending' AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE) AS stale
+           FROM recurring_occurrences
+          WHERE schedule_id IN (?) AND occurrence_date >= ?`,
+        [STALE_PENDING_MINUTES, scheduleIds, fromDate]
+    );
+    for (const r of rows) {
+        if (!map.has(r.schedule_id)) map.set(r.schedule_id, new Map());
+        map.get(r.schedule_id).set(r.occurrence_date, r);
+    }
+    return map;
+}
+
+// Создать предзаказ на одну дату расписания. Дата сначала «занимается» в
+// recurring_occurrences (PK) — параллельный запуск её пропустит; зависшая
+// 'pending'-строка перезанимается условным UPDATE. Ссылка на заказ пишется в
+// транзакции создания заказа: если процесс упал после коммита, дата уже
+// 'created' и повтор не создаст второй заказ; если дату успел закрыть
+// другой процесс, заказ откатывается.
+async function generateOccurrence(schedule, companyId, occ, broadcastToAdmins) {
+    const [claim] = await pool.query(
+        `INSERT IGNORE INTO recurring_occurrences (schedule_id, occurrence_date, company_id)
+         VALUES (?, ?, ?)`,
+        [schedule.id, occ.date, companyId]
+    );
+    if (claim.affectedRows === 0) {
+        const [reclaim] = await pool.query(
+            `UPDATE recurring_occurrences SET created_at = NOW(), error = NULL
+              WHERE schedule_id=? AND occurrence_date=? AND status='pending'
+                AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+            [schedule.id, occ.date, STALE_PENDING_MINUTES]
+        );
+        if (reclaim.affectedRows === 0) return null;
+        console.warn(`[recurring] schedule ${schedule.id} ${occ.date}: зависшая генерация, повтор`);
+    }
+
+    const fail = async (error) => {
+        await pool.query(
+            `UPDATE recurring_occurrences SET status='failed', error=?
+              WHERE schedule_id=? AND occurrence_date=? AND status='pending'`,
+            [String(error).slice(0, 255), schedule.id, occ.date]
+        );
+        return { date: occ.date, ok: false, error };
+    };
+
+    // любая ошибка после захвата даты должна закончиться fail(), иначе строка
+    // останется 'pending' до истечения STALE_PENDING_MINUTES
+    let created;
+    let note = null;
+    try {
+        const { items, unavailable } = await repriceItemsFromMenu(companyId, schedule.items);
+        if (!items.length) return fail("Ни одной позиции расписания нет в меню");
+
+        note = unavailable.length
+            ? `Нет в меню: ${unavailable.map((u) => u.name || u.id).join(", ")}`
+            : null;
+        created = await createOrder(companyId, null, {
+            customer: schedule.customer,
+            phone: schedule.phone,
+            street: schedule.street,
+            house: schedule.house,
+            building: schedule.building,
+            apart: schedule.apart,
+            floor: schedule.floor,
+            code: schedule.code,
+            ...(schedule.addressLat != null && schedule.addressLng != null
+                ? { addressLat: schedule.addressLat, addressLng: schedule.addressLng }
+                : {}),
+            numOfPeople: schedule.numOfPeople,
+            notes: [schedule.notes, `Регулярный заказ: ${schedule.name}`, note].filter(Boolean).join("\n"),
+            selectedItems: items,
+            deliveryFee: schedule.deliveryFee,
+            payment: schedule.payment,
+            pickupId: schedule.pickupId,
+            orderType: "preorder",
+            scheduledAt: occ.scheduledAt.toISOString(),
+        }, {
+            onInsert: async (conn, orderId) => {
+                const [link] = await conn.query(
+                    `UPDATE recurring_occurrences SET status='created', order_id=?, error=?
+                      WHERE schedule_id=? AND occurrence_date=? AND status='pending'`,
+                    [orderId, note ? note.slice(0, 255) : null, schedule.id, occ.date]
+                );
+                if (link.affectedRows === 0) {
+                    const err = new Error("Дата уже обработана другим процессом");
+                    err.code = "OCCURRENCE_TAKEN";
+                    throw err;
+                }
+            },
+        });
+    } catch (e) {
+        if (e?.code === "OCCURRENCE_TAKEN") return null;
+        return fail(e?.message ?? e);
+    }
+    if (!created.ok) return fail(created.error);
+
+    const row = created.row;
+
+    await recordOrderEvent({
+        companyId,
+        orderId: row.order_id,
+        action: "created",
+        actor: actorFromUser(null),
+        changes: diffOrderRows(null, row),
+    });
+    if (typeof broadcastToAdmins === "function") {
+        broadcastToAdmins({
+            type: "order_created",
+            eventId: crypto.randomUUID(),
+            ts: Date.now(),
+            companyId,
+            order: rowToPanelDto(row),
+        });
+    }
+    return { date: occ.date, ok: true, orderId: row.order_id };
+}
+
+/**
+ * Создать предзаказы всех активных расписаний на RECURRING_HORIZON_DAYS вперёд.
+ * Вызывается из cron (jobs/generateRecurringOrders.js) и после сохранения
+ * расписания (scheduleId — только его).
+ */
+export async function generateRecurringOrders(broadcastToAdmins, { scheduleId = null, now = new Date() } = {}) {
+    await ensureRecurringTables();
+    const [rows] = await pool.query(
+        `SELECT * FROM recurring_schedules
+          WHERE is_paused = 0 ${scheduleId != null ? "AND schedule_id = ?" : ""}
+          ORDER BY schedule_id ASC`,
+        scheduleId != null ? [scheduleId] : []
+    );
+    if (!rows.length) return [];
+
+    const today = localToday(now, RECURRING_TZ);
+    const until = addDays(today, RECURRING_HORIZON_DAYS);
+    const done = await loadOccurrences(rows.map((r) => r.schedule_id), today);
+
+    const results = [];
+    for (const r of rows) {
+        const schedule = rowToSchedule(r);
+        const seen = done.get(r.schedule_id) || new Map();
+        for (const occ of scheduleOccurrences(schedule, today, until)) {
+            const prev = seen.get(occ.date);
+            if ((prev && Number(prev.stale) !== 1) || occ.scheduledAt <= now) continue;
+            try {
+                const res = await generateOccurrence(schedule, r.company_id, occ, broadcastToAdmins);
+                if (res) results.push({ scheduleId: schedule.id, ...res });
+            } catch (e) {
+                console.error(`[recurring] schedule ${schedule.id} ${occ.date}:`, e?.message ?? e);
+            }
+        }
+    }
+    return results;
+}
+
+// ── Router ───────────────────────────────────────────────────────────────────
+// broadcastToAdmins — как у currentOrdersRouter (order_created для созданных сразу заказов)
+export default function createRecurringOrdersRouter({ broadcastToAdmins } = {}) {
+    const router = Router();
+
+    const adminContext = async (req, res) => {
+        const ctx = await resolveCompanyContext(req, res);
+        if (!ctx) return null;
+        if (ctx.user?.role === "courier") {
+            res.status(403).json({ ok: false, error: "Недостаточно прав" });
+            return null;
+        }
+        await ensureRecurringTables();
+        return ctx;
+    };
+
+    const fetchSchedule = async (companyId, id) => {
+        const [rows] = await pool.query(
+            "SELECT * FROM recurring_schedules WHERE company_id=? AND schedule_id=? LIMIT 1",
+            [companyId, id]
+        );
+        return rows[0] ?? null;
+    };
+
+    // сразу создать заказы на ближайшие дни (best-effort, ответ не ждёт ошибок генерации)
+    const generateNow = async (scheduleId) => {
+        try {
+            await generateRecurringOrders(broadcastToAdmins, { scheduleId });
+        } catch (e) {
+            console.warn("recurring generate failed:", e?.message ?? e);
+        }
+    };
+
+    // ── GET /api/recurring-orders ────────────────────────────────────────────
+    router.get("/", async (req, res) => {
+        try {
+            const ctx = await adminContext(req, res);
+            if (!ctx) return;
+            const [rows] = await pool.query(
+                "SELECT * FROM recurring_schedules WHERE company_id=? ORDER BY is_paused ASC, name ASC",
+                [ctx.companyId]
+            );
+            res.json({ ok: true, items: rows.map(rowToSchedule) });
+        } catch (e) {
+            console.error("recurring list error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── GET /api/recurring-orders/:id ────────────────────────────────────────
+    router.get("/:id", async (req, res) => {
+        try {
+            const ctx = await adminContext(req, res);
+            if (!ctx) return;
+            const row = await fetchSchedule(ctx.companyId, Number(req.params.id));
+            if (!row) return res.status(404).json({ ok: false, error: "Расписание не найдено" });
+            res.json({ ok: true, item: rowToSchedule(row) });
+        } catch (e) {
+            console.error("recurring get error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── GET /api/recurring-orders/:id/preview?days=14 ────────────────────────
+    // Ближайшие даты расписания: уже созданные заказы, ошибки и будущие заказы
+    // с позициями по текущему меню (unavailable — чего в меню больше нет).
+    router.get("/:id/preview", async (req, res) => {
+        try {
+            const ctx = await adminContext(req, res);
+            if (!ctx) return;
+            const row = await fetchSchedule(ctx.companyId, Number(req.params.id));
+            if (!row) return res.status(404).json({ ok: false, error: "Расписание не найдено" });
+
+            const days = Math.min(Math.max(Number(req.query.days) || 14, 1), MAX_PREVIEW_DAYS);
+            const schedule = rowToSchedule(row);
+            const today = localToday(new Date(), RECURRING_TZ);
+            const done = (await loadOccurrences([schedule.id], today)).get(schedule.id) || new Map();
+            const priced = await repriceItemsFromMenu(ctx.companyId, schedule.items);
+
+            const items = scheduleOccurrences(schedule, today, addDays(today, days - 1)).map((occ) => {
+                const existing = done.get(occ.date);
+                // pending | created | failed — дату уже обработал генератор
+                let status = "planned";
+                if (existing) status = existing.status;
+                else if (schedule.paused) status = "paused";
+                else if (occ.scheduledAt <= new Date()) status = "missed";
+                return {
+                    date: occ.date,
+                    scheduledAt: occ.scheduledAt,
+                    status,
+                    orderId: existing?.order_id ?? null,
+                    error: existing?.error ?? null,
+                };
+            });
+
+            res.json({
+                ok: true,
+                schedule,
+                items,
+                basket: priced.items,
+                unavailable: priced.unavailable,
+            });
+        } catch (e) {
+            console.error("recurring preview error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── POST /api/recurring-orders ───────────────────────────────────────────
+    // body: { name, customer, phone, street, house, building, apart, floor, code,
+    //         addressLat?, addressLng?, numOfPeople?, notes?, items: [{ id, quantity }],
+    //         payment, deliveryFee?, pickupId?, weekdays: [1..7], time: "HH:MM",
+    //         startDate: "YYYY-MM-DD", endDate?, skipDates?: [] }
+    router.post("/", async (req, res) => {
+        try {
+            const ctx = await adminContext(req, res);
+            if (!ctx) return;
+            const parsed = readScheduleBody(req.body || {});
+            if (!parsed.ok) return res.status(400).json({ ok: false, error: parsed.error });
+            const { columns } = parsed;
+            if (columns.end_date && columns.end_date < columns.start_date)
+                return res.status(400).json({ ok: false, error: "endDate раньше startDate" });
+
+            const keys = Object.keys(columns);
+            const [ins] = await pool.query(
+                `INSERT INTO recurring_schedules (company_id, ${keys.join(", ")})
+                 VALUES (?, ${keys.map(() => "?").join(", ")})`,
+                [ctx.companyId, ...keys.map((k) => columns[k])]
+            );
+            const row = await fetchSchedule(ctx.companyId, ins.insertId);
+            res.json({ ok: true, item: rowToSchedule(row) });
+            await generateNow(ins.insertId);
+        } catch (e) {
+            console.error("recurring create error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── PUT /api/recurring-orders/:id ────────────────────────────────────────
+    // Только переданные поля. Уже созданные предзаказы не меняются.
+    router.put("/:id", async (req, res) => {
+        try {
+            const ctx = await adminContext(req, res);
+            if (!ctx) return;
+            const id = Number(req.params.id);
+            const current = await fetchSchedule(ctx.companyId, id);
+            if (!current) return res.status(404).json({ ok: false, error: "Расписание не найдено" });
+
+            const parsed = readScheduleBody(req.body || {}, { partial: true });
+            if (!parsed.ok) return res.status(400).json({ ok: false, error: parsed.error });
+            const { columns } = parsed;
+            const startDate = columns.start_date ?? dateOnly(current.start_date);
+            const endDate = columns.end_date !== undefined ? columns.end_date : dateOnly(current.end_date);
+            if (endDate && endDate < startDate)
+                return res.status(400).json({ ok: false, error: "endDate раньше startDate" });
+
+            const keys = Object.keys(columns);
+            if (keys.length) {
+                await pool.query(
+                    `UPDATE recurring_schedules SET ${keys.map((k) => `${k}=?`).join(", ")}
+                      WHERE company_id=? AND schedule_id=?`,
+                    [...keys.map((k) => columns[k]), ctx.companyId, id]
+                );
+            }
+            const row = await fetchSchedule(ctx.companyId, id);
+            res.json({ ok: true, item: rowToSchedule(row) });
+            await generateNow(id);
+        } catch (e) {
+            console.error("recurring update error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── POST /api/recurring-orders/:id/pause | /resume ───────────────────────
+    // На паузе новые предзаказы не создаются; уже созданные остаются
+    // (отменяются обычным POST /api/current-orders/:id/cancel).
+    const setPaused = (paused) => async (req, res) => {
+        try {
+            const ctx = await adminContext(req, res);
+            if (!ctx) return;
+            const id = Number(req.params.id);
+            const [upd] = await pool.query(
+                "UPDATE recurring_schedules SET is_paused=? WHERE company_id=? AND schedule_id=?",
+                [paused ? 1 : 0, ctx.companyId, id]
+            );
+            if (!upd.affectedRows) return res.status(404).json({ ok: false, error: "Расписание не найдено" });
+            const row = await fetchSchedule(ctx.companyId, id);
+            res.json({ ok: true, item: rowToSchedule(row) });
+            if (!paused) await generateNow(id);
+        } catch (e) {
+            console.error("recurring pause error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    };
+    router.post("/:id/pause", setPaused(true));
+    router.post("/:id/resume", setPaused(false));
+
+    // ── DELETE /api/recurring-orders/:id ─────────────────────────────────────
+    // Удаляет расписание; созданные предзаказы остаются в current_orders.
+    router.delete("/:id", async (req, res) => {
+        try {
+            const ctx = await adminContext(req, res);
+            if (!ctx) return;
+            const id = Number(req.params.id);
+            const [del] = await pool.query(
+                "DELETE FROM recurring_schedules WHERE company_id=? AND schedule_id=?",
+                [ctx.companyId, id]
+            );
+            if (!del.affectedRows) return res.status(404).json({ ok: false, error: "Расписание не найдено" });
+            await pool.query("DELETE FROM recurring_occurrences WHERE company_id=? AND schedule_id=?", [
+                ctx.companyId,
+                id,
+            ]);
+            res.json({ ok: true });
+        } catch (e) {
+            console.error("recurring delete error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,20 @@
+import pool from "./db.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Ленивая миграция колонок (как ensureCompletedAtColumn, но для набора колонок).
+// columns: [[имя, DDL-определение], ...] — добавляются только отсутствующие.
+// ─────────────────────────────────────────────────────────────────────────────
+export async function ensureColumns(table, columns) {
+    const [rows] = await pool.query(
+        `SELECT column_name AS name
+           FROM information_schema.columns
+          WHERE table_schema = DATABASE()
+            AND table_name = ?`,
+        [table]
+    );
+    const existing = new Set(rows.map((r) => String(r.name).toLowerCase()));
+    for (const [name, ddl] of columns) {
+        if (existing.has(name.toLowerCase())) continue;
+        await pool.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${name}\` ${ddl}`);
+    }
+}
@@ -0,0 +1,41 @@
+// Отправка служебных сообщений пользователям (сброс пароля и т.п.) по email
+// или SMS через подключаемый транспорт.
+//
+// Транспорт выбирается NOTIFY_TRANSPORT, значения по умолчанию нет: в
+// сообщениях токены сброса пароля, и молча писать их в лог нельзя.
+//   - console — печатает сообщение в лог, только для локальной работы;
+//   - file — дописывает JSON-строку в NOTIFY_FILE (по умолчанию
+//     ./notifications.log), удобно смотреть письма при разработке;
+//   - любое имя, зарегистрированное через registerNotifyTransport() —
+//     сюда подключается реальный email/SMS-провайдер.
+// Не задан — sendNotification бросает ошибку.
+//
+// Транспорт: async ({ channel: 'email'|'sms', to, subject, text }) => void,
+// ошибку доставки бросает.
+
+import fs from "fs/promises";
+import path from "path";
+
+const transports = new Map();
+
+export function registerNotifyTransport(name, send) {
+    transports.set(name, send);
+}
+
+registerNotifyTransport("console", async ({ channel, to, subject, text }) => {
+    console.log(`[notify:${channel}] to=${to}${subject ? ` subject="${subject}"` : ""}\n${text}`);
+});
+
+registerNotifyTransport("file", async (message) => {
+    const file = path.resolve(process.env.NOTIFY_FILE || "notifications.log");
+    await fs.appendFile(file, JSON.stringify({ ts: new Date().toISOString(), ...message }) + "\n");
+});
+
+/** Отправить сообщение выбранным транспортом */
+export async function sendNotification({ channel, to, subject = null, text }) {
+    const name = process.env.NOTIFY_TRANSPORT;
+    if (!name) throw new Error("NOTIFY_TRANSPORT не задан — сообщение не отправлено");
+    const send = transports.get(name);
+    if (!send) throw new Error(`Неизвестный NOTIFY_TRANSPORT: ${name}`);
+    await send({ channel, to, subject, text });
+}
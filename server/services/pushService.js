@@ -1,20 +1,33 @@
 
 
 import pool from "../db.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { ensureColumns } from "../schema.js";
 
 const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
 
+// session_id — сессия устройства (sessions.js), с которой зарегистрирован токен:
+// при её отзыве токен удаляется
+let _columnsReady = false;
+async function ensurePushTokenColumns() {
+    if (_columnsReady) return;
+    await ensureColumns("courier_push_tokens", [["session_id", "CHAR(36) NULL"]]);
+    _columnsReady = true;
+}
+
 // ── Сохранить/обновить токен курьера (upsert по token) ──────────────────────
-export async function savePushToken({ unitId, companyId, token, platform }) {
+export async function savePushToken({ unitId, companyId, token, platform, sessionId = null }) {
+    await ensurePushTokenColumns();
     await pool.query(
-        `INSERT INTO courier_push_tokens (unit_id, company_id, token, platform)
-         VALUES (?, ?, ?, ?)
+        `INSERT INTO courier_push_tokens (unit_id, company_id, token, platform, session_id)
+         VALUES (?, ?, ?, ?, ?)
          ON DUPLICATE KEY UPDATE
             unit_id = VALUES(unit_id),
             company_id = VALUES(company_id),
             platform = VALUES(platform),
+            session_id = VALUES(session_id),
             updated_at = CURRENT_TIMESTAMP`,
-        [unitId, companyId, token, platform || null]
+        [unitId, companyId, token, platform || null, sessionId]
     );
 }
 
@@ -29,6 +42,19 @@ export async function deletePushTokensByUnit(unitId) {
     await pool.query(`DELETE FROM courier_push_tokens WHERE unit_id = ?`, [unitId]);
 }
 
+// Токены отозванных сессий. includeUnbound — ещё и токены без session_id
+// (зарегистрированы до появления сессий), когда у курьера не осталось входов
+export async function deletePushTokensBySessions(unitId, sessionIds, { includeUnbound = false } = {}) {
+    if (unitId == null) return;
+    await ensurePushTokenColumns();
+    const ids = sessionIds?.length ? sessionIds : [null];
+    await pool.query(
+        `DELETE FROM courier_push_tokens
+          WHERE unit_id = ? AND (session_id IN (?)${includeUnbound ? " OR session_id IS NULL" : ""})`,
+        [unitId, ids]
+    );
+}
+
 async function getCompanyCourierTokens(companyId, excludeUnitId) {
     const params = [companyId];
     let sql = `SELECT token FROM courier_push_tokens WHERE company_id = ?`;
@@ -45,7 +71,15 @@ function isExpoToken(t) {
         (t.startsWith("ExponentPushToken[") || t.startsWith("ExpoPushToken["));
 }
 
-function buildOrderMessage(order) {
+async function getUnitTokens(unitId) {
+    const [rows] = await pool.query(
+        `SELECT token FROM courier_push_tokens WHERE unit_id = ?`,
+        [unitId]
+    );
+    return rows.map((r) => r.token);
+}
+
+function buildOrderMessage(order, title = "Новый заказ") {
     const orderNo = order?.orderSeq ?? order?.orderNo ?? order?.order_no ?? order?.id ?? "";
     const address = order?.address || order?.addressStreet || "";
     const amount =
@@ -53,12 +87,78 @@ function buildOrderMessage(order) {
         order?.amount_total != null ? `${order.amount_total} €` : "";
     const parts = [orderNo ? `№${orderNo}` : "", address, amount].filter(Boolean);
     return {
-        title: "Новый заказ",
+        title,
         body: parts.length ? parts.join(" · ") : "Поступил новый заказ",
     };
 }
 
+// ── Отправка пачки сообщений в Expo + чистка «мёртвых» токенов ──────────────
+// Expo принимает до 100 сообщений за запрос — каждый такой пакет уходит
+// отдельной задачей очереди push.expo (повтор при сбое, см. jobs/queue.js)
+async function sendExpoMessages(messages) {
+    for (let i = 0; i < messages.length; i += 100) {
+        const chunk = messages.slice(i, i + 100);
+        try {
+            await enqueueJob("push.expo", { messages: chunk });
+        } catch (e) {
+            console.error("[push] enqueue chunk error:", e?.message ?? e);
+        }
+    }
+}
+
+/**
+ * Обработчик очереди push.expo: отправить пакет сообщений в Expo.
+ * Сеть, 429 и 5xx — ошибка (очередь повторит пакет); тикеты
+ * DeviceNotRegistered — «мёртвые» токены, удаляем.
+ * Пакет мог пролежать в очереди: токены, удалённые за это время (выход,
+ * отзыв сессии), из него выбрасываются.
+ */
+export async function deliverExpoChunk({ messages: queued }) {
+    if (!Array.isArray(queued) || queued.length === 0) return;
+
+    const [rows] = await pool.query(
+        "SELECT token FROM courier_push_tokens WHERE token IN (?)",
+        [[...new Set(queued.map((m) => m.to))]]
+    );
+    const alive = new Set(rows.map((r) => r.token));
+    const messages = queued.filter((m) => alive.has(m.to));
+    if (messages.length === 0) return;
+
+    const res = await fetch(EXPO_PUSH_URL, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+        },
+        body: JSON.stringify(messages),
+    });
+    if (res.status === 429 || res.status >= 500) {
+        const body = await res.text().catch(() => "");
+        throw new Error(`Expo ${res.status}: ${body.slice(0, 200)}`);
+    }
+    const json = await res.json().catch(() => null);
+    console.log("[push] Expo response:", JSON.stringify(json));
+
+    const invalid = [];
+    const data = json?.data;
+    if (Array.isArray(data)) {
+        data.forEach((ticket, idx) => {
+            if (ticket?.status === "error" &&
+                ticket?.details?.error === "DeviceNotRegistered") {
+                invalid.push(messages[idx].to);
+            }
+        });
+    }
+
+    // Чистим «мёртвые» токены
+    if (invalid.length) {
+        await deletePushTokensByValue(invalid).catch(() => {});
+    }
+}
+
 // ── Отправить push о новом заказе всем курьерам компании ────────────────────
+// opts: { excludeUnitId, type, title } — по умолчанию type 'order_created'
+// и заголовок нового заказа; активация предзаказа шлёт свои
 export async function sendOrderPush(companyId, order, opts = {}) {
     try {
         if (typeof companyId !== "number") return;
@@ -68,7 +168,7 @@ export async function sendOrderPush(companyId, order, opts = {}) {
         console.log(`[push] sendOrderPush company=${companyId}: ${allTokens.length} rows, ${tokens.length} valid tokens`);
         if (tokens.length === 0) return;
 
-        const { title, body } = buildOrderMessage(order);
+        const { title, body } = buildOrderMessage(order, opts.title);
 
         const messages = tokens.map((token) => ({
             to: token,
@@ -78,46 +178,46 @@ export async function sendOrderPush(companyId, order, opts = {}) {
             title,
             body,
             data: {
-                type: "order_created",
+                type: opts.type || "order_created",
                 orderId: order?.id ?? order?.order_id ?? null,
                 companyId,
             },
         }));
 
-        const invalid = [];
-        // Expo принимает до 100 сообщений за запрос
-        for (let i = 0; i < messages.length; i += 100) {
-            const chunk = messages.slice(i, i + 100);
-            try {
-                const res = await fetch(EXPO_PUSH_URL, {
-                    method: "POST",
-                    headers: {
-                        "Content-Type": "application/json",
-                        Accept: "application/json",
-                    },
-                    body: JSON.stringify(chunk),
-                });
-                const json = await res.json().catch(() => null);
-                console.log("[push] Expo response:", JSON.stringify(json));
-                const data = json?.data;
-                if (Array.isArray(data)) {
-                    data.forEach((ticket, idx) => {
-                        if (ticket?.status === "error" &&
-                            ticket?.details?.error === "DeviceNotRegistered") {
-                            invalid.push(chunk[idx].to);
-                        }
-                    });
-                }
-            } catch (e) {
-                console.error("[push] send chunk error:", e?.message ?? e);
-            }
-        }
-
-        // Чистим «мёртвые» токены
-        if (invalid.length) {
-            await deletePushTokensByValue(invalid).catch(() => {});
-        }
+        await sendExpoMessages(messages);
     } catch (e) {
         console.error("[push] sendOrderPush error:", e?.message ?? e);
     }
 }
+
+// ── Отправить push одному курьеру (например, его заказ отменили) ────────────
+// opts: { type, title } — type уходит в data.type для мобильного приложения
+export async function sendCourierPush(companyId, unitId, order, opts = {}) {
+    try {
+        if (unitId == null) return;
+
+        const tokens = (await getUnitTokens(unitId)).filter(isExpoToken);
+        console.log(`[push] sendCourierPush unit=${unitId} type=${opts.type}: ${tokens.length} valid tokens`);
+        if (tokens.length === 0) return;
+
+        const { title, body } = buildOrderMessage(order, opts.title);
+
+        const messages = tokens.map((token) => ({
+            to: token,
+            sound: "default",
+            priority: "high",
+            channelId: "orders",
+            title,
+            body,
+            data: {
+                type: opts.type || "order_updated",
+                orderId: order?.id ?? order?.order_id ?? null,
+                companyId,
+            },
+        }));
+
+        await sendExpoMessages(messages);
+    } catch (e) {
+        console.error("[push] sendCourierPush error:", e?.message ?? e);
+    }
+}
@@ -0,0 +1,418 @@
+// Чеки и кухонные тикеты заказа: PDF, ESC/POS (сырые байты для термопринтера) и HTML.
+//
+// Все три формата рисуются из одного списка строк (buildReceiptRows), поэтому
+// содержимое совпадает, различается только вывод:
+//   - variant 'customer' — с ценами, скидками, доставкой, оплатой и НДС;
+//   - variant 'kitchen'  — только позиции, количество и комментарий, крупно.
+//
+// PDF: стандартные шрифты PDF не умеют кириллицу и латышские буквы, поэтому
+// берём TTF из RECEIPT_FONT_PATH / RECEIPT_FONT_BOLD_PATH или DejaVu из системы.
+// Шрифта нет — текст транслитерируется в ASCII.
+// ESC/POS: кодовая страница PC866 (кириллица), латышские буквы — без диакритики.
+// Логотип печатается только в PDF/HTML (растровая печать ESC/POS зависит от модели).
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import PDFDocument from "pdfkit";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOGO_DIR = path.join(__dirname, "..", "..", "companyLogo");
+
+const TIME_ZONE = process.env.RECEIPT_TIMEZONE || "Europe/Riga";
+const ESCPOS_WIDTH = Number(process.env.RECEIPT_ESCPOS_WIDTH || 48); // 80 мм, шрифт A
+const ESCPOS_CODEPAGE = Number(process.env.RECEIPT_ESCPOS_CODEPAGE || 17); // Epson: PC866
+
+export const RECEIPT_FORMATS = ["pdf", "escpos", "html"];
+export const RECEIPT_VARIANTS = ["customer", "kitchen"];
+
+const PAYMENT_LABELS = { cash: "Наличные", card: "Карта", wire: "Перечисление" };
+
+const money = (v) => `${(Number(v) || 0).toFixed(2)} €`;
+
+function formatDateTime(v) {
+    if (!v) return "";
+    const d = v instanceof Date ? v : new Date(v);
+    if (isNaN(d.getTime())) return "";
+    return d.toLocaleString("ru-RU", {
+        timeZone: TIME_ZONE,
+        day: "2-digit",
+        month: "2-digit",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+}
+
+// Путь к файлу логотипа (company_logo — имя файла или /companyLogo/<файл>)
+function resolveLogoFile(companyLogo) {
+    if (!companyLogo) return null;
+    const file = path.join(LOGO_DIR, path.basename(String(companyLogo)));
+    return /\.(png|jpe?g)$/i.test(file) && fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Данные для печати. order — rowToPanelDetailDto (с items),
+ * company — { company_name, company_logo } из companies.
+ */
+export function buildReceiptModel({ order, company, variant = "customer", logoBaseUrl = "" }) {
+    const logoFile = resolveLogoFile(company?.company_logo);
+    const items = (Array.isArray(order.items) ? order.items : []).map((it) => ({
+        name: String(it.name ?? ""),
+        quantity: Number(it.quantity) || 0,
+        unitPrice: Number(it.final_price ?? it.price) || 0,
+        lineTotal: Number(it.line_total) || 0,
+        discount: Number(it.discount) || 0,
+    }));
+
+    return {
+        variant,
+        companyName: company?.company_name || "",
+        logoFile,
+        logoUrl: logoFile ? `${logoBaseUrl}/companyLogo/${path.basename(logoFile)}` : null,
+        number: order.orderSeq != null ? `№ ${order.orderSeq}` : order.orderNo,
+        orderNo: order.orderNo,
+        createdAt: formatDateTime(order.createdAt),
+        scheduledAt: order.orderType === "preorder" ? formatDateTime(order.scheduledAt) : "",
+        items,
+        promoCode: order.promoCode || null,
+        deliveryFee: Number(order.deliveryFee) || 0,
+        amountTotal: Number(order.amountTotal) || 0,
+        paymentParts: (order.paymentParts || []).map((p) => ({
+            label: PAYMENT_LABELS[p.method] || p.method,
+            amount: Number(p.amount) || 0,
+        })),
+        changeDue: order.changeDue ?? null,
+        vatBreakdown: Array.isArray(order.vatBreakdown) ? order.vatBreakdown : [],
+        customer: order.customer || "",
+        phone: order.phone || "",
+        address: order.address || "",
+        notes: order.notes || "",
+    };
+}
+
+/**
+ * Строки чека — общий макет для всех форматов:
+ *   { type: 'logo' } | { type: 'rule' }
+ *   { type: 'text', text, align?, bold?, large? }
+ *   { type: 'pair', left, right, bold? }          — подпись … сумма
+ *   { type: 'item', quantity, name, amount? }     — позиция (amount=null — без цены)
+ */
+export function buildReceiptRows(m) {
+    const rows = [];
+    const kitchen = m.variant === "kitchen";
+
+    if (!kitchen && m.logoFile) rows.push({ type: "logo" });
+    if (!kitchen && m.companyName) rows.push({ type: "text", text: m.companyName, align: "center", bold: true });
+    rows.push({ type: "text", text: `Заказ ${m.number}`, align: "center", bold: true, large: true });
+    if (kitchen) rows.push({ type: "text", text: "КУХНЯ", align: "center", bold: true });
+    rows.push({ type: "text", text: m.createdAt, align: "center" });
+    if (m.scheduledAt) rows.push({ type: "text", text: `Предзаказ на ${m.scheduledAt}`, align: "center", bold: true });
+    rows.push({ type: "rule" });
+
+    for (const it of m.items) {
+        rows.push({
+            type: "item",
+            quantity: it.quantity,
+            name: it.name,
+            amount: kitchen ? null : money(it.lineTotal),
+            large: kitchen,
+        });
+        if (!kitchen && it.discount > 0) {
+            rows.push({ type: "text", text: `  скидка ${it.discount}%, ${money(it.unitPrice)} за шт.` });
+        }
+    }
+    rows.push({ type: "rule" });
+
+    if (!kitchen) {
+        // строки уже с поштучными скидками; ниже — скидка на заказ (клиент/промокод)
+        const itemsTotal = m.items.reduce((s, it) => s + it.lineTotal, 0);
+        const orderDiscount = Math.round((itemsTotal + m.deliveryFee - m.amountTotal) * 100) / 100;
+        rows.push({ type: "pair", left: "Сумма", right: money(itemsTotal) });
+        if (orderDiscount > 0) {
+            rows.push({
+                type: "pair",
+                left: m.promoCode ? `Скидка (промокод ${m.promoCode})` : "Скидка",
+                right: `-${money(orderDiscount)}`,
+            });
+        }
+        if (m.deliveryFee > 0) rows.push({ type: "pair", left: "Доставка", right: money(m.deliveryFee) });
+        rows.push({ type: "pair", left: "ИТОГО", right: money(m.amountTotal), bold: true });
+
+        for (const p of m.paymentParts) rows.push({ type: "pair", left: p.label, right: money(p.amount) });
+        if (m.changeDue != null && m.changeDue > 0)
+            rows.push({ type: "pair", left: "Сдача", right: money(m.changeDue) });
+
+        if (m.vatBreakdown.length) {
+            rows.push({ type: "rule" });
+            for (const v of m.vatBreakdown) {
+                rows.push({
+                    type: "pair",
+                    left: `PVN ${v.rate}% (без PVN ${money(v.net)})`,
+                    right: money(v.vat),
+                });
+            }
+        }
+        rows.push({ type: "rule" });
+
+        if (m.customer || m.phone) rows.push({ type: "text", text: [m.customer, m.phone].filter(Boolean).join(", ") });
+        if (m.address) rows.push({ type: "text", text: m.address });
+    }
+
+    if (m.notes) rows.push({ type: "text", text: `Комментарий: ${m.notes}`, bold: kitchen });
+    if (!kitchen) rows.push({ type: "text", text: m.orderNo, align: "center" });
+    return rows;
+}
+
+// ── Транслитерация (PDF без TTF) ─────────────────────────────────────────────
+const CYR = {
+    а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "e", ж: "zh", з: "z", и: "i",
+    й: "i", к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t",
+    у: "u", ф: "f", х: "h", ц: "c", ч: "ch", ш: "sh", щ: "sch", ъ: "", ы: "y", ь: "",
+    э: "e", ю: "ju", я: "ja",
+};
+
+function stripDiacritics(s) {
+    return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+export function transliterate(text) {
+    return stripDiacritics(String(text ?? ""))
+        .replace(/[а-яё]/gi, (ch) => {
+            const lower = ch.toLowerCase();
+            const t = CYR[lower] ?? "";
+            return ch === lower ? t : t.charAt(0).toUpperCase() + t.slice(1);
+        })
+        .replace(/€/g, "EUR")
+        .replace(/№/g, "No")
+        .replace(/[^\x20-\x7e\n]/g, "?");
+}
+
+// ── HTML ─────────────────────────────────────────────────────────────────────
+const escapeHtml = (s) =>
+    String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+export function renderReceiptHtml(model) {
+    const body = buildReceiptRows(model)
+        .map((r) => {
+            switch (r.type) {
+                case "logo":
+                    return model.logoUrl ? `<div class="c"><img src="${escapeHtml(model.logoUrl)}" alt=""></div>` : "";
+                case "rule":
+                    return `<hr>`;
+                case "pair":
+                    return `<div class="pair${r.bold ? " b" : ""}"><span>${escapeHtml(r.left)}</span><span>${escapeHtml(r.right)}</span></div>`;
+                case "item":
+                    return `<div class="pair${r.large ? " l" : ""}"><span>${escapeHtml(r.quantity)} × ${escapeHtml(r.name)}</span>${
+                        r.amount != null ? `<span>${escapeHtml(r.amount)}</span>` : ""
+                    }</div>`;
+                default: {
+                    const cls = [r.align === "center" ? "c" : "", r.bold ? "b" : "", r.large ? "l" : ""]
+                        .filter(Boolean)
+                        .join(" ");
+                    return `<div class="${cls}">${escapeHtml(r.text)}</div>`;
+                }
+            }
+        })
+        .join("\n");
+
+    return `<!doctype html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`Заказ ${model.number}`)}</title>
+<style>
+  body { width: 72mm; margin: 0 auto; font: 12px/1.35 "DejaVu Sans Mono", monospace; }
+  .c { text-align: center; } .b { font-weight: bold; } .l { font-size: 16px; }
+  .pair { display: flex; justify-content: space-between; gap: 8px; }
+  hr { border: 0; border-top: 1px dashed #000; }
+  img { max-width: 60%; max-height: 30mm; }
+  @media print { @page { size: 80mm auto; margin: 4mm; } }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// ── PDF ──────────────────────────────────────────────────────────────────────
+const PDF_WIDTH = 226.77; // 80 мм
+const PDF_MARGIN = 12;
+
+function findFont(envName, candidates) {
+    const list = [process.env[envName], ...candidates].filter(Boolean);
+    return list.find((p) => fs.existsSync(p)) || null;
+}
+
+const FONT_REGULAR = findFont("RECEIPT_FONT_PATH", [
+    "/usr/share/fonts/dejavu/DejaVuSans.ttf",
+    "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf",
+]);
+const FONT_BOLD = findFont("RECEIPT_FONT_BOLD_PATH", [
+    "/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf",
+    "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf",
+]) || FONT_REGULAR;
+
+// Рисует строки и возвращает итоговую высоту. draw=false — только замер
+// (чек на ленте: высота страницы = высота содержимого).
+function layoutPdf(doc, model, rows, draw) {
+    const width = PDF_WIDTH - PDF_MARGIN * 2;
+    const text = FONT_REGULAR ? (s) => String(s ?? "") : transliterate;
+    const font = (bold) => doc.font(bold ? FONT_BOLD || "Helvetica-Bold" : FONT_REGULAR || "Helvetica");
+    let y = PDF_MARGIN;
+
+    for (const r of rows) {
+        if (r.type === "logo") {
+            const h = 48;
+            if (draw) doc.image(model.logoFile, PDF_MARGIN, y, { fit: [width, h], align: "center" });
+            y += h + 6;
+            continue;
+        }
+        if (r.type === "rule") {
+            if (draw) {
+                doc.moveTo(PDF_MARGIN, y + 3).lineTo(PDF_MARGIN + width, y + 3).dash(2, { space: 2 }).stroke().undash();
+            }
+            y += 8;
+            continue;
+        }
+
+        const size = r.large ? 13 : 9;
+        font(r.bold).fontSize(size);
+
+        if (r.type === "pair" || r.type === "item") {
+            const left = r.type === "item" ? `${r.quantity} × ${r.name}` : r.left;
+            const right = r.type === "item" ? r.amount : r.right;
+            const rightW = right != null ? doc.widthOfString(text(right)) + 6 : 0;
+            const leftW = width - rightW;
+            const h = doc.heightOfString(text(left), { width: leftW });
+            if (draw) {
+                doc.text(text(left), PDF_MARGIN, y, { width: leftW });
+                if (right != null) doc.text(text(right), PDF_MARGIN + leftW, y, { width: rightW, align: "right" });
+            }
+            y += h + 2;
+            continue;
+        }
+
+        const h = doc.heightOfString(text(r.text), { width });
+        if (draw) doc.text(text(r.text), PDF_MARGIN, y, { width, align: r.align === "center" ? "center" : "left" });
+        y += h + 2;
+    }
+    return y + PDF_MARGIN;
+}
+
+export function renderReceiptPdf(model) {
+    const rows = buildReceiptRows(model);
+
+    const probe = new PDFDocument({ size: [PDF_WIDTH, 10000], margin: 0, autoFirstPage: true });
+    const height = Math.ceil(layoutPdf(probe, model, rows, false));
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: [PDF_WIDTH, height],
+            margin: 0,
+            info: { Title: `Заказ ${model.number}` },
+        });
+        const chunks = [];
+        doc.on("data", (c) => chunks.push(c));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", reject);
+        layoutPdf(doc, model, rows, true);
+        doc.end();
+    });
+}
+
+// ── ESC/POS ──────────────────────────────────────────────────────────────────
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// UTF-16 → PC866; латышские буквы без диакритики, остальное — '?'
+function encodeCp866(text) {
+    const out = [];
+    for (const ch of String(text ?? "").replace(/€/g, "EUR")) {
+        const c = ch.codePointAt(0);
+        const base = stripDiacritics(ch); // ā → a, č → c (й/ё не трогаем — они есть в PC866)
+        if (c < 0x80) out.push(c);
+        else if (c >= 0x410 && c <= 0x42f) out.push(0x80 + (c - 0x410)); // А-Я
+        else if (c >= 0x430 && c <= 0x43f) out.push(0xa0 + (c - 0x430)); // а-п
+        else if (c >= 0x440 && c <= 0x44f) out.push(0xe0 + (c - 0x440)); // р-я
+        else if (c === 0x401) out.push(0xf0); // Ё
+        else if (c === 0x451) out.push(0xf1); // ё
+        else if (c === 0x2116) out.push(0xfc); // №
+        else if (c === 0xd7) out.push(0x78); // × → x
+        else if (base.length === 1 && base.charCodeAt(0) < 0x80) out.push(base.charCodeAt(0));
+        else out.push(0x3f);
+    }
+    return out;
+}
+
+// Перенос по словам на заданную ширину (в символах)
+function wrap(text, width) {
+    const lines = [];
+    for (const para of String(text ?? "").split("\n")) {
+        let line = "";
+        for (const word of para.split(/\s+/).filter(Boolean)) {
+            if (!line) line = word;
+            else if (line.length + 1 + word.length <= width) line += ` ${word}`;
+            else {
+                lines.push(line);
+                line = word;
+            }
+            while (line.length > width) {
+                lines.push(line.slice(0, width));
+                line = line.slice(width);
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+export function renderReceiptEscPos(model) {
+    const bytes = [ESC, 0x40, ESC, 0x74, ESCPOS_CODEPAGE]; // init + кодовая страница
+    const push = (...b) => bytes.push(...b);
+    const line = (s) => push(...encodeCp866(s), 0x0a);
+    // € → EUR до расчёта ширины, иначе строки с суммами вылезают за край
+    const plain = (s) => String(s ?? "").replace(/€/g, "EUR");
+
+    for (const r of buildReceiptRows(model)) {
+        if (r.type === "logo") continue;
+        if (r.type === "rule") {
+            line("-".repeat(ESCPOS_WIDTH));
+            continue;
+        }
+
+        // двойной размер (GS ! 0x11) — символов в строке вдвое меньше
+        const width = r.large ? Math.floor(ESCPOS_WIDTH / 2) : ESCPOS_WIDTH;
+        push(ESC, 0x61, r.align === "center" ? 1 : 0);
+        push(ESC, 0x45, r.bold ? 1 : 0);
+        push(GS, 0x21, r.large ? 0x11 : 0x00);
+
+        if (r.type === "pair" || r.type === "item") {
+            const left = plain(r.type === "item" ? `${r.quantity} x ${r.name}` : r.left);
+            let right = r.type === "item" ? r.amount : r.right;
+            if (right == null) {
+                wrap(left, width).forEach(line);
+            } else {
+                right = plain(right);
+                const leftLines = wrap(left, Math.max(8, width - right.length - 1));
+                leftLines.forEach((l, i) => {
+                    if (i < leftLines.length - 1) return line(l);
+                    const pad = width - l.length - right.length;
+                    if (pad >= 1) line(`${l}${" ".repeat(pad)}${right}`);
+                    else {
+                        line(l);
+                        line(right.padStart(width));
+                    }
+                });
+            }
+        } else {
+            wrap(plain(r.text), width).forEach(line);
+        }
+    }
+
+    // сброс стилей, протяжка и частичная отрезка
+    push(ESC, 0x45, 0, GS, 0x21, 0, ESC, 0x61, 0);
+    push(ESC, 0x64, 4, GS, 0x56, 66, 0);
+    return Buffer.from(bytes);
+}
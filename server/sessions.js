@@ -0,0 +1,296 @@
+import crypto from "crypto";
+import pool from "./db.js";
+import { ensureColumns } from "./schema.js";
+import { requestIp } from "./loginThrottle.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Сессии пользователей: короткий access-токен (JWT с sid) + ротируемый
+// refresh-токен на каждое устройство.
+//
+// refresh-токен = "<session_id>.<secret>", в БД хранится только sha256(secret).
+// При каждом POST /api/auth/refresh секрет меняется; предыдущий хеш держим в
+// prev_refresh_hash — если им воспользовались повторно, токен утёк, и сессия
+// отзывается целиком (revoke_reason 'refresh_reuse').
+//
+// authMiddleware проверяет, что сессия access-токена не отозвана; результат
+// кешируется на SESSION_CHECK_TTL_MS, поэтому отзыв в другом процессе
+// вступает в силу не позже чем через это время.
+//
+// При отзыве вызываются слушатели onSessionsRevoked (index.js закрывает
+// WebSocket устройства и удаляет его push-токены).
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const SESSION_CHECK_TTL_MS = 15 * 1000;
+
+// ── Ленивая миграция таблицы ─────────────────────────────────────────────────
+let _tableReady = false;
+export async function ensureSessionsTable() {
+    if (_tableReady) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+            session_id         CHAR(36)     NOT NULL PRIMARY KEY,
+            user_id            INT          NOT NULL,
+            company_id         INT          NULL,
+            client             VARCHAR(16)  NOT NULL DEFAULT 'web',
+            device_name        VARCHAR(120) NULL,
+            user_agent         VARCHAR(255) NULL,
+            ip                 VARCHAR(64)  NULL,
+            platform           VARCHAR(16)  NULL,
+            refresh_hash       CHAR(64)     NOT NULL,
+            prev_refresh_hash  CHAR(64)     NULL,
+            created_at         DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            last_used_at       DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            expires_at         DATETIME     NOT NULL,
+            revoked_at         DATETIME     NULL,
+            revoke_reason      VARCHAR(32)  NULL,
+            KEY idx_user (user_id, revoked_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await ensureColumns("user_sessions", [["platform", "VARCHAR(16) NULL"]]);
+    _tableReady = true;
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+function parseRefreshToken(token) {
+    const [sessionId, secret] = String(token || "").split(".");
+    if (!sessionId || !secret) return null;
+    return { sessionId, secret };
+}
+
+// Откуда вошли: устройство и платформа из body (мобильное приложение передаёт
+// deviceName и platform 'ios'/'android'), UA, IP
+export function sessionMetaFromRequest(req, client) {
+    return {
+        client,
+        deviceName: req.body?.deviceName ? String(req.body.deviceName).slice(0, 120) : null,
+        platform: req.body?.platform ? String(req.body.platform).slice(0, 16) : null,
+        userAgent: req.headers?.["user-agent"] ? String(req.headers["user-agent"]).slice(0, 255) : null,
+        ip: requestIp(req),
+    };
+}
+
+/** Новая сессия; возвращает { sessionId, refreshToken } */
+export async function createSession(user, meta = {}) {
+    await ensureSessionsTable();
+    const sessionId = crypto.randomUUID();
+    const secret = newSecret();
+    await pool.query(
+        `INSERT INTO user_sessions
+            (session_id, user_id, company_id, client, device_name, user_agent, ip, platform,
+             refresh_hash, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [
+            sessionId,
+            user.user_id,
+            user.company_id ?? null,
+            meta.client || "web",
+            meta.deviceName ?? null,
+            meta.userAgent ?? null,
+            meta.ip ?? null,
+            meta.platform ?? null,
+            sha256(secret),
+            REFRESH_TOKEN_TTL_DAYS,
+        ]
+    );
+    return { sessionId, refreshToken: `${sessionId}.${secret}` };
+}
+
+/**
+ * Ротация refresh-токена.
+ * @returns {{ ok: true, sessionId, userId, refreshToken }
+ *         | { ok: false, error }}
+ */
+export async function rotateRefreshToken(token, meta = {}) {
+    await ensureSessionsTable();
+    const parsed = parseRefreshToken(token);
+    if (!parsed) return { ok: false, error: "Невалидный refresh-токен" };
+
+    const [rows] = await pool.query(
+        `SELECT session_id, user_id, refresh_hash, prev_refresh_hash,
+                revoked_at, expires_at <= NOW() AS expired
+           FROM user_sessions WHERE session_id = ? LIMIT 1`,
+        [parsed.sessionId]
+    );
+    const s = rows[0];
+    if (!s || s.revoked_at || Number(s.expired) === 1)
+        return { ok: false, error: "Сессия завершена" };
+
+    const hash = sha256(parsed.secret);
+    if (hash !== s.refresh_hash) {
+        if (hash === s.prev_refresh_hash) {
+            // уже обменянный токен пришёл снова — кто-то ещё им владеет
+            await revokeSession(s.session_id, "refresh_reuse");
+            console.warn(`[sessions] refresh reuse: session=${s.session_id} user=${s.user_id}`);
+        }
+        return { ok: false, error: "Невалидный refresh-токен" };
+    }
+
+    const secret = newSecret();
+    const [upd] = await pool.query(
+        `UPDATE user_sessions
+            SET prev_refresh_hash = refresh_hash, refresh_hash = ?,
+                last_used_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? DAY),
+                ip = COALESCE(?, ip), user_agent = COALESCE(?, user_agent)
+          WHERE session_id = ? AND refresh_hash = ? AND revoked_at IS NULL`,
+        [sha256(secret), REFRESH_TOKEN_TTL_DAYS, meta.ip ?? null, meta.userAgent ?? null, s.session_id, hash]
+    );
+    // параллельный refresh успел раньше — этот токен уже предыдущий
+    if (!upd.affectedRows) return { ok: false, error: "Невалидный refresh-токен" };
+
+    return { ok: true, sessionId: s.session_id, userId: s.user_id, refreshToken: `${s.session_id}.${secret}` };
+}
+
+// sid → { active, until } — кеш проверки в authMiddleware
+const activeCache = new Map();
+
+// fn({ userId, sessionIds, allSessions, reason })
+const revokeListeners = [];
+export function onSessionsRevoked(fn) {
+    revokeListeners.push(fn);
+}
+
+async function notifyRevoked(event) {
+    for (const fn of revokeListeners) {
+        try {
+            await fn(event);
+        } catch (e) {
+            console.error("[sessions] revoke listener error:", e?.message ?? e);
+        }
+    }
+}
+
+export async function revokeSession(sessionId, reason = "logout") {
+    await ensureSessionsTable();
+    activeCache.delete(sessionId);
+    const [rows] = await pool.query(
+        "SELECT user_id FROM user_sessions WHERE session_id = ? AND revoked_at IS NULL LIMIT 1",
+        [sessionId]
+    );
+    if (!rows.length) return false;
+    const [upd] = await pool.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ?
+          WHERE session_id = ? AND revoked_at IS NULL`,
+        [reason, sessionId]
+    );
+    if (!upd.affectedRows) return false;
+    await notifyRevoked({ userId: rows[0].user_id, sessionIds: [sessionId], allSessions: false, reason });
+    return true;
+}
+
+/** Выход по refresh-токену (текущему или только что обменянному) */
+export async function revokeByRefreshToken(token, reason = "logout") {
+    await ensureSessionsTable();
+    const parsed = parseRefreshToken(token);
+    if (!parsed) return false;
+    const hash = sha256(parsed.secret);
+    const [rows] = await pool.query(
+        `SELECT session_id FROM user_sessions
+          WHERE session_id = ? AND (refresh_hash = ? OR prev_refresh_hash = ?) LIMIT 1`,
+        [parsed.sessionId, hash, hash]
+    );
+    if (!rows.length) return false;
+    return revokeSession(parsed.sessionId, reason);
+}
+
+/** Отозвать все сессии пользователя (деактивация, удаление, смена пароля) */
+export async function revokeUserSessions(userId, reason) {
+    await ensureSessionsTable();
+    const [rows] = await pool.query(
+        "SELECT session_id FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL",
+        [userId]
+    );
+    for (const r of rows) activeCache.delete(r.session_id);
+    const [upd] = await pool.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ?
+          WHERE user_id = ? AND revoked_at IS NULL`,
+        [reason, userId]
+    );
+    await notifyRevoked({
+        userId,
+        sessionIds: rows.map((r) => r.session_id),
+        allSessions: true,
+        reason,
+    });
+    return upd.affectedRows;
+}
+
+/** Действующие сессии пользователя (новые сверху) */
+export async function listActiveSessions(userId) {
+    await ensureSessionsTable();
+    const [rows] = await pool.query(
+        `SELECT s.session_id, s.user_id, s.client, s.device_name, s.platform, s.user_agent, s.ip,
+                s.created_at, s.last_used_at, s.expires_at,
+                u.nickname, u.first_name, u.role
+           FROM user_sessions s
+           JOIN users u ON u.user_id = s.user_id
+          WHERE s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+          ORDER BY s.last_used_at DESC`,
+        [userId]
+    );
+    return rows;
+}
+
+/** Сессия принадлежит пользователю и ещё действует */
+export async function findActiveSession(userId, sessionId) {
+    await ensureSessionsTable();
+    const [rows] = await pool.query(
+        `SELECT session_id FROM user_sessions
+          WHERE session_id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+          LIMIT 1`,
+        [sessionId, userId]
+    );
+    return rows[0] || null;
+}
+
+export function sessionToDto(r, currentSessionId = null) {
+    return {
+        id: r.session_id,
+        userId: r.user_id,
+        nickname: r.nickname || r.first_name || null,
+        role: r.role ?? null,
+        client: r.client,
+        deviceName: r.device_name ?? null,
+        platform: r.platform ?? null,
+        userAgent: r.user_agent ?? null,
+        ip: r.ip ?? null,
+        createdAt: r.created_at,
+        lastSeenAt: r.last_used_at,
+        expiresAt: r.expires_at,
+        current: currentSessionId != null && r.session_id === currentSessionId,
+    };
+}
+
+/** Сессия не отозвана, не истекла, пользователь существует и активен */
+export async function isSessionActive(sessionId) {
+    const cached = activeCache.get(sessionId);
+    if (cached && cached.until > Date.now()) return cached.active;
+
+    await ensureSessionsTable();
+    const [rows] = await pool.query(
+        `SELECT s.session_id
+           FROM user_sessions s
+           JOIN users u ON u.user_id = s.user_id
+          WHERE s.session_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+            AND COALESCE(u.is_active, 1) = 1
+          LIMIT 1`,
+        [sessionId]
+    );
+    const active = rows.length > 0;
+    activeCache.set(sessionId, { active, until: Date.now() + SESSION_CHECK_TTL_MS });
+    if (active) {
+        // «последняя активность» для списка сессий — не чаще раза в минуту
+        pool.query(
+            `UPDATE user_sessions SET last_used_at = NOW()
+              WHERE session_id = ? AND last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)`,
+            [sessionId]
+        ).catch(() => {});
+    }
+    if (activeCache.size > 10000) {
+        for (const [k, v] of activeCache) if (v.until <= Date.now()) activeCache.delete(k);
+    }
+    return active;
+}
@@ -0,0 +1,132 @@
+import { Router } from "express";
+import pool from "./db.js";
+import { ensureColumns } from "./schema.js";
+import { resolveCompanyContext } from "./currentOrder.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// НДС (PVN): ставки компании по налоговым категориям.
+//
+// Категория задаётся у позиции меню (menu.tax_category); доставка — отдельная
+// категория 'delivery'. Цены в меню — с НДС (gross), поэтому в
+// normalizeItemsAndAmounts НДС выделяется из суммы: net = gross·100/(100+rate).
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const TAX_CATEGORIES = ["food", "alcohol", "delivery"];
+
+// Стандартная ставка PVN в Латвии — пока компания не настроила свои
+export const DEFAULT_TAX_RATES = { food: 21, alcohol: 21, delivery: 21 };
+
+export function isTaxCategory(v) {
+    return TAX_CATEGORIES.includes(String(v));
+}
+
+// ── Ленивая миграция ─────────────────────────────────────────────────────────
+let _ready = false;
+export async function ensureTaxSchema() {
+    if (_ready) return;
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS company_tax_rates (
+            company_id    INT          NOT NULL,
+            category      VARCHAR(16)  NOT NULL,
+            rate_percent  DECIMAL(5,2) NOT NULL,
+            updated_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (company_id, category)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await ensureColumns("menu", [
+        ["tax_category", "VARCHAR(16) NOT NULL DEFAULT 'food'"],
+    ]);
+    _ready = true;
+}
+
+// Ставки компании { food, alcohol, delivery } (недостающие — по умолчанию)
+export async function getTaxRates(companyId) {
+    await ensureTaxSchema();
+    const [rows] = await pool.query(
+        "SELECT category, rate_percent FROM company_tax_rates WHERE company_id=?",
+        [companyId]
+    );
+    const rates = { ...DEFAULT_TAX_RATES };
+    for (const r of rows) {
+        if (isTaxCategory(r.category)) rates[r.category] = Number(r.rate_percent);
+    }
+    return rates;
+}
+
+/**
+ * Налоговый контекст для расчёта заказа: ставки компании и категории
+ * позиций из меню. Позиция не из меню (или удалённая) считается 'food'.
+ */
+export async function loadTaxContext(companyId, items) {
+    const rates = await getTaxRates(companyId);
+    const ids = [
+        ...new Set((Array.isArray(items) ? items : []).map((it) => it?.id).filter((id) => id != null)),
+    ];
+    const itemCategories = new Map();
+    if (ids.length) {
+        const [rows] = await pool.query(
+            "SELECT item_id, tax_category FROM menu WHERE company_id=? AND item_id IN (?)",
+            [companyId, ids]
+        );
+        for (const r of rows) itemCategories.set(String(r.item_id), r.tax_category);
+    }
+    return { rates, itemCategories };
+}
+
+export default function createTaxRatesRouter() {
+    const router = Router();
+
+    // ── GET /api/tax-rates ───────────────────────────────────────────────────
+    router.get("/", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const rates = await getTaxRates(ctx.companyId);
+            res.json({ ok: true, rates, categories: TAX_CATEGORIES });
+        } catch (e) {
+            console.error("tax rates get error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    // ── PUT /api/tax-rates ───────────────────────────────────────────────────
+    // body: { rates: { food?: number, alcohol?: number, delivery?: number } }
+    // Новые ставки действуют для заказов, пересчитанных после изменения.
+    router.put("/", async (req, res) => {
+        try {
+            const ctx = await resolveCompanyContext(req, res);
+            if (!ctx) return;
+            const { companyId, user } = ctx;
+            if (user?.role === "courier")
+                return res.status(403).json({ ok: false, error: "Недостаточно прав" });
+            await ensureTaxSchema();
+
+            const incoming = req.body?.rates || {};
+            const updates = [];
+            for (const [category, raw] of Object.entries(incoming)) {
+                if (!isTaxCategory(category))
+                    return res.status(400).json({ ok: false, error: `Неизвестная категория: ${category}` });
+                const rate = Number(raw);
+                if (!Number.isFinite(rate) || rate < 0 || rate > 100)
+                    return res.status(400).json({ ok: false, error: "Ставка НДС 0..100" });
+                updates.push([companyId, category, Math.round(rate * 100) / 100]);
+            }
+
+            for (const u of updates) {
+                await pool.query(
+                    `INSERT INTO company_tax_rates (company_id, category, rate_percent)
+                     VALUES (?, ?, ?)
+                     ON DUPLICATE KEY UPDATE rate_percent=VALUES(rate_percent)`,
+                    u
+                );
+            }
+
+            res.json({ ok: true, rates: await getTaxRates(companyId) });
+        } catch (e) {
+            console.error("tax rates update error:", e);
+            res.status(500).json({ ok: false, error: "Ошибка сервера" });
+        }
+    });
+
+    return router;
+}
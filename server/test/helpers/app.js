@@ -0,0 +1,29 @@
+import express from "express";
+
+// Роутер на случайном порту; req.user подставляется вместо authMiddleware.
+// Возвращает request(method, path, body?, headers?) → { status, headers, body }.
+export async function serveRouter(t, router, user) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = user ? { ...user } : undefined;
+        next();
+    });
+    app.use(router);
+
+    const server = await new Promise((resolve) => {
+        const s = app.listen(0, "127.0.0.1", () => resolve(s));
+    });
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    return async (method, path, body, headers = {}) => {
+        const res = await fetch(base + path, {
+            method,
+            headers: { "content-type": "application/json", ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await res.text();
+        return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+    };
+}
@@ -0,0 +1,27 @@
+import pool from "../../db.js";
+
+// Подмена pool.query на время теста: route(sql, params) возвращает результат
+// в форме mysql2 ([rows] / [{ affectedRows }]) или undefined — тогда DDL и
+// ensureColumns отвечают «пусто», остальное считается неожиданным запросом.
+// sql приходит с нормализованными пробелами.
+export function mockDb(t, route) {
+    const calls = [];
+    const query = async (sql, params = []) => {
+        const text = String(sql).replace(/\s+/g, " ").trim();
+        calls.push({ sql: text, params });
+        const res = await route(text, params);
+        if (res !== undefined) return res;
+        if (/^(CREATE TABLE|ALTER TABLE)/i.test(text)) return [{ affectedRows: 0 }];
+        if (/information_schema\.columns/i.test(text)) return [[]];
+        throw new Error(`unexpected query: ${text}`);
+    };
+    t.mock.method(pool, "query", query);
+    t.mock.method(pool, "getConnection", async () => ({
+        query,
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => {},
+    }));
+    return calls;
+}
@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { idempotency } from "../idempotency.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+// idempotency_keys в памяти
+function fakeKeys(t) {
+    const keys = new Map();
+    const id = (companyId, scope, key) => `${companyId}:${scope}:${key}`;
+    const calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("DELETE FROM idempotency_keys WHERE company_id=? AND expires_at")) return [{ affectedRows: 0 }];
+        if (sql.startsWith("INSERT INTO idempotency_keys")) {
+            const [companyId, scope, key, hash] = params;
+            if (keys.has(id(companyId, scope, key))) {
+                throw Object.assign(new Error("Duplicate entry"), { code: "ER_DUP_ENTRY" });
+            }
+            keys.set(id(companyId, scope, key), { request_hash: hash, status_code: null, response_json: null });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("SELECT request_hash")) {
+            const saved = keys.get(id(...params));
+            return [saved ? [{ ...saved }] : []];
+        }
+        if (sql.startsWith("UPDATE idempotency_keys")) {
+            const [status, json, ...rest] = params;
+            Object.assign(keys.get(id(...rest)), { status_code: status, response_json: json });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("DELETE FROM idempotency_keys WHERE company_id=? AND scope=?")) {
+            keys.delete(id(...params));
+            return [{ affectedRows: 1 }];
+        }
+    });
+    return { keys, calls };
+}
+
+// Ответ сохраняется на res 'close' — ждём, пока UPDATE/DELETE дойдёт до fakeKeys
+const SAVE_RE = /^(UPDATE idempotency_keys|DELETE FROM idempotency_keys WHERE company_id=\? AND scope)/;
+async function saved(calls) {
+    const done = () => calls.some((c) => SAVE_RE.test(c.sql));
+    for (let i = 0; i < 100 && !done(); i++) await new Promise((r) => setTimeout(r, 10));
+    assert.ok(done(), "ответ не сохранён");
+}
+
+async function setup(t, handler) {
+    const state = fakeKeys(t);
+    let runs = 0;
+    const router = express.Router();
+    router.post("/orders", idempotency("order.create"), (req, res) => {
+        runs++;
+        return handler ? handler(req, res, runs) : res.status(201).json({ ok: true, id: runs });
+    });
+    const request = await serveRouter(t, router, { userId: 5, companyId: 1 });
+    return { ...state, request, runs: () => runs };
+}
+
+test("idempotency: повтор с тем же ключом получает сохранённый ответ", async (t) => {
+    const { request, runs, calls } = await setup(t);
+    const first = await request("POST", "/orders", { a: 1 }, { "Idempotency-Key": "k1" });
+    assert.equal(first.status, 201);
+    await saved(calls);
+
+    const again = await request("POST", "/orders", { a: 1 }, { "Idempotency-Key": "k1" });
+    assert.equal(again.status, 201);
+    assert.deepEqual(again.body, first.body);
+    assert.equal(again.headers.get("idempotency-replayed"), "true");
+    assert.equal(runs(), 1);
+});
+
+test("idempotency: без заголовка middleware не вмешивается", async (t) => {
+    const { request, runs, calls } = await setup(t);
+    await request("POST", "/orders", { a: 1 });
+    await request("POST", "/orders", { a: 1 });
+    assert.equal(runs(), 2);
+    assert.equal(calls.length, 0);
+});
+
+test("idempotency: тот же ключ с другим телом — 422", async (t) => {
+    const { request, runs, calls } = await setup(t);
+    await request("POST", "/orders", { a: 1 }, { "Idempotency-Key": "k1" });
+    await saved(calls);
+    const res = await request("POST", "/orders", { a: 2 }, { "Idempotency-Key": "k1" });
+    assert.equal(res.status, 422);
+    assert.equal(runs(), 1);
+});
+
+test("idempotency: запрос ещё выполняется — 409", async (t) => {
+    let release;
+    const gate = new Promise((r) => { release = r; });
+    let started;
+    const running = new Promise((r) => { started = r; });
+    const { request } = await setup(t, async (req, res, run) => {
+        if (run === 1) {
+            started();
+            await gate;
+        }
+        res.status(201).json({ ok: true });
+    });
+    const first = request("POST", "/orders", { a: 1 }, { "Idempotency-Key": "k1" });
+    await running;
+    const second = await request("POST", "/orders", { a: 1 }, { "Idempotency-Key": "k1" });
+    assert.equal(second.status, 409);
+    release();
+    assert.equal((await first).status, 201);
+});
+
+test("idempotency: ответ 5xx не сохраняется — повтор выполняется заново", async (t) => {
+    const { request, runs, keys, calls } = await setup(t, (req, res, run) =>
+        run === 1 ? res.status(500).json({ ok: false, error: "Ошибка сервера" }) : res.status(201).json({ ok: true })
+    );
+    assert.equal((await request("POST", "/orders", { a: 1 }, { "Idempotency-Key": "k1" })).status, 500);
+    await saved(calls);
+    assert.equal(keys.size, 0);
+    assert.equal((await request("POST", "/orders", { a: 1 }, { "Idempotency-Key": "k1" })).status, 201);
+    assert.equal(runs(), 2);
+});
+
+test("idempotency: 4xx сохраняется и повторяется как есть", async (t) => {
+    const { request, runs, calls } = await setup(t, (req, res) => res.status(400).json({ ok: false, error: "Нет позиций" }));
+    await request("POST", "/orders", {}, { "Idempotency-Key": "k1" });
+    await saved(calls);
+    const again = await request("POST", "/orders", {}, { "Idempotency-Key": "k1" });
+    assert.equal(again.status, 400);
+    assert.equal(again.headers.get("idempotency-replayed"), "true");
+    assert.equal(runs(), 1);
+});
+
+test("idempotency: слишком длинный ключ — 400", async (t) => {
+    const { request, runs } = await setup(t);
+    const res = await request("POST", "/orders", {}, { "Idempotency-Key": "x".repeat(129) });
+    assert.equal(res.status, 400);
+    assert.equal(runs(), 0);
+});
@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { INSTANCE_ID, runWithLease, scheduleJob } from "../jobs/jobRunner.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+// права операторов читаются при загрузке модуля
+process.env.OPS_USER_IDS = "5, 8";
+const { default: createAdminJobsRouter } = await import("../adminJobs.js");
+
+// scheduled_jobs в памяти; время — в мс, «сейчас» двигает тест
+function fakeJobs(t) {
+    const state = { now: 0, rows: new Map() };
+    const calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("INSERT IGNORE INTO scheduled_jobs")) {
+            const [name] = params;
+            if (!state.rows.has(name)) {
+                state.rows.set(name, { job_name: name, running: 0, locked_by: null, locked_until: null, run_count: 0, error_count: 0, consecutive_errors: 0 });
+            }
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("UPDATE scheduled_jobs SET running = 1")) {
+            const [by, leaseSeconds, name] = params;
+            const r = state.rows.get(name);
+            const expired = r.locked_until == null || r.locked_until <= state.now;
+            const free = sql.includes("(running = 0 OR") ? r.running === 0 || expired : expired;
+            if (!free) return [{ affectedRows: 0 }];
+            Object.assign(r, { running: 1, locked_by: by, locked_until: state.now + leaseSeconds * 1000, last_started_at: state.now });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("SELECT locked_by, locked_until FROM scheduled_jobs")) {
+            const r = state.rows.get(params[0]);
+            return [[{ locked_by: r.locked_by, locked_until: r.locked_until }]];
+        }
+        if (sql.startsWith("UPDATE scheduled_jobs SET running = 0")) {
+            const [minInterval, , status, error, failed, , , name, by] = params;
+            const r = state.rows.get(name);
+            if (r.locked_by !== by) return [{ affectedRows: 0 }];
+            Object.assign(r, {
+                running: 0,
+                locked_until: r.last_started_at + minInterval * 1000,
+                last_status: status,
+                last_error: error ?? r.last_error ?? null,
+                run_count: r.run_count + 1,
+                error_count: r.error_count + failed,
+                consecutive_errors: failed ? r.consecutive_errors + 1 : 0,
+            });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("SELECT *, locked_until > UTC_TIMESTAMP(3) AS lease_active")) {
+            return [[...state.rows.values()].map((r) => ({ ...r, lease_active: r.locked_until > state.now ? 1 : 0 }))];
+        }
+    });
+    state.calls = calls;
+    return state;
+}
+
+test("runWithLease: из двух одновременных запусков выполняется один", async (t) => {
+    fakeJobs(t);
+    let runs = 0;
+    let release;
+    const gate = new Promise((r) => { release = r; });
+    const job = async () => {
+        runs++;
+        await gate;
+        return { done: true };
+    };
+    const first = runWithLease("job.a", job);
+    const second = await runWithLease("job.a", job);
+    release();
+    assert.deepEqual(await first, { ran: true, ok: true, durationMs: (await first).durationMs, result: { done: true } });
+    assert.equal(second.ran, false);
+    assert.equal(second.reason, "locked");
+    assert.equal(second.lockedBy, INSTANCE_ID);
+    assert.equal(runs, 1);
+});
+
+test("runWithLease: minIntervalSeconds не даёт повторить тот же тик cron, ручной запуск — даёт", async (t) => {
+    const state = fakeJobs(t);
+    let runs = 0;
+    const job = async () => { runs++; };
+    assert.equal((await runWithLease("job.b", job, { minIntervalSeconds: 50 })).ran, true);
+
+    state.now += 5_000;
+    assert.equal((await runWithLease("job.b", job, { minIntervalSeconds: 50 })).ran, false);
+    assert.equal((await runWithLease("job.b", job, { minIntervalSeconds: 50, manual: true })).ran, true);
+
+    state.now += 60_000;
+    assert.equal((await runWithLease("job.b", job, { minIntervalSeconds: 50 })).ran, true);
+    assert.equal(runs, 3);
+});
+
+test("runWithLease: ручной запуск не перебивает выполняющуюся задачу", async (t) => {
+    fakeJobs(t);
+    let release;
+    const gate = new Promise((r) => { release = r; });
+    const running = runWithLease("job.c", () => gate);
+    const manual = await runWithLease("job.c", async () => {}, { manual: true });
+    assert.equal(manual.ran, false);
+    release();
+    assert.equal((await running).ok, true);
+});
+
+test("runWithLease: истёкшая аренда упавшего процесса перехватывается", async (t) => {
+    const state = fakeJobs(t);
+    state.rows.set("job.d", { job_name: "job.d", running: 1, locked_by: "dead:1", locked_until: 1_000, run_count: 0, error_count: 0, consecutive_errors: 0 });
+    state.now = 2_000;
+    const res = await runWithLease("job.d", async () => 42);
+    assert.deepEqual(res.result, 42);
+    assert.equal(state.rows.get("job.d").locked_by, INSTANCE_ID);
+});
+
+test("runWithLease: ошибка задачи записывается, а не пробрасывается", async (t) => {
+    const state = fakeJobs(t);
+    const boom = async () => { throw new Error("boom"); };
+    const res = await runWithLease("job.e", boom);
+    assert.equal(res.ok, false);
+    assert.equal(res.error, "boom");
+    state.now += 1;
+    await runWithLease("job.e", boom);
+    const r = state.rows.get("job.e");
+    assert.deepEqual([r.last_status, r.last_error, r.error_count, r.consecutive_errors], ["error", "boom", 2, 2]);
+
+    state.now += 1;
+    await runWithLease("job.e", async () => {});
+    assert.deepEqual([r.last_status, r.last_error, r.consecutive_errors], ["ok", "boom", 0]);
+});
+
+// задача для роутера; cron в тесте не нужен — останавливаем сразу
+const task = scheduleJob("test.ops", "0 0 1 1 *", async () => "ok");
+task.stop();
+
+test("/api/admin/jobs: только операторы из OPS_USER_IDS", async (t) => {
+    fakeJobs(t);
+    const operator = await serveRouter(t, createAdminJobsRouter(), { userId: 8, companyId: 1, role: "admin" });
+    const list = await operator("GET", "/");
+    assert.equal(list.status, 200);
+    assert.ok(list.body.items.some((j) => j.name === "test.ops"));
+
+    const admin = await serveRouter(t, createAdminJobsRouter(), { userId: 6, companyId: 1, role: "admin" });
+    for (const [method, path] of [["GET", "/"], ["GET", "/queue"], ["POST", "/test.ops/run"]]) {
+        const res = await admin(method, path);
+        assert.deepEqual([res.status, res.body], [403, { ok: false, error: "Недостаточно прав" }], path);
+    }
+});
+
+test("/api/admin/jobs/:name/run: запуск под арендой, неизвестная задача — 404", async (t) => {
+    fakeJobs(t);
+    const operator = await serveRouter(t, createAdminJobsRouter(), { userId: 5, companyId: 1, role: "admin" });
+    const run = await operator("POST", "/test.ops/run");
+    assert.equal(run.status, 200);
+    assert.deepEqual(run.body.run.result, "ok");
+    assert.equal((await operator("POST", "/nope/run")).status, 404);
+});
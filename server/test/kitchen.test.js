@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import kitchenRouter, { estimatePrepSeconds } from "../kitchen.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const DEFAULT_PREP_SECONDS = Number(process.env.KITCHEN_DEFAULT_PREP_MIN || 15) * 60;
+const MIN_SAMPLES = Number(process.env.KITCHEN_MIN_SAMPLES || 3);
+
+// menu и prep_time_stats для оценки
+function fakeStats(t, { menu = {}, stats = [] } = {}) {
+    return mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT item_id, item_category FROM menu")) {
+            return [params[1].filter((id) => menu[id]).map((id) => ({ item_id: id, item_category: menu[id] }))];
+        }
+        if (sql.startsWith("SELECT scope, scope_key, avg_seconds, samples FROM prep_time_stats")) {
+            return [stats];
+        }
+        if (sql.startsWith("INSERT INTO prep_time_stats")) return [{ affectedRows: 1 }];
+    });
+}
+
+const stat = (scope, scope_key, avg_seconds, samples = MIN_SAMPLES) => ({ scope, scope_key, avg_seconds, samples });
+
+test("estimatePrepSeconds: максимум по позициям — блюда готовятся параллельно", async (t) => {
+    fakeStats(t, { stats: [stat("item", "1", 300), stat("item", "2", 1200.4)] });
+    assert.equal(await estimatePrepSeconds(1, [{ id: 1 }, { id: 2 }]), 1200);
+});
+
+test("estimatePrepSeconds: мало замеров позиции — берётся категория, затем значение по умолчанию", async (t) => {
+    fakeStats(t, {
+        menu: { 1: "pizza", 2: "drinks" },
+        stats: [
+            stat("item", "1", 3000, MIN_SAMPLES - 1),
+            stat("category", "pizza", 600),
+            stat("category", "drinks", 60, MIN_SAMPLES - 1),
+        ],
+    });
+    assert.equal(await estimatePrepSeconds(1, [{ id: 1 }]), 600);
+    assert.equal(await estimatePrepSeconds(1, [{ id: 2 }]), DEFAULT_PREP_SECONDS);
+});
+
+test("estimatePrepSeconds: заказ без позиций с id — значение по умолчанию без запросов статистики", async (t) => {
+    const calls = fakeStats(t);
+    assert.equal(await estimatePrepSeconds(1, [{ name: "без id" }]), DEFAULT_PREP_SECONDS);
+    assert.equal(await estimatePrepSeconds(1, null), DEFAULT_PREP_SECONDS);
+    assert.ok(!calls.some((c) => c.sql.startsWith("SELECT scope")));
+});
+
+// Заказ для /ready: после UPDATE строка получает status='ready' и prep_ready_at
+function fakeReady(t, row, { readyAfterSeconds }) {
+    const state = { row: { ...row } };
+    const calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT co.*, cu1.nickname")) return [[{ ...state.row }]];
+        if (sql.startsWith("UPDATE current_orders SET status='ready'")) {
+            if (state.row.status !== params[2]) return [{ affectedRows: 0 }];
+            state.row.status = "ready";
+            state.row.prep_ready_at = new Date(state.row.prep_started_at.getTime() + readyAfterSeconds * 1000);
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("SELECT item_id, item_category FROM menu")) return [[{ item_id: "1", item_category: "pizza" }]];
+        if (sql.startsWith("INSERT INTO prep_time_stats")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("INSERT INTO order_events")) return [{ affectedRows: 1 }];
+    });
+    return calls;
+}
+
+const newOrder = {
+    order_id: 10,
+    company_id: 1,
+    status: "new",
+    order_type: "active",
+    items_json: JSON.stringify([{ id: 1, name: "Пицца", quantity: 1 }]),
+    prep_started_at: new Date("2026-06-05T16:00:00Z"),
+};
+
+test("/ready: фактическое время обучает оценку позиции и категории", async (t) => {
+    const calls = fakeReady(t, newOrder, { readyAfterSeconds: 840 });
+    const request = await serveRouter(t, kitchenRouter({}), { userId: 5, companyId: 1, role: "admin" });
+    const res = await request("POST", "/orders/10/ready");
+    assert.equal(res.status, 200);
+    const learned = calls
+        .filter((c) => c.sql.startsWith("INSERT INTO prep_time_stats"))
+        .map((c) => c.params.slice(1, 4));
+    assert.deepEqual(learned, [["item", "1", 840], ["category", "pizza", 840]]);
+});
+
+test("/ready: замеры вне диапазона не учатся", async (t) => {
+    for (const seconds of [30, 4 * 60 * 60]) {
+        const calls = fakeReady(t, newOrder, { readyAfterSeconds: seconds });
+        const request = await serveRouter(t, kitchenRouter({}), { userId: 5, companyId: 1, role: "admin" });
+        assert.equal((await request("POST", "/orders/10/ready")).status, 200);
+        assert.ok(!calls.some((c) => c.sql.startsWith("INSERT INTO prep_time_stats")), String(seconds));
+    }
+});
+
+test("/ready: закрытый заказ — 409, курьеру — 403", async (t) => {
+    fakeReady(t, { ...newOrder, status: "completed" }, { readyAfterSeconds: 600 });
+    const request = await serveRouter(t, kitchenRouter({}), { userId: 5, companyId: 1, role: "admin" });
+    const closed = await request("POST", "/orders/10/ready");
+    assert.equal(closed.status, 409);
+    assert.equal(closed.body.error, "Недопустимая смена статуса: completed → ready");
+
+    const asCourier = await serveRouter(t, kitchenRouter({}), { userId: 7, companyId: 1, role: "courier" });
+    assert.deepEqual((await asCourier("POST", "/orders/10/ready")).body, { ok: false, error: "Недостаточно прав" });
+});
@@ -0,0 +1,240 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+import {
+    LOGIN_THROTTLE,
+    createMemoryStore,
+    setLoginThrottleStore,
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    requestIp,
+} from "../loginThrottle.js";
+import { login, verifyLogin2FA } from "../auth.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+Object.assign(LOGIN_THROTTLE, {
+    windowMs: 15 * 60 * 1000,
+    lockoutMs: 15 * 60 * 1000,
+    delayBaseMs: 1000,
+    identifier: { delayAfter: 3, maxFailures: 5 },
+    ip: { delayAfter: 10, maxFailures: 30 },
+});
+
+const req = (ip = "10.0.0.1") => ({ ip, headers: { "user-agent": "test" }, socket: { remoteAddress: ip } });
+
+// хранилище, которое запоминает, на сколько мс блокируется каждый ключ
+function spyStore() {
+    const store = createMemoryStore();
+    const blocks = [];
+    const block = store.block;
+    store.block = async (key, untilMs) => {
+        blocks.push({ key, ms: untilMs - Date.now() });
+        return block(key, untilMs);
+    };
+    return { store, blocks };
+}
+
+const near = (actual, expected) =>
+    assert.ok(Math.abs(actual - expected) < 200, `${actual} ≈ ${expected}`);
+
+test.beforeEach((t) => {
+    // аудит пишется в БД — в тестах только принимаем запросы
+    mockDb(t, () => [{ affectedRows: 1 }]);
+});
+
+test("memory store: hit считает неудачи в окне, reset сбрасывает", async () => {
+    const store = createMemoryStore();
+    assert.equal(await store.hit("k", 1000), 1);
+    assert.equal(await store.hit("k", 1000), 2);
+    await store.reset("k");
+    assert.equal(await store.hit("k", 1000), 1);
+    assert.equal(await store.blockedUntil("k"), 0);
+});
+
+test("memory store: истёкшее окно начинает счёт заново, блокировка сохраняется", async () => {
+    const store = createMemoryStore();
+    await store.hit("k", 60000);
+    await store.hit("k", 60000);
+    const until = Date.now() + 60000;
+    await store.block("k", until);
+    assert.equal(await store.hit("k", -1), 1);
+    assert.equal(await store.blockedUntil("k"), until);
+});
+
+test("memory store: block не сокращает уже действующую блокировку", async () => {
+    const store = createMemoryStore();
+    const later = Date.now() + 60000;
+    await store.block("k", later);
+    await store.block("k", Date.now() + 1000);
+    assert.equal(await store.blockedUntil("k"), later);
+});
+
+test("задержка начинается с delayAfter-й неудачи и удваивается", async () => {
+    const { store, blocks } = spyStore();
+    setLoginThrottleStore(store);
+    const r = req();
+
+    for (let i = 0; i < 2; i++) await recordLoginFailure("login", "a@b.c", r, { reason: "bad_password" });
+    assert.equal(blocks.length, 0);
+    assert.deepEqual(await checkLoginAllowed("login", "a@b.c", r), { ok: true });
+
+    await recordLoginFailure("login", "a@b.c", r, { reason: "bad_password" });
+    await recordLoginFailure("login", "a@b.c", r, { reason: "bad_password" });
+    const idBlocks = blocks.filter((b) => b.key === "id:login:a@b.c");
+    assert.equal(idBlocks.length, 2);
+    near(idBlocks[0].ms, 1000);
+    near(idBlocks[1].ms, 2000);
+
+    const check = await checkLoginAllowed("login", "a@b.c", r);
+    assert.equal(check.ok, false);
+    assert.equal(check.retryAfterSec, 2);
+});
+
+test("блокировка на lockoutMs при maxFailures", async () => {
+    const { store, blocks } = spyStore();
+    setLoginThrottleStore(store);
+    const r = req();
+
+    for (let i = 0; i < 5; i++) await recordLoginFailure("login", "a@b.c", r, { reason: "bad_password" });
+    const last = blocks.filter((b) => b.key === "id:login:a@b.c").at(-1);
+    near(last.ms, LOGIN_THROTTLE.lockoutMs);
+
+    const check = await checkLoginAllowed("login", "A@B.C ", r);
+    assert.equal(check.ok, false);
+    assert.equal(check.retryAfterSec, LOGIN_THROTTLE.lockoutMs / 1000);
+});
+
+test("IP: свои пороги, блокирует любой идентификатор с этого адреса", async () => {
+    const { store, blocks } = spyStore();
+    setLoginThrottleStore(store);
+    const r = req("10.0.0.9");
+
+    for (let i = 0; i < 9; i++) await recordLoginFailure("login", `user${i}@b.c`, r, { reason: "unknown_user" });
+    assert.equal(blocks.filter((b) => b.key === "ip:10.0.0.9").length, 0);
+
+    await recordLoginFailure("login", "user9@b.c", r, { reason: "unknown_user" });
+    const ipBlocks = blocks.filter((b) => b.key === "ip:10.0.0.9");
+    assert.equal(ipBlocks.length, 1);
+    near(ipBlocks[0].ms, 1000);
+
+    assert.equal((await checkLoginAllowed("login", "other@b.c", r)).ok, false);
+    assert.equal((await checkLoginAllowed("login", "other@b.c", req("10.0.0.10"))).ok, true);
+});
+
+test("успешный вход сбрасывает только ключ идентификатора", async () => {
+    const store = createMemoryStore();
+    setLoginThrottleStore(store);
+    const prevIp = LOGIN_THROTTLE.ip;
+    LOGIN_THROTTLE.ip = { delayAfter: 1, maxFailures: 30 };
+    try {
+        const r = req("10.0.0.5");
+        for (let i = 0; i < 5; i++) await recordLoginFailure("login", "a@b.c", r, { reason: "bad_password" });
+        assert.ok((await store.blockedUntil("id:login:a@b.c")) > Date.now());
+        assert.ok((await store.blockedUntil("ip:10.0.0.5")) > Date.now());
+
+        await recordLoginSuccess("login", "a@b.c");
+        assert.equal(await store.blockedUntil("id:login:a@b.c"), 0);
+        assert.ok((await store.blockedUntil("ip:10.0.0.5")) > Date.now());
+    } finally {
+        LOGIN_THROTTLE.ip = prevIp;
+    }
+});
+
+test("счётчики разных kind не смешиваются", async () => {
+    const store = createMemoryStore();
+    setLoginThrottleStore(store);
+    const r = req();
+    for (let i = 0; i < 5; i++) await recordLoginFailure("courier", "a@b.c", r, { reason: "bad_password" });
+    assert.equal((await checkLoginAllowed("courier", "a@b.c", r)).ok, false);
+    assert.equal((await checkLoginAllowed("login", "a@b.c", r)).ok, true);
+});
+
+test("requestIp: берёт req.ip, X-Forwarded-For сам по себе не учитывается", () => {
+    assert.equal(
+        requestIp({ headers: { "x-forwarded-for": "1.2.3.4" }, socket: { remoteAddress: "10.0.0.1" } }),
+        "10.0.0.1"
+    );
+    assert.equal(
+        requestIp({ ip: "5.6.7.8", headers: { "x-forwarded-for": "1.2.3.4" }, socket: { remoteAddress: "10.0.0.1" } }),
+        "5.6.7.8"
+    );
+    assert.equal(requestIp({ headers: {}, socket: {} }), null);
+});
+
+test("сброс пароля: IP-счётчик свой, вход с того же адреса не блокируется", async () => {
+    const { store, blocks } = spyStore();
+    setLoginThrottleStore(store);
+    const r = req("10.0.0.7");
+
+    for (let i = 0; i < LOGIN_THROTTLE.ip.maxFailures; i++) {
+        await recordLoginFailure("reset", `user${i}@b.c`, r, { reason: "reset_request" });
+    }
+    assert.ok(blocks.some((b) => b.key === "ip:reset:10.0.0.7"));
+    assert.ok(!blocks.some((b) => b.key === "ip:10.0.0.7"));
+    assert.equal((await checkLoginAllowed("reset", "other@b.c", r)).ok, false);
+    assert.deepEqual(await checkLoginAllowed("login", "other@b.c", r), { ok: true });
+});
+
+// Вход через маршрут: users в памяти, сбросы счётчиков запоминаются
+const PASSWORD_HASH = bcrypt.hashSync("right-pass1", 4);
+
+async function serveLogin(t, user) {
+    const store = createMemoryStore();
+    const resets = [];
+    const reset = store.reset;
+    store.reset = async (key) => {
+        resets.push(key);
+        return reset(key);
+    };
+    setLoginThrottleStore(store);
+    mockDb(t, (sql) => {
+        if (sql.startsWith("SELECT user_id, nickname, password, role, company_id, is_active, totp_enabled FROM users")) {
+            return [[{ user_id: 42, nickname: "anna", password: PASSWORD_HASH, company_id: 7, totp_enabled: 0, ...user }]];
+        }
+        if (sql.startsWith("SELECT user_id, nickname, role, company_id, is_active, totp_secret, totp_enabled FROM users")) {
+            return [[{ user_id: 42, nickname: "anna", company_id: 7, totp_enabled: 1, ...user }]];
+        }
+        if (sql.startsWith("SELECT totp_last_counter")) return [[{ totp_last_counter: null }]];
+        if (/^(INSERT|UPDATE)/.test(sql)) return [{ affectedRows: 1 }];
+    });
+    const router = express.Router();
+    router.post("/login", login);
+    router.post("/2fa/verify-login", verifyLogin2FA);
+    return { request: await serveRouter(t, router, undefined), resets };
+}
+
+const idKey = "id:login:anna@b.c";
+
+test("вход: верный пароль заблокированного аккаунта не сбрасывает счётчик неудач", async (t) => {
+    for (const user of [{ role: "courier", is_active: 1 }, { role: "admin", is_active: 0 }]) {
+        const { request, resets } = await serveLogin(t, user);
+        assert.equal((await request("POST", "/login", { email: "anna@b.c", password: "wrong-pass1" })).status, 401);
+        assert.equal((await request("POST", "/login", { email: "anna@b.c", password: "right-pass1" })).status, 403, user.role);
+        assert.deepEqual(resets, [], user.role);
+    }
+});
+
+test("вход: допущенный пользователь сбрасывает счётчик", async (t) => {
+    const { request, resets } = await serveLogin(t, { role: "admin", is_active: 1 });
+    const res = await request("POST", "/login", { email: "anna@b.c", password: "right-pass1" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(resets, [idKey]);
+});
+
+test("2FA при входе: верный код деактивированного аккаунта не сбрасывает счётчик", async (t) => {
+    const { generateSecret, generateTOTP, getTimeCounter } = await import("../totp.js");
+    const secret = generateSecret();
+    const { request, resets } = await serveLogin(t, { role: "admin", is_active: 0, totp_secret: secret });
+    const tempToken = jwt.sign(
+        { userId: 42, purpose: "2fa_verification" },
+        process.env.TEMP_TOKEN_SECRET || "temp_2fa_secret_key",
+        { expiresIn: "5m" }
+    );
+    const res = await request("POST", "/2fa/verify-login", { tempToken, code: generateTOTP(secret, getTimeCounter()) });
+    assert.equal(res.status, 403);
+    assert.deepEqual(resets, []);
+});
@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import mobileOrdersRouter from "../mobileOrdersRouter.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const courier = { userId: 77, companyId: 1, role: "courier" };
+
+// current_orders из одной строки. takenBy — другой курьер, успевший принять
+// заказ между чтением и UPDATE
+function fakeOrder(t, row, { takenBy = null } = {}) {
+    const state = {
+        row: { order_id: 10, company_id: 1, version: 3, status: "new", courier_unit_id: null, items_json: "[]", ...row },
+        events: [],
+    };
+    state.calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT co.*, cu2.nickname")) return [[{ ...state.row }]];
+        if (sql.startsWith("UPDATE current_orders SET courier_unit_id=?")) {
+            if (takenBy) state.row = { ...state.row, courier_unit_id: takenBy, version: state.row.version + 1 };
+            const [courierId, , , status, sameCourier] = params;
+            const free = state.row.courier_unit_id == null || state.row.courier_unit_id === sameCourier;
+            if (state.row.status !== status || !free) return [{ affectedRows: 0 }];
+            state.row = { ...state.row, courier_unit_id: courierId, version: state.row.version + 1 };
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("UPDATE current_orders")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("INSERT INTO order_events")) {
+            state.events.push(params[2]);
+            return [{ affectedRows: 1 }];
+        }
+    });
+    return state;
+}
+
+async function setup(t, row, opts) {
+    const state = fakeOrder(t, row, opts);
+    const broadcasts = [];
+    const request = await serveRouter(
+        t,
+        mobileOrdersRouter({ broadcastToCompany: (companyId, m) => broadcasts.push(m) }),
+        courier
+    );
+    return { state, broadcasts, request };
+}
+
+const statusUpdates = (calls) =>
+    calls.filter((c) => c.sql.startsWith("UPDATE current_orders") && !c.sql.includes("courier_unit_id=?"));
+
+test("assign: свободный заказ назначается курьеру", async (t) => {
+    const { state, broadcasts, request } = await setup(t);
+    const res = await request("PATCH", "/10/assign");
+    assert.equal(res.status, 200);
+    assert.equal(state.row.courier_unit_id, 77);
+    assert.deepEqual(state.events, ["assigned"]);
+    assert.deepEqual(broadcasts.map((m) => [m.type, m.order.courierId]), [["order_updated", 77]]);
+});
+
+test("assign: другой курьер принял заказ между чтением и записью — 409 без события", async (t) => {
+    const { state, broadcasts, request } = await setup(t, {}, { takenBy: 88 });
+    const res = await request("PATCH", "/10/assign");
+    assert.equal(res.status, 409);
+    assert.equal(res.body.ok, false);
+    assert.equal(state.row.courier_unit_id, 88);
+    assert.deepEqual(state.events, []);
+    assert.equal(broadcasts.length, 0);
+});
+
+test("assign: заказ чужого курьера или закрытый — 409 без UPDATE", async (t) => {
+    for (const row of [{ courier_unit_id: 88 }, { status: "completed" }, { status: "cancelled" }]) {
+        const { state, request } = await setup(t, row);
+        assert.equal((await request("PATCH", "/10/assign")).status, 409);
+        assert.ok(!state.calls.some((c) => c.sql.startsWith("UPDATE current_orders")));
+    }
+});
+
+test("complete/enroute: переход вне машины состояний отклоняется 409", async (t) => {
+    const fresh = await setup(t, { courier_unit_id: 77, status: "new" });
+    const complete = await fresh.request("PATCH", "/10/complete");
+    assert.equal(complete.status, 409);
+    assert.deepEqual([complete.body.from, complete.body.to, complete.body.allowed], ["new", "completed", ["ready", "enroute", "cancelled"]]);
+    assert.equal(statusUpdates(fresh.state.calls).length, 0);
+
+    const done = await setup(t, { courier_unit_id: 77, status: "completed" });
+    const enroute = await done.request("PATCH", "/10/enroute");
+    assert.equal(enroute.status, 409);
+    assert.deepEqual(enroute.body.allowed, []);
+    assert.equal(statusUpdates(done.state.calls).length, 0);
+    assert.equal(done.broadcasts.length, 0);
+});
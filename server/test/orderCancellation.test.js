@@ -0,0 +1,164 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CANCEL_REASONS, getCancelReasons, replaceCancelReasons } from "../orderCancellation.js";
+import { currentOrdersRouter } from "../currentOrder.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+// order_cancel_reasons в памяти
+function fakeReasons(t, rows = []) {
+    let stored = rows;
+    const calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT code, label FROM order_cancel_reasons")) {
+            return [[...stored].sort((a, b) => a.sort_order - b.sort_order)];
+        }
+        if (sql.startsWith("DELETE FROM order_cancel_reasons")) {
+            stored = [];
+            return [{ affectedRows: 0 }];
+        }
+        if (sql.startsWith("INSERT INTO order_cancel_reasons")) {
+            const [, code, label, sortOrder] = params;
+            stored.push({ code, label, sort_order: sortOrder });
+            return [{ affectedRows: 1 }];
+        }
+    });
+    return calls;
+}
+
+test("getCancelReasons: компания без своего списка получает набор по умолчанию (копию)", async (t) => {
+    fakeReasons(t);
+    const reasons = await getCancelReasons(1);
+    assert.deepEqual(reasons, DEFAULT_CANCEL_REASONS);
+    reasons[0].label = "изменено";
+    assert.notEqual(DEFAULT_CANCEL_REASONS[0].label, "изменено");
+});
+
+test("replaceCancelReasons: нормализует коды, убирает дубли, хранит порядок", async (t) => {
+    const calls = fakeReasons(t);
+    const r = await replaceCancelReasons(1, [
+        { code: " Late ", label: " Опоздание " },
+        { code: "rain", label: "Погода" },
+        { code: "late", label: "Повтор" },
+    ]);
+    assert.deepEqual(r, {
+        ok: true,
+        reasons: [{ code: "late", label: "Опоздание" }, { code: "rain", label: "Погода" }],
+    });
+    const inserts = calls.filter((c) => c.sql.startsWith("INSERT INTO order_cancel_reasons"));
+    assert.deepEqual(inserts.map((c) => c.params[3]), [0, 1]);
+});
+
+test("replaceCancelReasons: некорректная причина — ошибка без записи", async (t) => {
+    const calls = fakeReasons(t);
+    for (const bad of [{ code: "bad code", label: "x" }, { code: "ok", label: "  " }, null]) {
+        const r = await replaceCancelReasons(1, [{ code: "fine", label: "Ок" }, bad]);
+        assert.equal(r.ok, false);
+        assert.match(r.error, /^Некорректная причина: /);
+    }
+    assert.equal(calls.filter((c) => /^(DELETE|INSERT)/.test(c.sql)).length, 0);
+});
+
+test("replaceCancelReasons: пустой список возвращает набор по умолчанию", async (t) => {
+    fakeReasons(t, [{ code: "late", label: "Опоздание", sort_order: 0 }]);
+    const r = await replaceCancelReasons(1, []);
+    assert.deepEqual(r.reasons, DEFAULT_CANCEL_REASONS);
+});
+
+// ── POST /:id/cancel ─────────────────────────────────────────────────────────
+
+const admin = { userId: 5, companyId: 1, role: "admin" };
+
+// current_orders из одной строки; список причин компании пуст — действуют причины по умолчанию
+function fakeOrder(t, row, { lostRace = false } = {}) {
+    const state = { row: { order_id: 10, company_id: 1, version: 3, items_json: "[]", ...row } };
+    state.calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT code, label FROM order_cancel_reasons")) return [[]];
+        if (sql.startsWith("SELECT co.*, cu1.nickname")) return [[{ ...state.row }]];
+        if (sql.startsWith("UPDATE current_orders SET status='cancelled'")) {
+            if (lostRace || params.at(-1) !== state.row.status) return [{ affectedRows: 0 }];
+            const [reason, comment, refund, by] = params;
+            Object.assign(state.row, {
+                status: "cancelled",
+                courier_unit_id: null,
+                cancel_reason: reason,
+                cancel_comment: comment,
+                cancel_refund: refund,
+                cancelled_by: by,
+                version: state.row.version + 1,
+            });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("DELETE FROM promo_redemptions")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("INSERT INTO order_events")) return [{ affectedRows: 1 }];
+    });
+    return state;
+}
+
+async function setupCancel(t, row, opts) {
+    const state = fakeOrder(t, row, opts);
+    const broadcasts = [];
+    const request = await serveRouter(t, currentOrdersRouter({ broadcastToAdmins: (m) => broadcasts.push(m) }), admin);
+    return { state, broadcasts, request };
+}
+
+const promoReleases = (calls) => calls.filter((c) => c.sql.startsWith("DELETE FROM promo_redemptions"));
+
+test("POST /:id/cancel: курьер снимается, всем уходит order_cancelled", async (t) => {
+    const { state, broadcasts, request } = await setupCancel(t, { status: "enroute", courier_unit_id: 77 });
+    const res = await request("POST", "/10/cancel", { reason: "Customer_Request", comment: " передумал ", refund: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.item.status, "cancelled");
+    assert.equal(state.row.courier_unit_id, null);
+    assert.deepEqual(
+        [state.row.cancel_reason, state.row.cancel_comment, state.row.cancel_refund, state.row.cancelled_by],
+        ["customer_request", "передумал", 1, 5]
+    );
+
+    assert.equal(broadcasts.length, 1);
+    const [msg] = broadcasts;
+    assert.equal(msg.type, "order_cancelled");
+    assert.equal(msg.companyId, 1);
+    assert.equal(msg.courierId, 77);
+    assert.deepEqual(msg.reason, { code: "customer_request", label: "Клиент отказался" });
+    assert.equal(msg.comment, "передумал");
+    assert.equal(msg.order.status, "cancelled");
+});
+
+test("POST /:id/cancel: использование промокода освобождается", async (t) => {
+    const withPromo = await setupCancel(t, { status: "new", promo_id: 4, promo_code: "SPRING" });
+    assert.equal((await withPromo.request("POST", "/10/cancel", { reason: "duplicate" })).status, 200);
+    assert.deepEqual(promoReleases(withPromo.state.calls).map((c) => c.params), [[1, 10]]);
+
+    const noPromo = await setupCancel(t, { status: "new", promo_id: null });
+    assert.equal((await noPromo.request("POST", "/10/cancel", { reason: "duplicate" })).status, 200);
+    assert.equal(promoReleases(noPromo.state.calls).length, 0);
+});
+
+test("POST /:id/cancel: завершённый или уже отменённый заказ — 409 без записи и рассылки", async (t) => {
+    for (const status of ["completed", "cancelled"]) {
+        const { state, broadcasts, request } = await setupCancel(t, { status, promo_id: 4 });
+        const res = await request("POST", "/10/cancel", { reason: "other" });
+        assert.equal(res.status, 409, status);
+        assert.equal(res.body.from, status);
+        assert.ok(!state.calls.some((c) => c.sql.startsWith("UPDATE current_orders")), status);
+        assert.equal(promoReleases(state.calls).length, 0);
+        assert.equal(broadcasts.length, 0);
+    }
+});
+
+test("POST /:id/cancel: статус сменился между чтением и UPDATE — 409", async (t) => {
+    const { state, broadcasts, request } = await setupCancel(t, { status: "new", promo_id: 4 }, { lostRace: true });
+    const res = await request("POST", "/10/cancel", { reason: "other" });
+    assert.equal(res.status, 409);
+    assert.equal(promoReleases(state.calls).length, 0);
+    assert.equal(broadcasts.length, 0);
+});
+
+test("POST /:id/cancel: причина обязательна и должна быть из справочника", async (t) => {
+    const { state, request } = await setupCancel(t, { status: "new" });
+    assert.equal((await request("POST", "/10/cancel", {})).status, 400);
+    const unknown = await request("POST", "/10/cancel", { reason: "rain" });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(unknown.body.allowed, DEFAULT_CANCEL_REASONS.map((r) => r.code));
+    assert.ok(!state.calls.some((c) => c.sql.startsWith("UPDATE current_orders")));
+});
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { diffOrderRows, actorFromUser, recordOrderEvent, listOrderEvents } from "../orderEvents.js";
+import { mockDb } from "./helpers/db.js";
+
+test("diffOrderRows: только реально изменившиеся отслеживаемые поля", () => {
+    const before = { status: "new", notes: "домофон", amount_total: "12.50", updated_at: new Date(1) };
+    const after = { status: "ready", notes: "домофон", amount_total: 12.5, updated_at: new Date(2) };
+    assert.deepEqual(diffOrderRows(before, after), { status: { from: "new", to: "ready" } });
+});
+
+test("diffOrderRows: DECIMAL строкой и число из body равны, пустая строка ≠ 0 и ≠ null", () => {
+    assert.deepEqual(diffOrderRows({ tip_amount: "0.00" }, { tip_amount: 0 }), {});
+    assert.deepEqual(diffOrderRows({ notes: "" }, { notes: "0" }), { notes: { from: "", to: "0" } });
+    assert.deepEqual(diffOrderRows({ notes: "" }, { notes: null }), { notes: { from: "", to: null } });
+});
+
+test("diffOrderRows: даты сравниваются как ISO, JSON-колонки — по содержимому", () => {
+    const at = "2026-06-05T16:00:00.000Z";
+    assert.deepEqual(
+        diffOrderRows({ scheduled_at: new Date(at) }, { scheduled_at: new Date(at) }),
+        {}
+    );
+    const items = [{ id: 1, quantity: 2 }];
+    assert.deepEqual(
+        diffOrderRows(
+            { items_json: Buffer.from(JSON.stringify(items)) },
+            { items_json: JSON.stringify(items) }
+        ),
+        {}
+    );
+    const changed = diffOrderRows({ items_json: JSON.stringify(items) }, { items_json: "[]" });
+    assert.deepEqual(changed.items_json, { from: items, to: [] });
+});
+
+test("diffOrderRows: создание заказа — все заполненные поля from null", () => {
+    const changes = diffOrderRows(null, { status: "new", customer_phone: "+37120000000", notes: null });
+    assert.deepEqual(changes, {
+        status: { from: null, to: "new" },
+        customer_phone: { from: null, to: "+37120000000" },
+    });
+});
+
+test("actorFromUser: без пользователя — system", () => {
+    assert.deepEqual(actorFromUser(null), { userId: null, role: "system" });
+    assert.deepEqual(actorFromUser({ userId: 5, role: "admin" }), { userId: 5, role: "admin" });
+    assert.deepEqual(actorFromUser({ id: 6 }), { userId: 6, role: null });
+});
+
+test("recordOrderEvent: ошибка записи истории не роняет запрос", async (t) => {
+    t.mock.method(console, "error", () => {});
+    mockDb(t, (sql) => {
+        if (sql.startsWith("INSERT INTO order_events")) throw new Error("db down");
+    });
+    await recordOrderEvent({ companyId: 1, orderId: 2, action: "update", actor: null, changes: {} });
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test("recordOrderEvent: changes пишется JSON-строкой", async (t) => {
+    const calls = mockDb(t, (sql) => {
+        if (sql.startsWith("INSERT INTO order_events")) return [{ affectedRows: 1 }];
+    });
+    const changes = { status: { from: "new", to: "ready" } };
+    await recordOrderEvent({ companyId: 1, orderId: 2, action: "status", actor: { userId: 5, role: "admin" }, changes });
+    const insert = calls.find((c) => c.sql.startsWith("INSERT INTO order_events"));
+    assert.deepEqual(insert.params, [1, 2, "status", 5, "admin", JSON.stringify(changes)]);
+});
+
+test("listOrderEvents: разбирает changes и имя автора", async (t) => {
+    mockDb(t, (sql) => {
+        if (sql.startsWith("SELECT e.event_id")) {
+            return [[
+                { event_id: 1, action: "create", actor_user_id: null, actor_role: "system", changes: "{oops", created_at: "t1" },
+                {
+                    event_id: 2, action: "status", actor_user_id: 5, actor_role: "admin",
+                    changes: '{"status":{"from":"new","to":"ready"}}', created_at: "t2",
+                    actor_nickname: null, actor_first_name: "Анна",
+                },
+            ]];
+        }
+    });
+    const events = await listOrderEvents(1, 2);
+    assert.deepEqual(events[0].changes, {});
+    assert.deepEqual(events[1], {
+        id: 2,
+        action: "status",
+        actor: { userId: 5, role: "admin", name: "Анна" },
+        changes: { status: { from: "new", to: "ready" } },
+        createdAt: "t2",
+    });
+});
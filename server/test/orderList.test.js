@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { currentOrdersRouter } from "../currentOrder.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const admin = { userId: 5, companyId: 1, role: "admin" };
+
+const CURSOR_CLAUSE = "(co.created_at < ? OR (co.created_at = ? AND co.order_id < ?))";
+
+// Выборка списка: отдаёт rows по убыванию (created_at, order_id), сама
+// применяет только условие курсора и LIMIT — остальное проверяется по SQL
+function fakeList(t, rows) {
+    const sorted = [...rows].sort((a, b) => b.created_at - a.created_at || b.order_id - a.order_id);
+    return mockDb(t, (sql, params) => {
+        if (!sql.startsWith("SELECT co.*, cu1.nickname")) return undefined;
+        const limit = params.at(-1);
+        let list = sorted;
+        if (sql.includes(CURSOR_CLAUSE)) {
+            const [createdAt, , orderId] = params.slice(-4, -1);
+            list = list.filter(
+                (r) => r.created_at < createdAt || (+r.created_at === +createdAt && r.order_id < orderId)
+            );
+        }
+        return [list.slice(0, limit)];
+    });
+}
+
+const at = (iso) => new Date(iso);
+const row = (order_id, created_at) => ({
+    order_id,
+    company_id: 1,
+    status: "new",
+    order_type: "active",
+    created_at,
+    items_json: "[]",
+});
+
+const listQuery = (calls) => calls.filter((c) => c.sql.startsWith("SELECT co.*, cu1.nickname")).at(-1);
+
+test("список: курсор проходит страницы без пропусков и повторов при одинаковом created_at", async (t) => {
+    const same = at("2026-06-05T10:00:00Z");
+    fakeList(t, [
+        row(1, at("2026-06-05T09:00:00Z")),
+        row(2, same),
+        row(3, same),
+        row(4, same),
+        row(5, at("2026-06-05T11:00:00Z")),
+    ]);
+    const request = await serveRouter(t, currentOrdersRouter({}), admin);
+
+    const seen = [];
+    let cursor = null;
+    for (let page = 0; page < 5; page++) {
+        const qs = `?tab=all&limit=2${cursor ? `&cursor=${cursor}` : ""}`;
+        const res = await request("GET", `/${qs}`);
+        assert.equal(res.status, 200);
+        seen.push(...res.body.items.map((it) => it.id));
+        cursor = res.body.nextCursor;
+        if (!cursor) break;
+    }
+    assert.deepEqual(seen, [5, 4, 3, 2, 1]);
+});
+
+test("список: последняя полная страница не выдаёт лишний курсор", async (t) => {
+    fakeList(t, [row(1, at("2026-06-05T09:00:00Z")), row(2, at("2026-06-05T10:00:00Z"))]);
+    const request = await serveRouter(t, currentOrdersRouter({}), admin);
+    const res = await request("GET", "/?tab=all&limit=2");
+    assert.equal(res.body.items.length, 2);
+    assert.equal(res.body.nextCursor, null);
+});
+
+test("список: limit ограничен сверху, мусор — значение по умолчанию", async (t) => {
+    const calls = fakeList(t, []);
+    const request = await serveRouter(t, currentOrdersRouter({}), admin);
+    await request("GET", "/?limit=100000");
+    assert.equal(listQuery(calls).params.at(-1), 501);
+    await request("GET", "/?limit=-3");
+    assert.equal(listQuery(calls).params.at(-1), 501);
+    await request("GET", "/?limit=20");
+    assert.equal(listQuery(calls).params.at(-1), 21);
+});
+
+test("список: поиск по тексту, цифрам телефона и номеру за день", async (t) => {
+    const calls = fakeList(t, []);
+    const request = await serveRouter(t, currentOrdersRouter({}), admin);
+
+    await request("GET", `/?q=${encodeURIComponent("2612 3456")}`);
+    let params = listQuery(calls).params;
+    assert.ok(params.includes("%2612 3456%"));
+    assert.ok(params.includes("%26123456%"));
+
+    await request("GET", `/?q=${encodeURIComponent("#12")}`);
+    assert.match(listQuery(calls).sql, /co\.order_seq = \?/);
+    assert.equal(listQuery(calls).params.at(-2), 12);
+
+    // % и _ в запросе ищутся буквально
+    await request("GET", `/?q=${encodeURIComponent("50%_off")}`);
+    params = listQuery(calls).params;
+    assert.ok(params.includes("%50\\%\\_off%"));
+    assert.doesNotMatch(listQuery(calls).sql, /order_seq/);
+});
+
+test("список: фильтры статуса, оплаты, курьера и дат", async (t) => {
+    const calls = fakeList(t, []);
+    const request = await serveRouter(t, currentOrdersRouter({}), admin);
+
+    await request("GET", "/?tab=all&status=new,ready&payment=card,нал&courierId=none&from=2026-04-27&to=2026-04-28");
+    const { sql, params } = listQuery(calls);
+    assert.match(sql, /co\.status IN \(\?,\?\)/);
+    assert.match(sql, /co\.courier_unit_id IS NULL/);
+    assert.match(sql, /JSON_CONTAINS\(co\.payment_parts/);
+    // «до» включает весь день: граница — начало следующего
+    assert.deepEqual(params.slice(0, 7), [1, "2026-04-27 00:00:00", "2026-04-29 00:00:00", "new", "ready", "card", "card"]);
+    assert.deepEqual(params.slice(7, 9), ["cash", "cash"]);
+});
+
+test("список: некорректные параметры — 400", async (t) => {
+    fakeList(t, []);
+    const request = await serveRouter(t, currentOrdersRouter({}), admin);
+    const cases = {
+        "/?status=archived": "Некорректный статус",
+        "/?payment=crypto": "Некорректный способ оплаты",
+        "/?courierId=abc": "Некорректный courierId",
+        "/?minAmount=abc": "Некорректный minAmount",
+        "/?from=2026-13-01": "Некорректная дата (ожидается YYYY-MM-DD)",
+        "/?to=28.04.2026": "Некорректная дата (ожидается YYYY-MM-DD)",
+        "/?cursor=garbage": "Некорректный cursor",
+    };
+    for (const [path, error] of Object.entries(cases)) {
+        const res = await request("GET", path);
+        assert.equal(res.status, 400, path);
+        assert.equal(res.body.error, error, path);
+    }
+});
@@ -0,0 +1,122 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { currentOrdersRouter } from "../currentOrder.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const admin = { userId: 5, companyId: 1, role: "admin" };
+
+function orderRow(extra = {}) {
+    return {
+        order_id: 10,
+        company_id: 1,
+        version: 3,
+        status: "new",
+        order_type: "active",
+        customer_name: "Анна",
+        customer_phone: "+37120000000",
+        address_street: "Brīvības",
+        address_house: "1",
+        notes: null,
+        payment_method: "cash",
+        payment_parts: null,
+        items_json: "[]",
+        amount_total: "12.50",
+        delivery_fee: "0.00",
+        created_at: new Date("2026-06-05T10:00:00Z"),
+        ...extra,
+    };
+}
+
+// current_orders из одной строки: UPDATE применяет «колонка=?» из SET
+function fakeOrder(t, row, { lostRace = false } = {}) {
+    const state = { row, updates: [] };
+    const calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT co.*, cu1.nickname")) return [[{ ...state.row }]];
+        if (sql.startsWith("UPDATE current_orders SET")) {
+            state.updates.push({ sql, params });
+            const version = params.at(-1);
+            if (lostRace || version !== state.row.version) return [{ affectedRows: 0 }];
+            const sets = sql.slice("UPDATE current_orders SET ".length, sql.indexOf(" WHERE ")).split(", ");
+            let i = 0;
+            for (const s of sets) {
+                const m = s.match(/^(\w+)=\?$/);
+                if (m) state.row[m[1]] = params[i++];
+            }
+            state.row.version += 1;
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("INSERT INTO order_events")) return [{ affectedRows: 1 }];
+    });
+    state.calls = calls;
+    return state;
+}
+
+async function setup(t, row = orderRow(), opts) {
+    const state = fakeOrder(t, row, opts);
+    const broadcasts = [];
+    const request = await serveRouter(t, currentOrdersRouter({ broadcastToAdmins: (m) => broadcasts.push(m) }), admin);
+    return { state, broadcasts, request };
+}
+
+test("PATCH: меняется только переданное поле, changedFields — в ответе и в WS", async (t) => {
+    const { state, broadcasts, request } = await setup(t);
+    const res = await request("PATCH", "/10", { notes: "домофон 12" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.changedFields, ["notes"]);
+    assert.equal(state.updates.length, 1);
+    assert.match(state.updates[0].sql, /^UPDATE current_orders SET notes=\?, updated_at=NOW\(\), version = version \+ 1 WHERE/);
+    assert.equal(state.row.customer_name, "Анна");
+    assert.deepEqual(broadcasts.map((m) => [m.type, m.changedFields]), [["order_updated", ["notes"]]]);
+});
+
+test("PATCH: пустое тело — без UPDATE и без рассылки", async (t) => {
+    const { state, broadcasts, request } = await setup(t);
+    const res = await request("PATCH", "/10", {});
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.changedFields, []);
+    assert.equal(state.updates.length, 0);
+    assert.equal(broadcasts.length, 0);
+});
+
+test("PATCH: пустая строка очищает поле, имя и телефон очистить нельзя", async (t) => {
+    const { state, request } = await setup(t, orderRow({ notes: "старое" }));
+    assert.equal((await request("PATCH", "/10", { notes: "" })).status, 200);
+    assert.equal(state.row.notes, null);
+
+    const bad = await request("PATCH", "/10", { phone: "" });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body, { ok: false, error: "Имя и телефон обязательны" });
+});
+
+test("PATCH: устаревшая version — 409 с актуальной копией, без записи", async (t) => {
+    const { state, request } = await setup(t);
+    const res = await request("PATCH", "/10", { notes: "x", version: 2 });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.conflict, "version");
+    assert.equal(res.body.item.version, 3);
+    assert.equal(state.updates.length, 0);
+
+    const byHeader = await request("PATCH", "/10", { notes: "x" }, { "If-Match": '"2"' });
+    assert.equal(byHeader.status, 409);
+});
+
+test("PATCH: параллельная запись между чтением и UPDATE — 409", async (t) => {
+    const { broadcasts, request } = await setup(t, orderRow(), { lostRace: true });
+    const res = await request("PATCH", "/10", { notes: "x", version: 3 });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.conflict, "version");
+    assert.equal(broadcasts.length, 0);
+});
+
+test("PATCH: статус — по машине состояний, отмена только через /cancel", async (t) => {
+    const { state, request } = await setup(t, orderRow({ status: "completed" }));
+    const back = await request("PATCH", "/10", { status: "new" });
+    assert.equal(back.status, 409);
+    assert.deepEqual(back.body.allowed, []);
+
+    const cancel = await request("PATCH", "/10", { status: "cancelled" });
+    assert.equal(cancel.status, 400);
+    assert.match(cancel.body.error, /\/cancel/);
+    assert.equal(state.updates.length, 0);
+});
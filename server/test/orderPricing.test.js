@@ -0,0 +1,178 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeItemsAndAmounts } from "../currentOrder.js";
+
+// 2 × 10.00 и 5.00 со скидкой 10% → позиции 24.50, без скидок 25.00
+const items = [
+    { id: 1, name: "Плов", price: 10, quantity: 2 },
+    { id: 2, name: "Морс", price: 5, discount: 10, quantity: 1 },
+];
+
+const promo = (rule) => ({ id: 1, code: "TEST", minBasket: null, eligibleItemIds: null, ...rule });
+
+test("промокод: процент только от подходящих позиций", () => {
+    const r = normalizeItemsAndAmounts(items, 0, null, {
+        promo: promo({ type: "percent", value: 10, eligibleItemIds: new Set(["2"]) }),
+    });
+    assert.equal(r.promo_error, null);
+    assert.equal(r.promo_discount, "0.45");
+    assert.equal(r.amount_subtotal, "25.00");
+    // поштучная скидка 0.50 + промокод 0.45
+    assert.equal(r.amount_discount, "0.95");
+    assert.equal(r.amount_total, "24.05");
+});
+
+test("промокод: фиксированная сумма не больше позиций, доставка не скидывается", () => {
+    const r = normalizeItemsAndAmounts(items, "3.00", null, { promo: promo({ type: "fixed", value: 100 }) });
+    assert.equal(r.promo_discount, "24.50");
+    assert.equal(r.amount_total, "3.00");
+    assert.equal(r.delivery_fee, "3.00");
+});
+
+test("промокод: минимальная корзина считается по всем позициям после скидок", () => {
+    const below = normalizeItemsAndAmounts(items, 0, null, {
+        promo: promo({ type: "percent", value: 10, minBasket: 24.51 }),
+    });
+    assert.equal(below.promo_error, "Минимальная сумма заказа для промокода — 24.51");
+    assert.equal(below.promo_discount, "0.00");
+    assert.equal(below.amount_total, "24.50");
+
+    const exact = normalizeItemsAndAmounts(items, 0, null, {
+        promo: promo({ type: "percent", value: 10, minBasket: "24.50" }),
+    });
+    assert.equal(exact.promo_error, null);
+    assert.equal(exact.promo_discount, "2.45");
+});
+
+test("промокод: нет подходящих позиций — ошибка, скидки нет", () => {
+    const r = normalizeItemsAndAmounts(items, 0, null, {
+        promo: promo({ type: "percent", value: 50, eligibleItemIds: new Set(["99"]) }),
+    });
+    assert.equal(r.promo_error, "Промокод не применим к позициям заказа");
+    assert.equal(r.promo_discount, "0.00");
+});
+
+test("промокод вместе с персональной скидкой: итог не уходит в минус", () => {
+    const r = normalizeItemsAndAmounts(items, 0, { type: "fixed", value: 20 }, {
+        promo: promo({ type: "fixed", value: 10 }),
+    });
+    assert.equal(r.order_discount_cents, 2000);
+    // от позиций осталось 4.50 — промокод режется до остатка
+    assert.equal(r.promo_discount, "4.50");
+    assert.equal(r.amount_total, "0.00");
+    assert.equal(r.amount_discount, "25.00");
+});
+
+test("промокод: процент больше 100 считается как 100", () => {
+    const r = normalizeItemsAndAmounts(items, 0, null, { promo: promo({ type: "percent", value: 150 }) });
+    assert.equal(r.promo_discount, "24.50");
+    assert.equal(r.amount_total, "0.00");
+});
+
+const tax = (itemCategories = {}) => ({
+    rates: { food: 12, drinks: 21, delivery: 21 },
+    itemCategories: new Map(Object.entries(itemCategories)),
+});
+
+const sumCents = (list) => Math.round(list.reduce((s, v) => s + v * 100, 0));
+
+test("НДС: выделяется из цены по ставке категории, доставка — отдельной группой", () => {
+    const r = normalizeItemsAndAmounts(
+        [
+            { id: 1, price: 10, quantity: 1 },
+            { id: 2, price: 5, quantity: 1 },
+        ],
+        3,
+        null,
+        { tax: tax({ 2: "drinks" }) }
+    );
+    assert.deepEqual(r.vat_breakdown, [
+        { category: "food", rate: 12, net: 8.93, vat: 1.07, gross: 10 },
+        { category: "drinks", rate: 21, net: 4.13, vat: 0.87, gross: 5 },
+        { category: "delivery", rate: 21, net: 2.48, vat: 0.52, gross: 3 },
+    ]);
+    assert.equal(r.amount_net, "15.54");
+    assert.equal(r.amount_vat, "2.46");
+    assert.equal(r.amount_total, "18.00");
+    assert.deepEqual(
+        r.items.map((it) => [it.tax_category, it.vat_rate, it.line_net, it.line_vat]),
+        [["food", 12, 8.93, 1.07], ["drinks", 21, 4.13, 0.87]]
+    );
+});
+
+test("НДС: персональная скидка раскидывается методом наибольших остатков", () => {
+    // 0.10 на три равные строки: 3.33 цента каждой → 4 + 3 + 3, а не 3 × 3
+    const r = normalizeItemsAndAmounts(
+        [1, 2, 3].map((id) => ({ id, price: 10, quantity: 1 })),
+        0,
+        { type: "fixed", value: 0.1 },
+        { tax: tax() }
+    );
+    assert.deepEqual(r.items.map((it) => it.line_gross), [9.96, 9.97, 9.97]);
+    assert.equal(sumCents(r.items.map((it) => it.line_gross)), 2990);
+    assert.equal(r.amount_total, "29.90");
+});
+
+test("НДС: сумма долей скидки равна скидке, даже если округление каждой даёт больше", () => {
+    // 0.02 на три строки по 0.01: округление каждой доли дало бы 0.03
+    const r = normalizeItemsAndAmounts(
+        [1, 2, 3].map((id) => ({ id, price: 0.01, quantity: 1 })),
+        0,
+        { type: "fixed", value: 0.02 },
+        { tax: tax() }
+    );
+    assert.deepEqual(r.items.map((it) => it.line_gross), [0, 0, 0.01]);
+    assert.equal(r.amount_total, "0.01");
+    assert.ok(r.items.every((it) => it.line_gross >= 0 && it.line_vat >= 0));
+});
+
+test("НДС: доля скидки пропорциональна строке, итоги сходятся с заказом", () => {
+    const r = normalizeItemsAndAmounts(
+        [
+            { id: 1, price: 7.77, quantity: 3 },
+            { id: 2, price: 1.99, discount: 15, quantity: 2 },
+            { id: 3, price: 0.5, quantity: 1 },
+        ],
+        2.5,
+        { type: "percent", value: 7 },
+        { promo: promo({ type: "fixed", value: 1.01, eligibleItemIds: new Set(["2", "3"]) }), tax: tax({ 2: "drinks" }) }
+    );
+    const gross = r.items.map((it) => it.line_gross);
+    assert.equal(sumCents(gross) + 250, Math.round(Number(r.amount_total) * 100));
+    for (const it of r.items) {
+        assert.ok(it.line_gross <= it.line_total, `${it.id}: ${it.line_gross} <= ${it.line_total}`);
+        assert.equal(Math.round((it.line_net + it.line_vat) * 100), Math.round(it.line_gross * 100));
+    }
+    // промокод только на строки 2 и 3 — строка 1 уменьшена лишь персональной скидкой
+    assert.equal(r.items[0].line_gross, 21.68);
+    assert.equal(
+        Math.round((Number(r.amount_net) + Number(r.amount_vat)) * 100),
+        Math.round(Number(r.amount_total) * 100)
+    );
+});
+
+test("НДС: категория по умолчанию food, неизвестная ставка — 0%", () => {
+    const r = normalizeItemsAndAmounts(
+        [{ id: 1, price: 4, quantity: 1 }, { id: 2, price: 6, quantity: 1 }],
+        0,
+        null,
+        { tax: { rates: { food: 12 }, itemCategories: new Map([["2", "alcohol"]]) } }
+    );
+    assert.deepEqual(r.vat_breakdown.find((g) => g.category === "alcohol"), {
+        category: "alcohol",
+        rate: 0,
+        net: 6,
+        vat: 0,
+        gross: 6,
+    });
+    assert.equal(r.items[0].tax_category, "food");
+});
+
+test("без tax поля НДС не считаются и не попадают в позиции", () => {
+    const r = normalizeItemsAndAmounts([{ id: 1, price: 10, quantity: 1 }], 0);
+    assert.equal(r.amount_net, null);
+    assert.equal(r.amount_vat, null);
+    assert.equal(r.vat_breakdown, null);
+    assert.ok(!("line_vat" in r.items[0]));
+    assert.ok(!("_line_cents" in r.items[0]));
+});
@@ -0,0 +1,111 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { refreshOrderPromise } from "../orderSla.js";
+import { checkOrderSla } from "../jobs/checkOrderSla.js";
+import { mockDb } from "./helpers/db.js";
+
+// квадрат вокруг центра Риги: lng 24.0–24.2, lat 56.9–57.0
+const RIGA_CENTER = {
+    type: "Polygon",
+    coordinates: [[[24.0, 56.9], [24.2, 56.9], [24.2, 57.0], [24.0, 57.0], [24.0, 56.9]]],
+};
+
+function fakePromise(t, { order, zonePromiseMinutes = 30, companyMinutes = null }) {
+    return mockDb(t, (sql) => {
+        if (sql.startsWith("SELECT address_lat, address_lng FROM current_orders")) return [order ? [order] : []];
+        if (sql.startsWith("SELECT * FROM company_settings")) {
+            return [companyMinutes != null ? [{ delivery_promise_minutes: companyMinutes }] : []];
+        }
+        if (sql.startsWith("SELECT zone_id")) {
+            return [[{ zone_id: 3, name: "Центр", promise_minutes: zonePromiseMinutes, geojson: JSON.stringify(RIGA_CENTER) }]];
+        }
+        if (sql.startsWith("UPDATE current_orders SET sla_at_risk_at")) return [{ affectedRows: 1 }];
+    });
+}
+
+const promiseUpdate = (calls) => calls.find((c) => c.sql.startsWith("UPDATE current_orders SET sla_at_risk_at"));
+
+test("refreshOrderPromise: минуты зоны важнее настройки компании", async (t) => {
+    const calls = fakePromise(t, { order: { address_lat: "56.95", address_lng: "24.1" }, companyMinutes: 45 });
+    await refreshOrderPromise(1, 10);
+    // [минуты, минуты, зона, минуты, компания, заказ]
+    assert.deepEqual(promiseUpdate(calls).params, [30, 30, 3, 30, 1, 10]);
+});
+
+test("refreshOrderPromise: вне зон и без минут у зоны — настройка компании", async (t) => {
+    const outside = fakePromise(t, { order: { address_lat: 55.0, address_lng: 21.0 }, companyMinutes: 45 });
+    await refreshOrderPromise(1, 10);
+    assert.deepEqual(promiseUpdate(outside).params, [45, 45, null, 45, 1, 10]);
+
+    const noMinutes = fakePromise(t, { order: { address_lat: 56.95, address_lng: 24.1 }, zonePromiseMinutes: null });
+    await refreshOrderPromise(1, 10);
+    // зона найдена, но своего времени нет — значение компании по умолчанию (60)
+    assert.deepEqual(promiseUpdate(noMinutes).params, [60, 60, 3, 60, 1, 10]);
+});
+
+test("refreshOrderPromise: без координат зона не ищется", async (t) => {
+    const calls = fakePromise(t, { order: { address_lat: null, address_lng: null }, companyMinutes: 45 });
+    await refreshOrderPromise(1, 10);
+    assert.ok(!calls.some((c) => c.sql.startsWith("SELECT zone_id")));
+    assert.equal(promiseUpdate(calls).params[2], null);
+});
+
+test("refreshOrderPromise: закрытый заказ не трогаем", async (t) => {
+    const calls = fakePromise(t, { order: null });
+    await refreshOrderPromise(1, 10);
+    assert.equal(promiseUpdate(calls), undefined);
+});
+
+test("refreshOrderPromise: сдвиг обещанного времени сбрасывает отметки SLA", async (t) => {
+    const calls = fakePromise(t, { order: { address_lat: 56.95, address_lng: 24.1 } });
+    await refreshOrderPromise(1, 10);
+    const { sql } = promiseUpdate(calls);
+    // флаги считаются до присваивания promised_at (SET слева направо)
+    assert.ok(sql.indexOf("sla_at_risk_at = IF(promised_at <=>") < sql.indexOf("promised_at = COALESCE"));
+    assert.ok(sql.indexOf("sla_late_at = IF(promised_at <=>") < sql.indexOf("promised_at = COALESCE"));
+});
+
+// Кандидаты checkOrderSla; alreadySent — заказы, отметку которых успел поставить другой запуск
+function fakeSla(t, rows, alreadySent = []) {
+    return mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT co.*, cu1.nickname")) return [rows];
+        if (sql.startsWith("UPDATE current_orders SET sla_")) {
+            return [{ affectedRows: alreadySent.includes(params[0]) ? 0 : 1 }];
+        }
+    });
+}
+
+const slaRow = (order_id, is_late, minutes_left) => ({
+    order_id,
+    company_id: 1,
+    status: "enroute",
+    order_type: "active",
+    promised_at: new Date("2026-06-05T16:00:00Z"),
+    is_late,
+    minutes_left,
+});
+
+test("checkOrderSla: под угрозой и опоздание — разные события и отметки", async (t) => {
+    const calls = fakeSla(t, [slaRow(1, 0, 7), slaRow(2, 1, -12)]);
+    const sent = [];
+    t.mock.method(console, "log", () => {});
+    assert.deepEqual(await checkOrderSla((m) => sent.push(m)), { atRisk: 1, late: 1 });
+
+    assert.deepEqual(
+        sent.map(({ type, orderId, minutesLeft, minutesLate }) => ({ type, orderId, minutesLeft, minutesLate })),
+        [
+            { type: "order_at_risk", orderId: 1, minutesLeft: 7, minutesLate: undefined },
+            { type: "order_late", orderId: 2, minutesLeft: undefined, minutesLate: 12 },
+        ]
+    );
+    const updates = calls.filter((c) => c.sql.startsWith("UPDATE current_orders"));
+    assert.match(updates[0].sql, /SET sla_at_risk_at = UTC_TIMESTAMP\(\) WHERE order_id = \? AND sla_at_risk_at IS NULL/);
+    assert.match(updates[1].sql, /SET sla_late_at = UTC_TIMESTAMP\(\), sla_at_risk_at = COALESCE/);
+});
+
+test("checkOrderSla: отметку уже поставил другой запуск — событие не дублируется", async (t) => {
+    fakeSla(t, [slaRow(1, 0, 5), slaRow(2, 1, 0)], [1, 2]);
+    const sent = [];
+    assert.deepEqual(await checkOrderSla((m) => sent.push(m)), { atRisk: 0, late: 0 });
+    assert.equal(sent.length, 0);
+});
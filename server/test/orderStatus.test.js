@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+    ORDER_STATUSES,
+    isKnownStatus,
+    isOpenStatus,
+    allowedNextStatuses,
+    canTransition,
+    illegalTransitionBody,
+} from "../orderStatus.js";
+
+test("canTransition: прямой путь new → ready → enroute → completed", () => {
+    assert.equal(canTransition("new", "ready"), true);
+    assert.equal(canTransition("ready", "enroute"), true);
+    assert.equal(canTransition("enroute", "completed"), true);
+    // курьер забирает заказ, который кухня не отметила ready
+    assert.equal(canTransition("new", "enroute"), true);
+});
+
+test("canTransition: отмена из любого открытого статуса", () => {
+    for (const from of ["new", "ready", "enroute"]) {
+        assert.equal(canTransition(from, "cancelled"), true, from);
+    }
+});
+
+test("canTransition: из completed и cancelled выхода нет", () => {
+    for (const from of ["completed", "cancelled"]) {
+        for (const to of ORDER_STATUSES) {
+            if (to === from) continue;
+            assert.equal(canTransition(from, to), false, `${from} → ${to}`);
+        }
+        assert.deepEqual(allowedNextStatuses(from), []);
+        assert.equal(isOpenStatus(from), false);
+    }
+});
+
+test("canTransition: назад и через шаг нельзя", () => {
+    assert.equal(canTransition("ready", "new"), false);
+    assert.equal(canTransition("enroute", "ready"), false);
+    assert.equal(canTransition("new", "completed"), false);
+    assert.equal(canTransition("ready", "completed"), false);
+});
+
+test("canTransition: тот же статус — не переход, в том числе для закрытых", () => {
+    for (const s of ORDER_STATUSES) assert.equal(canTransition(s, s), true, s);
+});
+
+test("неизвестный статус: не открыт, переходов нет", () => {
+    assert.equal(isKnownStatus("archived"), false);
+    assert.equal(isKnownStatus(undefined), false);
+    assert.equal(isOpenStatus("archived"), false);
+    assert.deepEqual(allowedNextStatuses("archived"), []);
+    assert.equal(canTransition("archived", "new"), false);
+    assert.equal(canTransition("new", "archived"), false);
+});
+
+test("allowedNextStatuses: возвращает копию, таблица не портится", () => {
+    const next = allowedNextStatuses("new");
+    next.push("completed");
+    assert.equal(canTransition("new", "completed"), false);
+    assert.deepEqual(allowedNextStatuses("new"), ["ready", "enroute", "cancelled"]);
+});
+
+test("illegalTransitionBody: тело 409 со списком допустимых статусов", () => {
+    assert.deepEqual(illegalTransitionBody("ready", "new"), {
+        ok: false,
+        error: "Недопустимая смена статуса: ready → new",
+        from: "ready",
+        to: "new",
+        allowed: ["enroute", "cancelled"],
+    });
+    assert.deepEqual(illegalTransitionBody("completed", "new").allowed, []);
+});
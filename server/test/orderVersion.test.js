@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { currentOrdersRouter, readExpectedVersion } from "../currentOrder.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const req = (body, headers = {}) => ({
+    body,
+    get: (name) => headers[name.toLowerCase()],
+});
+
+test("readExpectedVersion: body.version важнее If-Match", () => {
+    assert.equal(readExpectedVersion(req({ version: 3 }, { "if-match": '"7"' })), 3);
+    assert.equal(readExpectedVersion(req({ version: "4" })), 4);
+    assert.equal(readExpectedVersion(req({ version: 0 })), 0);
+});
+
+test("readExpectedVersion: If-Match в виде ETag, в том числе слабого", () => {
+    assert.equal(readExpectedVersion(req({}, { "if-match": '"7"' })), 7);
+    assert.equal(readExpectedVersion(req({}, { "if-match": 'W/"8"' })), 8);
+    assert.equal(readExpectedVersion(req(undefined, { "if-match": "9" })), 9);
+});
+
+test("readExpectedVersion: версии нет или она не целое — проверка пропускается", () => {
+    assert.equal(readExpectedVersion(req({})), null);
+    assert.equal(readExpectedVersion(req({ version: "" })), null);
+    assert.equal(readExpectedVersion(req({ version: null }, { "if-match": "" })), null);
+    assert.equal(readExpectedVersion(req({ version: "abc" })), null);
+    assert.equal(readExpectedVersion(req({ version: 1.5 })), null);
+    assert.equal(readExpectedVersion(req({}, { "if-match": "*" })), null);
+});
+
+// ── Маршруты: устаревшая версия → 409 с актуальной копией ───────────────────
+
+const admin = { userId: 5, companyId: 1, role: "admin" };
+
+// в БД заказ уже version=4; bumpOnUpdate — кто-то успел записать между чтением и UPDATE
+function fakeOrder(t, { bumpOnUpdate = false } = {}) {
+    const state = { row: { order_id: 10, company_id: 1, version: 4, status: "new", items_json: "[]" } };
+    state.calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT co.*, cu1.nickname")) return [[{ ...state.row }]];
+        if (sql.startsWith("UPDATE current_orders")) {
+            if (bumpOnUpdate) state.row = { ...state.row, status: "ready", version: 5 };
+            return [{ affectedRows: params.at(-1) === state.row.version ? 1 : 0 }];
+        }
+        if (sql.startsWith("INSERT INTO order_events")) return [{ affectedRows: 1 }];
+    });
+    return state;
+}
+
+async function setup(t, opts) {
+    const state = fakeOrder(t, opts);
+    const broadcasts = [];
+    const request = await serveRouter(t, currentOrdersRouter({ broadcastToAdmins: (m) => broadcasts.push(m) }), admin);
+    return { state, broadcasts, request };
+}
+
+const updates = (calls) => calls.filter((c) => c.sql.startsWith("UPDATE current_orders"));
+
+test("PUT /:id: устаревшая version — 409 с текущей версией, без записи", async (t) => {
+    const { state, broadcasts, request } = await setup(t);
+    const body = { customer: "Анна", phone: "+37120000000", selectedItems: [] };
+
+    const res = await request("PUT", "/10", { ...body, version: 3 });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.conflict, "version");
+    assert.equal(res.body.item.version, 4);
+
+    const byHeader = await request("PUT", "/10", body, { "If-Match": 'W/"3"' });
+    assert.equal(byHeader.status, 409);
+    assert.equal(byHeader.body.item.version, 4);
+
+    assert.equal(updates(state.calls).length, 0);
+    assert.equal(broadcasts.length, 0);
+});
+
+test("PATCH /:id/status: устаревшая version — 409 с текущей версией, без записи", async (t) => {
+    const { state, broadcasts, request } = await setup(t);
+    const res = await request("PATCH", "/10/status", { status: "ready" }, { "If-Match": '"3"' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.conflict, "version");
+    assert.equal(res.body.item.version, 4);
+    assert.equal(updates(state.calls).length, 0);
+    assert.equal(broadcasts.length, 0);
+});
+
+test("PATCH /:id/status: запись между чтением и UPDATE — 409 с версией после неё", async (t) => {
+    const { state, broadcasts, request } = await setup(t, { bumpOnUpdate: true });
+    const res = await request("PATCH", "/10/status", { status: "ready", version: 4 });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.conflict, "version");
+    assert.deepEqual([res.body.item.version, res.body.item.status], [5, "ready"]);
+    assert.match(updates(state.calls)[0].sql, /AND version=\?$/);
+    assert.equal(broadcasts.length, 0);
+});
+
+test("PATCH /:id/status: актуальная version — статус меняется", async (t) => {
+    const { state, request } = await setup(t);
+    const res = await request("PATCH", "/10/status", { status: "ready", version: 4 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(updates(state.calls)[0].params, ["ready", "ready", 1, 10, 4]);
+});
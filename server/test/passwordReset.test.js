@@ -0,0 +1,223 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import bcrypt from "bcrypt";
+import { PASSWORD_MIN_LENGTH, validatePassword } from "../passwordPolicy.js";
+import { registerNotifyTransport, sendNotification } from "../services/notify/notifyService.js";
+import { requestPasswordReset, confirmPasswordReset } from "../passwordReset.js";
+import { LOGIN_THROTTLE, createMemoryStore, setLoginThrottleStore } from "../loginThrottle.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+// отправленные сообщения тестового транспорта
+const sent = [];
+registerNotifyTransport("test", async (message) => { sent.push(message); });
+
+function useTransport(t, name) {
+    const prev = process.env.NOTIFY_TRANSPORT;
+    if (name == null) delete process.env.NOTIFY_TRANSPORT;
+    else process.env.NOTIFY_TRANSPORT = name;
+    t.after(() => {
+        if (prev == null) delete process.env.NOTIFY_TRANSPORT;
+        else process.env.NOTIFY_TRANSPORT = prev;
+    });
+}
+
+test("validatePassword: длина, лимит bcrypt в байтах, буквы и цифры", () => {
+    assert.equal(PASSWORD_MIN_LENGTH, 8);
+    assert.match(validatePassword("abc123"), /не короче 8/);
+    assert.match(validatePassword(null), /не короче 8/);
+    assert.equal(validatePassword("abcdefgh"), "Пароль должен содержать буквы и цифры");
+    assert.equal(validatePassword("12345678"), "Пароль должен содержать буквы и цифры");
+    assert.equal(validatePassword("abcd1234"), null);
+    // кириллица — по 2 байта: 36 букв + цифра = 73 байта
+    assert.equal(validatePassword("пароль12"), null);
+    assert.match(validatePassword("ж".repeat(36) + "1"), /не длиннее 72 байт/);
+    assert.equal(validatePassword("ж".repeat(35) + "1"), null);
+});
+
+test("sendNotification: без NOTIFY_TRANSPORT и с неизвестным — ошибка", async (t) => {
+    useTransport(t, null);
+    await assert.rejects(sendNotification({ channel: "sms", to: "+371", text: "x" }), /NOTIFY_TRANSPORT не задан/);
+    useTransport(t, "pigeon");
+    await assert.rejects(sendNotification({ channel: "sms", to: "+371", text: "x" }), /Неизвестный NOTIFY_TRANSPORT: pigeon/);
+});
+
+test("sendNotification: зарегистрированный транспорт получает сообщение", async (t) => {
+    useTransport(t, "test");
+    sent.length = 0;
+    await sendNotification({ channel: "email", to: "a@b.c", text: "hi" });
+    assert.deepEqual(sent, [{ channel: "email", to: "a@b.c", subject: null, text: "hi" }]);
+});
+
+// users и password_reset_tokens в памяти; аудит и DDL принимаются как есть
+function fakeReset(t, { users = [], recent = false } = {}) {
+    const state = { tokens: [], passwords: new Map(), revoked: [] };
+    state.calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("INSERT INTO login_audit")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("SELECT user_id, email, phone, is_active FROM users")) {
+            const [email, phone] = params;
+            return [users.filter((u) => u.email === email || u.phone === phone)];
+        }
+        if (sql.startsWith("SELECT id FROM password_reset_tokens WHERE user_id = ? AND created_at")) {
+            return [recent ? [{ id: 1 }] : []];
+        }
+        if (sql.startsWith("UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ?")) {
+            for (const tok of state.tokens) if (tok.user_id === params[0]) tok.used = true;
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("INSERT INTO password_reset_tokens")) {
+            const [userId, hash, channel, ip] = params;
+            state.tokens.push({ id: state.tokens.length + 1, user_id: userId, token_hash: hash, channel, ip, used: false });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("SELECT id, user_id FROM password_reset_tokens WHERE token_hash = ?")) {
+            return [state.tokens.filter((tok) => tok.token_hash === params[0] && !tok.used)];
+        }
+        if (sql.startsWith("UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?")) {
+            const tok = state.tokens.find((x) => x.id === params[0] && !x.used);
+            if (!tok || state.loseClaim) return [{ affectedRows: 0 }];
+            tok.used = true;
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("UPDATE users SET password = ?")) {
+            state.passwords.set(params[1], params[0]);
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("SELECT session_id FROM user_sessions WHERE user_id = ?")) return [[]];
+        if (sql.startsWith("UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ? WHERE user_id = ?")) {
+            state.revoked.push(params);
+            return [{ affectedRows: 0 }];
+        }
+    });
+    return state;
+}
+
+const anna = { user_id: 42, email: "anna@example.com", phone: "+37120000000", is_active: 1 };
+
+async function serveReset(t) {
+    const router = express.Router();
+    router.post("/request", requestPasswordReset);
+    router.post("/confirm", confirmPasswordReset);
+    return serveRouter(t, router, undefined);
+}
+
+// выдача токена идёт после ответа — ждём, пока отработает последний запрос
+async function until(cond, message) {
+    for (let i = 0; i < 100 && !cond(); i++) await new Promise((r) => setTimeout(r, 5));
+    assert.ok(cond(), message);
+}
+const settle = () => new Promise((r) => setTimeout(r, 20));
+
+test.beforeEach((t) => {
+    setLoginThrottleStore(createMemoryStore());
+    sent.length = 0;
+    t.mock.method(console, "warn", () => {});
+    t.mock.method(console, "error", () => {});
+});
+
+test("password-reset/request: email — ссылка с токеном, в БД только хеш", async (t) => {
+    useTransport(t, "test");
+    const prevUrl = process.env.PASSWORD_RESET_URL;
+    process.env.PASSWORD_RESET_URL = "https://app.example/reset";
+    t.after(() => {
+        if (prevUrl == null) delete process.env.PASSWORD_RESET_URL;
+        else process.env.PASSWORD_RESET_URL = prevUrl;
+    });
+    const state = fakeReset(t, { users: [anna] });
+    const request = await serveReset(t);
+
+    const res = await request("POST", "/request", { identifier: " anna@example.com " });
+    assert.deepEqual([res.status, res.body], [200, { ok: true }]);
+    await until(() => sent.length === 1, "письмо не отправлено");
+
+    const [message] = sent;
+    assert.deepEqual([message.channel, message.to, message.subject], ["email", "anna@example.com", "Сброс пароля"]);
+    const token = decodeURIComponent(message.text.match(/\?token=(\S+)/)[1]);
+    assert.equal(state.tokens.length, 1);
+    assert.equal(state.tokens[0].token_hash, sha256(token));
+    assert.equal(state.tokens[0].channel, "email");
+});
+
+test("password-reset/request: телефон — код в SMS", async (t) => {
+    useTransport(t, "test");
+    fakeReset(t, { users: [anna] });
+    const request = await serveReset(t);
+    await request("POST", "/request", { identifier: "+37120000000" });
+    await until(() => sent.length === 1, "SMS не отправлено");
+    assert.deepEqual([sent[0].channel, sent[0].to], ["sms", "+37120000000"]);
+    assert.match(sent[0].text, /^Код для сброса пароля \(действует 30 мин\): \S+$/);
+});
+
+test("password-reset/request: ответ одинаковый, когда отправлять нечего", async (t) => {
+    useTransport(t, "test");
+    const cases = [
+        { users: [], identifier: "ghost@example.com" },
+        { users: [{ ...anna, is_active: 0 }], identifier: anna.email },
+        { users: [{ ...anna, phone: null }], identifier: anna.phone },
+        { users: [anna], identifier: anna.email, recent: true },
+    ];
+    for (const { identifier, ...opts } of cases) {
+        const state = fakeReset(t, opts);
+        const request = await serveReset(t);
+        const res = await request("POST", "/request", { identifier });
+        assert.deepEqual([res.status, res.body], [200, { ok: true }], identifier);
+        await until(() => state.calls.some((c) => c.sql.startsWith("SELECT user_id, email")), "поиск не выполнен");
+        await settle();
+        assert.equal(state.tokens.length, 0, identifier);
+    }
+    assert.equal(sent.length, 0);
+});
+
+test("password-reset/request: транспорт не настроен — ответ ok, ошибка только в логе", async (t) => {
+    useTransport(t, null);
+    const state = fakeReset(t, { users: [anna] });
+    const request = await serveReset(t);
+    assert.deepEqual((await request("POST", "/request", { identifier: anna.email })).body, { ok: true });
+    await until(() => console.error.mock.calls.some((c) => /доставка для user_id=42/.test(c.arguments[0])), "ошибка не залогирована");
+    assert.equal(state.tokens.length, 1);
+});
+
+test("password-reset/request: пустой identifier — 400, частые запросы — 429", async (t) => {
+    useTransport(t, "test");
+    fakeReset(t);
+    const request = await serveReset(t);
+    assert.equal((await request("POST", "/request", { identifier: "  " })).status, 400);
+
+    const limit = LOGIN_THROTTLE.identifier.maxFailures;
+    for (let i = 0; i < limit; i++) await request("POST", "/request", { identifier: "spam@example.com" });
+    const res = await request("POST", "/request", { identifier: "spam@example.com" });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+});
+
+test("password-reset/confirm: новый пароль, токен одноразовый, сессии отозваны", async (t) => {
+    const state = fakeReset(t);
+    state.tokens.push({ id: 1, user_id: 42, token_hash: sha256("tok"), used: false });
+    const request = await serveReset(t);
+
+    const weak = await request("POST", "/confirm", { token: "tok", password: "short" });
+    assert.equal(weak.status, 400);
+    assert.equal(state.tokens[0].used, false);
+
+    const ok = await request("POST", "/confirm", { token: "tok", password: "newpass123" });
+    assert.deepEqual([ok.status, ok.body], [200, { ok: true, message: "Пароль изменён" }]);
+    assert.ok(await bcrypt.compare("newpass123", state.passwords.get(42)));
+    assert.deepEqual(state.revoked, [["password_reset", 42]]);
+
+    const again = await request("POST", "/confirm", { token: "tok", password: "newpass123" });
+    assert.deepEqual([again.status, again.body.error], [400, "Ссылка для сброса недействительна или устарела"]);
+});
+
+test("password-reset/confirm: параллельный запрос успел погасить токен", async (t) => {
+    const state = fakeReset(t);
+    state.tokens.push({ id: 1, user_id: 42, token_hash: sha256("tok"), used: false });
+    state.loseClaim = true;
+    const request = await serveReset(t);
+    const res = await request("POST", "/confirm", { token: "tok", password: "newpass123" });
+    assert.equal(res.status, 400);
+    assert.equal(state.passwords.size, 0);
+});
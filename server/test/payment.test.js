@@ -0,0 +1,127 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+    coercePaymentMethod,
+    normalizePaymentParts,
+    parsePaymentParts,
+    computeChangeDue,
+    readCashAndTip,
+} from "../currentOrder.js";
+
+test("coercePaymentMethod: синонимы, неизвестное → null", () => {
+    assert.equal(coercePaymentMethod(" Наличные "), "cash");
+    assert.equal(coercePaymentMethod("CARD"), "card");
+    assert.equal(coercePaymentMethod("безнал"), "wire");
+    assert.equal(coercePaymentMethod("crypto"), null);
+    assert.equal(coercePaymentMethod(null), null);
+});
+
+test("normalizePaymentParts: сумма сверяется в центах, без ошибок float", () => {
+    const r = normalizePaymentParts(
+        [{ method: "cash", amount: 0.1 }, { method: "card", amount: 0.2 }],
+        "0.30"
+    );
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.parts, [{ method: "card", amount: 0.2 }, { method: "cash", amount: 0.1 }]);
+});
+
+test("normalizePaymentParts: строки с запятой и пробелами", () => {
+    const r = normalizePaymentParts(
+        [{ method: "нал", amount: " 10,10 " }, { method: "карта", amount: "5.2" }],
+        15.3
+    );
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.parts, [{ method: "cash", amount: 10.1 }, { method: "card", amount: 5.2 }]);
+    assert.equal(r.paymentMethod, "cash");
+});
+
+test("normalizePaymentParts: одинаковые способы складываются, одна часть → parts = null", () => {
+    const r = normalizePaymentParts(
+        [{ method: "card", amount: 7.5 }, { method: "карта", amount: 2.5 }],
+        10
+    );
+    assert.deepEqual(r, { ok: true, parts: null, paymentMethod: "card" });
+});
+
+test("normalizePaymentParts: payment_method — способ с наибольшей частью", () => {
+    const r = normalizePaymentParts(
+        [{ method: "cash", amount: 3 }, { method: "wire", amount: 12 }, { method: "card", amount: 5 }],
+        20
+    );
+    assert.equal(r.paymentMethod, "wire");
+    assert.deepEqual(r.parts.map((p) => p.method), ["wire", "card", "cash"]);
+});
+
+test("normalizePaymentParts: расхождение на один цент — ошибка", () => {
+    const r = normalizePaymentParts(
+        [{ method: "cash", amount: 10 }, { method: "card", amount: 5.29 }],
+        15.3
+    );
+    assert.equal(r.ok, false);
+    assert.equal(r.error, "Сумма оплат (15.29) не совпадает с суммой заказа (15.30)");
+});
+
+test("normalizePaymentParts: некорректные части отклоняются", () => {
+    assert.deepEqual(normalizePaymentParts([], 10), { ok: false, error: "Не указаны части оплаты" });
+    assert.deepEqual(normalizePaymentParts(null, 10), { ok: false, error: "Не указаны части оплаты" });
+    assert.deepEqual(
+        normalizePaymentParts([{ method: "bitcoin", amount: 10 }], 10),
+        { ok: false, error: "Некорректный способ оплаты: bitcoin" }
+    );
+    for (const amount of [0, -5, "abc", null]) {
+        assert.deepEqual(
+            normalizePaymentParts([{ method: "cash", amount }], 10),
+            { ok: false, error: "Сумма части оплаты должна быть больше 0" },
+            String(amount)
+        );
+    }
+});
+
+test("parsePaymentParts: JSON из БД, Buffer, мусор и одна часть из payment_method", () => {
+    const parts = [{ method: "cash", amount: "10.10" }, { method: "card", amount: 5.2 }];
+    const expected = [{ method: "cash", amount: 10.1 }, { method: "card", amount: 5.2 }];
+    assert.deepEqual(parsePaymentParts({ payment_parts: JSON.stringify(parts) }), expected);
+    assert.deepEqual(parsePaymentParts({ payment_parts: Buffer.from(JSON.stringify(parts)) }), expected);
+    assert.deepEqual(
+        parsePaymentParts({ payment_parts: "{oops", payment_method: "card", amount_total: "12.00" }),
+        [{ method: "card", amount: 12 }]
+    );
+    assert.deepEqual(parsePaymentParts({ payment_parts: null, payment_method: null }), []);
+});
+
+const mixed = { payment_parts: [{ method: "cash", amount: 10.1 }, { method: "card", amount: 5.2 }] };
+
+test("computeChangeDue: сдача только с наличной части", () => {
+    assert.equal(computeChangeDue({ ...mixed, cash_given: 20 }), 9.9);
+    assert.equal(computeChangeDue({ payment_method: "cash", amount_total: "15.30", cash_given: "50.00" }), 34.7);
+    assert.equal(computeChangeDue({ payment_method: "cash", amount_total: 15.3, cash_given: 15.3 }), 0);
+});
+
+test("computeChangeDue: купюра не указана или наличных нет — null", () => {
+    assert.equal(computeChangeDue({ payment_method: "cash", amount_total: 10, cash_given: null }), null);
+    assert.equal(computeChangeDue({ payment_method: "card", amount_total: 10, cash_given: 50 }), null);
+});
+
+test("readCashAndTip: поля не переданы — undefined, пустые — сброс", () => {
+    const order = { payment_method: "cash", amount_total: 15.3 };
+    assert.deepEqual(readCashAndTip({}, order), { ok: true, cashGiven: undefined, tip: undefined });
+    assert.deepEqual(readCashAndTip({ cashGiven: "", tip: null }, order), { ok: true, cashGiven: null, tip: 0 });
+});
+
+test("readCashAndTip: купюра сверяется с наличной частью", () => {
+    assert.deepEqual(readCashAndTip({ cashGiven: "10,10", tip: "1,5" }, mixed), { ok: true, cashGiven: 10.1, tip: 1.5 });
+    assert.deepEqual(readCashAndTip({ cashGiven: 10.09 }, mixed), {
+        ok: false,
+        error: "Купюра меньше суммы наличными (10.10)",
+    });
+    assert.deepEqual(readCashAndTip({ cashGiven: 50 }, { payment_method: "card", amount_total: 10 }), {
+        ok: false,
+        error: "Заказ оплачивается без наличных — cashGiven не нужен",
+    });
+});
+
+test("readCashAndTip: отрицательные и нечисловые суммы отклоняются", () => {
+    const order = { payment_method: "cash", amount_total: 10 };
+    assert.deepEqual(readCashAndTip({ cashGiven: "abc" }, order), { ok: false, error: "Некорректная сумма cashGiven" });
+    assert.deepEqual(readCashAndTip({ tip: -1 }, order), { ok: false, error: "Некорректная сумма чаевых" });
+});
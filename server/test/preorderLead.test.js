@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import createCompanySettingsRouter, { DEFAULT_COMPANY_SETTINGS, getCompanySettings } from "../companySettings.js";
+import { activatePreorders } from "../jobs/activatePreorders.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const admin = { userId: 5, companyId: 1, role: "admin" };
+
+test("getCompanySettings: нет строки — значения по умолчанию, NULL-колонки не затирают их", async (t) => {
+    let row = null;
+    mockDb(t, (sql) => {
+        if (sql.startsWith("SELECT * FROM company_settings")) return [row ? [row] : []];
+    });
+    assert.deepEqual(await getCompanySettings(1), DEFAULT_COMPANY_SETTINGS);
+    row = { delivery_promise_minutes: 45, sla_at_risk_minutes: null, preorder_lead_minutes: 30 };
+    assert.deepEqual(await getCompanySettings(1), { deliveryPromiseMinutes: 45, slaAtRiskMinutes: 10, preorderLeadMinutes: 30 });
+});
+
+function fakeSettings(t) {
+    return mockDb(t, (sql, params) => {
+        if (sql.startsWith("INSERT INTO company_settings")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("SELECT * FROM company_settings")) return [[]];
+        if (sql.startsWith("SELECT user_id FROM users")) return [params[0] === 3 ? [{ user_id: 3 }] : []];
+        if (sql.startsWith("DELETE FROM pickup_point_settings")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("INSERT INTO pickup_point_settings")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("SELECT pickup_unit_id, preorder_lead_minutes")) return [[]];
+    });
+}
+
+test("PUT /settings: пишутся только переданные поля, диапазон проверяется", async (t) => {
+    const calls = fakeSettings(t);
+    const request = await serveRouter(t, createCompanySettingsRouter(), admin);
+
+    assert.equal((await request("PUT", "/", { preorderLeadMinutes: 90 })).status, 200);
+    const insert = calls.find((c) => c.sql.startsWith("INSERT INTO company_settings"));
+    assert.match(insert.sql, /^INSERT INTO company_settings \(company_id, preorder_lead_minutes\)/);
+    assert.deepEqual(insert.params, [1, 90]);
+
+    for (const body of [{ preorderLeadMinutes: -1 }, { preorderLeadMinutes: 24 * 60 + 1 }, { slaAtRiskMinutes: 2.5 }]) {
+        const res = await request("PUT", "/", body);
+        assert.equal(res.status, 400, JSON.stringify(body));
+    }
+});
+
+test("PUT /settings/pickup/:id: переопределение точки и его снятие", async (t) => {
+    const calls = fakeSettings(t);
+    const request = await serveRouter(t, createCompanySettingsRouter(), admin);
+
+    assert.equal((await request("PUT", "/pickup/3", { preorderLeadMinutes: 45 })).status, 200);
+    assert.deepEqual(calls.find((c) => c.sql.startsWith("INSERT INTO pickup_point_settings")).params, [1, 3, 45]);
+
+    assert.equal((await request("PUT", "/pickup/3", { preorderLeadMinutes: null })).status, 200);
+    assert.ok(calls.some((c) => c.sql.startsWith("DELETE FROM pickup_point_settings")));
+
+    assert.equal((await request("PUT", "/pickup/4", { preorderLeadMinutes: 45 })).status, 404);
+});
+
+test("настройки компании курьеру менять нельзя", async (t) => {
+    fakeSettings(t);
+    const request = await serveRouter(t, createCompanySettingsRouter(), { ...admin, role: "courier" });
+    assert.equal((await request("PUT", "/", { preorderLeadMinutes: 90 })).status, 403);
+    assert.equal((await request("PUT", "/pickup/3", { preorderLeadMinutes: 45 })).status, 403);
+});
+
+// Кандидаты на активацию; activeAlready — заказы, которые уже активировал другой запуск;
+// lostRace — другой запуск успел между проверкой и UPDATE
+function fakeActivation(t, rows, { activeAlready = [], lostRace = false } = {}) {
+    t.mock.method(console, "log", () => {});
+    return mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT co.*, cu1.nickname")) return [rows];
+        if (sql.startsWith("SELECT order_id, order_type FROM current_orders")) {
+            return [[{ order_id: params[0], order_type: activeAlready.includes(params[0]) ? "active" : "preorder" }]];
+        }
+        if (sql.startsWith("UPDATE current_orders SET order_type = 'active'")) return [{ affectedRows: lostRace ? 0 : 1 }];
+        if (sql.startsWith("INSERT INTO order_events")) return [{ affectedRows: 1 }];
+    });
+}
+
+const preorder = (order_id, is_overdue, minutes_overdue = 0) => ({
+    order_id,
+    company_id: 1,
+    order_no: `P-${order_id}`,
+    order_type: "preorder",
+    status: "new",
+    version: 1,
+    scheduled_at: new Date("2026-06-05T15:30:00Z"),
+    promised_at: null,
+    lead_minutes: 45,
+    is_overdue,
+    minutes_overdue,
+});
+
+test("activatePreorders: время активации — точка → зона → компания → 120 минут", async (t) => {
+    const calls = fakeActivation(t, []);
+    await activatePreorders(() => {});
+    const select = calls.find((c) => c.sql.startsWith("SELECT co.*, cu1.nickname"));
+    assert.match(
+        select.sql,
+        /COALESCE\(pps\.preorder_lead_minutes, dz\.preorder_lead_minutes, cs\.preorder_lead_minutes, \?\)/
+    );
+    assert.deepEqual(select.params, [120, 120]);
+    // нижней границы по времени нет — просроченные тоже догоняются
+    assert.doesNotMatch(select.sql, /scheduled_at >=/);
+});
+
+test("activatePreorders: просроченный предзаказ сразу опоздавший, админам — order_late", async (t) => {
+    const calls = fakeActivation(t, [preorder(1, 0), preorder(2, 1, 25)]);
+    const sent = [];
+    const admins = [];
+    const res = await activatePreorders((m) => sent.push(m), (m) => admins.push(m));
+    assert.deepEqual(res, { activated: 2, overdue: 1, errors: 0 });
+
+    assert.deepEqual(sent.map((m) => [m.order.id, m.reason, m.late ?? false]), [
+        [1, "preorder_activated", false],
+        [2, "preorder_activated", true],
+    ]);
+    assert.deepEqual(admins.map((m) => [m.type, m.orderId, m.minutesLate]), [["order_late", 2, 25]]);
+    assert.equal(admins[0].promisedAt.toISOString(), "2026-06-05T15:30:00.000Z");
+
+    const updates = calls.filter((c) => c.sql.startsWith("UPDATE current_orders"));
+    assert.doesNotMatch(updates[0].sql, /sla_late_at/);
+    assert.match(updates[1].sql, /sla_late_at = COALESCE\(sla_late_at, UTC_TIMESTAMP\(\)\)/);
+});
+
+test("activatePreorders: уже активированный заказ пропускается", async (t) => {
+    const calls = fakeActivation(t, [preorder(1, 0)], { activeAlready: [1] });
+    const sent = [];
+    assert.deepEqual(await activatePreorders((m) => sent.push(m)), { activated: 0, overdue: 0, errors: 0 });
+    assert.equal(sent.length, 0);
+    assert.ok(!calls.some((c) => c.sql.startsWith("UPDATE current_orders")));
+});
+
+test("activatePreorders: UPDATE только из preorder — проигравший параллельный запуск ничего не пишет", async (t) => {
+    const calls = fakeActivation(t, [preorder(1, 1, 5)], { lostRace: true });
+    const sent = [];
+    assert.deepEqual(await activatePreorders((m) => sent.push(m)), { activated: 0, overdue: 0, errors: 0 });
+    const [update] = calls.filter((c) => c.sql.startsWith("UPDATE current_orders"));
+    assert.match(update.sql, /WHERE order_id = \? AND order_type = 'preorder'$/);
+    assert.ok(!calls.some((c) => c.sql.startsWith("INSERT INTO order_events")));
+    assert.equal(sent.length, 0);
+});
@@ -0,0 +1,233 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import pool from "../db.js";
+import { LOCAL_TZ, localDateTimeToUtc, utcToLocal } from "../localTime.js";
+import { slotOf, daySlots, checkSlotCapacity, reserveSlotCapacity } from "../preorderSlots.js";
+import { redeemPromo } from "../promoCodes.js";
+import { mockDb } from "./helpers/db.js";
+
+const RIGA = "Europe/Riga";
+const iso = (d) => d.toISOString();
+const HOUR = 60 * 60 * 1000;
+
+// slotOf/daySlots работают в LOCAL_TZ
+const rigaOnly = { skip: LOCAL_TZ !== RIGA && `LOCAL_TZ=${LOCAL_TZ}` };
+
+test("localDateTimeToUtc: переход на летнее время 2026-03-29 (03:00 → 04:00)", () => {
+    assert.equal(iso(localDateTimeToUtc("2026-03-29", "00:00", RIGA)), "2026-03-28T22:00:00.000Z");
+    assert.equal(iso(localDateTimeToUtc("2026-03-29", "02:30", RIGA)), "2026-03-29T00:30:00.000Z");
+    assert.equal(iso(localDateTimeToUtc("2026-03-29", "04:30", RIGA)), "2026-03-29T01:30:00.000Z");
+    // несуществующее 03:30 — второй проход сдвигает на то же мгновение, что и 04:30
+    assert.equal(iso(localDateTimeToUtc("2026-03-29", "03:30", RIGA)), "2026-03-29T01:30:00.000Z");
+    assert.equal(iso(localDateTimeToUtc("2026-03-30", "00:00", RIGA)), "2026-03-29T21:00:00.000Z");
+});
+
+test("localDateTimeToUtc: переход на зимнее время 2026-10-25 (04:00 → 03:00)", () => {
+    assert.equal(iso(localDateTimeToUtc("2026-10-25", "00:00", RIGA)), "2026-10-24T21:00:00.000Z");
+    assert.equal(iso(localDateTimeToUtc("2026-10-25", "02:00", RIGA)), "2026-10-24T23:00:00.000Z");
+    // повторяющийся час: берётся второе 03:00 (уже зимнее, UTC+2)
+    assert.equal(iso(localDateTimeToUtc("2026-10-25", "03:00", RIGA)), "2026-10-25T01:00:00.000Z");
+    assert.equal(iso(localDateTimeToUtc("2026-10-25", "04:00", RIGA)), "2026-10-25T02:00:00.000Z");
+    assert.equal(iso(localDateTimeToUtc("2026-10-26", "00:00", RIGA)), "2026-10-25T22:00:00.000Z");
+});
+
+test("utcToLocal: обе стороны перехода", () => {
+    assert.deepEqual(utcToLocal(new Date("2026-03-29T00:59:00Z"), RIGA), { date: "2026-03-29", minutes: 2 * 60 + 59 });
+    assert.deepEqual(utcToLocal(new Date("2026-03-29T01:00:00Z"), RIGA), { date: "2026-03-29", minutes: 4 * 60 });
+    assert.deepEqual(utcToLocal(new Date("2026-10-25T00:30:00Z"), RIGA), { date: "2026-10-25", minutes: 3 * 60 + 30 });
+    assert.deepEqual(utcToLocal(new Date("2026-10-25T01:30:00Z"), RIGA), { date: "2026-10-25", minutes: 3 * 60 + 30 });
+});
+
+// слоты идут подряд, без повторов, от местной полуночи до следующей
+function assertWalk(slots, date) {
+    assert.equal(iso(slots[0].start), iso(localDateTimeToUtc(date, "00:00")));
+    for (let i = 1; i < slots.length; i++) {
+        assert.ok(slots[i].start > slots[i - 1].start, `слот ${i} не позже предыдущего`);
+    }
+    const next = new Date(Date.parse(`${date}T00:00:00Z`) + 24 * HOUR).toISOString().slice(0, 10);
+    assert.equal(iso(slots.at(-1).end), iso(localDateTimeToUtc(next, "00:00")));
+}
+
+test("daySlots: 2026-03-29 — 23 часовых слота, 03:00 пропущено", rigaOnly, () => {
+    const slots = daySlots("2026-03-29", 60);
+    assert.equal(slots.length, 23);
+    assertWalk(slots, "2026-03-29");
+    const local = slots.map((s) => utcToLocal(s.start).minutes / 60);
+    assert.ok(!local.includes(3));
+    assert.deepEqual(local.slice(0, 4), [0, 1, 2, 4]);
+});
+
+test("daySlots: 2026-10-25 — повторяющийся час не зацикливает обход", rigaOnly, () => {
+    const slots = daySlots("2026-10-25", 60);
+    assertWalk(slots, "2026-10-25");
+    // оба 03:xx попадают в один слот (второе 03:00), дальше — 04:00
+    const local = slots.map((s) => utcToLocal(s.start).minutes / 60);
+    assert.equal(local.filter((h) => h === 3).length, 1);
+    assert.equal(slots.length, 24);
+
+    for (const minutes of [15, 30]) {
+        const fine = daySlots("2026-10-25", minutes);
+        assertWalk(fine, "2026-10-25");
+    }
+});
+
+test("slotOf: заказы из обоих 03:xx 2026-10-25 считаются в одном слоте", rigaOnly, () => {
+    const first = slotOf(new Date("2026-10-25T00:30:00Z"), 60);
+    const second = slotOf(new Date("2026-10-25T01:30:00Z"), 60);
+    assert.equal(iso(first.start), iso(second.start));
+    assert.equal(iso(first.start), "2026-10-25T01:00:00.000Z");
+});
+
+test("slotOf: обычный день — граница по slot_minutes от местной полуночи", rigaOnly, () => {
+    const slot = slotOf(new Date("2026-06-05T16:10:00Z"), 30); // 19:10 местного
+    assert.equal(iso(slot.start), "2026-06-05T16:00:00.000Z");
+    assert.equal(iso(slot.end), "2026-06-05T16:30:00.000Z");
+});
+
+// preorder_slot_settings и current_orders в памяти
+function fakeSlotDb(t, { maxOrders = null, maxItems = null, orders = [] }) {
+    return mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT * FROM preorder_slot_settings")) {
+            return [[{ company_id: 1, pickup_unit_id: 0, slot_minutes: 60, max_orders: maxOrders, max_items: maxItems }]];
+        }
+        if (sql.startsWith("SELECT co.order_id, co.scheduled_at")) {
+            const excludeOrderId = params.at(-1);
+            return [orders
+                .filter((o) => o.order_id !== excludeOrderId)
+                .map((o) => ({ order_id: o.order_id, scheduled_at: o.scheduled_at, items_count: o.items }))];
+        }
+    });
+}
+
+const FRIDAY_19 = "2026-06-05 16:00:00"; // 19:00 местного, в БД — UTC
+
+test("checkSlotCapacity: слот заполнен по числу заказов", rigaOnly, async (t) => {
+    fakeSlotDb(t, {
+        maxOrders: 2,
+        orders: [
+            { order_id: 10, scheduled_at: new Date("2026-06-05T16:05:00Z"), items: 1 },
+            { order_id: 11, scheduled_at: new Date("2026-06-05T16:40:00Z"), items: 1 },
+        ],
+    });
+    const cap = await checkSlotCapacity(1, { pickupId: null, scheduledAt: FRIDAY_19, items: [{ quantity: 1 }] });
+    assert.equal(cap.ok, false);
+    assert.equal(cap.slot.orders, 2);
+    assert.equal(cap.slot.full, true);
+});
+
+test("checkSlotCapacity: редактируемый заказ сам себя не занимает", rigaOnly, async (t) => {
+    const calls = fakeSlotDb(t, {
+        maxOrders: 2,
+        orders: [
+            { order_id: 10, scheduled_at: new Date("2026-06-05T16:05:00Z"), items: 1 },
+            { order_id: 11, scheduled_at: new Date("2026-06-05T16:40:00Z"), items: 1 },
+        ],
+    });
+    const cap = await checkSlotCapacity(1, {
+        pickupId: null,
+        scheduledAt: FRIDAY_19,
+        items: [{ quantity: 1 }],
+        excludeOrderId: 11,
+    });
+    assert.equal(cap.ok, true);
+    assert.equal(cap.slot.orders, 1);
+    assert.equal(calls.find((c) => c.sql.startsWith("SELECT co.order_id")).params.at(-1), 11);
+});
+
+test("checkSlotCapacity: лимит позиций учитывает позиции нового заказа", rigaOnly, async (t) => {
+    fakeSlotDb(t, {
+        maxItems: 10,
+        orders: [{ order_id: 10, scheduled_at: new Date("2026-06-05T16:05:00Z"), items: 8 }],
+    });
+    assert.equal((await checkSlotCapacity(1, { scheduledAt: FRIDAY_19, items: [{ quantity: 2 }] })).ok, true);
+    const over = await checkSlotCapacity(1, { scheduledAt: FRIDAY_19, items: [{ quantity: 2 }, { quantity: 1 }] });
+    assert.equal(over.ok, false);
+    assert.match(over.error, /8 из 10 позиций, в заказе 3/);
+});
+
+test("reserveSlotCapacity: в транзакции блокирует настройку и бросает SLOT_FULL", rigaOnly, async (t) => {
+    const calls = fakeSlotDb(t, {
+        maxOrders: 1,
+        orders: [{ order_id: 10, scheduled_at: new Date("2026-06-05T16:05:00Z"), items: 1 }],
+    });
+    const conn = await pool.getConnection();
+    await assert.rejects(
+        reserveSlotCapacity(conn, 1, { scheduledAt: FRIDAY_19, items: [{ quantity: 1 }] }),
+        (e) => e.code === "SLOT_FULL" && e.slot?.full === true
+    );
+    const settings = calls.find((c) => c.sql.startsWith("SELECT * FROM preorder_slot_settings"));
+    assert.match(settings.sql, /FOR UPDATE$/);
+});
+
+// Две транзакции InnoDB (REPEATABLE READ) в памяти: обычный SELECT читает
+// снимок, снятый первым таким чтением транзакции, блокирующее чтение
+// (FOR UPDATE / FOR SHARE) — последние закоммиченные данные. Строка
+// промокода — единственная общая блокировка: у точек свои настройки слотов.
+function fakeInnoDb(t) {
+    const committed = [];
+    let promoLock = Promise.resolve();
+    mockDb(t, () => undefined); // DDL ленивых миграций
+
+    const open = () => {
+        let snapshot = null;
+        let unlock = null;
+        const own = [];
+        const visible = (locking) => [...(locking ? committed : (snapshot ??= [...committed])), ...own];
+        const finish = () => { unlock?.(); unlock = null; };
+        return {
+            async query(sql, params = []) {
+                const text = String(sql).replace(/\s+/g, " ").trim();
+                const locking = /FOR (UPDATE|SHARE)$/.test(text);
+                if (text.startsWith("SELECT * FROM preorder_slot_settings")) {
+                    return [[{ company_id: 1, pickup_unit_id: params[1], slot_minutes: 60, max_orders: 5, max_items: null }]];
+                }
+                if (text.startsWith("SELECT co.order_id, co.scheduled_at")) {
+                    visible(false);
+                    return [[]];
+                }
+                if (text.startsWith("SELECT * FROM promo_codes")) {
+                    const prev = promoLock;
+                    promoLock = new Promise((r) => { unlock = r; });
+                    await prev;
+                    return [[{ promo_id: params[1], company_id: 1, max_uses: 1, max_uses_per_phone: 1 }]];
+                }
+                if (text.startsWith("SELECT COUNT(*) AS cnt FROM promo_redemptions")) {
+                    const byPhone = text.includes("customer_phone=?");
+                    const rows = visible(locking).filter((r) => r.promo_id === params[0] && (!byPhone || r.phone === params[1]));
+                    return [[{ cnt: rows.length }]];
+                }
+                if (text.startsWith("DELETE FROM promo_redemptions")) return [{ affectedRows: 0 }];
+                if (text.startsWith("INSERT INTO promo_redemptions")) {
+                    const [promoId, , orderId, phone] = params;
+                    own.push({ promo_id: promoId, order_id: orderId, phone });
+                    return [{ affectedRows: 1 }];
+                }
+                throw new Error(`unexpected query: ${text}`);
+            },
+            async commit() { committed.push(...own); finish(); },
+            async rollback() { finish(); },
+        };
+    };
+    return { committed, open };
+}
+
+test("предзаказы с промокодом: проверка слота до блокировки промокода не даёт превысить лимит", async (t) => {
+    const db = fakeInnoDb(t);
+    const order = (pickupId) => ({ pickupId, scheduledAt: FRIDAY_19, items: [{ quantity: 1 }] });
+    const redeem = (conn, orderId, phone) =>
+        redeemPromo(conn, { companyId: 1, orderId, promoId: 3, phone, discount: "1.00" });
+
+    // обе транзакции сначала проверяют слот — снимки сняты, пока использований нет
+    const t1 = db.open();
+    const t2 = db.open();
+    await reserveSlotCapacity(t1, 1, order(10));
+    await reserveSlotCapacity(t2, 1, order(20));
+
+    await redeem(t1, 101, "+37120000001");
+    // второй ждёт блокировку строки промокода, пока первый не закоммитит
+    const second = redeem(t2, 102, "+37120000002");
+    await t1.commit();
+    await assert.rejects(second, (e) => e.code === "PROMO_LIMIT" && /исчерпан/.test(e.message));
+    await t2.rollback();
+    assert.deepEqual(db.committed.map((r) => r.order_id), [101]);
+});
@@ -0,0 +1,201 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { enqueueJob, registerJobHandler, runQueueOnce } from "../jobs/queue.js";
+import { markSmsBroadcastFailed } from "../customers.js";
+import { mockDb } from "./helpers/db.js";
+
+// job_queue и job_dead_letters в памяти; время — в мс, «сейчас» двигает тест
+function fakeQueue(t) {
+    const state = { now: 0, jobs: new Map(), dead: [], nextId: 1 };
+    state.calls = mockDb(t, (sql, params) => {
+        if (sql.startsWith("INSERT INTO job_queue")) {
+            const [type, payload, maxAttempts, delayMicro] = params;
+            const jobId = state.nextId++;
+            state.jobs.set(jobId, {
+                job_id: jobId, job_type: type, payload, status: "pending", attempts: 0,
+                max_attempts: maxAttempts, run_at: state.now + delayMicro / 1000, last_error: null,
+            });
+            return [{ insertId: jobId }];
+        }
+        if (sql.startsWith("SELECT job_id, payload, attempts, max_attempts FROM job_queue")) {
+            const [type, limit] = params;
+            const ready = [...state.jobs.values()]
+                .filter((j) => j.status === "pending" && j.job_type === type && j.run_at <= state.now)
+                .slice(0, limit);
+            return [ready.map((j) => ({ ...j }))];
+        }
+        if (sql.startsWith("UPDATE job_queue SET status = 'running'")) {
+            for (const id of params[1]) {
+                const j = state.jobs.get(id);
+                Object.assign(j, { status: "running", attempts: j.attempts + 1 });
+            }
+            return [{ affectedRows: params[1].length }];
+        }
+        if (sql.startsWith("UPDATE job_queue SET status = 'pending', locked_by = NULL, locked_at = NULL, last_error = ?,")) {
+            const [message, delayMicro, jobId] = params;
+            Object.assign(state.jobs.get(jobId), { status: "pending", last_error: message, run_at: state.now + delayMicro / 1000 });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("UPDATE job_queue SET status = 'pending', locked_by = NULL, locked_at = NULL, last_error = COALESCE")) {
+            return [{ affectedRows: 0 }];
+        }
+        if (sql.startsWith("INSERT INTO job_dead_letters")) {
+            const [lastError, jobId] = params;
+            state.dead.push({ ...state.jobs.get(jobId), last_error: lastError });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("DELETE FROM job_queue WHERE job_id = ?")) {
+            state.jobs.delete(params[0]);
+            return [{ affectedRows: 1 }];
+        }
+    });
+    return state;
+}
+
+// runQueueOnce не ждёт обработчиков — ждём нужного состояния
+async function until(cond, message) {
+    for (let i = 0; i < 100 && !cond(); i++) await new Promise((r) => setTimeout(r, 5));
+    assert.ok(cond(), message);
+}
+
+test.beforeEach((t) => {
+    t.mock.method(console, "log", () => {});
+    t.mock.method(console, "warn", () => {});
+    t.mock.method(console, "error", () => {});
+    // без разброса ±20% — задержки точные
+    t.mock.method(Math, "random", () => 0.5);
+});
+
+test("очередь: успешная задача получает payload и удаляется", async (t) => {
+    const state = fakeQueue(t);
+    const seen = [];
+    registerJobHandler("test.ok", async (payload, ctx) => { seen.push({ payload, ctx }); });
+    const jobId = await enqueueJob("test.ok", { orderId: 7 });
+
+    await runQueueOnce();
+    await until(() => !state.jobs.has(jobId), "задача не удалена");
+    assert.deepEqual(seen, [{ payload: { orderId: 7 }, ctx: { jobId, attempt: 1 } }]);
+});
+
+test("очередь: delayMs откладывает первый запуск", async (t) => {
+    const state = fakeQueue(t);
+    let runs = 0;
+    registerJobHandler("test.delay", async () => { runs++; });
+    const jobId = await enqueueJob("test.delay", {}, { delayMs: 3000 });
+
+    await runQueueOnce();
+    assert.equal(state.jobs.get(jobId).status, "pending");
+    state.now += 3000;
+    await runQueueOnce();
+    await until(() => !state.jobs.has(jobId), "задача не выполнена");
+    assert.equal(runs, 1);
+});
+
+test("очередь: ошибка — повтор с экспоненциальной задержкой", async (t) => {
+    const state = fakeQueue(t);
+    const attempts = [];
+    registerJobHandler("test.retry", async (_p, { attempt }) => {
+        attempts.push(attempt);
+        throw new Error("api down");
+    }, { backoffMs: 1000, maxAttempts: 5 });
+    const jobId = await enqueueJob("test.retry", {});
+    const job = state.jobs.get(jobId);
+    assert.equal(job.max_attempts, 5);
+
+    for (const delay of [1000, 2000, 4000]) {
+        const before = state.now;
+        await runQueueOnce();
+        await until(() => job.status === "pending" && job.run_at > before, "повтор не запланирован");
+        assert.equal(job.run_at - state.now, delay);
+        assert.equal(job.last_error, "api down");
+
+        // до run_at задачу не берут
+        await runQueueOnce();
+        assert.equal(job.status, "pending");
+        state.now = job.run_at;
+    }
+    assert.deepEqual(attempts, [1, 2, 3]);
+});
+
+test("очередь: задержка повтора не больше часа", async (t) => {
+    const state = fakeQueue(t);
+    registerJobHandler("test.cap", async () => { throw new Error("x"); }, { backoffMs: 40 * 60 * 1000 });
+    const job = state.jobs.get(await enqueueJob("test.cap", {}, { maxAttempts: 3 }));
+    job.attempts = 1; // вторая попытка: 80 минут без ограничения
+    await runQueueOnce();
+    await until(() => job.status === "pending" && job.run_at > 0, "повтор не запланирован");
+    assert.equal(job.run_at, 60 * 60 * 1000);
+});
+
+test("очередь: после maxAttempts — dead letter и onDeadLetter", async (t) => {
+    const state = fakeQueue(t);
+    const deadCalls = [];
+    registerJobHandler("test.dead", async () => { throw new Error("still down"); }, {
+        maxAttempts: 2,
+        backoffMs: 10,
+        onDeadLetter: async (payload, info) => { deadCalls.push({ payload, info }); },
+    });
+    const jobId = await enqueueJob("test.dead", { broadcastId: 3 });
+    const job = state.jobs.get(jobId);
+
+    await runQueueOnce();
+    await until(() => job.status === "pending" && job.last_error, "повтор не запланирован");
+    state.now = job.run_at;
+    await runQueueOnce();
+    await until(() => deadCalls.length === 1, "onDeadLetter не вызван");
+
+    assert.equal(state.jobs.has(jobId), false);
+    assert.equal(state.dead.length, 1);
+    assert.deepEqual([state.dead[0].job_id, state.dead[0].last_error], [jobId, "still down"]);
+    assert.deepEqual(deadCalls[0], { payload: { broadcastId: 3 }, info: { jobId, attempts: 2, error: "still down" } });
+});
+
+test("очередь: ошибка в onDeadLetter не ломает воркер", async (t) => {
+    const state = fakeQueue(t);
+    let called = false;
+    registerJobHandler("test.deadfail", async () => { throw new Error("x"); }, {
+        maxAttempts: 1,
+        onDeadLetter: async () => { called = true; throw new Error("onDeadLetter down"); },
+    });
+    const jobId = await enqueueJob("test.deadfail", {});
+    await runQueueOnce();
+    await until(() => called && console.error.mock.calls.some((c) => /ошибка onDeadLetter/.test(c.arguments[0])), "ошибка не залогирована");
+    assert.equal(state.jobs.has(jobId), false);
+    assert.equal(state.dead.length, 1);
+});
+
+test("очередь: concurrency ограничивает одновременные задачи типа", async (t) => {
+    const state = fakeQueue(t);
+    let active = 0;
+    let peak = 0;
+    let release;
+    const gate = new Promise((r) => { release = r; });
+    registerJobHandler("test.conc", async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await gate;
+        active--;
+    }, { concurrency: 2 });
+    for (let i = 0; i < 3; i++) await enqueueJob("test.conc", { i });
+
+    await runQueueOnce();
+    await runQueueOnce();
+    await until(() => active === 2, "не запущены две задачи");
+    assert.equal([...state.jobs.values()].filter((j) => j.status === "pending").length, 1);
+
+    release();
+    await until(() => state.jobs.size === 1 && active === 0, "первые задачи не завершены");
+    await runQueueOnce();
+    await until(() => state.jobs.size === 0, "третья задача не выполнена");
+    assert.equal(peak, 2);
+});
+
+test("markSmsBroadcastFailed: меняет только рассылку в queued своей компании", async (t) => {
+    const calls = mockDb(t, (sql) => {
+        if (sql.startsWith("UPDATE customer_broadcasts")) return [{ affectedRows: 1 }];
+    });
+    await markSmsBroadcastFailed({ broadcastId: 3, companyId: 9 });
+    const upd = calls.find((c) => c.sql.startsWith("UPDATE customer_broadcasts"));
+    assert.match(upd.sql, /SET status='failed' WHERE id=\? AND company_id=\? AND status='queued'$/);
+    assert.deepEqual(upd.params, [3, 9]);
+});
@@ -0,0 +1,120 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+    buildReceiptModel,
+    buildReceiptRows,
+    transliterate,
+    renderReceiptHtml,
+    renderReceiptEscPos,
+    renderReceiptPdf,
+} from "../services/receipts/receiptService.js";
+
+const ESCPOS_WIDTH = Number(process.env.RECEIPT_ESCPOS_WIDTH || 48);
+
+function order(extra = {}) {
+    return {
+        orderSeq: 12,
+        orderNo: "A-20260605-0012",
+        orderType: "active",
+        createdAt: "2026-06-05T16:10:00Z",
+        items: [
+            { name: "Плов", quantity: 2, price: 5.05, final_price: 5.05, line_total: 10.1 },
+            { name: "Морс", quantity: 1, price: 5.78, discount: 10, final_price: 5.2, line_total: 5.2 },
+        ],
+        promoCode: "SUMMER",
+        deliveryFee: "2.00",
+        amountTotal: "15.00",
+        paymentParts: [{ method: "cash", amount: 15 }],
+        changeDue: 5,
+        vatBreakdown: [{ category: "food", rate: 12, net: 13.39, vat: 1.61, gross: 15 }],
+        customer: "Анна",
+        phone: "+37120000000",
+        address: "Brīvības 1",
+        notes: "домофон 12",
+        ...extra,
+    };
+}
+
+const model = (extra, variant = "customer") =>
+    buildReceiptModel({ order: order(extra), company: { company_name: "Кафе" }, variant });
+
+const pairs = (rows) => Object.fromEntries(rows.filter((r) => r.type === "pair").map((r) => [r.left, r.right]));
+
+test("чек клиента: скидка заказа = позиции + доставка − итог, до цента", () => {
+    const p = pairs(buildReceiptRows(model()));
+    assert.equal(p["Сумма"], "15.30 €");
+    assert.equal(p["Скидка (промокод SUMMER)"], "-2.30 €");
+    assert.equal(p["Доставка"], "2.00 €");
+    assert.equal(p["ИТОГО"], "15.00 €");
+    assert.equal(p["Наличные"], "15.00 €");
+    assert.equal(p["Сдача"], "5.00 €");
+    assert.equal(p["PVN 12% (без PVN 13.39 €)"], "1.61 €");
+});
+
+test("чек клиента: без скидки и доставки лишних строк нет", () => {
+    const p = pairs(buildReceiptRows(model({ deliveryFee: 0, amountTotal: 15.3, promoCode: null, changeDue: 0 })));
+    assert.deepEqual(Object.keys(p), ["Сумма", "ИТОГО", "Наличные", "PVN 12% (без PVN 13.39 €)"]);
+});
+
+test("кухонный тикет: без цен, сумм и данных клиента, комментарий жирным", () => {
+    const rows = buildReceiptRows(model({}, "kitchen"));
+    assert.equal(rows.filter((r) => r.type === "pair").length, 0);
+    assert.ok(rows.filter((r) => r.type === "item").every((r) => r.amount === null && r.large));
+    assert.ok(rows.some((r) => r.text === "КУХНЯ"));
+    assert.ok(!rows.some((r) => r.text === "Кафе" || /Анна/.test(r.text ?? "")));
+    assert.deepEqual(rows.at(-1), { type: "text", text: "Комментарий: домофон 12", bold: true });
+});
+
+test("предзаказ: время выдачи на чеке", () => {
+    const rows = buildReceiptRows(model({ orderType: "preorder", scheduledAt: "2026-06-05T16:00:00Z" }));
+    assert.ok(rows.some((r) => /^Предзаказ на /.test(r.text ?? "")));
+});
+
+test("transliterate: кириллица, латышская диакритика и символы", () => {
+    assert.equal(transliterate("Щи и Ёжик, Ēriks № 5 — 3 €"), "Schi i Ezhik, Eriks No 5 ? 3 EUR");
+});
+
+test("HTML: данные заказа экранируются", () => {
+    const html = renderReceiptHtml(model({ notes: '<script>alert("x")</script>' }));
+    assert.ok(!html.includes("<script>"));
+    assert.ok(html.includes("&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;"));
+});
+
+// ESC/POS → строки текста без управляющих последовательностей (ESC a/E/t n, GS ! n)
+function escposLines(buf) {
+    const bytes = [...buf];
+    const text = [];
+    for (let i = 0; i < bytes.length; i++) {
+        const b = bytes[i];
+        if (b === 0x1b || b === 0x1d) {
+            i += bytes[i + 1] === 0x40 ? 1 : bytes[i + 1] === 0x56 ? 3 : 2;
+            continue;
+        }
+        text.push(b);
+    }
+    return Buffer.from(text).toString("latin1").split("\n");
+}
+
+test("ESC/POS: строки не шире ленты, длинное название переносится, сумма справа", () => {
+    const long = "Очень длинное название блюда из меню, которое не влезает в одну строку";
+    const buf = renderReceiptEscPos(model({ items: [{ name: long, quantity: 1, line_total: 123.45 }] }));
+    assert.deepEqual([...buf.subarray(0, 2)], [0x1b, 0x40]);
+    assert.deepEqual([...buf.subarray(-4)], [0x1d, 0x56, 66, 0]);
+
+    const lines = escposLines(buf);
+    for (const l of lines) assert.ok(l.length <= ESCPOS_WIDTH, `${l.length}: ${l}`);
+    const amount = lines.find((l) => l.endsWith("123.45 EUR"));
+    assert.ok(amount, "строка с суммой позиции");
+    assert.equal(amount.length, ESCPOS_WIDTH);
+});
+
+test("ESC/POS: кириллица в PC866", () => {
+    const lines = escposLines(renderReceiptEscPos(model({}, "kitchen")));
+    // «КУХНЯ» в PC866: К=0x8A У=0x93 Х=0x95 Н=0x8D Я=0x9F
+    assert.ok(lines.includes("\x8a\x93\x95\x8d\x9f"));
+});
+
+test("PDF: чек рендерится в буфер", async () => {
+    const pdf = await renderReceiptPdf(model());
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+});
@@ -0,0 +1,194 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { RECURRING_TZ, scheduleOccurrences, generateRecurringOrders } from "../recurringOrders.js";
+import pool from "../db.js";
+import { mockDb } from "./helpers/db.js";
+
+// даты и время расписаний считаются в RECURRING_TZ
+const rigaOnly = { skip: RECURRING_TZ !== "Europe/Riga" && `RECURRING_TZ=${RECURRING_TZ}` };
+
+const weekend = {
+    weekdays: [6, 7],
+    time: "10:00",
+    startDate: "2026-03-01",
+    endDate: "2026-04-05",
+    skipDates: ["2026-04-04"],
+};
+
+test("scheduleOccurrences: дни недели, исключения и дата окончания", rigaOnly, () => {
+    const occ = scheduleOccurrences(weekend, "2026-03-27", "2026-04-12");
+    assert.deepEqual(occ.map((o) => o.date), ["2026-03-28", "2026-03-29", "2026-04-05"]);
+});
+
+test("scheduleOccurrences: местное время сохраняется через переход на летнее", rigaOnly, () => {
+    const occ = scheduleOccurrences(weekend, "2026-03-28", "2026-03-29");
+    assert.deepEqual(occ.map((o) => o.scheduledAt.toISOString()), [
+        "2026-03-28T08:00:00.000Z",
+        "2026-03-29T07:00:00.000Z",
+    ]);
+});
+
+test("scheduleOccurrences: до даты начала ничего не создаётся", () => {
+    const occ = scheduleOccurrences({ ...weekend, startDate: "2026-04-05" }, "2026-03-27", "2026-04-12");
+    assert.deepEqual(occ.map((o) => o.date), ["2026-04-05"]);
+});
+
+// Понедельник 2026-06-01, 09:00 по Риге; обед по пн и ср в 12:00
+const NOW = new Date("2026-06-01T06:00:00Z");
+const scheduleRow = {
+    schedule_id: 1,
+    company_id: 1,
+    name: "Обед",
+    customer_name: "ООО Ромашка",
+    customer_phone: "+37120000000",
+    items_json: JSON.stringify([{ id: 7, name: "Суп", quantity: 3 }]),
+    payment_method: "wire",
+    delivery_fee: "0.00",
+    weekdays: "1,3",
+    time_of_day: "12:00",
+    start_date: "2026-05-01",
+    end_date: null,
+    skip_dates: null,
+    is_paused: 0,
+};
+
+// recurring_occurrences: occurrences — уже записанные даты; menu пустое,
+// поэтому до createOrder генерация не доходит и заканчивается fail()
+function fakeRecurring(t, { occurrences = [], claim = 1, reclaim = 1, menu = () => [[]], skipDates = null } = {}) {
+    return mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT * FROM recurring_schedules")) return [[{ ...scheduleRow, skip_dates: skipDates }]];
+        if (sql.startsWith("SELECT schedule_id, DATE_FORMAT")) return [occurrences];
+        if (sql.startsWith("INSERT IGNORE INTO recurring_occurrences")) return [{ affectedRows: claim }];
+        if (sql.startsWith("UPDATE recurring_occurrences SET created_at = NOW()")) return [{ affectedRows: reclaim }];
+        if (sql.startsWith("UPDATE recurring_occurrences SET status='failed'")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("SELECT item_id, item_name, item_price")) return menu(params);
+    });
+}
+
+const occurrence = (date, status, stale = 0) => ({ schedule_id: 1, occurrence_date: date, status, stale });
+const claimed = (calls) =>
+    calls.filter((c) => c.sql.startsWith("INSERT IGNORE INTO recurring_occurrences")).map((c) => c.params[1]);
+
+test("generateRecurringOrders: позиций нет в меню — дата помечается failed", rigaOnly, async (t) => {
+    const calls = fakeRecurring(t);
+    const results = await generateRecurringOrders(null, { now: NOW });
+    assert.deepEqual(claimed(calls), ["2026-06-01", "2026-06-03"]);
+    assert.deepEqual(results, [
+        { scheduleId: 1, date: "2026-06-01", ok: false, error: "Ни одной позиции расписания нет в меню" },
+        { scheduleId: 1, date: "2026-06-03", ok: false, error: "Ни одной позиции расписания нет в меню" },
+    ]);
+});
+
+test("generateRecurringOrders: созданные и свежие pending-даты пропускаются", rigaOnly, async (t) => {
+    const calls = fakeRecurring(t, {
+        occurrences: [occurrence("2026-06-01", "created"), occurrence("2026-06-03", "pending")],
+    });
+    assert.deepEqual(await generateRecurringOrders(null, { now: NOW }), []);
+    assert.deepEqual(claimed(calls), []);
+});
+
+test("generateRecurringOrders: зависшая pending-дата перезанимается и доводится до конца", rigaOnly, async (t) => {
+    t.mock.method(console, "warn", () => {});
+    const calls = fakeRecurring(t, {
+        occurrences: [occurrence("2026-06-01", "created"), occurrence("2026-06-03", "pending", 1)],
+        claim: 0,
+    });
+    const results = await generateRecurringOrders(null, { now: NOW });
+    assert.deepEqual(claimed(calls), ["2026-06-03"]);
+    assert.deepEqual(results.map((r) => [r.date, r.ok]), [["2026-06-03", false]]);
+    assert.ok(calls.some((c) => c.sql.startsWith("UPDATE recurring_occurrences SET status='failed'")));
+});
+
+test("generateRecurringOrders: перезанять не удалось — дату ведёт другой запуск", rigaOnly, async (t) => {
+    const calls = fakeRecurring(t, {
+        occurrences: [occurrence("2026-06-01", "created"), occurrence("2026-06-03", "pending", 1)],
+        claim: 0,
+        reclaim: 0,
+    });
+    assert.deepEqual(await generateRecurringOrders(null, { now: NOW }), []);
+    assert.ok(!calls.some((c) => c.sql.startsWith("SELECT item_id")));
+});
+
+test("generateRecurringOrders: ошибка после захвата даты не оставляет её в pending", rigaOnly, async (t) => {
+    const calls = fakeRecurring(t, {
+        occurrences: [occurrence("2026-06-01", "created")],
+        menu: () => {
+            throw new Error("menu unavailable");
+        },
+    });
+    const results = await generateRecurringOrders(null, { now: NOW });
+    assert.deepEqual(results, [{ scheduleId: 1, date: "2026-06-03", ok: false, error: "menu unavailable" }]);
+    const failed = calls.find((c) => c.sql.startsWith("UPDATE recurring_occurrences SET status='failed'"));
+    assert.deepEqual(failed.params, ["menu unavailable", 1, "2026-06-03"]);
+});
+
+// Полный путь через createOrder: меню с супом, заказ получает order_id 900.
+// log — запросы и COMMIT/ROLLBACK транзакции заказа по порядку.
+function fakeOrderCreation(t, { occurrences = [], claim = 1, reclaim = 1, link = 1 } = {}) {
+    const log = [];
+    const calls = mockDb(t, (sql) => {
+        log.push(sql);
+        if (sql.startsWith("SELECT * FROM recurring_schedules")) return [[scheduleRow]];
+        if (sql.startsWith("SELECT schedule_id, DATE_FORMAT")) return [occurrences];
+        if (sql.startsWith("INSERT IGNORE INTO recurring_occurrences")) return [{ affectedRows: claim }];
+        if (sql.startsWith("UPDATE recurring_occurrences SET created_at = NOW()")) return [{ affectedRows: reclaim }];
+        if (sql.startsWith("UPDATE recurring_occurrences SET status='created'")) return [{ affectedRows: link }];
+        if (sql.startsWith("UPDATE recurring_occurrences SET status='failed'")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("SELECT item_id, item_name, item_price")) {
+            return [[{ item_id: 7, item_name: "Суп", item_price: "5.00", item_discount_percent: 0, is_active: 1 }]];
+        }
+        if (sql.startsWith("SELECT co.*")) return [[{ order_id: 900, company_id: 5, status: "new" }]];
+        if (sql.startsWith("SELECT")) return [[]];
+        if (sql.startsWith("INSERT INTO current_orders")) return [{ insertId: 900, affectedRows: 1 }];
+        if (/^(INSERT|UPDATE)/.test(sql)) return [{ affectedRows: 1 }];
+    });
+    const conn = {
+        query: (sql, params) => pool.query(sql, params),
+        beginTransaction: async () => {},
+        commit: async () => { log.push("COMMIT"); },
+        rollback: async () => { log.push("ROLLBACK"); },
+        release: () => {},
+    };
+    t.mock.method(pool, "getConnection", async () => conn);
+    return { calls, log };
+}
+
+const isLink = (sql) => sql.startsWith("UPDATE recurring_occurrences SET status='created'");
+
+test("generateRecurringOrders: ссылка на заказ пишется в транзакции создания заказа", rigaOnly, async (t) => {
+    const { calls, log } = fakeOrderCreation(t, { occurrences: [occurrence("2026-06-01", "created")] });
+    const results = await generateRecurringOrders(null, { now: NOW });
+    assert.deepEqual(results, [{ scheduleId: 1, date: "2026-06-03", ok: true, orderId: 900 }]);
+
+    const insert = log.findIndex((sql) => sql.startsWith("INSERT INTO current_orders"));
+    const links = log.flatMap((sql, i) => (isLink(sql) ? [i] : []));
+    // одна запись ссылки — между вставкой заказа и коммитом, после коммита не дописывается
+    assert.equal(links.length, 1);
+    assert.ok(insert < links[0] && links[0] < log.indexOf("COMMIT"));
+    assert.deepEqual(calls.find((c) => isLink(c.sql)).params, [900, null, 1, "2026-06-03"]);
+    assert.match(calls.find((c) => isLink(c.sql)).sql, /AND status='pending'$/);
+});
+
+test("generateRecurringOrders: дата уже закрыта другим процессом — повторный заказ откатывается", rigaOnly, async (t) => {
+    t.mock.method(console, "warn", () => {});
+    // процесс упал после коммита заказа: дата 'created', но по старому снимку — зависшая pending
+    const { log } = fakeOrderCreation(t, {
+        occurrences: [occurrence("2026-06-01", "created"), occurrence("2026-06-03", "pending", 1)],
+        claim: 0,
+        link: 0,
+    });
+    assert.deepEqual(await generateRecurringOrders(null, { now: NOW }), []);
+    assert.ok(log.includes("ROLLBACK"));
+    assert.ok(!log.includes("COMMIT"));
+    assert.ok(!log.some((sql) => String(sql).startsWith("UPDATE recurring_occurrences SET status='failed'")));
+});
+
+test("generateRecurringOrders: skip_dates — только корректные даты, битый JSON ничего не пропускает", rigaOnly, async (t) => {
+    const mixed = fakeRecurring(t, { skipDates: '["2026-06-03", "2026-02-30", 5, {"date": "2026-06-01"}]' });
+    await generateRecurringOrders(null, { now: NOW });
+    assert.deepEqual(claimed(mixed), ["2026-06-01"]);
+
+    const broken = fakeRecurring(t, { skipDates: "[2026-06-03" });
+    await generateRecurringOrders(null, { now: NOW });
+    assert.deepEqual(claimed(broken), ["2026-06-01", "2026-06-03"]);
+});
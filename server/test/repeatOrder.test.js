@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeBasketItems } from "../customers.js";
+import { repriceItemsFromMenu } from "../menuApi.js";
+import { currentOrdersRouter } from "../currentOrder.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const menuRow = (item_id, item_price, extra = {}) => ({
+    item_id,
+    item_name: `Блюдо ${item_id}`,
+    item_price,
+    item_discount_percent: 0,
+    is_active: 1,
+    ...extra,
+});
+
+function fakeMenu(t, menu, extraRoute = () => undefined) {
+    return mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT item_id, item_name, item_price")) {
+            const ids = params[1].map(String);
+            return [menu.filter((m) => ids.includes(String(m.item_id)))];
+        }
+        return extraRoute(sql, params);
+    });
+}
+
+test("normalizeBasketItems: целое quantity > 0 и id обязательны", () => {
+    assert.deepEqual(normalizeBasketItems([{ id: 1, name: "Плов", quantity: "2", price: 99 }]), {
+        ok: true,
+        items: [{ id: 1, name: "Плов", quantity: 2 }],
+    });
+    for (const bad of [{ id: 1, quantity: 0 }, { id: 1, quantity: 1.5 }, { quantity: 1 }, null]) {
+        assert.equal(normalizeBasketItems([bad]).ok, false, JSON.stringify(bad));
+    }
+    assert.deepEqual(normalizeBasketItems([]), { ok: false, error: "Корзина пуста" });
+    assert.equal(normalizeBasketItems(Array.from({ length: 101 }, (_, i) => ({ id: i, quantity: 1 }))).ok, false);
+});
+
+test("repriceItemsFromMenu: цены и скидки — из текущего меню, не из старого заказа", async (t) => {
+    fakeMenu(t, [menuRow(1, "6.50", { item_discount_percent: 10 })]);
+    const { items, unavailable } = await repriceItemsFromMenu(1, [{ id: 1, name: "Старое имя", price: 5, quantity: 2 }]);
+    assert.deepEqual(items, [{ id: 1, name: "Блюдо 1", price: 6.5, discount: 10, quantity: 2 }]);
+    assert.deepEqual(unavailable, []);
+});
+
+test("repriceItemsFromMenu: удалённые и выключенные позиции — в unavailable с причиной", async (t) => {
+    fakeMenu(t, [menuRow(1, 5), menuRow(2, 3, { is_active: 0 })]);
+    const { items, unavailable } = await repriceItemsFromMenu(1, [
+        { id: 1, quantity: 1 },
+        { id: 2, name: "Морс", quantity: 1 },
+        { id: 3, name: "Снято с меню", quantity: 2 },
+        { id: 4, quantity: 0 },
+        { name: "Без id", quantity: 1 },
+    ]);
+    assert.deepEqual(items.map((it) => it.id), [1]);
+    assert.deepEqual(unavailable, [
+        { id: 2, name: "Блюдо 2", quantity: 1, reason: "inactive" },
+        { id: 3, name: "Снято с меню", quantity: 2, reason: "not_found" },
+        { id: null, name: "Без id", quantity: 1, reason: "not_found" },
+    ]);
+});
+
+test("POST /:id/repeat: ни одной позиции в меню — 409 со списком недоступных", async (t) => {
+    fakeMenu(t, [], (sql) => {
+        if (sql.startsWith("SELECT co.*, cu1.nickname")) {
+            return [[{ order_id: 10, company_id: 1, status: "completed", items_json: JSON.stringify([{ id: 7, name: "Суп", quantity: 1 }]) }]];
+        }
+    });
+    const request = await serveRouter(t, currentOrdersRouter({}), { userId: 5, companyId: 1, role: "admin" });
+    const res = await request("POST", "/10/repeat", {});
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.unavailable, [{ id: 7, name: "Суп", quantity: 1, reason: "not_found" }]);
+});
+
+test("POST /:id/repeat: чужой или несуществующий заказ — 404", async (t) => {
+    fakeMenu(t, [], (sql) => {
+        if (sql.startsWith("SELECT co.*, cu1.nickname")) return [[]];
+    });
+    const request = await serveRouter(t, currentOrdersRouter({}), { userId: 5, companyId: 1, role: "admin" });
+    assert.equal((await request("POST", "/99/repeat", {})).status, 404);
+});
@@ -0,0 +1,340 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+import {
+    createSession,
+    rotateRefreshToken,
+    revokeByRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    onSessionsRevoked,
+    sessionToDto,
+} from "../sessions.js";
+import { authenticateSocketToken, listMySessions, revokeMySession } from "../auth.js";
+import { listUnitSessions, revokeUnitSession, revokeUnitSessions } from "../companyUnits.js";
+import { deletePushTokensBySessions } from "../services/pushService.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+// user_sessions в памяти — ровно те запросы, что делает sessions.js
+function fakeSessions(t, { onSelect = null, beforeRotateUpdate = null } = {}) {
+    const rows = new Map();
+    mockDb(t, async (sql, params) => {
+        if (sql.startsWith("INSERT INTO user_sessions")) {
+            const [sessionId, userId, companyId, client] = params;
+            rows.set(sessionId, {
+                session_id: sessionId,
+                user_id: userId,
+                company_id: companyId,
+                client,
+                device_name: params[4],
+                platform: params[7],
+                refresh_hash: params[8],
+                prev_refresh_hash: null,
+                expired: 0,
+                revoked_at: null,
+                revoke_reason: null,
+            });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("SELECT session_id, user_id, refresh_hash")) {
+            onSelect?.();
+            const r = rows.get(params[0]);
+            return [r ? [{ ...r }] : []];
+        }
+        if (sql.startsWith("SELECT user_id FROM user_sessions WHERE session_id = ? AND revoked_at IS NULL")) {
+            const r = rows.get(params[0]);
+            return [r && !r.revoked_at ? [{ user_id: r.user_id }] : []];
+        }
+        if (sql.startsWith("SELECT session_id FROM user_sessions WHERE session_id = ? AND (refresh_hash")) {
+            const [sessionId, hash] = params;
+            const r = rows.get(sessionId);
+            return [r && (r.refresh_hash === hash || r.prev_refresh_hash === hash) ? [{ session_id: sessionId }] : []];
+        }
+        if (sql.startsWith("UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ? WHERE session_id = ?")) {
+            const [reason, sessionId] = params;
+            const r = rows.get(sessionId);
+            if (!r || r.revoked_at) return [{ affectedRows: 0 }];
+            r.revoked_at = new Date();
+            r.revoke_reason = reason;
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("SELECT session_id FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL")) {
+            return [[...rows.values()].filter((r) => r.user_id === params[0] && !r.revoked_at).map((r) => ({ session_id: r.session_id }))];
+        }
+        if (sql.startsWith("UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ? WHERE user_id = ?")) {
+            const [reason, userId] = params;
+            const live = [...rows.values()].filter((r) => r.user_id === userId && !r.revoked_at);
+            for (const r of live) Object.assign(r, { revoked_at: new Date(), revoke_reason: reason });
+            return [{ affectedRows: live.length }];
+        }
+        if (sql.startsWith("SELECT s.session_id, s.user_id, s.client")) {
+            return [[...rows.values()].filter((r) => r.user_id === params[0] && !r.revoked_at && !r.expired)];
+        }
+        if (sql.startsWith("SELECT session_id FROM user_sessions WHERE session_id = ? AND user_id = ?")) {
+            const [sessionId, userId] = params;
+            const r = rows.get(sessionId);
+            return [r && r.user_id === userId && !r.revoked_at && !r.expired ? [{ session_id: sessionId }] : []];
+        }
+        if (sql.startsWith("SELECT s.session_id FROM user_sessions s JOIN users u")) {
+            const r = rows.get(params[0]);
+            return [r && !r.revoked_at && !r.expired ? [{ session_id: r.session_id }] : []];
+        }
+        if (sql.startsWith("UPDATE user_sessions SET last_used_at")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("SELECT user_id FROM users WHERE user_id=? AND company_id=? AND role IN")) {
+            const [userId, companyId] = params;
+            return [userId === user.user_id && companyId === user.company_id ? [{ user_id: userId }] : []];
+        }
+        if (sql.startsWith("UPDATE user_sessions SET prev_refresh_hash = refresh_hash")) {
+            if (beforeRotateUpdate) await beforeRotateUpdate();
+            const [newHash, , , , sessionId, hash] = params;
+            const r = rows.get(sessionId);
+            if (!r || r.refresh_hash !== hash || r.revoked_at) return [{ affectedRows: 0 }];
+            r.prev_refresh_hash = r.refresh_hash;
+            r.refresh_hash = newHash;
+            return [{ affectedRows: 1 }];
+        }
+    });
+    return rows;
+}
+
+const user = { user_id: 42, company_id: 7 };
+
+test("createSession: в БД только хеш секрета refresh-токена", async (t) => {
+    const rows = fakeSessions(t);
+    const { sessionId, refreshToken } = await createSession(user, { client: "web" });
+    const [sid, secret] = refreshToken.split(".");
+    assert.equal(sid, sessionId);
+    assert.equal(rows.get(sessionId).refresh_hash, sha256(secret));
+});
+
+test("rotateRefreshToken: выдаёт новый токен, старый становится предыдущим", async (t) => {
+    const rows = fakeSessions(t);
+    const { sessionId, refreshToken } = await createSession(user, { client: "web" });
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    assert.equal(rotated.ok, true);
+    assert.equal(rotated.sessionId, sessionId);
+    assert.equal(rotated.userId, 42);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal(rows.get(sessionId).prev_refresh_hash, sha256(refreshToken.split(".")[1]));
+
+    const again = await rotateRefreshToken(rotated.refreshToken);
+    assert.equal(again.ok, true);
+});
+
+test("rotateRefreshToken: повтор уже обменянного токена отзывает сессию", async (t) => {
+    const rows = fakeSessions(t);
+    const { sessionId, refreshToken } = await createSession(user, { client: "mobile" });
+    const rotated = await rotateRefreshToken(refreshToken);
+    assert.equal(rotated.ok, true);
+
+    const reuse = await rotateRefreshToken(refreshToken);
+    assert.equal(reuse.ok, false);
+    assert.equal(rows.get(sessionId).revoke_reason, "refresh_reuse");
+
+    // и новый токен больше не действует
+    const next = await rotateRefreshToken(rotated.refreshToken);
+    assert.deepEqual(next, { ok: false, error: "Сессия завершена" });
+});
+
+test("rotateRefreshToken: параллельный refresh с тем же токеном проигрывает", async (t) => {
+    let selects = 0;
+    let release;
+    const bothRead = new Promise((r) => { release = r; });
+    const rows = fakeSessions(t, {
+        // оба запроса прочитали сессию до первого UPDATE
+        onSelect: () => { if (++selects === 2) release(); },
+        beforeRotateUpdate: () => bothRead,
+    });
+    const { sessionId, refreshToken } = await createSession(user, { client: "web" });
+
+    const results = await Promise.all([rotateRefreshToken(refreshToken), rotateRefreshToken(refreshToken)]);
+    assert.equal(results.filter((r) => r.ok).length, 1);
+    assert.deepEqual(results.find((r) => !r.ok), { ok: false, error: "Невалидный refresh-токен" });
+    // проигравший — не повод отзывать сессию
+    assert.equal(rows.get(sessionId).revoked_at, null);
+});
+
+test("rotateRefreshToken: отозванная и истёкшая сессии отклоняются", async (t) => {
+    const rows = fakeSessions(t);
+    const revoked = await createSession(user, { client: "web" });
+    assert.equal(await revokeByRefreshToken(revoked.refreshToken, "logout"), true);
+    assert.deepEqual(await rotateRefreshToken(revoked.refreshToken), { ok: false, error: "Сессия завершена" });
+
+    const expired = await createSession(user, { client: "web" });
+    rows.get(expired.sessionId).expired = 1;
+    assert.deepEqual(await rotateRefreshToken(expired.refreshToken), { ok: false, error: "Сессия завершена" });
+});
+
+test("rotateRefreshToken: чужой секрет и мусор — невалидный токен без отзыва", async (t) => {
+    const rows = fakeSessions(t);
+    const { sessionId } = await createSession(user, { client: "web" });
+    assert.deepEqual(await rotateRefreshToken(`${sessionId}.wrong`), { ok: false, error: "Невалидный refresh-токен" });
+    assert.equal(rows.get(sessionId).revoked_at, null);
+    assert.deepEqual(await rotateRefreshToken("garbage"), { ok: false, error: "Невалидный refresh-токен" });
+    assert.deepEqual(await rotateRefreshToken(null), { ok: false, error: "Невалидный refresh-токен" });
+});
+
+// слушатель регистрируется один раз на процесс — события собираются сюда
+const revokedEvents = [];
+onSessionsRevoked((e) => { revokedEvents.push(e); });
+test.beforeEach(() => { revokedEvents.length = 0; });
+
+test("revokeSession: слушатели получают сессию; повторный отзыв — без события", async (t) => {
+    fakeSessions(t);
+    const { sessionId } = await createSession(user, { client: "mobile" });
+    assert.equal(await revokeSession(sessionId, "signed_out_remotely"), true);
+    assert.deepEqual(revokedEvents, [
+        { userId: 42, sessionIds: [sessionId], allSessions: false, reason: "signed_out_remotely" },
+    ]);
+    assert.equal(await revokeSession(sessionId, "signed_out_remotely"), false);
+    assert.equal(revokedEvents.length, 1);
+});
+
+test("revokeUserSessions: одно событие со всеми сессиями пользователя", async (t) => {
+    const rows = fakeSessions(t);
+    const a = await createSession(user, { client: "web" });
+    const b = await createSession(user, { client: "mobile" });
+    const other = await createSession({ user_id: 43, company_id: 7 }, { client: "web" });
+
+    assert.equal(await revokeUserSessions(42, "password_changed"), 2);
+    assert.deepEqual(revokedEvents, [
+        { userId: 42, sessionIds: [a.sessionId, b.sessionId], allSessions: true, reason: "password_changed" },
+    ]);
+    assert.equal(rows.get(other.sessionId).revoked_at, null);
+});
+
+test("revokeSession: ошибка слушателя не мешает отзыву", async (t) => {
+    fakeSessions(t);
+    t.mock.method(console, "error", () => {});
+    let failing = true;
+    onSessionsRevoked(() => { if (failing) throw new Error("ws down"); });
+    t.after(() => { failing = false; });
+    const { sessionId } = await createSession(user, { client: "web" });
+    assert.equal(await revokeSession(sessionId), true);
+    assert.equal(revokedEvents.length, 1);
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test("sessionToDto: текущая сессия помечена, имя — nickname или first_name", () => {
+    const row = { session_id: "s1", user_id: 42, first_name: "Анна", role: "courier", client: "mobile", platform: "ios" };
+    const dto = sessionToDto(row, "s1");
+    assert.equal(dto.current, true);
+    assert.equal(dto.nickname, "Анна");
+    assert.equal(dto.platform, "ios");
+    assert.equal(dto.deviceName, null);
+    assert.equal(sessionToDto(row).current, false);
+    assert.equal(sessionToDto({ ...row, nickname: "anna" }, "s2").nickname, "anna");
+});
+
+async function serveSessions(t, authUser) {
+    const router = express.Router();
+    router.get("/auth/sessions", listMySessions);
+    router.delete("/auth/sessions/:sessionId", revokeMySession);
+    router.get("/staff/:id/sessions", listUnitSessions);
+    router.delete("/staff/:id/sessions/:sessionId", revokeUnitSession);
+    router.delete("/staff/:id/sessions", revokeUnitSessions);
+    return serveRouter(t, router, authUser);
+}
+
+test("/api/auth/sessions: свои устройства и выход на одном из них", async (t) => {
+    const rows = fakeSessions(t);
+    const phone = await createSession(user, { client: "mobile", deviceName: "iPhone", platform: "ios" });
+    const web = await createSession(user, { client: "web" });
+    const stranger = await createSession({ user_id: 43, company_id: 7 }, { client: "web" });
+    const request = await serveSessions(t, { userId: 42, companyId: 7, role: "courier", sid: web.sessionId });
+
+    const list = await request("GET", "/auth/sessions");
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.items.map((s) => [s.id, s.current]), [[phone.sessionId, false], [web.sessionId, true]]);
+    assert.equal(list.body.items[0].deviceName, "iPhone");
+
+    // чужую сессию не видно и не завершить
+    assert.equal((await request("DELETE", `/auth/sessions/${stranger.sessionId}`)).status, 404);
+    assert.equal(rows.get(stranger.sessionId).revoked_at, null);
+
+    assert.deepEqual((await request("DELETE", `/auth/sessions/${phone.sessionId}`)).body, { ok: true });
+    assert.equal(rows.get(phone.sessionId).revoke_reason, "signed_out_remotely");
+    assert.equal((await request("DELETE", `/auth/sessions/${phone.sessionId}`)).status, 404);
+});
+
+test("/api/staff/:id/sessions: админ завершает сессии сотрудника своей компании", async (t) => {
+    const rows = fakeSessions(t);
+    const phone = await createSession(user, { client: "mobile" });
+    const tablet = await createSession(user, { client: "mobile" });
+    const admin = await serveSessions(t, { userId: 1, companyId: 7, role: "admin" });
+
+    const list = await admin("GET", "/staff/42/sessions");
+    assert.deepEqual(list.body.items.map((s) => s.id), [phone.sessionId, tablet.sessionId]);
+
+    assert.deepEqual((await admin("DELETE", `/staff/42/sessions/${phone.sessionId}`)).body, { ok: true });
+    assert.equal(rows.get(phone.sessionId).revoke_reason, "revoked_by_admin");
+
+    assert.deepEqual((await admin("DELETE", "/staff/42/sessions")).body, { ok: true, revoked: 1 });
+    assert.equal(rows.get(tablet.sessionId).revoke_reason, "revoked_by_admin");
+});
+
+test("/api/staff/:id/sessions: чужая компания — 404, курьер — 403", async (t) => {
+    fakeSessions(t);
+    const { sessionId } = await createSession(user, { client: "mobile" });
+    const otherAdmin = await serveSessions(t, { userId: 2, companyId: 8, role: "admin" });
+    assert.equal((await otherAdmin("GET", "/staff/42/sessions")).status, 404);
+    assert.equal((await otherAdmin("DELETE", `/staff/42/sessions/${sessionId}`)).status, 404);
+
+    const courier = await serveSessions(t, { userId: 42, companyId: 7, role: "courier" });
+    const res = await courier("DELETE", "/staff/42/sessions");
+    assert.deepEqual([res.status, res.body], [403, { ok: false, error: "Недостаточно прав" }]);
+});
+
+test("deletePushTokensBySessions: токены отозванных сессий, без привязки — только по флагу", async (t) => {
+    const calls = mockDb(t, (sql) => {
+        if (sql.startsWith("DELETE FROM courier_push_tokens")) return [{ affectedRows: 1 }];
+    });
+    const deletes = () => calls.filter((c) => c.sql.startsWith("DELETE FROM courier_push_tokens"));
+
+    await deletePushTokensBySessions(42, ["s1", "s2"]);
+    assert.match(deletes()[0].sql, /WHERE unit_id = \? AND \(session_id IN \(\?\)\)$/);
+    assert.deepEqual(deletes()[0].params, [42, ["s1", "s2"]]);
+
+    await deletePushTokensBySessions(42, [], { includeUnbound: true });
+    assert.match(deletes()[1].sql, /OR session_id IS NULL\)$/);
+    assert.deepEqual(deletes()[1].params, [42, [null]]);
+
+    await deletePushTokensBySessions(null, ["s1"]);
+    assert.equal(deletes().length, 2);
+});
+
+// тот же секрет, что у auth.js по умолчанию
+const signAccess = (claims) => jwt.sign(claims, process.env.JWT_SECRET || "super_secret_key", { expiresIn: "15m" });
+
+test("authenticateSocketToken: WS hello не пускает завершённую сессию, чужой и пустой токен", async (t) => {
+    fakeSessions(t);
+    const { sessionId } = await createSession(user, { client: "mobile" });
+    const token = signAccess({ userId: 42, role: "courier", companyId: 7, sid: sessionId });
+
+    assert.equal((await authenticateSocketToken(token)).sid, sessionId);
+    await revokeSession(sessionId, "signed_out_remotely");
+    assert.equal(await authenticateSocketToken(token), null);
+
+    assert.equal(await authenticateSocketToken(undefined), null);
+    assert.equal(await authenticateSocketToken("garbage"), null);
+    const forged = jwt.sign({ userId: 42, companyId: 7, sid: sessionId }, "other_secret");
+    assert.equal(await authenticateSocketToken(forged), null);
+
+    // токен без sid (выдан до появления сессий) — как в authMiddleware
+    assert.equal((await authenticateSocketToken(signAccess({ userId: 42, companyId: 7 }))).userId, 42);
+});
+
+test("authenticateSocketToken: отзыв в другом процессе виден по БД", async (t) => {
+    const rows = fakeSessions(t);
+    const { sessionId } = await createSession({ user_id: 44, company_id: 7 }, { client: "mobile" });
+    const token = signAccess({ userId: 44, role: "courier", companyId: 7, sid: sessionId });
+    // отзыв мимо revokeSession этого процесса — кеша проверки для сессии ещё нет
+    rows.get(sessionId).revoked_at = new Date();
+    assert.equal(await authenticateSocketToken(token), null);
+});
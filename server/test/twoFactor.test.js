@@ -0,0 +1,227 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import {
+    generateSecret,
+    generateTOTP,
+    getTimeCounter,
+    matchTOTPCounter,
+    verifyTOTP,
+} from "../totp.js";
+import {
+    acceptTOTP,
+    consumeRecoveryCode,
+    normalizeRecoveryCode,
+    verifySecondFactor,
+} from "../twoFactor.js";
+import { disable2FA, regenerateRecoveryCodes } from "../auth.js";
+import { LOGIN_THROTTLE, createMemoryStore, setLoginThrottleStore } from "../loginThrottle.js";
+import { mockDb } from "./helpers/db.js";
+import { serveRouter } from "./helpers/app.js";
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+test("matchTOTPCounter: возвращает счётчик совпавшего окна", () => {
+    const secret = generateSecret();
+    const now = getTimeCounter();
+    assert.equal(matchTOTPCounter(secret, generateTOTP(secret, now)), now);
+    assert.equal(matchTOTPCounter(secret, generateTOTP(secret, now - 1)), now - 1);
+    assert.equal(matchTOTPCounter(secret, generateTOTP(secret, now + 1)), now + 1);
+});
+
+test("matchTOTPCounter: код за пределами окна и мусор отклоняются", () => {
+    const secret = generateSecret();
+    const now = getTimeCounter();
+    assert.equal(matchTOTPCounter(secret, generateTOTP(secret, now - 5)), null);
+    assert.equal(matchTOTPCounter(secret, "12345"), null);
+    assert.equal(matchTOTPCounter(secret, "abcdef"), null);
+    assert.equal(matchTOTPCounter(null, "123456"), null);
+});
+
+test("matchTOTPCounter: код на lastCounter и раньше не принимается повторно", () => {
+    const secret = generateSecret();
+    const now = getTimeCounter();
+    const code = generateTOTP(secret, now);
+    assert.equal(matchTOTPCounter(secret, code, 1, now), null);
+    assert.equal(matchTOTPCounter(secret, code, 1, now + 1), null);
+    assert.equal(matchTOTPCounter(secret, code, 1, now - 1), now);
+    assert.equal(verifyTOTP(secret, code, 1, now), false);
+    assert.equal(verifyTOTP(secret, code), true);
+    // более старое окно при уже принятом текущем
+    assert.equal(matchTOTPCounter(secret, generateTOTP(secret, now - 1), 1, now), null);
+});
+
+test("matchTOTPCounter: пробелы в коде не мешают", () => {
+    const secret = generateSecret();
+    const now = getTimeCounter();
+    const code = generateTOTP(secret, now);
+    assert.equal(matchTOTPCounter(secret, `${code.slice(0, 3)} ${code.slice(3)}`), now);
+});
+
+test("acceptTOTP: фиксирует счётчик, повтор того же кода отклоняется", async (t) => {
+    const secret = generateSecret();
+    const now = getTimeCounter();
+    let lastCounter = null;
+    mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT totp_last_counter")) return [[{ totp_last_counter: lastCounter }]];
+        if (sql.startsWith("UPDATE users SET totp_last_counter")) {
+            const [counter] = params;
+            if (lastCounter != null && lastCounter >= counter) return [{ affectedRows: 0 }];
+            lastCounter = counter;
+            return [{ affectedRows: 1 }];
+        }
+    });
+    const code = generateTOTP(secret, now);
+    assert.equal(await acceptTOTP(1, secret, code), true);
+    assert.equal(lastCounter, now);
+    assert.equal(await acceptTOTP(1, secret, code), false);
+});
+
+test("acceptTOTP: параллельный запрос успел раньше — UPDATE не прошёл", async (t) => {
+    const secret = generateSecret();
+    mockDb(t, (sql) => {
+        if (sql.startsWith("SELECT totp_last_counter")) return [[{ totp_last_counter: null }]];
+        if (sql.startsWith("UPDATE users SET totp_last_counter")) return [{ affectedRows: 0 }];
+    });
+    assert.equal(await acceptTOTP(1, secret, generateTOTP(secret, getTimeCounter())), false);
+});
+
+test("normalizeRecoveryCode: регистр, дефисы и пробелы не важны", () => {
+    assert.equal(normalizeRecoveryCode("ABCDE-FGH23"), "abcdefgh23");
+    assert.equal(normalizeRecoveryCode(" abcde fgh23 "), "abcdefgh23");
+    assert.equal(normalizeRecoveryCode("aBc-De-FgH-23"), "abcdefgh23");
+    assert.equal(normalizeRecoveryCode(null), "");
+});
+
+test("consumeRecoveryCode: ищет по хешу нормализованного кода", async (t) => {
+    const calls = mockDb(t, (sql) => {
+        if (sql.startsWith("UPDATE totp_recovery_codes")) return [{ affectedRows: 1 }];
+    });
+    assert.equal(await consumeRecoveryCode(7, "ABCDE-fgh23"), true);
+    const upd = calls.find((c) => c.sql.startsWith("UPDATE totp_recovery_codes"));
+    assert.deepEqual(upd.params, [7, sha256("abcdefgh23")]);
+});
+
+test("consumeRecoveryCode: код неверной длины отклоняется без запроса в БД", async (t) => {
+    const calls = mockDb(t, () => {
+        throw new Error("БД не должна вызываться");
+    });
+    assert.equal(await consumeRecoveryCode(7, "abcd-efgh"), false);
+    assert.equal(await consumeRecoveryCode(7, "abcde-fgh234"), false);
+    assert.equal(await consumeRecoveryCode(7, ""), false);
+    assert.equal(calls.length, 0);
+});
+
+test("consumeRecoveryCode: уже использованный код не проходит", async (t) => {
+    mockDb(t, (sql) => {
+        if (sql.startsWith("UPDATE totp_recovery_codes")) return [{ affectedRows: 0 }];
+    });
+    assert.equal(await consumeRecoveryCode(7, "abcde-fgh23"), false);
+});
+
+test("verifySecondFactor: 6 цифр — TOTP, иначе — код восстановления", async (t) => {
+    const secret = generateSecret();
+    mockDb(t, (sql) => {
+        if (sql.startsWith("SELECT totp_last_counter")) return [[{ totp_last_counter: null }]];
+        if (sql.startsWith("UPDATE users SET totp_last_counter")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("UPDATE totp_recovery_codes")) return [{ affectedRows: 1 }];
+    });
+    const user = { user_id: 1, totp_secret: secret };
+    assert.deepEqual(
+        await verifySecondFactor(user, generateTOTP(secret, getTimeCounter())),
+        { ok: true, method: "totp" }
+    );
+    assert.deepEqual(await verifySecondFactor(user, "abcde-fgh23"), { ok: true, method: "recovery" });
+    assert.deepEqual(await verifySecondFactor(user, "000000x"), { ok: false });
+});
+
+// users с включённой 2FA и аудит входа в памяти
+function fakeTwoFactorUser(t, secret) {
+    const state = { enabled: 1, lastCounter: null, regenerated: 0, audit: [] };
+    mockDb(t, (sql, params) => {
+        if (sql.startsWith("SELECT user_id, totp_secret, totp_enabled FROM users") ||
+            sql.startsWith("SELECT totp_secret, totp_enabled FROM users")) {
+            return [[{ user_id: 42, totp_secret: state.enabled ? secret : null, totp_enabled: state.enabled }]];
+        }
+        if (sql.startsWith("SELECT totp_last_counter")) return [[{ totp_last_counter: state.lastCounter }]];
+        if (sql.startsWith("UPDATE users SET totp_last_counter = ? WHERE")) {
+            state.lastCounter = params[0];
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("UPDATE totp_recovery_codes")) return [{ affectedRows: 0 }];
+        if (sql.startsWith("INSERT INTO login_audit")) {
+            state.audit.push(params.at(-1));
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("UPDATE users SET totp_enabled = FALSE")) {
+            state.enabled = 0;
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith("DELETE FROM totp_recovery_codes")) return [{ affectedRows: 0 }];
+        if (sql.startsWith("UPDATE users SET totp_last_counter = NULL")) return [{ affectedRows: 1 }];
+        if (sql.startsWith("INSERT INTO totp_recovery_codes")) {
+            state.regenerated++;
+            return [{ affectedRows: 10 }];
+        }
+    });
+    return state;
+}
+
+async function serveTwoFactor(t) {
+    const router = express.Router();
+    router.post("/disable", disable2FA);
+    router.post("/recovery-codes", regenerateRecoveryCodes);
+    return serveRouter(t, router, { userId: 42, companyId: 7, role: "admin" });
+}
+
+function strictThrottle(t) {
+    // без промежуточных задержек: сразу блокировка на пятой неудаче
+    const prev = LOGIN_THROTTLE.identifier;
+    LOGIN_THROTTLE.identifier = { delayAfter: 5, maxFailures: 5 };
+    t.after(() => { LOGIN_THROTTLE.identifier = prev; });
+    setLoginThrottleStore(createMemoryStore());
+    t.mock.method(console, "warn", () => {});
+}
+
+for (const [path, reason] of [["/disable", "bad_code_disable"], ["/recovery-codes", "bad_code_regenerate"]]) {
+    test(`POST 2fa${path}: перебор кода блокируется, верный код после блокировки не принимается`, async (t) => {
+        strictThrottle(t);
+        const secret = generateSecret();
+        const state = fakeTwoFactorUser(t, secret);
+        const request = await serveTwoFactor(t);
+        const now = getTimeCounter();
+        const wrong = generateTOTP(secret, now - 10);
+
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await request("POST", path, { code: wrong })).status, 400);
+        }
+        assert.deepEqual(state.audit, Array(5).fill(reason));
+
+        const locked = await request("POST", path, { code: generateTOTP(secret, now) });
+        assert.equal(locked.status, 429);
+        assert.equal(locked.headers.get("retry-after"), String(LOGIN_THROTTLE.lockoutMs / 1000));
+        assert.deepEqual([state.enabled, state.regenerated, state.lastCounter], [1, 0, null]);
+    });
+}
+
+test("POST 2fa/recovery-codes: верный код сбрасывает счётчик неудач", async (t) => {
+    strictThrottle(t);
+    const secret = generateSecret();
+    const state = fakeTwoFactorUser(t, secret);
+    const request = await serveTwoFactor(t);
+    const now = getTimeCounter();
+    const wrong = generateTOTP(secret, now - 10);
+
+    for (let i = 0; i < 4; i++) await request("POST", "/recovery-codes", { code: wrong });
+    const ok = await request("POST", "/recovery-codes", { code: generateTOTP(secret, now) });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.recoveryCodes.length, 10);
+
+    // после сброса снова доступны четыре попытки без блокировки
+    for (let i = 0; i < 4; i++) {
+        assert.equal((await request("POST", "/disable", { code: wrong })).status, 400);
+    }
+    assert.equal((await request("POST", "/disable", { code: generateTOTP(secret, now + 1) })).status, 200);
+    assert.equal(state.enabled, 0);
+});
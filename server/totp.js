@@ -127,37 +127,55 @@ export function getTimeCounter(timestamp = Date.now(), period = 30) {
 }
 
 /**
- * Verify a TOTP code
+ * Find the time counter a TOTP code belongs to
  * Accepts codes from adjacent time windows to handle time drift
  * @param {string} secret - Base32 encoded secret
  * @param {string} code - The OTP code to verify
  * @param {number} window - Number of time periods to check before and after current (default: 1)
- * @returns {boolean} True if the code is valid
+ * @param {number|null} lastCounter - Last accepted counter; it and older ones are rejected (replay protection)
+ * @returns {number|null} Matching counter, or null if the code is invalid
  */
-export function verifyTOTP(secret, code, window = 1) {
+export function matchTOTPCounter(secret, code, window = 1, lastCounter = null) {
     if (!secret || !code) {
-        return false;
+        return null;
     }
 
     // Normalize the code (remove spaces, ensure 6 digits)
-    const normalizedCode = code.replace(/\s/g, "");
+    const normalizedCode = String(code).replace(/\s/g, "");
     if (!/^\d{6}$/.test(normalizedCode)) {
-        return false;
+        return null;
     }
 
     const currentCounter = getTimeCounter();
 
     // Check codes within the time window
     for (let i = -window; i <= window; i++) {
-        const expectedCode = generateTOTP(secret, currentCounter + i);
+        const counter = currentCounter + i;
+        if (lastCounter != null && counter <= Number(lastCounter)) {
+            continue;
+        }
+
+        const expectedCode = generateTOTP(secret, counter);
 
         // Use constant-time comparison to prevent timing attacks
         if (constantTimeEqual(normalizedCode, expectedCode)) {
-            return true;
+            return counter;
         }
     }
 
-    return false;
+    return null;
+}
+
+/**
+ * Verify a TOTP code
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - The OTP code to verify
+ * @param {number} window - Number of time periods to check before and after current (default: 1)
+ * @param {number|null} lastCounter - Last accepted counter (see matchTOTPCounter)
+ * @returns {boolean} True if the code is valid
+ */
+export function verifyTOTP(secret, code, window = 1, lastCounter = null) {
+    return matchTOTPCounter(secret, code, window, lastCounter) !== null;
 }
 
 /**
@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import pool from "./db.js";
+import { ensureColumns } from "./schema.js";
+import { matchTOTPCounter } from "./totp.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Второй фактор: проверка TOTP без повторов и одноразовые коды восстановления.
+//
+// - users.totp_last_counter — счётчик последнего принятого TOTP-кода. Код того
+//   же или более раннего 30-секундного окна больше не принимается, поэтому
+//   подсмотренный/перехваченный код нельзя использовать второй раз.
+// - Коды восстановления выдаются при включении 2FA (и по запросу заново —
+//   тогда старые перестают действовать). В БД хранится только sha256: у кода
+//   50 бит случайности, медленный хеш не нужен. Каждый код — одноразовый.
+//
+// verifySecondFactor принимает любой из двух: 6 цифр — TOTP, иначе — код
+// восстановления (формат xxxxx-xxxxx, регистр и дефисы не важны).
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const RECOVERY_CODES_COUNT = 10;
+const RECOVERY_ALPHABET = "abcdefghijkmnpqrstuvwxyz23456789"; // без l, o, 0, 1
+
+let _schemaReady = false;
+async function ensureTwoFactorSchema() {
+    if (_schemaReady) return;
+    await ensureColumns("users", [["totp_last_counter", "BIGINT NULL"]]);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+            id          INT AUTO_INCREMENT PRIMARY KEY,
+            user_id     INT          NOT NULL,
+            code_hash   CHAR(64)     NOT NULL,
+            created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            used_at     DATETIME     NULL,
+            KEY idx_user (user_id, used_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    _schemaReady = true;
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+// регистр, пробелы и дефисы при вводе не важны
+export const normalizeRecoveryCode = (code) => String(code ?? "").replace(/[\s-]/g, "").toLowerCase();
+
+function newRecoveryCode() {
+    const bytes = crypto.randomBytes(10);
+    let code = "";
+    for (const b of bytes) code += RECOVERY_ALPHABET[b & 31];
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * TOTP-код с защитой от повтора.
+ * Счётчик фиксируется условным UPDATE — из двух параллельных запросов с одним
+ * кодом пройдёт только один.
+ */
+export async function acceptTOTP(userId, secret, code) {
+    await ensureTwoFactorSchema();
+    const [[row]] = await pool.query(
+        "SELECT totp_last_counter FROM users WHERE user_id = ? LIMIT 1",
+        [userId]
+    );
+    const counter = matchTOTPCounter(secret, code, 1, row?.totp_last_counter ?? null);
+    if (counter === null) return false;
+
+    const [upd] = await pool.query(
+        `UPDATE users SET totp_last_counter = ?
+          WHERE user_id = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)`,
+        [counter, userId, counter]
+    );
+    return upd.affectedRows > 0;
+}
+
+/** Погасить код восстановления; true — код был действующим */
+export async function consumeRecoveryCode(userId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (normalized.length !== 10) return false;
+    await ensureTwoFactorSchema();
+    const [upd] = await pool.query(
+        `UPDATE totp_recovery_codes SET used_at = NOW()
+          WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+          LIMIT 1`,
+        [userId, sha256(normalized)]
+    );
+    return upd.affectedRows > 0;
+}
+
+/**
+ * Проверить второй фактор.
+ * @returns {Promise<{ ok: boolean, method?: 'totp' | 'recovery' }>}
+ */
+export async function verifySecondFactor(user, code) {
+    if (/^\d{6}$/.test(String(code ?? "").replace(/\s/g, ""))) {
+        return (await acceptTOTP(user.user_id, user.totp_secret, code))
+            ? { ok: true, method: "totp" }
+            : { ok: false };
+    }
+    return (await consumeRecoveryCode(user.user_id, code))
+        ? { ok: true, method: "recovery" }
+        : { ok: false };
+}
+
+/** Новый набор кодов восстановления (старые удаляются); коды в открытом виде — только здесь */
+export async function generateRecoveryCodes(userId) {
+    await ensureTwoFactorSchema();
+    const codes = Array.from({ length: RECOVERY_CODES_COUNT }, newRecoveryCode);
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        await conn.query("DELETE FROM totp_recovery_codes WHERE user_id = ?", [userId]);
+        await conn.query(
+            "INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES ?",
+            [codes.map((c) => [userId, sha256(normalizeRecoveryCode(c))])]
+        );
+        await conn.commit();
+    } catch (e) {
+        await conn.rollback().catch(() => {});
+        throw e;
+    } finally {
+        conn.release();
+    }
+    return codes;
+}
+
+/** Сколько неиспользованных кодов осталось */
+export async function countRecoveryCodes(userId) {
+    await ensureTwoFactorSchema();
+    const [[row]] = await pool.query(
+        "SELECT COUNT(*) AS cnt FROM totp_recovery_codes WHERE user_id = ? AND used_at IS NULL",
+        [userId]
+    );
+    return Number(row?.cnt) || 0;
+}
+
+/** 2FA отключена или настраивается заново — коды и счётчик больше не нужны */
+export async function resetSecondFactor(userId) {
+    await ensureTwoFactorSchema();
+    await pool.query("DELETE FROM totp_recovery_codes WHERE user_id = ?", [userId]);
+    await pool.query("UPDATE users SET totp_last_counter = NULL WHERE user_id = ?", [userId]);
+}